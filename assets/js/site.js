@@ -0,0 +1,186 @@
+/**
+ * Shared Page Widgets
+ *
+ * Loaded by every page through views/layouts/base.html. Each widget
+ * looks for its markup (see views/partials) and does nothing on pages
+ * without it:
+ *
+ * - Reading progress bar    #progressBar
+ * - Back to top button      #backToTop
+ * - Toast notifications     #toast, shown with UniTok.showToast()
+ * - Table of contents       .toc-link, scrolled to and highlighted
+ * - Collapsible sections    .section-header, and the TL;DR box #tldrHeader
+ * - Fade-in sections        section, given "visible" once scrolled to
+ *
+ * Page scripts run after this file and can use window.UniTok.
+ */
+
+(function () {
+    'use strict';
+
+    // How far down the page the back to top button appears, in pixels
+    const BACK_TO_TOP_OFFSET = 300;
+    // Sections count as reached this far before their top, in pixels
+    const SECTION_OFFSET = 100;
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Fill the named placeholders in a translated string
+     * @param {string} message - String with {{name}} placeholders
+     * @param {Object} values - Placeholder values
+     * @returns {string} Filled string
+     */
+    function format(message, values) {
+        return message.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name]);
+    }
+
+    /**
+     * Show a short message at the corner of the page
+     * @param {string} message - Text to show
+     * @param {number} [duration] - How long to show it, in milliseconds
+     */
+    function showToast(message, duration = 3000) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        toast.textContent = message;
+        toast.classList.add('show');
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, duration);
+    }
+
+    /**
+     * Scroll smoothly to the top of the page
+     */
+    function scrollToTop() {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    // ========================================================================
+    // Scroll Widgets
+    // ========================================================================
+
+    /**
+     * Show how far down the page the reader is
+     */
+    function updateProgressBar() {
+        const bar = document.getElementById('progressBar');
+        if (!bar) return;
+        const scrolled = document.body.scrollTop || document.documentElement.scrollTop;
+        const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+        bar.style.width = (height > 0 ? (scrolled / height) * 100 : 0) + '%';
+    }
+
+    /**
+     * Show the back to top button once the reader has scrolled down
+     */
+    function updateBackToTop() {
+        const button = document.getElementById('backToTop');
+        if (button) button.classList.toggle('visible', window.pageYOffset > BACK_TO_TOP_OFFSET);
+    }
+
+    /**
+     * Highlight the table of contents link of the section being read
+     */
+    function updateActiveTOC() {
+        let current = '';
+        document.querySelectorAll('section[id^="section"]').forEach((section) => {
+            if (window.pageYOffset >= section.offsetTop - SECTION_OFFSET) {
+                current = section.id;
+            }
+        });
+
+        document.querySelectorAll('.toc-link').forEach((link) => {
+            link.classList.toggle('active', link.getAttribute('href') === '#' + current);
+        });
+    }
+
+    // ========================================================================
+    // Setup
+    // ========================================================================
+
+    /**
+     * Scroll to sections from the table of contents
+     */
+    function setUpTableOfContents() {
+        document.querySelectorAll('.toc-link').forEach((link) => {
+            link.addEventListener('click', function (e) {
+                const target = document.getElementById(this.getAttribute('href').substring(1));
+                if (!target) return;
+                e.preventDefault();
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                document.querySelectorAll('.toc-link').forEach((other) => other.classList.remove('active'));
+                this.classList.add('active');
+            });
+        });
+    }
+
+    /**
+     * Open and close sections from their headers
+     */
+    function setUpCollapsibleSections() {
+        document.querySelectorAll('.section-header').forEach((header) => {
+            header.addEventListener('click', function (e) {
+                // Buttons inside the header, such as "copy link", do their own thing
+                if (e.target.closest('button, .copy-link')) return;
+                this.classList.toggle('collapsed');
+                this.nextElementSibling.classList.toggle('collapsed');
+            });
+        });
+
+        const tldrHeader = document.getElementById('tldrHeader');
+        const tldrContent = document.getElementById('tldrContent');
+        if (tldrHeader && tldrContent) {
+            tldrHeader.addEventListener('click', () => {
+                tldrContent.classList.toggle('collapsed');
+                tldrHeader.querySelector('.tldr-toggle').classList.toggle('collapsed');
+            });
+        }
+    }
+
+    /**
+     * Fade sections in as they scroll into view
+     */
+    function setUpFadeIn() {
+        const sections = document.querySelectorAll('section');
+        if (!('IntersectionObserver' in window)) {
+            sections.forEach((section) => section.classList.add('visible'));
+            return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('visible');
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { threshold: 0.1, rootMargin: '0px 0px -50px 0px' });
+
+        sections.forEach((section) => observer.observe(section));
+    }
+
+    /**
+     * Update every scroll widget
+     */
+    function onScroll() {
+        updateProgressBar();
+        updateBackToTop();
+        updateActiveTOC();
+    }
+
+    window.UniTok = { format, showToast, scrollToTop };
+
+    const backToTop = document.getElementById('backToTop');
+    if (backToTop) backToTop.addEventListener('click', scrollToTop);
+
+    setUpTableOfContents();
+    setUpCollapsibleSections();
+    setUpFadeIn();
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('load', onScroll);
+})();
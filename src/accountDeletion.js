@@ -0,0 +1,190 @@
+/**
+ * Automatic Account Deletion
+ *
+ * When ACCOUNT_DELETION is on, confirmed requests are handed to the user
+ * directory (see ./directory) once they are final, i.e. once support has
+ * been notified at the end of the grace period. The outcome is recorded
+ * on the request as `accountDeletion`:
+ *
+ *   { mode, status, attempts, reference, lastError, nextAttemptAt,
+ *     requestedAt, completedAt }
+ *
+ * - `deleted`   the backend deleted the account; the request moves to
+ *               `completed` and the user gets the "account deleted" email
+ * - `accepted`  the backend took the job; the request moves to
+ *               `in_progress` for support to complete once it's done
+ * - `retrying`  the call failed; it is tried again with backoff
+ * - `failed`    MAX_ATTEMPTS calls failed, or the account is gone from
+ *               the directory; the request stays `confirmed` for support
+ *               to handle by hand
+ *
+ * Each outcome is also noted in the request history.
+ */
+
+const { getState, transition } = require('./lifecycle');
+const { getRetryDelayMs } = require('./outbox');
+const { logger } = require('./logger');
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 5;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a request is waiting for an automatic deletion attempt
+ * @param {Object} data - Request data
+ * @param {Date} now - Current time
+ * @returns {boolean} True if an attempt is due
+ */
+function isDeletionDue(data, now) {
+    if (getState(data) !== 'confirmed' || !data.supportNotifiedAt) return false;
+
+    const attempt = data.accountDeletion;
+    return !attempt || (attempt.status === 'retrying' && new Date(attempt.nextAttemptAt) <= now);
+}
+
+/**
+ * Create the background job that deletes accounts for final requests
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Object} deps.directory - User directory with deleteAccount()
+ * @param {Function} deps.buildCompletedMail - (requestData, now) => outbox message for the user
+ * @param {Object} deps.webhooks - Webhook service, for request.completed
+ * @param {Function} [deps.onQueued] - Called after queuing email and webhooks
+ * @param {number} [deps.intervalMs] - How often to check
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {{start: Function, stop: Function, runOnce: Function}}
+ */
+function createAccountDeleter({ store, directory, buildCompletedMail, webhooks, onQueued, intervalMs, now = () => new Date() }) {
+    const interval = intervalMs ||
+        (parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+    let timer = null;
+    let running = false;
+
+    /**
+     * Ask the directory to delete one request's account
+     * @param {Object} data - Request data, updated and saved in place
+     * @param {Date} at - Current time
+     * @returns {Promise<boolean>} True if the directory accepted the job
+     */
+    async function attempt(data, at) {
+        const previous = data.accountDeletion || { attempts: 0 };
+        const record = {
+            mode: directory.deletionMode,
+            attempts: previous.attempts + 1,
+            requestedAt: previous.requestedAt || at.toISOString()
+        };
+
+        let result;
+        let error;
+        try {
+            // Requests made before the account check have no account ID yet
+            if (!data.accountId) {
+                const account = await directory.findAccount(data.email);
+                if (!account.exists) {
+                    throw Object.assign(new Error('No UniTok account uses this email address'), { permanent: true });
+                }
+                data.accountId = account.accountId;
+            }
+            result = await directory.deleteAccount({
+                accountId: data.accountId,
+                email: data.email,
+                requestId: data.token,
+                confirmedAt: data.confirmedAt
+            });
+        } catch (caught) {
+            error = caught;
+        }
+
+        // Support may have acted on the request while we were waiting
+        const current = store.get(data.token);
+        if (!current || getState(current) !== 'confirmed') {
+            logger.warn('Request changed during automatic deletion; result not applied', { request: data.token.substring(0, 8) });
+            return false;
+        }
+        current.accountId = data.accountId;
+
+        if (error) {
+            const gaveUp = error.permanent || record.attempts >= MAX_ATTEMPTS;
+            current.accountDeletion = {
+                ...record,
+                status: gaveUp ? 'failed' : 'retrying',
+                lastError: error.message,
+                nextAttemptAt: gaveUp
+                    ? null
+                    : new Date(at.getTime() + getRetryDelayMs(record.attempts, RETRY_BASE_MS)).toISOString()
+            };
+            current.updatedAt = at.toISOString();
+            store.save(current.token, current);
+            logger.error('Automatic deletion failed', { request: current.token.substring(0, 8), attempts: record.attempts, gaveUp, error: error.message });
+            return false;
+        }
+
+        current.accountDeletion = {
+            ...record,
+            status: result.status,
+            reference: result.reference,
+            lastError: null,
+            nextAttemptAt: null,
+            completedAt: result.status === 'deleted' ? at.toISOString() : null
+        };
+
+        const messages = [];
+        if (result.status === 'deleted') {
+            transition(current, 'completed', { note: `Account deleted via ${directory.deletionMode}`, at });
+            messages.push(buildCompletedMail(current, at), ...webhooks.messagesFor('request.completed', current, at));
+        } else {
+            transition(current, 'in_progress', { note: `Deletion requested via ${directory.deletionMode}`, at });
+        }
+        store.save(current.token, current, messages);
+        if (messages.length > 0 && onQueued) onQueued();
+        logger.info('Automatic deletion attempted', { request: current.token.substring(0, 8), status: result.status });
+        return true;
+    }
+
+    /**
+     * Attempt every final request that is due
+     * @returns {Promise<number>} Number of requests the directory accepted
+     */
+    async function runOnce() {
+        if (running) return 0;
+        running = true;
+
+        const at = now();
+        const due = [];
+        try {
+            for (let offset = 0; ; offset += 100) {
+                const { requests } = store.list({ status: 'confirmed', limit: 100, offset });
+                due.push(...requests.filter((data) => isDeletionDue(data, at)));
+                if (requests.length < 100) break;
+            }
+
+            let accepted = 0;
+            for (const { token } of due) {
+                const data = store.get(token);
+                if (!data || !isDeletionDue(data, at)) continue;
+                if (await attempt(data, at)) accepted++;
+            }
+            return accepted;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        const tick = () => runOnce().catch((error) => logger.error('Automatic deletion run failed', { err: error }));
+        tick();
+        timer = setInterval(tick, interval);
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { createAccountDeleter, isDeletionDue };
@@ -0,0 +1,361 @@
+/**
+ * UniTok Web Application
+ *
+ * Builds the Express app and the services behind it without starting
+ * anything: createApp() opens no port and starts no background jobs, so
+ * tests can build as many apps as they like with their own storage,
+ * clock and mailer. src/index.js builds the real one and listens.
+ *
+ * Anything not passed in is created from the environment as before.
+ */
+
+// Core dependencies
+const express = require('express');
+const path = require('path');
+const cors = require('cors');
+const compression = require('compression');
+
+// Feature dependencies
+const { createMailTransport } = require('./mail');
+const { createStore, createExportArchiveStore, createReportStore } = require('./storage');
+const { createGraceNotifier } = require('./gracePeriod');
+const { createUserDirectory } = require('./directory');
+const { createAccountDeleter } = require('./accountDeletion');
+const { createExportBuilder } = require('./dataExport');
+const { createMaintenanceJob } = require('./maintenance');
+const { createWebhooks } = require('./webhooks');
+const { loadContent } = require('./content');
+const { ASSETS_DIR, loadAssetManifest } = require('./assets');
+const { loadPolicies } = require('./policies');
+const { getPolicyContacts, createPolicyNotifier } = require('./policies/notifier');
+const { createOutboxWorker } = require('./outbox/worker');
+const { createRateLimitStore } = require('./rateLimit');
+const { getSigningKeys } = require('./tokens');
+const { logger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createRequestLogger } = require('./middleware/requestLogger');
+const { getCorsOrigins, createCorsOptions, createSecurityHeaders } = require('./middleware/security');
+const { createDeletionRouter, buildSupportNotification, recordMailSent } = require('./routes/deletion');
+const { createAdminRouter, buildCompletedMail } = require('./routes/admin');
+const { createExportRouter, buildExportReadyMail } = require('./routes/exports');
+const { createReportsRouter } = require('./routes/reports');
+const { createPagesRouter } = require('./routes/pages');
+const { createContentRouter } = require('./routes/content');
+const { createPoliciesRouter } = require('./routes/policies');
+const { createDevRouter } = require('./routes/dev');
+const { createHealthRouter } = require('./routes/health');
+
+/**
+ * Build the application
+ * @param {Object} [config]
+ * @param {Object} [config.store] - Deletion request store (default: createStore())
+ * @param {Object} [config.exportStore] - Data export request store (default: createStore({ collection: 'export' }))
+ * @param {Object} [config.archives] - Export archive store (default: createExportArchiveStore())
+ * @param {Object} [config.reports] - Contact form report store (default: createReportStore())
+ * @param {Object} [config.transporter] - Mail transport (default: createMailTransport())
+ * @param {Object} [config.directory] - User directory (default: createUserDirectory())
+ * @param {Object} [config.webhooks] - Webhook service (default: createWebhooks())
+ * @param {Function} [config.now] - Clock, () => current time as a Date
+ * @param {Object} [config.maintenance] - Maintenance settings, overriding the environment
+ * @param {Object} [config.rateLimitStore] - Rate limit hit store (default: createRateLimitStore())
+ * @param {Object} [config.content] - Site content (default: loadContent())
+ * @param {Object} [config.policies] - Policy versions (default: loadPolicies())
+ * @param {Object} [config.policyNotices] - Log of announced policy versions
+ *   (default: createNoticeLog() from src/policies/notifier.js)
+ * @param {Object} [config.metrics] - Metrics registry (default: createMetrics())
+ * @param {string} [config.baseUrl] - Public URL for emailed links (default: BASE_URL)
+ * @param {boolean} [config.devRoutes] - Mount /dev (default: NODE_ENV is "development")
+ * @returns {{app: import('express').Express, store: Object, exportStore: Object,
+ *   archives: Object, reports: Object, transporter: Object, directory: Object, webhooks: Object,
+ *   mailWorker: Object, graceNotifier: Object, accountDeleter: Object|null,
+ *   exportBuilder: Object|null, maintenance: Object, policyNotifier: Object,
+ *   metrics: Object, start: Function, stop: Function}}
+ */
+function createApp(config = {}) {
+    const now = config.now || (() => new Date());
+    const baseUrl = config.baseUrl || process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const devRoutes = config.devRoutes !== undefined ? config.devRoutes : process.env.NODE_ENV === 'development';
+
+    /**
+     * Get the public base URL used in emailed links
+     * @returns {string} Base URL without trailing slash
+     */
+    const getBaseUrl = () => baseUrl;
+
+    // Refuse to start with a malformed SIGNING_KEYS (see src/tokens.js) or
+    // POLICY_CONTACTS (see src/policies/notifier.js)
+    getSigningKeys();
+    getPolicyContacts();
+
+    const app = express();
+
+    // ============================================================================
+    // MIDDLEWARE CONFIGURATION
+    // ============================================================================
+
+    // Request IDs and one log line per response (see src/middleware/requestLogger.js)
+    app.use(createRequestLogger());
+
+    // Trust the reverse proxy (e.g. Render) so req.ip is the client address
+    // recorded in the request history. TRUST_PROXY is the number of proxy hops.
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+    }
+
+    // CSP, HSTS and framing headers (see src/middleware/security.js)
+    app.use(createSecurityHeaders());
+
+    // Cross-origin access only for the origins in CORS_ORIGINS; throws,
+    // stopping startup, if an entry is not an origin
+    app.use(cors(createCorsOptions(getCorsOrigins())));
+
+    // Parse JSON request bodies, except reports: they carry their
+    // attachments in the body and are parsed with a larger limit once the
+    // rate limit and CSRF check have passed (see src/routes/reports.js)
+    const parseJson = express.json();
+    app.use((req, res, next) => (req.path === '/api/reports' ? next() : parseJson(req, res, next)));
+
+    // Parse URL-encoded request bodies
+    app.use(express.urlencoded({ extended: true }));
+
+    // gzip or brotli for pages, scripts, styles and JSON, as the browser accepts
+    app.use(compression());
+
+    // Static assets (see src/assets/): the hashed copies from `npm run
+    // build:assets` never change, so browsers may keep them for a year;
+    // the originals are revalidated by ETag on every use
+    const assets = loadAssetManifest();
+    if (assets.size === 0) {
+        logger.warn('No asset build found; serving the original files (run npm run build:assets)', { dir: assets.dir });
+    }
+    app.use('/assets', express.static(path.join(assets.dir, 'assets'), { index: false, immutable: true, maxAge: '1y' }));
+    app.use('/assets', express.static(ASSETS_DIR, {
+        index: false,
+        setHeaders: (res) => res.setHeader('Cache-Control', 'no-cache')
+    }));
+
+    // ============================================================================
+    // SERVICES
+    // ============================================================================
+
+    // Deletion request store (file or sqlite, see src/storage/index.js)
+    const store = config.store || createStore();
+    logger.info('Using storage for deletion requests', { driver: store.driver });
+
+    // Data export requests, in the same storage (see src/routes/exports.js)
+    // and their archives (see src/storage/archiveStore.js)
+    const exportStore = config.exportStore || createStore({ collection: 'export' });
+    const archives = config.archives || createExportArchiveStore();
+
+    // Reports from the contact form and their attachments (see src/storage/reportStore.js)
+    const reports = config.reports || createReportStore();
+
+    // Mail transport: smtp, file, console or memory (see src/mail/index.js)
+    const transporter = config.transporter || createMailTransport();
+    logger.info('Using mail transport', { driver: transporter.driver });
+
+    // Account lookup and deletion in the app backend (see src/directory/index.js)
+    const directory = config.directory || createUserDirectory();
+    logger.info('Using user directory', { driver: directory.driver, deletionMode: directory.deletionMode });
+
+    // Outbound webhooks for request events (see src/webhooks/index.js);
+    // throws, stopping startup, if WEBHOOKS is invalid
+    const webhooks = config.webhooks || createWebhooks({ getBaseUrl });
+    logger.info('Sending webhooks', { subscriptions: webhooks.subscriptions.length });
+
+    // Request and email counters for GET /metrics (see src/metrics.js)
+    const metrics = config.metrics || createMetrics();
+
+    // Delivers emails and webhooks queued in the outbox both stores share (see src/outbox/)
+    const mailWorker = createOutboxWorker({
+        outbox: store.outbox,
+        transporter,
+        webhooks,
+        metrics,
+        onSent: (message) => {
+            recordMailSent(store, message, now());
+            recordMailSent(exportStore, message, now(), 'export-confirm');
+        },
+        now
+    });
+
+    // Notify support as grace periods close (see src/gracePeriod.js)
+    const graceNotifier = createGraceNotifier({
+        store,
+        buildNotification: (data, at) => buildSupportNotification(data, at, directory.deletionMode),
+        onQueued: () => mailWorker.wake(),
+        now
+    });
+
+    // Delete accounts for final requests when ACCOUNT_DELETION is on (see src/accountDeletion.js)
+    const accountDeleter = directory.deleteAccount
+        ? createAccountDeleter({
+            store,
+            directory,
+            buildCompletedMail,
+            webhooks,
+            onQueued: () => mailWorker.wake(),
+            now
+        })
+        : null;
+
+    // Build data export archives when the directory can export accounts (see src/dataExport.js)
+    const exportBuilder = directory.exportAccount
+        ? createExportBuilder({
+            store: exportStore,
+            directory,
+            archives,
+            buildReadyMail: (data, at) => buildExportReadyMail(data, at, getBaseUrl()),
+            onQueued: () => mailWorker.wake(),
+            now
+        })
+        : null;
+
+    // Expire, purge and anonymize old requests, send reminders and escalate
+    // overdue ones (see src/maintenance.js)
+    const maintenance = createMaintenanceJob({
+        store,
+        exportStore,
+        webhooks,
+        getBaseUrl,
+        onQueued: () => mailWorker.wake(),
+        metrics,
+        settings: config.maintenance,
+        now
+    });
+
+    // Rate limit hit store (memory or sqlite, see src/rateLimit/index.js)
+    const rateLimitStore = config.rateLimitStore || createRateLimitStore();
+    logger.info('Using store for rate limits', { driver: rateLimitStore.driver });
+
+    // Partner and team lists for the landing page (see src/content.js);
+    // throws, stopping startup, if an entry is invalid or an image is missing
+    const content = config.content || loadContent();
+
+    // Policy versions behind /pp.html, /csae.html and /policies (see src/policies/);
+    // throws, stopping startup, if a version is invalid or its text is missing
+    const policies = config.policies || loadPolicies();
+
+    // Email POLICY_CONTACTS when a new policy version takes effect
+    const policyNotifier = createPolicyNotifier({
+        policies,
+        outbox: store.outbox,
+        noticeLog: config.policyNotices,
+        getBaseUrl,
+        onQueued: () => mailWorker.wake(),
+        now
+    });
+
+    // ============================================================================
+    // ROUTES
+    // ============================================================================
+
+    // Health check and Prometheus metrics (see src/routes/health.js)
+    app.use(createHealthRouter({ store, exportStore, transporter, metrics, now }));
+
+    // Deletion request, confirmation and cancellation (see src/routes/deletion.js)
+    app.use(createDeletionRouter({ store, mailWorker, directory, webhooks, rateLimitStore, metrics, getBaseUrl, now }));
+
+    // Data export request, confirmation and download (see src/routes/exports.js)
+    app.use(createExportRouter({
+        store: exportStore,
+        archives,
+        mailWorker,
+        directory,
+        rateLimitStore,
+        metrics,
+        getBaseUrl,
+        now
+    }));
+
+    // Contact and child safety reports (see src/routes/reports.js)
+    app.use(createReportsRouter({ reports, outbox: store.outbox, mailWorker, rateLimitStore, metrics, now }));
+
+    // Dashboard and API for reviewing deletion requests and reports (see src/routes/admin.js)
+    app.use('/admin', createAdminRouter({ store, reports, mailWorker, webhooks, now }));
+
+    // Landing page, policies and the deletion form in every language, plus the
+    // language switcher (see src/routes/pages.js)
+    app.use(createPagesRouter({ getBaseUrl, content, policies, now }));
+
+    // Dated policy versions, their changes and history (see src/routes/policies.js)
+    app.use(createPoliciesRouter({ policies, getBaseUrl, now }));
+
+    // Partner and team lists as JSON (see src/routes/content.js)
+    app.use('/api', createContentRouter({ content }));
+
+    // Mailbox for emails captured by the file or memory transport (see src/routes/dev.js)
+    if (devRoutes) {
+        app.use('/dev', createDevRouter({ transporter }));
+    }
+
+    /**
+     * Start the background jobs and check the mail settings
+     * Failures of the mail check are logged but don't stop the server
+     */
+    function start() {
+        // Notify support about grace periods that closed while we were down
+        graceNotifier.start();
+
+        // Hand final requests to the backend, retrying failed calls
+        if (accountDeleter) accountDeleter.start();
+
+        // Build confirmed data exports and delete expired archives
+        if (exportBuilder) exportBuilder.start();
+
+        // Clean up old requests and chase the ones nobody acted on
+        maintenance.start();
+
+        // Announce policy versions that took effect
+        policyNotifier.start();
+
+        // Send queued emails, including any left over from before a restart
+        mailWorker.start();
+
+        transporter.verify()
+            .then(() => logger.info('Mail transport ready to send messages', { driver: transporter.driver }))
+            .catch((error) => {
+                logger.error('Email configuration error; check the SMTP settings in .env', {
+                    driver: transporter.driver,
+                    error: error.message
+                });
+            });
+    }
+
+    /**
+     * Stop the background jobs and release the stores
+     */
+    function stop() {
+        graceNotifier.stop();
+        if (accountDeleter) accountDeleter.stop();
+        if (exportBuilder) exportBuilder.stop();
+        maintenance.stop();
+        policyNotifier.stop();
+        mailWorker.stop();
+        rateLimitStore.close();
+        exportStore.close();
+        store.close();
+    }
+
+    return {
+        app,
+        store,
+        exportStore,
+        archives,
+        reports,
+        transporter,
+        directory,
+        webhooks,
+        mailWorker,
+        graceNotifier,
+        accountDeleter,
+        exportBuilder,
+        maintenance,
+        policyNotifier,
+        metrics,
+        start,
+        stop
+    };
+}
+
+module.exports = { createApp };
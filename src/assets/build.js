@@ -0,0 +1,257 @@
+/**
+ * Asset Build
+ *
+ * Writes content-hashed copies of everything under assets/ to
+ * ASSET_BUILD_DIR (default dist/), and the manifest pages read their
+ * asset URLs from (see ./index.js):
+ *
+ *   <build dir>/asset-manifest.json   Entries by path relative to assets/
+ *   <build dir>/assets/...            Hashed files, served at /assets/
+ *
+ * - PNG, JPEG and WebP images get WebP copies at IMAGE_WIDTHS (no wider
+ *   than the original) for `srcset`, and one copy in their own format, at
+ *   most FALLBACK_WIDTH wide, for browsers that can't use them. When that
+ *   copy comes out larger than the original, the original is used.
+ * - Everything else (SVGs, scripts, video) is copied as it is.
+ *
+ * Names end in the first 8 hex digits of the SHA-256 of the written file,
+ * e.g. team/FarisYacte.320w.03b7d5aa.webp, so a changed file always gets a
+ * new URL and the server can let browsers keep them for a year. Doubled
+ * extensions in source names (KSU.svg.png) are dropped on the way.
+ *
+ * Files whose source hasn't changed since the last build are not encoded
+ * again, and files no longer in the manifest are deleted.
+ *
+ * Usage: npm run build:assets
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ASSETS_DIR, MANIFEST_FILE, getAssetBuildDir } = require('./index');
+
+// Widths of the WebP copies, in pixels; 160 to 640 cover the logos and
+// team photos (shown up to 150px wide) on screens up to 4x
+const IMAGE_WIDTHS = [160, 320, 640, 1280];
+const FALLBACK_WIDTH = 640;
+
+// Images resized by the build, with the options their fallback copy is written with
+const IMAGE_FORMATS = {
+    '.png': { format: 'png', options: { compressionLevel: 9 } },
+    '.jpg': { format: 'jpeg', options: { quality: 80, mozjpeg: true } },
+    '.jpeg': { format: 'jpeg', options: { quality: 80, mozjpeg: true } },
+    '.webp': { format: 'webp', options: { quality: 80 } }
+};
+
+const WEBP_OPTIONS = { quality: 80 };
+
+// ============================================================================
+// HELPER FUNCTIONS - Files
+// ============================================================================
+
+/**
+ * List the files in a directory and its subdirectories
+ * Hidden files (.DS_Store and the like) are skipped.
+ * @param {string} dir - Directory
+ * @param {string} [prefix] - Path of dir relative to the top directory
+ * @returns {Array<string>} Paths relative to the top directory, with "/" separators, sorted
+ */
+function listFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('.'))
+        .flatMap((entry) => {
+            const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+            return entry.isFile() ? [relative] : [];
+        })
+        .sort();
+}
+
+/**
+ * Hash file contents
+ * @param {Buffer} data - File contents
+ * @returns {string} SHA-256 in hex
+ */
+function hashOf(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Name a built file after its source and contents
+ * @param {string} source - Source path relative to assets/, e.g. "Universities/KSU.svg.png"
+ * @param {string} suffix - Added to the name, e.g. ".320w", or ""
+ * @param {string} extension - Extension of the built file, e.g. "webp"
+ * @param {Buffer} data - Built file contents
+ * @returns {string} e.g. "Universities/KSU.320w.5d41402a.webp"
+ */
+function hashedName(source, suffix, extension, data) {
+    const dir = path.posix.dirname(source);
+    const stem = path.posix.basename(source, path.posix.extname(source))
+        .replace(/\.(png|jpe?g|webp|gif|svg)$/i, '');
+    const name = `${stem}${suffix}.${hashOf(data).slice(0, 8)}.${extension}`;
+    return dir === '.' ? name : `${dir}/${name}`;
+}
+
+// ============================================================================
+// BUILD
+// ============================================================================
+
+/**
+ * Build the hashed copies of one image
+ * @param {Buffer} data - Source image
+ * @param {string} source - Source path relative to assets/
+ * @returns {Promise<{entry: Object, outputs: Map<string, Buffer>}>} Manifest entry and files to write
+ */
+async function buildImage(data, source) {
+    // Loaded here, so the server never needs the native module
+    const sharp = require('sharp');
+    const metadata = await sharp(data).metadata();
+    const { width, height } = metadata.autoOrient || metadata;
+    const fallback = IMAGE_FORMATS[path.extname(source).toLowerCase()];
+
+    const widths = IMAGE_WIDTHS.filter((candidate) => candidate < width);
+    widths.push(Math.min(width, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]));
+
+    /**
+     * Encode the image at one width
+     * @param {number} target - Width in pixels
+     * @param {string} format - sharp output format
+     * @param {Object} options - Encoder options
+     * @returns {Promise<Buffer>} Encoded image
+     */
+    const encode = (target, format, options) => sharp(data)
+        .rotate()
+        .resize({ width: target, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toBuffer();
+
+    const outputs = new Map();
+    const variants = [];
+    for (const target of [...new Set(widths)]) {
+        const encoded = await encode(target, 'webp', WEBP_OPTIONS);
+        const file = hashedName(source, `.${target}w`, 'webp', encoded);
+        outputs.set(file, encoded);
+        variants.push({ file, width: target, type: 'image/webp' });
+    }
+
+    const encoded = await encode(Math.min(width, FALLBACK_WIDTH), fallback.format, fallback.options);
+    const copy = encoded.length < data.length ? encoded : data;
+    const file = hashedName(source, '', path.posix.extname(source).slice(1).toLowerCase(), copy);
+    outputs.set(file, copy);
+
+    return { entry: { file, width, height, variants }, outputs };
+}
+
+/**
+ * Build the hashed copy of a file that isn't resized
+ * @param {Buffer} data - Source file
+ * @param {string} source - Source path relative to assets/
+ * @returns {{entry: Object, outputs: Map<string, Buffer>}} Manifest entry and file to write
+ */
+function buildCopy(data, source) {
+    const extension = path.posix.extname(source).slice(1).toLowerCase();
+    const file = extension ? hashedName(source, '', extension, data) : `${source}.${hashOf(data).slice(0, 8)}`;
+    return { entry: { file }, outputs: new Map([[file, data]]) };
+}
+
+/**
+ * Read the manifest of the previous build
+ * @param {string} buildDir - Build directory
+ * @returns {Object} Entries by source path, empty for a first build
+ */
+function readPreviousManifest(buildDir) {
+    const file = path.join(buildDir, MANIFEST_FILE);
+    try {
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).files || {} : {};
+    } catch (error) {
+        // A damaged manifest only costs a full rebuild
+        return {};
+    }
+}
+
+/**
+ * List the files a manifest entry refers to
+ * @param {Object} entry - Manifest entry
+ * @returns {Array<string>} Paths relative to the hashed files' directory
+ */
+function filesOf(entry) {
+    return [entry.file, ...(entry.variants || []).map((variant) => variant.file)];
+}
+
+/**
+ * Build every asset and write the manifest
+ * @param {Object} [options]
+ * @param {string} [options.sourceDir] - Originals (default assets/)
+ * @param {string} [options.buildDir] - Output (default: getAssetBuildDir())
+ * @returns {Promise<{built: number, reused: number, removed: number, manifest: Object}>} Summary
+ */
+async function buildAssets({ sourceDir = ASSETS_DIR, buildDir = getAssetBuildDir() } = {}) {
+    const outputDir = path.join(buildDir, 'assets');
+    const previous = readPreviousManifest(buildDir);
+    const files = {};
+    let built = 0;
+    let reused = 0;
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    for (const source of listFiles(sourceDir)) {
+        const data = fs.readFileSync(path.join(sourceDir, ...source.split('/')));
+        const sourceHash = hashOf(data);
+
+        const earlier = previous[source];
+        if (earlier && earlier.source === sourceHash &&
+            filesOf(earlier).every((file) => fs.existsSync(path.join(outputDir, file)))) {
+            files[source] = earlier;
+            reused++;
+            continue;
+        }
+
+        let result;
+        try {
+            result = IMAGE_FORMATS[path.extname(source).toLowerCase()]
+                ? await buildImage(data, source)
+                : buildCopy(data, source);
+        } catch (error) {
+            throw new Error(`${source}: ${error.message}`);
+        }
+        const { entry, outputs } = result;
+        for (const [file, contents] of outputs) {
+            fs.mkdirSync(path.dirname(path.join(outputDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(outputDir, file), contents);
+        }
+        files[source] = { source: sourceHash, ...entry };
+        built++;
+    }
+
+    // Written last, through a temporary file, so the server never reads a
+    // manifest naming files that aren't there yet
+    const manifest = { generatedAt: new Date().toISOString(), files };
+    const temporary = path.join(buildDir, `${MANIFEST_FILE}.tmp`);
+    fs.writeFileSync(temporary, JSON.stringify(manifest, null, 2));
+    fs.renameSync(temporary, path.join(buildDir, MANIFEST_FILE));
+
+    const kept = new Set(Object.values(files).flatMap(filesOf));
+    const stale = listFiles(outputDir).filter((file) => !kept.has(file));
+    for (const file of stale) {
+        fs.unlinkSync(path.join(outputDir, file));
+    }
+
+    return { built, reused, removed: stale.length, manifest };
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const buildDir = getAssetBuildDir();
+    buildAssets({ buildDir })
+        .then(({ built, reused, removed }) => {
+            console.log(`Built ${built} and reused ${reused} asset(s) in ${buildDir}`);
+            console.log(`Removed ${removed} stale file(s)`);
+        })
+        .catch((error) => {
+            console.error(`Asset build failed: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { buildAssets, IMAGE_WIDTHS };
@@ -0,0 +1,136 @@
+/**
+ * Static Assets
+ *
+ * URLs for the files under assets/, read from the manifest `npm run
+ * build:assets` writes (see ./build.js). The build leaves content-hashed
+ * copies in ASSET_BUILD_DIR (default dist/), served at the same /assets/
+ * prefix as the originals, and records for each original:
+ *
+ *   "team/FarisYacte.png": {
+ *     "source": "<hash of the original>",
+ *     "file": "team/FarisYacte.9c4e1f20.png",
+ *     "width": 348, "height": 380,
+ *     "variants": [{ "file": "team/FarisYacte.160w.03b7d5aa.webp", "width": 160, "type": "image/webp" }, ...]
+ *   }
+ *
+ * Pages ask for an original URL and get the hashed one, plus a WebP
+ * `srcset` for images. Without a build every lookup returns the original
+ * URL, so the site works straight from a checkout. The manifest is read
+ * again whenever the file changes, so a rebuild needs no restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ASSETS_DIR = path.join(__dirname, '..', '..', 'assets');
+const DEFAULT_BUILD_DIR = path.join(__dirname, '..', '..', 'dist');
+const MANIFEST_FILE = 'asset-manifest.json';
+const URL_PREFIX = '/assets/';
+
+/**
+ * Assets the shared layout and pages refer to by name, as {{assets.<name>}}
+ */
+const PAGE_ASSETS = {
+    logo: '/assets/logo.png',
+    longLogo: '/assets/longlogo.png',
+    siteScript: '/assets/js/site.js'
+};
+
+const cache = new Map();
+
+/**
+ * Get the directory the asset build writes to
+ * @returns {string} Absolute path (ASSET_BUILD_DIR, default dist/)
+ */
+function getAssetBuildDir() {
+    return process.env.ASSET_BUILD_DIR ? path.resolve(process.env.ASSET_BUILD_DIR) : DEFAULT_BUILD_DIR;
+}
+
+/**
+ * Turn a path relative to assets/ into its URL
+ * @param {string} file - e.g. "team/FarisYacte.9c4e1f20.png"
+ * @returns {string} e.g. "/assets/team/FarisYacte.9c4e1f20.png"
+ */
+function toUrl(file) {
+    return URL_PREFIX + file.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Read a manifest file
+ * @param {string} file - Manifest path
+ * @returns {Object} Entries by path relative to assets/, empty if there is no build
+ */
+function readManifest(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).files || {} : {};
+}
+
+/**
+ * Load the asset manifest of a build, cached until the file changes
+ * @param {string} [dir] - Build directory (default: getAssetBuildDir())
+ * @returns {{dir: string, files: Object, size: number, url: Function, image: Function}} Manifest
+ */
+function loadAssetManifest(dir = getAssetBuildDir()) {
+    const file = path.join(dir, MANIFEST_FILE);
+    const modified = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+    const cached = cache.get(file);
+    if (cached && cached.modified === modified) return cached.manifest;
+
+    const files = readManifest(file);
+
+    /**
+     * Find the entry for an original's URL
+     * @param {string} url - e.g. "/assets/team/FarisYacte.png"
+     * @returns {Object|undefined} Manifest entry
+     */
+    const lookup = (url) => (typeof url === 'string' && url.startsWith(URL_PREFIX)
+        ? files[decodeURIComponent(url.slice(URL_PREFIX.length))]
+        : undefined);
+
+    /**
+     * Get the URL to serve for an asset
+     * @param {string} original - Original URL, e.g. "/assets/js/site.js"
+     * @returns {string} Hashed URL, or the original when it wasn't built
+     */
+    function url(original) {
+        const entry = lookup(original);
+        return entry ? toUrl(entry.file) : original;
+    }
+
+    /**
+     * Get the attributes for an <img> showing an asset
+     * @param {string} original - Original URL, e.g. "/assets/team/FarisYacte.png"
+     * @returns {{src: string, srcset: string}} `srcset` is empty for
+     *   images without resized copies (SVGs, or no build)
+     */
+    function image(original) {
+        const entry = lookup(original);
+        return {
+            src: url(original),
+            srcset: entry && entry.variants
+                ? entry.variants.map((variant) => `${toUrl(variant.file)} ${variant.width}w`).join(', ')
+                : ''
+        };
+    }
+
+    const manifest = { dir, files, size: Object.keys(files).length, url, image };
+    cache.set(file, { modified, manifest });
+    return manifest;
+}
+
+/**
+ * Get the named assets for page templates
+ * @returns {Object} PAGE_ASSETS resolved: images as { src, srcset }, scripts as URLs
+ */
+function getPageAssets() {
+    const manifest = loadAssetManifest();
+    return Object.fromEntries(Object.entries(PAGE_ASSETS).map(([name, original]) =>
+        [name, original.endsWith('.js') ? manifest.url(original) : manifest.image(original)]));
+}
+
+module.exports = {
+    ASSETS_DIR,
+    MANIFEST_FILE,
+    getAssetBuildDir,
+    loadAssetManifest,
+    getPageAssets
+};
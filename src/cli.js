@@ -0,0 +1,523 @@
+/**
+ * Operations CLI
+ *
+ * Commands behind bin/unitok, for support staff working from the server
+ * shell. They act on deletion requests through the same store, lifecycle,
+ * email templates and outbox as the web app, and the admin actions go
+ * through the same code as the dashboard (see routes/admin.js), so every
+ * change lands in the request history with a `cli:<operator>` actor.
+ *
+ * Emails and webhooks are queued with the change and then the command
+ * delivers those, and only those, right away, unless --no-send leaves
+ * them for the server's worker. The rest of the outbox is the server's.
+ *
+ * runCli() takes its services as arguments so tests can pass fakes;
+ * bin/unitok builds them from the environment.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { STATES, createRequest, getState, isPending, transition } = require('./lifecycle');
+const tokens = require('./tokens');
+const { formatDateTime } = require('./locale');
+const {
+    issueConfirmationToken,
+    confirmDeletion,
+    buildConfirmationMail
+} = require('./routes/deletion');
+const { ACTIONS, applyAdminAction } = require('./routes/admin');
+
+const DEFAULT_LIST_LIMIT = 50;
+const PAGE_SIZE = 100;
+const MIN_PREFIX_LENGTH = 6;
+
+const USAGE = `Usage: unitok <command> [options]
+
+Commands:
+  list [--status <state>] [--search <text>] [--limit <n>] [--offset <n>]
+                                  List deletion requests, newest first
+  search <text>                   List requests whose email or ID contains <text>
+  show <id>                       Show a request and its history
+  resend <id>                     Email a new confirmation link for a pending request
+  confirm <id> [--note <text>]    Confirm a pending request, as its emailed link would
+  start <id> [--note <text>]      Mark a confirmed request as in progress
+  complete <id> [--note <text>]   Mark a request completed and email the user
+  cancel <id> [--note <text>]     Cancel a request that isn't finished
+  export [--from <date>] [--to <date>] [--status <state>] [--format csv|json] [--output <file>]
+                                  Export requests created in a date range
+
+<id> is a request ID, or a unique prefix of one as shown by list.
+Dates are YYYY-MM-DD (UTC, --to inclusive) or full ISO timestamps.
+Changes are sent right away; add --no-send to leave them to the server.
+States: ${STATES.join(', ')}`;
+
+/**
+ * Columns written by `export --format csv`, in order
+ */
+const CSV_COLUMNS = [
+    ['id', (data) => data.token],
+    ['email', (data) => data.email],
+    ['status', (data) => getState(data)],
+    ['reason', (data) => data.reasonText || data.reason],
+    ['feedback', (data) => data.feedback],
+    ['locale', (data) => data.locale],
+    ['accountId', (data) => data.accountId],
+    ['createdAt', (data) => data.createdAt],
+    ['confirmedAt', (data) => data.confirmedAt],
+    ['graceEndsAt', (data) => data.graceEndsAt],
+    ['supportNotifiedAt', (data) => data.supportNotifiedAt],
+    ['updatedAt', (data) => data.updatedAt]
+];
+
+/**
+ * Error codes for requests that can't take a command; shown without a stack
+ */
+const EXPECTED_ERRORS = ['INVALID_TRANSITION', 'GRACE_PERIOD_OPEN', 'NOT_FOUND', 'NO_SIGNING_KEYS'];
+
+/**
+ * Error for a malformed command line; the usage text is shown with it
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS - Parsing and Formatting
+// ============================================================================
+
+/**
+ * Parse a --from/--to value
+ * @param {string} value - YYYY-MM-DD or ISO timestamp
+ * @param {boolean} endOfDay - For a bare date, return the start of the next day
+ * @returns {string} ISO timestamp
+ * @throws {UsageError} If the value isn't a date
+ */
+function parseDate(value, endOfDay) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new UsageError(`Not a date: ${value}`);
+    }
+    if (dateOnly && endOfDay) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Parse a non-negative whole number option
+ * @param {string} name - Option name, for the error
+ * @param {string} value - Option value
+ * @returns {number} Parsed value
+ * @throws {UsageError} If the value isn't a whole number
+ */
+function parseCount(name, value) {
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`--${name} must be a whole number`);
+    }
+    return parseInt(value);
+}
+
+/**
+ * Check a --status value
+ * @param {string} [status] - Lifecycle state
+ * @returns {string|undefined} The same state
+ * @throws {UsageError} If it isn't a known state
+ */
+function checkStatus(status) {
+    if (status !== undefined && !STATES.includes(status)) {
+        throw new UsageError(`Unknown status "${status}". Expected one of: ${STATES.join(', ')}`);
+    }
+    return status;
+}
+
+/**
+ * Quote a value for CSV
+ * Values starting with a formula character get a leading quote so
+ * spreadsheets show user input as text instead of running it.
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format requests as an aligned table
+ * @param {Array<Object>} requests - Request data
+ * @returns {string} Table with a header row
+ */
+function formatTable(requests) {
+    const rows = [
+        ['ID', 'STATUS', 'CREATED', 'EMAIL'],
+        ...requests.map((data) => [data.token.substring(0, 12), getState(data), data.createdAt, data.email])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Format one request with its history
+ * @param {Object} data - Request data
+ * @returns {string} Labelled fields, one per line
+ */
+function formatRequest(data) {
+    const fields = [
+        ['Request', data.token],
+        ['Email', data.email],
+        ['Status', getState(data)],
+        ['Reason', data.reasonText || data.reason],
+        ['Feedback', data.feedback],
+        ['Account', data.accountId],
+        ['Language', data.locale],
+        ['Created', data.createdAt && formatDateTime(data.createdAt)],
+        ['Confirmed', data.confirmedAt && formatDateTime(data.confirmedAt)],
+        ['Grace ends', data.graceEndsAt && formatDateTime(data.graceEndsAt)],
+        ['Support told', data.supportNotifiedAt && formatDateTime(data.supportNotifiedAt)],
+        ['Deletion', data.accountDeletion &&
+            `${data.accountDeletion.status} after ${data.accountDeletion.attempts} attempt(s)` +
+            (data.accountDeletion.lastError ? ` (${data.accountDeletion.lastError})` : '')],
+        ['Escalated', data.escalatedAt && formatDateTime(data.escalatedAt)],
+        ['Anonymized', data.anonymizedAt && formatDateTime(data.anonymizedAt)]
+    ].filter(([, value]) => value);
+
+    const lines = fields.map(([label, value]) => `${`${label}:`.padEnd(14)}${value}`);
+    lines.push('', 'History:');
+    for (const entry of data.history || []) {
+        const details = [entry.actor, entry.ip, entry.note].filter(Boolean).join(', ');
+        lines.push(`  ${entry.at}  ${entry.from || '-'} -> ${entry.to}  (${details})`);
+    }
+    return lines.join('\n');
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Run one CLI command
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Object} deps.mailWorker - Outbox worker for the store's outbox
+ * @param {Object} deps.directory - User directory, for its deletion mode
+ * @param {Object} deps.webhooks - Webhook service, for request events
+ * @param {Function} deps.getBaseUrl - () => public base URL for emailed links
+ * @param {string} deps.actor - History actor, e.g. "cli:alice"
+ * @param {{write: Function}} deps.stdout - Command output
+ * @param {{write: Function}} deps.stderr - Errors and progress
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {Promise<number>} Exit code: 0 done, 1 failed, 2 bad usage
+ */
+async function runCli(argv, deps) {
+    const { stderr } = deps;
+    try {
+        await runCommand(argv, { now: () => new Date(), ...deps });
+        return 0;
+    } catch (error) {
+        // parseArgs() throws for unknown options and missing option values
+        if (error instanceof UsageError || (error.code || '').startsWith('ERR_PARSE_ARGS')) {
+            stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        if (EXPECTED_ERRORS.includes(error.code)) {
+            stderr.write(`${error.message}\n`);
+            return 1;
+        }
+        stderr.write(`Error: ${error.stack || error.message}\n`);
+        return 1;
+    }
+}
+
+/**
+ * Parse the arguments and dispatch to a command
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} deps - As for runCli()
+ */
+async function runCommand(argv, deps) {
+    const [command, ...rest] = argv;
+    const { values, positionals } = parseArgs({
+        args: rest,
+        allowPositionals: true,
+        options: {
+            status: { type: 'string' },
+            search: { type: 'string' },
+            limit: { type: 'string' },
+            offset: { type: 'string' },
+            note: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string' },
+            output: { type: 'string' },
+            'no-send': { type: 'boolean' }
+        }
+    });
+
+    switch (command) {
+        case 'list':
+            return list(deps, values);
+        case 'search':
+            if (positionals.length !== 1) throw new UsageError('search needs the text to look for');
+            return list(deps, { ...values, search: positionals[0] });
+        case 'show':
+            deps.stdout.write(`${formatRequest(findRequest(deps.store, requireId(command, positionals)))}\n`);
+            return;
+        case 'resend':
+            return resend(deps, requireId(command, positionals), values);
+        case 'confirm':
+            return confirm(deps, requireId(command, positionals), values);
+        case 'start':
+        case 'complete':
+        case 'cancel':
+            return act(deps, command, requireId(command, positionals), values);
+        case 'export':
+            return exportRequests(deps, values);
+        case undefined:
+        case 'help':
+            deps.stdout.write(`${USAGE}\n`);
+            return;
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+/**
+ * Get the single request ID argument of a command
+ * @param {string} command - Command name
+ * @param {Array<string>} positionals - Positional arguments
+ * @returns {string} ID or prefix
+ * @throws {UsageError} Unless exactly one was given
+ */
+function requireId(command, positionals) {
+    if (positionals.length !== 1) {
+        throw new UsageError(`${command} needs one request ID`);
+    }
+    return positionals[0];
+}
+
+/**
+ * Look up a request by ID or unique ID prefix
+ * @param {Object} store - Request store
+ * @param {string} id - Full ID or prefix from `list`
+ * @returns {Object} Request data
+ * @throws {Error} With code NOT_FOUND if nothing or more than one request matches
+ */
+function findRequest(store, id) {
+    const key = id.toLowerCase();
+    const exact = tokens.isRequestId(key) ? store.get(key) : null;
+    if (exact) return exact;
+
+    const matches = key.length >= MIN_PREFIX_LENGTH && /^[0-9a-f-]+$/.test(key)
+        ? store.list({ search: key, limit: PAGE_SIZE }).requests.filter((data) => data.token.startsWith(key))
+        : [];
+    if (matches.length === 1) return matches[0];
+
+    const problem = matches.length > 1
+        ? `${matches.length} requests start with "${id}"; use more of the ID`
+        : `No request found for "${id}"${key.length < MIN_PREFIX_LENGTH ? ` (prefixes need at least ${MIN_PREFIX_LENGTH} characters)` : ''}`;
+    throw Object.assign(new Error(problem), { code: 'NOT_FOUND' });
+}
+
+/**
+ * Refuse to sign links with a key only this process knows
+ * Without SIGNING_KEYS every process makes up its own key, so links
+ * emailed by a command would be rejected by the server.
+ * @throws {Error} With code NO_SIGNING_KEYS
+ */
+function requireSharedSigningKeys() {
+    if (tokens.getSigningKeys()[0].id === 'ephemeral') {
+        throw Object.assign(
+            new Error('SIGNING_KEYS is not set, so the server could not check links signed here'),
+            { code: 'NO_SIGNING_KEYS' }
+        );
+    }
+}
+
+/**
+ * Deliver queued messages unless --no-send was given
+ * @param {Object} deps - As for runCli()
+ * @param {Array<Object>} messages - Messages just queued
+ * @param {Object} options - Parsed options
+ */
+async function send(deps, messages, options) {
+    if (messages.length === 0) return;
+    if (options['no-send']) {
+        deps.stderr.write(`Queued ${messages.length} email(s)/webhook(s) for the server to send\n`);
+        return;
+    }
+    const sent = await deps.mailWorker.send(messages.map((message) => message.id));
+    const waiting = messages.filter((message) => deps.store.outbox.get(message.id)).length;
+    deps.stderr.write(`Sent ${sent} queued email(s)/webhook(s)` +
+        (waiting > 0 ? `; ${waiting} failed and will be retried by the server` : '') + '\n');
+}
+
+/**
+ * list / search
+ * @param {Object} deps - As for runCli()
+ * @param {Object} options - Parsed options
+ */
+function list(deps, options) {
+    const limit = options.limit === undefined ? DEFAULT_LIST_LIMIT : parseCount('limit', options.limit);
+    const offset = options.offset === undefined ? 0 : parseCount('offset', options.offset);
+    const { total, requests } = deps.store.list({
+        status: checkStatus(options.status),
+        search: options.search,
+        limit,
+        offset
+    });
+
+    if (requests.length === 0) {
+        deps.stdout.write(`No requests found (${total} in total)\n`);
+        return;
+    }
+    deps.stdout.write(`${formatTable(requests)}\n`);
+    deps.stderr.write(`Showing ${offset + 1}-${offset + requests.length} of ${total}\n`);
+}
+
+/**
+ * resend: replace a pending request with one whose new link is emailed
+ * Links can't be sent twice because only their hash is stored, so the
+ * old request is expired and a copy is created under the new link's ID,
+ * in one write.
+ * @param {Object} deps - As for runCli()
+ * @param {string} id - Request ID or prefix
+ * @param {Object} options - Parsed options
+ */
+async function resend(deps, id, options) {
+    const { store, webhooks, actor } = deps;
+    requireSharedSigningKeys();
+    const previous = findRequest(store, id);
+    if (!isPending(previous)) {
+        throw Object.assign(
+            new Error(`Only requests waiting for confirmation can be resent; this one is ${getState(previous)}`),
+            { code: 'INVALID_TRANSITION' }
+        );
+    }
+
+    const at = deps.now();
+    const token = issueConfirmationToken(at);
+    const newId = tokens.hashToken(token);
+
+    transition(previous, 'expired', {
+        actor,
+        note: `Confirmation email resent as request ${newId.substring(0, 12)}`,
+        at
+    });
+
+    const requestData = createRequest({
+        email: previous.email,
+        reason: previous.reason,
+        reasonText: previous.reasonText,
+        feedback: previous.feedback,
+        token: newId,
+        accountId: previous.accountId,
+        locale: previous.locale,
+        resentFrom: previous.token
+    }, { actor, at });
+    const messages = [
+        ...webhooks.messagesFor('request.expired', previous, at),
+        buildConfirmationMail(requestData, token, deps.getBaseUrl(), at),
+        ...webhooks.messagesFor('request.created', requestData, at)
+    ];
+    if (!store.replacePending(previous, newId, requestData, messages)) {
+        throw Object.assign(
+            new Error('The request stopped waiting for confirmation while this ran; nothing was changed'),
+            { code: 'INVALID_TRANSITION' }
+        );
+    }
+
+    deps.stdout.write(`Confirmation email resent to ${requestData.email}; new request ID ${newId}\n`);
+    await send(deps, messages, options);
+}
+
+/**
+ * confirm: confirm a pending request on the user's behalf
+ * @param {Object} deps - As for runCli()
+ * @param {string} id - Request ID or prefix
+ * @param {Object} options - Parsed options
+ */
+async function confirm(deps, id, options) {
+    requireSharedSigningKeys();
+    const requestData = findRequest(deps.store, id);
+    const { messages, cancelLink } = confirmDeletion(requestData, {
+        actor: deps.actor,
+        note: options.note,
+        at: deps.now(),
+        baseUrl: deps.getBaseUrl(),
+        deletionMode: deps.directory.deletionMode,
+        webhooks: deps.webhooks
+    });
+
+    deps.store.save(requestData.token, requestData, messages);
+    deps.stdout.write(cancelLink
+        ? `Confirmed; ${requestData.email} can cancel until ${requestData.graceEndsAt}\n`
+        : `Confirmed; the request is final and support has been notified\n`);
+    await send(deps, messages, options);
+}
+
+/**
+ * start / complete / cancel: the admin dashboard actions
+ * @param {Object} deps - As for runCli()
+ * @param {string} action - Key of ACTIONS
+ * @param {string} id - Request ID or prefix
+ * @param {Object} options - Parsed options
+ */
+async function act(deps, action, id, options) {
+    const requestData = findRequest(deps.store, id);
+    const messages = applyAdminAction(requestData, action, {
+        actor: deps.actor,
+        note: options.note,
+        webhooks: deps.webhooks,
+        at: deps.now()
+    });
+
+    deps.store.save(requestData.token, requestData, messages);
+    deps.stdout.write(`Request for ${requestData.email} is now ${ACTIONS[action]}\n`);
+    await send(deps, messages, options);
+}
+
+/**
+ * export: write requests created in a date range as CSV or JSON
+ * @param {Object} deps - As for runCli()
+ * @param {Object} options - Parsed options
+ */
+function exportRequests(deps, options) {
+    const format = options.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+        throw new UsageError('--format must be csv or json');
+    }
+    const from = options.from ? parseDate(options.from, false) : null;
+    const to = options.to ? parseDate(options.to, true) : null;
+    const status = checkStatus(options.status);
+
+    const requests = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = deps.store.list({ status, limit: PAGE_SIZE, offset }).requests;
+        requests.push(...page.filter((data) =>
+            (!from || data.createdAt >= from) && (!to || data.createdAt < to)));
+        if (page.length < PAGE_SIZE) break;
+    }
+    requests.reverse();
+
+    const body = format === 'json'
+        ? `${JSON.stringify(requests, null, 2)}\n`
+        : [CSV_COLUMNS.map(([name]) => name), ...requests.map((data) => CSV_COLUMNS.map(([, get]) => get(data)))]
+            .map((row) => row.map(toCsvField).join(','))
+            .join('\r\n') + '\r\n';
+
+    if (options.output) {
+        // Holds personal data, so only the operator can read it
+        fs.writeFileSync(options.output, body, { mode: 0o600 });
+        deps.stderr.write(`Wrote ${requests.length} request(s) to ${options.output}\n`);
+    } else {
+        deps.stdout.write(body);
+        deps.stderr.write(`Exported ${requests.length} request(s)\n`);
+    }
+}
+
+module.exports = { runCli, USAGE, UsageError };
@@ -0,0 +1,283 @@
+/**
+ * Site Content
+ *
+ * Lists shown on the landing page, kept as JSON in content/ so adding a
+ * partner or team member doesn't mean editing index.html:
+ *
+ * - partners.json  Logos by category: "university" and "club" partners,
+ *                  "advertiser", and the "reach" universities where
+ *                  students use UniTok
+ * - team.json      Team members; titles are keys of "team" in the home
+ *                  page catalog, so they are translated with the page
+ *
+ * Entries have a display `order` and may set `activeFrom` / `activeUntil`
+ * (YYYY-MM-DD, inclusive) to appear only between those dates. Image paths
+ * are URLs of the originals under /assets/; the landing page gets their
+ * built copies as `image` (see ./assets). The files are validated when
+ * loaded; a missing image or malformed entry stops the server from
+ * starting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCatalog, t } = require('./i18n');
+const { DEFAULT_LOCALE } = require('./locale');
+const { loadAssetManifest } = require('./assets');
+
+const CONTENT_DIR = path.join(__dirname, '..', 'content');
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const PARTNER_CATEGORIES = ['university', 'club', 'advertiser', 'reach'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read a content file
+ * @param {string} dir - Content directory
+ * @param {string} name - File name without extension, also its list key
+ * @returns {Array<Object>} Entries
+ */
+function readList(dir, name) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+    if (!Array.isArray(data[name])) {
+        throw new Error(`content/${name}.json must have a "${name}" list`);
+    }
+    return data[name];
+}
+
+/**
+ * Check the fields every entry has: id, name, order and active dates
+ * @param {Object} entry - Content entry
+ * @param {string} label - Entry description for error messages
+ * @param {Set<string>} ids - IDs seen so far in the same file
+ * @returns {Array<string>} Problems found
+ */
+function checkCommonFields(entry, label, ids) {
+    const problems = [];
+    if (typeof entry.id !== 'string' || !entry.id) {
+        problems.push(`${label}: "id" is required`);
+    } else if (ids.has(entry.id)) {
+        problems.push(`${label}: duplicate id "${entry.id}"`);
+    } else {
+        ids.add(entry.id);
+    }
+    if (typeof entry.name !== 'string' || !entry.name) {
+        problems.push(`${label}: "name" is required`);
+    }
+    if (!Number.isFinite(entry.order)) {
+        problems.push(`${label}: "order" must be a number`);
+    }
+    for (const field of ['activeFrom', 'activeUntil']) {
+        if (entry[field] !== undefined &&
+            (!DATE_PATTERN.test(entry[field]) || Number.isNaN(Date.parse(entry[field])))) {
+            problems.push(`${label}: "${field}" must be a YYYY-MM-DD date`);
+        }
+    }
+    if (entry.activeFrom && entry.activeUntil && entry.activeFrom > entry.activeUntil) {
+        problems.push(`${label}: "activeFrom" is after "activeUntil"`);
+    }
+    return problems;
+}
+
+/**
+ * Check that an image URL points at an existing file under assets/
+ * @param {string} url - Image URL, e.g. "/assets/clubs/Ai.png"
+ * @param {string} assetsDir - Assets directory
+ * @returns {string|null} Problem, or null if the file exists
+ */
+function checkAsset(url, assetsDir) {
+    if (typeof url !== 'string' || !url.startsWith('/assets/')) {
+        return 'must be a URL under /assets/';
+    }
+    const filePath = path.resolve(assetsDir, decodeURIComponent(url.slice('/assets/'.length)));
+    if (!filePath.startsWith(assetsDir + path.sep)) {
+        return 'must be a URL under /assets/';
+    }
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? null : `file not found: ${url}`;
+}
+
+/**
+ * Check that a link is an absolute http(s) URL
+ * @param {string} url - Link to check
+ * @returns {boolean} True if valid
+ */
+function isHttpUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate the partner list
+ * @param {Array<Object>} partners - Entries from partners.json
+ * @param {string} assetsDir - Assets directory
+ * @returns {Array<string>} Problems found
+ */
+function validatePartners(partners, assetsDir) {
+    const ids = new Set();
+    return partners.flatMap((partner, index) => {
+        const label = `partners.json #${index + 1} (${partner.id || partner.name || 'no id'})`;
+        const problems = checkCommonFields(partner, label, ids);
+        if (!PARTNER_CATEGORIES.includes(partner.category)) {
+            problems.push(`${label}: "category" must be one of ${PARTNER_CATEGORIES.join(', ')}`);
+        }
+        const logoProblem = checkAsset(partner.logo, assetsDir);
+        if (logoProblem) problems.push(`${label}: "logo" ${logoProblem}`);
+        if (partner.url !== undefined && !isHttpUrl(partner.url)) {
+            problems.push(`${label}: "url" must be an http(s) URL`);
+        }
+        return problems;
+    });
+}
+
+/**
+ * Validate the team list
+ * @param {Array<Object>} team - Entries from team.json
+ * @param {string} assetsDir - Assets directory
+ * @returns {Array<string>} Problems found
+ */
+function validateTeam(team, assetsDir) {
+    const titles = getCatalog(DEFAULT_LOCALE, 'home').team || {};
+    const ids = new Set();
+    return team.flatMap((member, index) => {
+        const label = `team.json #${index + 1} (${member.id || member.name || 'no id'})`;
+        const problems = checkCommonFields(member, label, ids);
+        const photoProblem = checkAsset(member.photo, assetsDir);
+        if (photoProblem) problems.push(`${label}: "photo" ${photoProblem}`);
+        if (member.linkedin !== undefined && !isHttpUrl(member.linkedin)) {
+            problems.push(`${label}: "linkedin" must be an http(s) URL`);
+        }
+        if (!Array.isArray(member.titles)) {
+            problems.push(`${label}: "titles" must be a list`);
+        } else {
+            for (const title of member.titles) {
+                if (title === 'title' || typeof titles[title] !== 'string') {
+                    problems.push(`${label}: unknown title "${title}" (add it to "team" in the home catalogs)`);
+                }
+            }
+        }
+        return problems;
+    });
+}
+
+/**
+ * Check whether an entry is shown on a given day
+ * @param {Object} entry - Content entry
+ * @param {string} today - Date as YYYY-MM-DD (UTC)
+ * @returns {boolean} True if active
+ */
+function isActive(entry, today) {
+    return (!entry.activeFrom || entry.activeFrom <= today) &&
+        (!entry.activeUntil || today <= entry.activeUntil);
+}
+
+/**
+ * Keep the active entries, in display order
+ * @param {Array<Object>} entries - Content entries
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Active entries sorted by order
+ */
+function getActive(entries, now) {
+    const today = now.toISOString().slice(0, 10);
+    return entries
+        .filter((entry) => isActive(entry, today))
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Load and validate the site content
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory with partners.json and team.json
+ * @param {string} [options.assetsDir] - Directory served at /assets
+ * @returns {Object} Content with getPartners(), getTeam() and getLandingSections()
+ * @throws {Error} Listing every problem found, if any
+ */
+function loadContent({ dir = CONTENT_DIR, assetsDir = ASSETS_DIR } = {}) {
+    const partners = readList(dir, 'partners');
+    const team = readList(dir, 'team');
+    const resolvedAssetsDir = path.resolve(assetsDir);
+
+    const problems = [
+        ...validatePartners(partners, resolvedAssetsDir),
+        ...validateTeam(team, resolvedAssetsDir)
+    ];
+    if (problems.length > 0) {
+        throw new Error(`Invalid site content:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    /**
+     * Get the active partners
+     * @param {Object} [options]
+     * @param {string} [options.category] - Only this category
+     * @param {Date} [options.now] - Current time
+     * @returns {Array<Object>} Public partner fields, in display order
+     */
+    function getPartners({ category, now = new Date() } = {}) {
+        return getActive(partners, now)
+            .filter((partner) => !category || partner.category === category)
+            .map((partner) => ({
+                id: partner.id,
+                name: partner.name,
+                category: partner.category,
+                logo: partner.logo,
+                url: partner.url || null,
+                order: partner.order
+            }));
+    }
+
+    /**
+     * Get the active team members with translated titles
+     * @param {string} locale - Supported locale
+     * @param {Object} [options]
+     * @param {Date} [options.now] - Current time
+     * @returns {Array<Object>} Public member fields, in display order
+     */
+    function getTeam(locale, { now = new Date() } = {}) {
+        return getActive(team, now).map((member) => ({
+            id: member.id,
+            name: member.name,
+            photo: member.photo,
+            linkedin: member.linkedin || null,
+            titles: member.titles.map((title) => t(locale, `home.team.${title}`)),
+            order: member.order
+        }));
+    }
+
+    /**
+     * Get the lists for the landing page template
+     * @param {string} locale - Supported locale
+     * @param {Object} [options]
+     * @param {Date} [options.now] - Current time
+     * @returns {Object} { content: { universities, clubs, advertisers, reach, team } },
+     *   each entry with `image` ({ src, srcset }) for its logo or photo
+     */
+    function getLandingSections(locale, { now = new Date() } = {}) {
+        const assets = loadAssetManifest();
+        const active = getActive(partners, now).map((partner) => ({ ...partner, image: assets.image(partner.logo) }));
+        const byCategory = (category) => active.filter((partner) => partner.category === category);
+        const advertisers = byCategory('advertiser');
+        const photoClasses = new Map(team.map((member) => [member.id, member.photoClass]));
+
+        return {
+            content: {
+                universities: byCategory('university'),
+                clubs: byCategory('club'),
+                advertisers: {
+                    single: advertisers.length === 1,
+                    // The marquee scrolls by half its width, so list them twice
+                    items: advertisers.length > 1 ? [...advertisers, ...advertisers] : advertisers
+                },
+                reach: byCategory('reach'),
+                team: getTeam(locale, { now }).map((member) => ({
+                    ...member,
+                    image: assets.image(member.photo),
+                    photoClass: photoClasses.get(member.id)
+                }))
+            }
+        };
+    }
+
+    return { getPartners, getTeam, getLandingSections };
+}
+
+module.exports = { loadContent, PARTNER_CATEGORIES };
@@ -0,0 +1,225 @@
+/**
+ * Data Export Archives
+ *
+ * Builds the archive for each confirmed data export request (see
+ * ./routes/exports.js) through the user directory's exportAccount() and
+ * emails the user a signed download link. The archive is kept for
+ * EXPORT_DOWNLOAD_HOURS (default 72) and deleted after that. Progress is
+ * recorded on the request as `archive`:
+ *
+ *   { status, attempts, lastError, nextAttemptAt, filename, contentType,
+ *     size, readyAt, expiresAt, downloads, lastDownloadedAt }
+ *
+ * - `ready`     built; the request moves to `completed` and the user gets
+ *               the "export ready" email
+ * - `retrying`  the call failed; it is tried again with backoff
+ * - `failed`    MAX_ATTEMPTS calls failed, or the account is gone; the
+ *               request stays `confirmed` for support to handle by hand
+ * - `expired`   the download period is over and the file is deleted
+ *
+ * Without an export backend (USER_DIRECTORY=none) no archives are built and
+ * support answers from the notification they get on confirmation.
+ */
+
+const { getState, transition } = require('./lifecycle');
+const { getRetryDelayMs } = require('./outbox');
+const { logger } = require('./logger');
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 5;
+const DEFAULT_DOWNLOAD_HOURS = 72;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+/**
+ * Get how long archives can be downloaded
+ * @returns {number} Hours, from EXPORT_DOWNLOAD_HOURS (default 72)
+ */
+function getDownloadHours() {
+    return parseInt(process.env.EXPORT_DOWNLOAD_HOURS) || DEFAULT_DOWNLOAD_HOURS;
+}
+
+/**
+ * Check whether a request is waiting for its archive to be built
+ * @param {Object} data - Export request data
+ * @param {Date} now - Current time
+ * @returns {boolean} True if an attempt is due
+ */
+function isExportDue(data, now) {
+    if (getState(data) !== 'confirmed') return false;
+
+    const archive = data.archive;
+    return !archive || (archive.status === 'retrying' && new Date(archive.nextAttemptAt) <= now);
+}
+
+/**
+ * Check whether a request's archive should be deleted
+ * @param {Object} data - Export request data
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the archive is ready but its download period is over
+ */
+function isArchiveExpired(data, now) {
+    return Boolean(data.archive) && data.archive.status === 'ready' && new Date(data.archive.expiresAt) <= now;
+}
+
+/**
+ * Create the background job that builds and expires export archives
+ * @param {Object} deps
+ * @param {Object} deps.store - Export request store
+ * @param {Object} deps.directory - User directory with exportAccount()
+ * @param {Object} deps.archives - Archive store (see ./storage/archiveStore.js)
+ * @param {Function} deps.buildReadyMail - (requestData, now) => outbox message for the user
+ * @param {Function} [deps.onQueued] - Called after queuing email
+ * @param {number} [deps.intervalMs] - How often to check
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {{start: Function, stop: Function, runOnce: Function}}
+ */
+function createExportBuilder({ store, directory, archives, buildReadyMail, onQueued, intervalMs, now = () => new Date() }) {
+    const interval = intervalMs ||
+        (parseInt(process.env.EXPORT_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+    let timer = null;
+    let running = false;
+
+    /**
+     * Build the archive for one request
+     * @param {Object} data - Export request data
+     * @param {Date} at - Current time
+     * @returns {Promise<boolean>} True if the archive is ready
+     */
+    async function build(data, at) {
+        const attempts = ((data.archive && data.archive.attempts) || 0) + 1;
+
+        let result;
+        let error;
+        try {
+            // Requests from before the account check have no account ID
+            if (!data.accountId) {
+                const account = await directory.findAccount(data.email);
+                if (!account.exists) {
+                    throw Object.assign(new Error('No UniTok account uses this email address'), { permanent: true });
+                }
+                data.accountId = account.accountId;
+            }
+            result = await directory.exportAccount({
+                accountId: data.accountId,
+                email: data.email,
+                requestId: data.token
+            });
+        } catch (caught) {
+            error = caught;
+        }
+
+        const current = store.get(data.token);
+        if (!current || getState(current) !== 'confirmed') {
+            logger.warn('Export request changed while its archive was built; result not applied', { request: data.token.substring(0, 8) });
+            return false;
+        }
+        current.accountId = data.accountId;
+        current.updatedAt = at.toISOString();
+
+        if (error) {
+            const gaveUp = error.permanent || attempts >= MAX_ATTEMPTS;
+            current.archive = {
+                status: gaveUp ? 'failed' : 'retrying',
+                attempts,
+                lastError: error.message,
+                nextAttemptAt: gaveUp
+                    ? null
+                    : new Date(at.getTime() + getRetryDelayMs(attempts, RETRY_BASE_MS)).toISOString()
+            };
+            store.save(current.token, current);
+            logger.error('Data export failed', { request: current.token.substring(0, 8), attempts, gaveUp, error: error.message });
+            return false;
+        }
+
+        archives.save(current.token, result.data);
+        current.archive = {
+            status: 'ready',
+            attempts,
+            lastError: null,
+            nextAttemptAt: null,
+            filename: result.filename,
+            contentType: result.contentType,
+            size: result.data.length,
+            readyAt: at.toISOString(),
+            expiresAt: new Date(at.getTime() + getDownloadHours() * 60 * 60 * 1000).toISOString(),
+            downloads: 0,
+            lastDownloadedAt: null
+        };
+        transition(current, 'completed', { note: `Archive built via ${directory.driver} directory`, at });
+        store.save(current.token, current, [buildReadyMail(current, at)]);
+        if (onQueued) onQueued();
+        logger.info('Data export ready', { request: current.token.substring(0, 8), bytes: result.data.length });
+        return true;
+    }
+
+    /**
+     * Delete an archive whose download period is over
+     * @param {Object} data - Export request data
+     */
+    function expire(data) {
+        archives.remove(data.token);
+        data.archive = { ...data.archive, status: 'expired' };
+        store.save(data.token, data);
+        logger.info('Data export archive expired and was deleted', { request: data.token.substring(0, 8) });
+    }
+
+    /**
+     * Collect the requests in one state that match a check
+     * @param {string} status - Lifecycle state to list
+     * @param {Function} check - (data) => boolean
+     * @returns {Array<Object>} Matching requests
+     */
+    function collect(status, check) {
+        const matches = [];
+        for (let offset = 0; ; offset += 100) {
+            const { requests } = store.list({ status, limit: 100, offset });
+            matches.push(...requests.filter(check));
+            if (requests.length < 100) break;
+        }
+        return matches;
+    }
+
+    /**
+     * Build every archive that is due and delete expired ones
+     * @returns {Promise<number>} Number of archives built
+     */
+    async function runOnce() {
+        if (running) return 0;
+        running = true;
+
+        const at = now();
+        try {
+            for (const data of collect('completed', (data) => isArchiveExpired(data, at))) {
+                expire(data);
+            }
+
+            let built = 0;
+            for (const { token } of collect('confirmed', (data) => isExportDue(data, at))) {
+                const data = store.get(token);
+                if (!data || !isExportDue(data, at)) continue;
+                if (await build(data, at)) built++;
+            }
+            return built;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        const tick = () => runOnce().catch((error) => logger.error('Data export run failed', { err: error }));
+        tick();
+        timer = setInterval(tick, interval);
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { createExportBuilder, isExportDue, isArchiveExpired, getDownloadHours };
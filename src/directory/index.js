@@ -0,0 +1,101 @@
+/**
+ * User Directory
+ *
+ * Connects the deletion and data export flows to the UniTok app backend.
+ * Builds the directory selected by USER_DIRECTORY:
+ * - `none` (default) no backend: every address is accepted and support
+ *          deletes accounts by hand, as before
+ * - `stub` local list of accounts from USER_DIRECTORY_STUB_FILE (default
+ *          dev/accounts.json), for development and tests
+ * - `http` the app backend's API at USER_DIRECTORY_URL
+ *
+ * ACCOUNT_DELETION chooses what happens once a confirmed request is final
+ * (its grace period is over):
+ * - `off` (default) nothing; support deletes the account
+ * - `api`      call the backend's deletion endpoint
+ * - `webhook`  POST a signed event to ACCOUNT_DELETION_WEBHOOK_URL
+ * The outcome is recorded on the request (see ../accountDeletion.js).
+ *
+ * Every directory exposes the same asynchronous interface:
+ * - findAccount(email)      Resolves { exists, accountId }; accountId is
+ *                           null when the directory can't tell (`none`).
+ *                           Rejects if the backend can't be reached.
+ * - deleteAccount(request)  Resolves { status: 'deleted' | 'accepted',
+ *                           reference } for { accountId, email, requestId,
+ *                           confirmedAt }; rejects on failure. null when
+ *                           ACCOUNT_DELETION is off.
+ * - exportAccount(request)  Resolves the account's data export archive,
+ *                           { filename, contentType, data: Buffer }, for
+ *                           { accountId, email, requestId }; rejects on
+ *                           failure. null without a backend (`none`), in
+ *                           which case support sends exports by hand.
+ * - driver                  Driver name, for logs
+ * - deletionMode            ACCOUNT_DELETION value
+ *
+ * `deleted` means the account is gone; `accepted` means the backend took
+ * the job and will finish it on its own.
+ */
+
+const path = require('path');
+const { createStubDirectory } = require('./stubDirectory');
+const { createHttpDirectory } = require('./httpDirectory');
+
+const DELETION_MODES = ['off', 'api', 'webhook'];
+
+/**
+ * Create the directory that accepts every address
+ * @returns {Object} Directory implementing the interface above
+ */
+function createOpenDirectory() {
+    return {
+        driver: 'none',
+        deletionMode: 'off',
+        findAccount: async () => ({ exists: true, accountId: null }),
+        deleteAccount: null,
+        exportAccount: null
+    };
+}
+
+/**
+ * Create the user directory configured in the environment
+ * @param {Object} [options]
+ * @param {string} [options.driver] - Overrides USER_DIRECTORY
+ * @param {string} [options.deletionMode] - Overrides ACCOUNT_DELETION
+ * @returns {Object} User directory
+ */
+function createUserDirectory(options = {}) {
+    const driver = options.driver || process.env.USER_DIRECTORY || 'none';
+    const deletionMode = options.deletionMode || process.env.ACCOUNT_DELETION || 'off';
+
+    if (!DELETION_MODES.includes(deletionMode)) {
+        throw new Error(`Unknown ACCOUNT_DELETION "${deletionMode}" (expected ${DELETION_MODES.join(', ')})`);
+    }
+
+    switch (driver) {
+        case 'none':
+            if (deletionMode !== 'off') {
+                throw new Error('ACCOUNT_DELETION needs USER_DIRECTORY set to "stub" or "http"');
+            }
+            return createOpenDirectory();
+        case 'stub':
+            return createStubDirectory({
+                file: process.env.USER_DIRECTORY_STUB_FILE ||
+                    path.join(__dirname, '..', '..', 'dev', 'accounts.json'),
+                deletionMode
+            });
+        case 'http':
+            return createHttpDirectory({
+                baseUrl: process.env.USER_DIRECTORY_URL,
+                apiKey: process.env.USER_DIRECTORY_API_KEY,
+                timeoutMs: (parseInt(process.env.USER_DIRECTORY_TIMEOUT_SECONDS) || 5) * 1000,
+                exportTimeoutMs: (parseInt(process.env.USER_DIRECTORY_EXPORT_TIMEOUT_SECONDS) || 60) * 1000,
+                deletionMode,
+                webhookUrl: process.env.ACCOUNT_DELETION_WEBHOOK_URL,
+                webhookSecret: process.env.ACCOUNT_DELETION_WEBHOOK_SECRET
+            });
+        default:
+            throw new Error(`Unknown USER_DIRECTORY "${driver}" (expected "none", "stub" or "http")`);
+    }
+}
+
+module.exports = { createUserDirectory };
@@ -0,0 +1,78 @@
+/**
+ * Stub User Directory
+ *
+ * Stands in for the app backend during development and in tests. Accounts
+ * come from a JSON file shaped like dev/accounts.json:
+ *
+ *   { "accounts": [{ "id": "u_1001", "email": "sara@example.com" }] }
+ *
+ * or are passed in directly. Deleting an account removes it from memory
+ * only; the file is never written. Exports are a JSON file holding the
+ * account's entry.
+ */
+
+const fs = require('fs');
+const { logger } = require('../logger');
+
+/**
+ * Create a stub directory
+ * @param {Object} options
+ * @param {string} [options.file] - JSON file with the accounts
+ * @param {Array<{id: string, email: string}>} [options.accounts] - Accounts, instead of a
+ *   file; any other fields are included in exports
+ * @param {string} [options.deletionMode] - "off", "api" or "webhook"; any
+ *   mode other than "off" deletes right away
+ * @returns {Object} Directory implementing the interface in ./index.js, plus
+ *   `deleted`, the IDs of accounts deleted so far
+ */
+function createStubDirectory({ file, accounts, deletionMode = 'off' }) {
+    const list = accounts || JSON.parse(fs.readFileSync(file, 'utf8')).accounts;
+    const byEmail = new Map(list.map((account) => [account.email.trim().toLowerCase(), String(account.id)]));
+    const byId = new Map(list.map((account) => [String(account.id), account]));
+    const deleted = [];
+
+    async function findAccount(email) {
+        const accountId = byEmail.get(String(email).trim().toLowerCase());
+        return accountId ? { exists: true, accountId } : { exists: false, accountId: null };
+    }
+
+    async function deleteAccount({ accountId, email }) {
+        const key = String(email).trim().toLowerCase();
+        if (!accountId || byEmail.get(key) !== accountId) {
+            throw new Error(`No account ${accountId} for ${email}`);
+        }
+        byEmail.delete(key);
+        deleted.push(accountId);
+        logger.info('Stub directory deleted account', { accountId });
+        return { status: 'deleted', reference: null };
+    }
+
+    async function exportAccount({ accountId, email, requestId }) {
+        const account = byId.get(accountId);
+        if (!account || byEmail.get(String(email).trim().toLowerCase()) !== accountId) {
+            throw new Error(`No account ${accountId} for ${email}`);
+        }
+        const archive = {
+            exportedAt: new Date().toISOString(),
+            requestId,
+            account,
+            note: 'Generated by the stub user directory for development.'
+        };
+        return {
+            filename: `unitok-data-${accountId}.json`,
+            contentType: 'application/json',
+            data: Buffer.from(JSON.stringify(archive, null, 2))
+        };
+    }
+
+    return {
+        driver: 'stub',
+        deletionMode,
+        deleted,
+        findAccount,
+        deleteAccount: deletionMode === 'off' ? null : deleteAccount,
+        exportAccount
+    };
+}
+
+module.exports = { createStubDirectory };
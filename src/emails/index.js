@@ -0,0 +1,126 @@
+/**
+ * Transactional Email Templates
+ *
+ * Renders the emails sent to users and to support from template files in
+ * ./templates. Each email has an HTML and a plain-text part, and values
+ * are HTML-escaped in the HTML part (see ../render.js for the syntax).
+ *
+ * Layout:
+ *   templates/layout.html, layout.txt   Shared branded wrapper for user emails
+ *   templates/<locale>/strings.json     Subjects and shared phrases
+ *   templates/<locale>/<name>.html|txt  Email bodies
+ *
+ * When a template or subject doesn't exist for a locale, the English one
+ * is used. Support emails are only written in English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('../render');
+const { DEFAULT_LOCALE, getDirection, isSupportedLocale } = require('../locale');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+const cache = new Map();
+
+/**
+ * Read a template file, cached after the first read
+ * @param {string} relativePath - Path inside TEMPLATE_DIR
+ * @returns {string|null} File contents, or null if missing
+ */
+function readTemplate(relativePath) {
+    if (!cache.has(relativePath)) {
+        const filePath = path.join(TEMPLATE_DIR, relativePath);
+        cache.set(relativePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    }
+    return cache.get(relativePath);
+}
+
+/**
+ * Read a localized template, falling back to English
+ * @param {string} locale - Supported locale
+ * @param {string} file - File name inside the locale directory
+ * @returns {{template: string, locale: string}} Template and the locale it came from
+ */
+function readLocalized(locale, file) {
+    const localized = readTemplate(path.join(locale, file));
+    if (localized !== null) return { template: localized, locale };
+
+    const fallback = readTemplate(path.join(DEFAULT_LOCALE, file));
+    if (fallback === null) {
+        throw new Error(`Email template "${file}" not found`);
+    }
+    return { template: fallback, locale: DEFAULT_LOCALE };
+}
+
+/**
+ * Get the phrase table for a locale
+ * @param {string} locale - Supported locale
+ * @returns {Object} Parsed strings.json
+ */
+function getStrings(locale) {
+    return JSON.parse(readLocalized(locale, 'strings.json').template);
+}
+
+/**
+ * Render an email
+ * @param {string} name - Template name, e.g. "deletion-confirm"
+ * @param {Object} options
+ * @param {string} [options.locale] - Preferred locale (defaults to English)
+ * @param {Object} [options.values] - Placeholder values
+ * @param {boolean} [options.layout=true] - Wrap in the branded user layout
+ * @returns {{subject: string, html: string, text: string, locale: string}}
+ */
+function renderEmail(name, { locale, values = {}, layout = true } = {}) {
+    const html = readLocalized(isSupportedLocale(locale) ? locale : DEFAULT_LOCALE, `${name}.html`);
+    const text = readLocalized(html.locale, `${name}.txt`);
+
+    const strings = getStrings(html.locale);
+    const subjects = { ...getStrings(DEFAULT_LOCALE).subjects, ...strings.subjects };
+    const dir = getDirection(html.locale);
+
+    const context = {
+        ...values,
+        lang: html.locale,
+        dir,
+        align: dir === 'rtl' ? 'right' : 'left',
+        fontFamily: strings.fontFamily,
+        rightsReserved: strings.rightsReserved,
+        supportEmail: process.env.SUPPORT_EMAIL,
+        year: new Date().getFullYear()
+    };
+    context.subject = renderTemplate(subjects[name], context, { escape: false });
+
+    let htmlBody = renderTemplate(html.template, context);
+    let textBody = renderTemplate(text.template, context, { escape: false });
+
+    if (layout) {
+        htmlBody = renderTemplate(readTemplate('layout.html'), { ...context, content: htmlBody });
+        textBody = renderTemplate(readTemplate('layout.txt'), { ...context, content: textBody.trim() }, { escape: false });
+    }
+
+    return { subject: context.subject, html: htmlBody, text: textBody, locale: html.locale };
+}
+
+/**
+ * Build Nodemailer options for an email
+ * @param {string} name - Template name
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} [options.locale] - Preferred locale
+ * @param {Object} [options.values] - Placeholder values
+ * @param {boolean} [options.layout=true] - Wrap in the branded user layout
+ * @param {string} [options.fromName] - Sender name when FROM_NAME is unset
+ * @returns {Object} Nodemailer mail options
+ */
+function createMail(name, { to, locale, values, layout = true, fromName = 'UniTok Support' }) {
+    const { subject, html, text } = renderEmail(name, { locale, values, layout });
+    return {
+        from: `"${process.env.FROM_NAME || fromName}" <${process.env.FROM_EMAIL}>`,
+        to,
+        subject,
+        html,
+        text
+    };
+}
+
+module.exports = { renderEmail, createMail };
@@ -0,0 +1,122 @@
+/**
+ * Deletion Grace Period
+ *
+ * After a user confirms a deletion, the request stays cancellable for
+ * GRACE_PERIOD_DAYS (default 14). Support is only notified, and admins can
+ * only start or complete the deletion, once that window has closed.
+ *
+ * The notifier below checks confirmed requests on an interval and queues
+ * the support notification for each one whose grace period has ended,
+ * in the same write that sets its `supportNotifiedAt`.
+ */
+
+const { getState } = require('./lifecycle');
+const { logger } = require('./logger');
+
+const DEFAULT_GRACE_PERIOD_DAYS = 14;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 15;
+
+/**
+ * Get the configured grace period length
+ * @returns {number} Days (0 disables the grace period)
+ */
+function getGracePeriodDays() {
+    const days = parseInt(process.env.GRACE_PERIOD_DAYS);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_GRACE_PERIOD_DAYS : days;
+}
+
+/**
+ * Compute when the grace period for a confirmation ends
+ * @param {string} confirmedAt - ISO timestamp of confirmation
+ * @returns {string} ISO timestamp
+ */
+function getGraceEndsAt(confirmedAt) {
+    const days = getGracePeriodDays();
+    return new Date(new Date(confirmedAt).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Check whether a request can still be cancelled by the user
+ * @param {Object} data - Request data
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True while the grace period is open
+ */
+function isInGracePeriod(data, now = new Date()) {
+    return Boolean(data.graceEndsAt) && new Date(data.graceEndsAt) > now;
+}
+
+/**
+ * Create the background job that notifies support when grace periods end
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Function} deps.buildNotification - (requestData, now) => outbox message for support
+ * @param {Function} [deps.onQueued] - Called after notifications were queued
+ * @param {number} [deps.intervalMs] - How often to check
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {{start: Function, stop: Function, runOnce: Function}}
+ */
+function createGraceNotifier({ store, buildNotification, onQueued, intervalMs, now = () => new Date() }) {
+    const interval = intervalMs ||
+        (parseInt(process.env.GRACE_CHECK_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+    let timer = null;
+    let running = false;
+
+    /**
+     * Notify support for every confirmed request whose grace period is over
+     * @returns {Promise<number>} Number of notifications queued
+     */
+    async function runOnce() {
+        if (running) return 0;
+        running = true;
+
+        const at = now();
+        const due = [];
+        try {
+            for (let offset = 0; ; offset += 100) {
+                const { requests } = store.list({ status: 'confirmed', limit: 100, offset });
+                due.push(...requests.filter((data) =>
+                    data.graceEndsAt && !data.supportNotifiedAt && !isInGracePeriod(data, at)));
+                if (requests.length < 100) break;
+            }
+
+            let queued = 0;
+            for (const { token } of due) {
+                // Re-read in case the user cancelled since the list was taken
+                const data = store.get(token);
+                if (!data || getState(data) !== 'confirmed' || data.supportNotifiedAt) continue;
+
+                try {
+                    data.supportNotifiedAt = at.toISOString();
+                    store.save(data.token, data, [buildNotification(data, at)]);
+                    queued++;
+                } catch (error) {
+                    // Left unmarked so the next run retries it
+                    logger.error('Error notifying support', { request: data.token.substring(0, 8), error: error.message });
+                }
+            }
+            if (queued > 0 && onQueued) onQueued();
+            return queued;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        const tick = () => runOnce().catch((error) => logger.error('Grace period check failed', { err: error }));
+        // Check right away too, in case the server was down when a window closed
+        tick();
+        timer = setInterval(tick, interval);
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { getGracePeriodDays, getGraceEndsAt, isInGracePeriod, createGraceNotifier };
@@ -0,0 +1,177 @@
+/**
+ * Site Translations
+ *
+ * Translation catalogs for the web pages and API messages, one JSON file
+ * per namespace in ./locales/<locale>/. Pages are HTML templates that read
+ * their copy from the catalog as {{t.key}}, with shared strings under
+ * {{common.key}}. Catalog strings may contain markup and placeholders for
+ * the page's values (e.g. "until {{graceEndsAt}}"); those are inserted
+ * with {{{t.key}}}. Strings under "client" are passed to page scripts
+ * unrendered.
+ *
+ * English is served at the plain paths (/pp.html) and every other locale
+ * under a prefix (/ar/pp.html). Keys missing from a translation fall back
+ * to the English text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderFile, renderTemplate, escapeHtml } = require('../render');
+const { getPageAssets } = require('../assets');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, getDirection, isSupportedLocale } = require('../locale');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const cache = new Map();
+
+/**
+ * Merge a translation over the English catalog, key by key
+ * @param {Object} base - English catalog
+ * @param {Object} override - Translated catalog
+ * @returns {Object} Merged catalog
+ */
+function mergeCatalog(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] ? mergeCatalog(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Read a catalog file
+ * @param {string} locale - Supported locale
+ * @param {string} namespace - Catalog name, e.g. "home"
+ * @returns {Object} Parsed catalog, empty if the file doesn't exist
+ */
+function readCatalog(locale, namespace) {
+    const filePath = path.join(LOCALES_DIR, locale, `${namespace}.json`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+}
+
+/**
+ * Get a catalog with English fallbacks, cached after the first read
+ * @param {string} locale - Supported locale
+ * @param {string} namespace - Catalog name, e.g. "home"
+ * @returns {Object} Catalog
+ */
+function getCatalog(locale, namespace) {
+    const cacheKey = `${locale}/${namespace}`;
+    if (!cache.has(cacheKey)) {
+        const english = readCatalog(DEFAULT_LOCALE, namespace);
+        cache.set(cacheKey, locale === DEFAULT_LOCALE
+            ? english
+            : mergeCatalog(english, readCatalog(locale, namespace)));
+    }
+    return cache.get(cacheKey);
+}
+
+/**
+ * Translate a message
+ * @param {string} locale - Supported locale
+ * @param {string} key - "namespace.key", e.g. "api.invalidEmail"
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Translated text (not HTML-escaped)
+ */
+function t(locale, key, values = {}) {
+    const [namespace, ...rest] = key.split('.');
+    const catalog = getCatalog(isSupportedLocale(locale) ? locale : DEFAULT_LOCALE, namespace);
+    const message = rest.reduce((value, part) => (value ? value[part] : undefined), catalog);
+    if (typeof message !== 'string') {
+        throw new Error(`Missing translation "${key}"`);
+    }
+    return renderTemplate(message, values, { escape: false });
+}
+
+/**
+ * Get the URL path of a page in a locale
+ * @param {string} locale - Supported locale
+ * @param {string} pathname - English path, e.g. "/pp.html"
+ * @returns {string} e.g. "/ar/pp.html"
+ */
+function localizePath(locale, pathname) {
+    return locale === DEFAULT_LOCALE ? pathname : `/${locale}${pathname}`;
+}
+
+/**
+ * Build the hreflang <link> tags pointing at every translation of a page
+ * @param {string} baseUrl - Public base URL without trailing slash
+ * @param {string} pathname - English path of the page
+ * @returns {string} HTML for the <head>
+ */
+function buildAlternateLinks(baseUrl, pathname) {
+    const link = (hreflang, href) =>
+        `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(baseUrl + href)}">`;
+    return SUPPORTED_LOCALES
+        .map((locale) => link(locale, localizePath(locale, pathname)))
+        .concat(link('x-default', pathname))
+        .join('\n    ');
+}
+
+/**
+ * Fill page values into the catalog strings that have placeholders
+ * @param {Object} catalog - Page catalog
+ * @param {Object} values - Page values, HTML-escaped when inserted
+ * @returns {Object} Catalog with placeholders filled
+ */
+function fillCatalog(catalog, values) {
+    const filled = {};
+    for (const [key, value] of Object.entries(catalog)) {
+        if (typeof value === 'string') {
+            filled[key] = value.includes('{{') ? renderTemplate(value, values) : value;
+        } else {
+            filled[key] = key === 'client' ? value : fillCatalog(value, values);
+        }
+    }
+    return filled;
+}
+
+/**
+ * Serialize strings for an inline <script> without ending the script early
+ * @param {Object} strings - Strings used by page scripts
+ * @returns {string} JSON safe to place inside <script>
+ */
+function toScriptJson(strings) {
+    return JSON.stringify(strings || {}).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render a translated page
+ * Besides `values`, the template gets: lang, dir, t (the page catalog),
+ * common (shared strings), alternateLinks, the language switcher
+ * (switchLocale, switchLabel, switchUrl), clientStrings (t.client as
+ * JSON for page scripts) and assets (the built URLs of the shared images
+ * and script, see ../assets).
+ * @param {string} filePath - Absolute path to the page template
+ * @param {Object} options
+ * @param {string} options.locale - Supported locale
+ * @param {string} options.namespace - Page catalog name
+ * @param {string} options.baseUrl - Public base URL for hreflang links
+ * @param {string} [options.pathname] - English path of the page; pages
+ *   without one (such as confirmation results) get no hreflang links
+ * @param {Object} [options.values] - Extra placeholder values
+ * @param {Object} [options.text] - Document text merged over the page
+ *   catalog, such as a policy version (see ../policies)
+ * @returns {string} Rendered HTML
+ */
+function renderPage(filePath, { locale, namespace, baseUrl, pathname, values = {}, text }) {
+    const strings = text ? { ...getCatalog(locale, namespace), ...text } : getCatalog(locale, namespace);
+    const switchLocale = SUPPORTED_LOCALES.find((other) => other !== locale);
+    const common = getCatalog(locale, 'common');
+
+    return renderFile(filePath, {
+        lang: locale,
+        dir: getDirection(locale),
+        t: fillCatalog(strings, values),
+        common,
+        alternateLinks: pathname ? buildAlternateLinks(baseUrl, pathname) : '',
+        switchLocale,
+        switchLabel: getCatalog(switchLocale, 'common').languageName,
+        switchUrl: `/lang/${switchLocale}?to=${encodeURIComponent(pathname || '/')}`,
+        clientStrings: toScriptJson(strings.client),
+        assets: getPageAssets(),
+        ...values
+    });
+}
+
+module.exports = { getCatalog, mergeCatalog, t, localizePath, renderPage };
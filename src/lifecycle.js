@@ -0,0 +1,173 @@
+/**
+ * Request Lifecycle
+ *
+ * State machine for deletion and data export requests. Every state change
+ * goes through `transition()`, which rejects moves TRANSITIONS doesn't
+ * allow and appends a timestamped entry to the request's `history`.
+ * History entries are never edited or removed, so they form the audit
+ * trail showing when and by whom each request was confirmed, carried out
+ * or stopped.
+ *
+ * Normal path: submitted → email_sent → confirmed → in_progress → completed
+ * (a confirmed request may also go straight to completed, and a submitted
+ * one straight to confirmed if the user clicks the link before the send was
+ * recorded). Requests still waiting for confirmation can expire, and any
+ * request that isn't finished can be cancelled. completed, cancelled and
+ * expired are final.
+ */
+
+const STATES = [
+    'submitted',
+    'email_sent',
+    'confirmed',
+    'in_progress',
+    'completed',
+    'cancelled',
+    'expired'
+];
+
+/**
+ * Allowed target states for each state
+ * States with no targets are terminal.
+ */
+const TRANSITIONS = {
+    submitted: ['email_sent', 'confirmed', 'expired', 'cancelled'],
+    email_sent: ['confirmed', 'expired', 'cancelled'],
+    confirmed: ['in_progress', 'completed', 'cancelled'],
+    in_progress: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: [],
+    expired: []
+};
+
+/**
+ * States in which a request is waiting for the user to confirm
+ * Only one such request may exist per email address.
+ */
+const PENDING_STATES = ['submitted', 'email_sent'];
+
+/**
+ * Status values written before the lifecycle existed
+ */
+const LEGACY_STATES = {
+    pending: 'email_sent',
+    processed: 'completed',
+    rejected: 'cancelled'
+};
+
+/**
+ * Error thrown when a transition is not allowed from the current state
+ */
+class InvalidTransitionError extends Error {
+    /**
+     * @param {string} from - Current state
+     * @param {string} to - Requested state
+     */
+    constructor(from, to) {
+        // Neutral, as deletion and export requests share these states
+        super(`Cannot move a request from "${from}" to "${to}".`);
+        this.name = 'InvalidTransitionError';
+        this.code = 'INVALID_TRANSITION';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Get the lifecycle state of a stored request
+ * Older records only carry a `confirmed` flag or a pre-lifecycle status,
+ * so those are mapped onto the current states.
+ * @param {Object} data - Request data
+ * @returns {string} One of STATES
+ */
+function getState(data) {
+    if (data.status) return LEGACY_STATES[data.status] || data.status;
+    return data.confirmed ? 'confirmed' : 'email_sent';
+}
+
+/**
+ * Check whether a request is still waiting for user confirmation
+ * @param {Object} data - Request data
+ * @returns {boolean} True if pending
+ */
+function isPending(data) {
+    return PENDING_STATES.includes(getState(data));
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {Object} data - Request data
+ * @param {string} to - Target state
+ * @returns {boolean} True if allowed
+ */
+function canTransition(data, to) {
+    return (TRANSITIONS[getState(data)] || []).includes(to);
+}
+
+/**
+ * Move a request to a new state and record it in the history
+ * Mutates and returns `data`; the caller is responsible for saving it.
+ * @param {Object} data - Request data
+ * @param {string} to - Target state
+ * @param {Object} [context]
+ * @param {string} [context.actor='system'] - Who made the change, e.g. "user" or "admin:alice"
+ * @param {string} [context.ip] - Client IP address, when triggered by an HTTP request
+ * @param {string} [context.note] - Free-text note
+ * @param {Date} [context.at] - Time of the change (defaults to now)
+ * @returns {Object} The updated request
+ * @throws {InvalidTransitionError} If the move is not allowed
+ */
+function transition(data, to, { actor = 'system', ip, note, at = new Date() } = {}) {
+    const from = getState(data);
+    if (!canTransition(data, to)) {
+        throw new InvalidTransitionError(from, to);
+    }
+
+    const entry = { from, to, at: at.toISOString(), actor };
+    if (ip) entry.ip = ip;
+    if (note) entry.note = note;
+
+    data.history = [...(data.history || []), entry];
+    data.status = to;
+    data.updatedAt = entry.at;
+
+    if (to === 'confirmed') {
+        data.confirmed = true;
+        data.confirmedAt = entry.at;
+    }
+
+    return data;
+}
+
+/**
+ * Create a new request in the initial state
+ * @param {Object} fields - Request fields (email, reason, token = request ID, ...)
+ * @param {Object} [context] - Same as for transition()
+ * @returns {Object} Request data with status and first history entry
+ */
+function createRequest(fields, { actor = 'user', ip, at = new Date() } = {}) {
+    const createdAt = at.toISOString();
+    const entry = { from: null, to: 'submitted', at: createdAt, actor };
+    if (ip) entry.ip = ip;
+
+    return {
+        ...fields,
+        createdAt,
+        confirmed: false,
+        status: 'submitted',
+        updatedAt: createdAt,
+        history: [entry]
+    };
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    PENDING_STATES,
+    InvalidTransitionError,
+    getState,
+    isPending,
+    canTransition,
+    transition,
+    createRequest
+};
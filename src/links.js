@@ -0,0 +1,72 @@
+/**
+ * Signed Links
+ *
+ * HMAC signatures for links that act on a request without the user
+ * logging in, such as the cancel link sent after confirming a deletion or
+ * the download link for a data export. The signature binds the link to its
+ * purpose and request ID, so neither can be swapped for another.
+ *
+ * Links are signed with the current key from SIGNING_KEYS and accepted
+ * under any listed key, so rotating keys doesn't break links already sent
+ * (see ./tokens.js).
+ */
+
+const crypto = require('crypto');
+const { getSigningKeys, safeEqual } = require('./tokens');
+
+/**
+ * Compute the signature for a purpose and request ID with one key
+ * @param {string} secret - Key secret
+ * @param {string} purpose - What the link does, e.g. "cancel"
+ * @param {string} id - Request ID
+ * @returns {string} URL-safe signature
+ */
+function computeSignature(secret, purpose, id) {
+    return crypto.createHmac('sha256', secret).update(`${purpose}:${id}`).digest('base64url');
+}
+
+/**
+ * Sign a request ID for a given purpose with the current key
+ * @param {string} purpose - What the link does, e.g. "cancel"
+ * @param {string} id - Request ID
+ * @returns {string} URL-safe signature
+ */
+function sign(purpose, id) {
+    const [key] = getSigningKeys();
+    return computeSignature(key.secret, purpose, id);
+}
+
+/**
+ * Check a signature produced by sign() under any configured key
+ * @param {string} purpose - What the link does
+ * @param {string} id - Request ID
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} True if valid
+ */
+function verify(purpose, id, signature) {
+    if (typeof signature !== 'string') return false;
+    return getSigningKeys().some((key) => safeEqual(signature, computeSignature(key.secret, purpose, id)));
+}
+
+/**
+ * Build the signed cancel link for a confirmed request
+ * @param {string} baseUrl - Public server URL
+ * @param {string} id - Request ID
+ * @returns {string} Absolute cancel URL
+ */
+function buildCancelLink(baseUrl, id) {
+    return `${baseUrl}/cancel/${id}?sig=${sign('cancel', id)}`;
+}
+
+/**
+ * Build the signed download link for a data export archive
+ * The link itself doesn't expire; the archive's expiry is checked on use
+ * @param {string} baseUrl - Public server URL
+ * @param {string} id - Export request ID
+ * @returns {string} Absolute download URL
+ */
+function buildExportDownloadLink(baseUrl, id) {
+    return `${baseUrl}/download-export/${id}?sig=${sign('export-download', id)}`;
+}
+
+module.exports = { sign, verify, buildCancelLink, buildExportDownloadLink };
@@ -0,0 +1,114 @@
+/**
+ * Locale Selection
+ *
+ * Supported languages for user-facing email and pages, and helpers for
+ * picking one per request. English is the default; Arabic is written
+ * right-to-left. The site's language switcher stores the visitor's choice
+ * in the LOCALE_COOKIE cookie.
+ */
+
+const SUPPORTED_LOCALES = ['en', 'ar'];
+const DEFAULT_LOCALE = 'en';
+const RTL_LOCALES = ['ar'];
+const LOCALE_COOKIE = 'lang';
+const LOCALE_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a value is a supported locale
+ * @param {*} locale - Value to check
+ * @returns {boolean} True if supported
+ */
+function isSupportedLocale(locale) {
+    return SUPPORTED_LOCALES.includes(locale);
+}
+
+/**
+ * Read the locale saved by the language switcher
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string|null} Supported locale from the cookie, or null
+ */
+function getCookieLocale(req) {
+    const header = req.headers.cookie || '';
+    const match = header.match(new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([^;]*)`));
+    return match && isSupportedLocale(match[1]) ? match[1] : null;
+}
+
+/**
+ * Pick the visitor's preferred locale from the language cookie, falling
+ * back to the Accept-Language header
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string} Supported locale
+ */
+function getPreferredLocale(req) {
+    return getCookieLocale(req) || req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+/**
+ * Pick the locale for an HTTP request
+ * An explicit `lang` in the body or query wins; otherwise the visitor's
+ * preferred locale is used (see getPreferredLocale).
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string} Supported locale
+ */
+function resolveLocale(req) {
+    const requested = (req.body && req.body.lang) || req.query.lang;
+    if (isSupportedLocale(requested)) return requested;
+    return getPreferredLocale(req);
+}
+
+/**
+ * Get the text direction for a locale
+ * @param {string} locale - Supported locale
+ * @returns {string} "rtl" or "ltr"
+ */
+function getDirection(locale) {
+    return RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Get the Intl locale used to format dates
+ * Arabic uses the Gregorian calendar so dates match the English emails.
+ * @param {string} locale - Supported locale
+ * @returns {string} BCP 47 tag
+ */
+function getDateLocale(locale) {
+    return locale === 'ar' ? 'ar-u-ca-gregory-nu-latn' : 'en-US';
+}
+
+/**
+ * Format a timestamp for display to users
+ * @param {string} iso - ISO timestamp
+ * @param {string} [locale] - Supported locale
+ * @returns {string} e.g. "November 2, 2026 at 6:05 PM UTC"
+ */
+function formatDateTime(iso, locale = DEFAULT_LOCALE) {
+    return new Date(iso).toLocaleString(getDateLocale(locale), {
+        dateStyle: 'long',
+        timeStyle: 'short',
+        timeZone: 'UTC'
+    }) + ' UTC';
+}
+
+/**
+ * Format a calendar date for display to users
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} [locale] - Supported locale
+ * @returns {string} e.g. "September 23, 2025"
+ */
+function formatDate(date, locale = DEFAULT_LOCALE) {
+    return new Date(date).toLocaleDateString(getDateLocale(locale), { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    LOCALE_COOKIE,
+    LOCALE_COOKIE_MAX_AGE_MS,
+    isSupportedLocale,
+    getCookieLocale,
+    getPreferredLocale,
+    resolveLocale,
+    getDirection,
+    formatDateTime,
+    formatDate
+};
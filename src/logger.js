@@ -0,0 +1,175 @@
+/**
+ * Structured Logging
+ *
+ * Writes one JSON object per line to stdout, e.g.
+ *
+ *   {"time":"2026-01-15T10:00:00.000Z","level":"info","msg":"Deletion request created",
+ *    "requestId":"6f1c...","email":"s***@example.com","request":"3f2a9c1b"}
+ *
+ * - LOG_LEVEL   debug, info (default), warn, error or silent
+ * - LOG_FORMAT  json (default) or pretty, one readable line per entry for
+ *               development
+ *
+ * Lines written while an HTTP request is handled carry its `requestId`
+ * (see ./middleware/requestLogger.js), including lines from code that
+ * knows nothing about the request, through AsyncLocalStorage.
+ *
+ * Personal data is redacted before anything is written: email addresses
+ * anywhere in the message or fields are masked to their first letter and
+ * domain, and fields named in REDACTED_FIELDS (feedback, secrets) are
+ * replaced entirely. Errors passed as `err` are logged with their stack.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+/**
+ * Fields whose values are never logged
+ */
+const REDACTED_FIELDS = ['feedback', 'password', 'secret', 'apiKey', 'authorization'];
+
+const EMAIL_PATTERN = /([^\s@"'<>(),;:]+)@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const context = new AsyncLocalStorage();
+
+// ============================================================================
+// HELPER FUNCTIONS - Redaction
+// ============================================================================
+
+/**
+ * Mask the email addresses in a string
+ * @param {string} text - Any text
+ * @returns {string} Text with e.g. "student@example.com" as "s***@example.com"
+ */
+function maskEmails(text) {
+    return text.replace(EMAIL_PATTERN, (match, local, domain) => `${local[0]}***@${domain}`);
+}
+
+/**
+ * Make a value safe to log
+ * @param {*} value - Field value
+ * @param {number} [depth] - Nesting depth, to stop at cycles
+ * @returns {*} Copy with emails masked, redacted fields replaced and
+ *   errors turned into plain objects
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return maskEmails(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 5) return '[nested]';
+
+    if (value instanceof Error) {
+        const error = { name: value.name, message: maskEmails(value.message) };
+        if (value.code) error.code = value.code;
+        if (value.stack) error.stack = maskEmails(value.stack);
+        return error;
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        copy[key] = REDACTED_FIELDS.includes(key) && item ? '[redacted]' : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * Format an entry as one readable line
+ * @param {Object} entry - Redacted log entry
+ * @returns {string} e.g. "10:00:00.000 INFO  Deletion request created email=s***@example.com"
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields).map(([key, value]) =>
+        `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    return [time.substring(11, 23), level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Create a logger
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written (default: LOG_LEVEL or "info")
+ * @param {string} [options.format] - "json" or "pretty" (default: LOG_FORMAT or "json")
+ * @param {Function} [options.getStream] - () => writable stream (default: stdout)
+ * @param {Object} [options.bindings] - Fields added to every entry
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function,
+ *   child: Function, runWithContext: Function}}
+ */
+function createLogger(options = {}) {
+    const levelName = options.level || process.env.LOG_LEVEL || DEFAULT_LEVEL;
+    if (!LEVELS[levelName]) {
+        throw new Error(`Unknown LOG_LEVEL "${levelName}" (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    const threshold = LEVELS[levelName];
+    const format = options.format || process.env.LOG_FORMAT || 'json';
+    const getStream = options.getStream || (() => process.stdout);
+    const bindings = options.bindings || {};
+
+    /**
+     * Write one entry if its level is enabled
+     * @param {string} level - Key of LEVELS
+     * @param {string} msg - What happened, without personal data if possible
+     * @param {Object} [fields] - Details; `err` may be an Error
+     */
+    function write(level, msg, fields = {}) {
+        if (LEVELS[level] < threshold) return;
+
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...context.getStore(),
+            ...bindings,
+            ...fields
+        });
+        getStream().write(`${format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        level: levelName,
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+
+        /**
+         * Create a logger that adds fields to every entry
+         * @param {Object} extra - Fields, e.g. { job: 'maintenance' }
+         * @returns {Object} Logger
+         */
+        child: (extra) => createLogger({ level: levelName, format, getStream, bindings: { ...bindings, ...extra } }),
+
+        /**
+         * Run a function with fields added to every entry written inside it,
+         * including from callbacks and promises it starts
+         * @param {Object} fields - e.g. { requestId }
+         * @param {Function} fn - Function to run
+         * @returns {*} What fn returns
+         */
+        runWithContext: (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn)
+    };
+}
+
+let destination = null;
+
+/**
+ * Send the shared logger's output somewhere other than stdout
+ * Used by bin/unitok, whose stdout is for command output.
+ * @param {import('stream').Writable} stream - Destination, e.g. process.stderr
+ */
+function setLogDestination(stream) {
+    destination = stream;
+}
+
+/**
+ * The logger used throughout the app, configured from the environment
+ */
+const logger = createLogger({ getStream: () => destination || process.stdout });
+
+module.exports = { logger, createLogger, setLogDestination, redact, maskEmails, LEVELS };
@@ -0,0 +1,51 @@
+/**
+ * Message Capture
+ *
+ * Shared by the transports that keep or print emails instead of sending
+ * them. Messages go through Nodemailer's JSON transport, so they are
+ * normalized exactly as for SMTP (addresses parsed, Message-ID added),
+ * then flattened into a plain record for storage and display.
+ */
+
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+
+const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+/**
+ * Format parsed addresses as a header-style string
+ * @param {Object|Array<Object>} value - { name, address } or a list of them
+ * @returns {string} e.g. "UniTok <no-reply@unitokapp.com>, a@b.com"
+ */
+function formatAddresses(value) {
+    return [].concat(value || [])
+        .map(({ name, address }) => (name ? `${name} <${address}>` : address))
+        .join(', ');
+}
+
+/**
+ * Run a message through Nodemailer without sending it
+ * @param {Object} mail - Nodemailer mail options
+ * @returns {Promise<{info: Object, message: Object}>} Nodemailer's result and
+ *   the captured message { id, date, messageId, from, to, replyTo, subject, text, html }
+ */
+async function captureMail(mail) {
+    const info = await jsonTransport.sendMail(mail);
+    const data = JSON.parse(info.message);
+    return {
+        info,
+        message: {
+            id: `${Date.now()}-${uuidv4().slice(0, 8)}`,
+            date: new Date().toISOString(),
+            messageId: data.messageId,
+            from: formatAddresses(data.from),
+            to: formatAddresses(data.to),
+            replyTo: formatAddresses(data.replyTo),
+            subject: data.subject || '',
+            text: data.text || '',
+            html: data.html || ''
+        }
+    };
+}
+
+module.exports = { captureMail };
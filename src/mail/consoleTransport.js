@@ -0,0 +1,43 @@
+/**
+ * Console Mail Transport
+ *
+ * Prints every email (headers and plain-text part) to the server log
+ * instead of sending it. Nothing is kept.
+ */
+
+const { captureMail } = require('./capture');
+
+/**
+ * Create a console transport
+ * @param {Object} [options]
+ * @param {import('stream').Writable} [options.stream] - Where emails are
+ *   printed (default stdout; bin/unitok passes stderr)
+ * @returns {Object} Transport implementing the interface in ./index.js
+ */
+function createConsoleTransport({ stream = process.stdout } = {}) {
+    async function sendMail(mail) {
+        const { info, message } = await captureMail(mail);
+        stream.write([
+            '----- Email (not sent) -----',
+            `From:    ${message.from}`,
+            `To:      ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '----------------------------',
+            ''
+        ].join('\n'));
+        return info;
+    }
+
+    return {
+        driver: 'console',
+        sendMail,
+        verify: async () => {},
+        list: () => null,
+        get: () => null,
+        clear() {}
+    };
+}
+
+module.exports = { createConsoleTransport };
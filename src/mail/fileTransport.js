@@ -0,0 +1,79 @@
+/**
+ * File Mail Transport
+ *
+ * Writes every email to a local directory instead of sending it:
+ * `<id>.json` with the rendered message, plus `<id>.eml` (the raw MIME
+ * message, which opens in any mail client) when the format is "eml".
+ * Messages survive restarts and are listed by the dev mailbox.
+ *
+ * @requires nodemailer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { captureMail } = require('./capture');
+const { logger } = require('../logger');
+
+const ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Create a file sink transport
+ * @param {Object} options
+ * @param {string} options.dir - Directory to write messages to
+ * @param {string} [options.format] - "json" (default) or "eml"
+ * @returns {Object} Transport implementing the interface in ./index.js
+ */
+function createFileTransport({ dir, format = 'json' }) {
+    if (!['json', 'eml'].includes(format)) {
+        throw new Error(`Unknown MAIL_FILE_FORMAT "${format}" (expected "json" or "eml")`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    const emlTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    async function sendMail(mail) {
+        const { info, message } = await captureMail(mail);
+        fs.writeFileSync(path.join(dir, `${message.id}.json`), JSON.stringify(message, null, 2));
+
+        if (format === 'eml') {
+            const raw = await emlTransport.sendMail({ ...mail, messageId: message.messageId });
+            fs.writeFileSync(path.join(dir, `${message.id}.eml`), raw.message);
+        }
+        logger.info('Email written to file', { to: message.to, file: `${path.join(dir, message.id)}.${format}` });
+        return info;
+    }
+
+    function list() {
+        return fs.readdirSync(dir)
+            .filter((file) => file.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    }
+
+    function get(id) {
+        const file = path.join(dir, `${id}.json`);
+        if (!ID_PATTERN.test(id) || !fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    function clear() {
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith('.json') || file.endsWith('.eml')) {
+                fs.unlinkSync(path.join(dir, file));
+            }
+        }
+    }
+
+    return {
+        driver: 'file',
+        sendMail,
+        verify: async () => {},
+        list,
+        get,
+        clear
+    };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,60 @@
+/**
+ * Mail Transport
+ *
+ * Builds the transport selected by MAIL_TRANSPORT:
+ * - `smtp`    (default) send through the SMTP server in SMTP_* settings
+ * - `file`    write each email to MAIL_DIR (default data/mail) as JSON,
+ *             plus a raw .eml copy with MAIL_FILE_FORMAT=eml
+ * - `console` print each email to the server log
+ * - `memory`  keep emails in memory, for tests
+ *
+ * Every transport exposes the same interface:
+ * - sendMail(mail)  Send (or capture) Nodemailer mail options; resolves
+ *                   with Nodemailer's info object
+ * - verify()        Check the configuration; resolves or rejects
+ * - list()          Captured messages newest first, or null if the
+ *                   transport doesn't keep them (smtp, console)
+ * - get(id)         One captured message or null
+ * - clear()         Forget the captured messages
+ *
+ * Captured messages are { id, date, messageId, from, to, subject, text,
+ * html } and are listed by the dev mailbox at /dev/mailbox.
+ */
+
+const path = require('path');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+const { createMemoryTransport } = require('./memoryTransport');
+const { DATA_DIR } = require('../storage');
+
+/**
+ * Create the mail transport configured in the environment
+ * @param {Object} [options]
+ * @param {string} [options.driver] - Overrides MAIL_TRANSPORT
+ * @param {string} [options.dir] - Overrides MAIL_DIR for the file driver
+ * @param {string} [options.format] - Overrides MAIL_FILE_FORMAT for the file driver
+ * @param {import('stream').Writable} [options.stream] - Output of the console driver (default stdout)
+ * @returns {Object} Mail transport
+ */
+function createMailTransport(options = {}) {
+    const driver = options.driver || process.env.MAIL_TRANSPORT || 'smtp';
+
+    switch (driver) {
+        case 'smtp':
+            return createSmtpTransport();
+        case 'file':
+            return createFileTransport({
+                dir: options.dir || process.env.MAIL_DIR || path.join(DATA_DIR, 'mail'),
+                format: options.format || process.env.MAIL_FILE_FORMAT || 'json'
+            });
+        case 'console':
+            return createConsoleTransport({ stream: options.stream });
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${driver}" (expected "smtp", "file", "console" or "memory")`);
+    }
+}
+
+module.exports = { createMailTransport };
@@ -0,0 +1,42 @@
+/**
+ * Memory Mail Transport
+ *
+ * Keeps emails in an array instead of sending them, for tests and local
+ * development. Only the latest MAX_MESSAGES are kept.
+ */
+
+const { captureMail } = require('./capture');
+
+const MAX_MESSAGES = 500;
+
+/**
+ * Create an in-memory transport
+ * @returns {Object} Transport implementing the interface in ./index.js,
+ *   plus `messages`, the captured messages oldest first
+ */
+function createMemoryTransport() {
+    const messages = [];
+
+    async function sendMail(mail) {
+        const { info, message } = await captureMail(mail);
+        messages.push(message);
+        if (messages.length > MAX_MESSAGES) {
+            messages.shift();
+        }
+        return info;
+    }
+
+    return {
+        driver: 'memory',
+        messages,
+        sendMail,
+        verify: async () => {},
+        list: () => [...messages].reverse(),
+        get: (id) => messages.find((message) => message.id === id) || null,
+        clear: () => {
+            messages.length = 0;
+        }
+    };
+}
+
+module.exports = { createMemoryTransport };
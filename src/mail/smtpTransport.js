@@ -0,0 +1,39 @@
+/**
+ * SMTP Mail Transport
+ *
+ * Sends email through the SMTP server configured in the environment
+ * (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS). Nothing is
+ * kept locally, so the dev mailbox has nothing to show.
+ *
+ * @requires nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transport
+ * Creating it doesn't connect; call verify() to check the settings.
+ * @returns {Object} Transport implementing the interface in ./index.js
+ */
+function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    });
+
+    return {
+        driver: 'smtp',
+        sendMail: (mail) => transporter.sendMail(mail),
+        verify: () => transporter.verify(),
+        list: () => null,
+        get: () => null,
+        clear() {}
+    };
+}
+
+module.exports = { createSmtpTransport };
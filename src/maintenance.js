@@ -0,0 +1,395 @@
+/**
+ * Request Maintenance
+ *
+ * Background job that keeps the deletion and data export stores tidy
+ * instead of leaving it to whoever submits or clicks a link next. Each
+ * run, for both collections:
+ *
+ * - expires confirmation links that ran out unused, and deletes expired
+ *   requests EXPIRED_RETENTION_DAYS (default 30) after that
+ * - anonymizes completed requests COMPLETED_RETENTION_DAYS (default 365)
+ *   after completion: the email address and feedback are removed, the
+ *   history and everything else stay for the audit trail
+ * - reminds users whose confirmation link runs out within
+ *   CONFIRM_REMINDER_HOURS (default 6)
+ * - escalates confirmed and in-progress requests support hasn't completed
+ *   within SUPPORT_SLA_DAYS (default 7) to SUPPORT_EMAIL
+ *
+ * Setting any of these to 0 turns that task off. Reminders and escalations
+ * are sent once per request and recorded on it as `reminderSentAt` and
+ * `escalatedAt`; anonymized requests get `anonymizedAt`.
+ *
+ * The job runs in the server every MAINTENANCE_INTERVAL_MINUTES (default
+ * 60, 0 to leave it to cron) and can be run on its own:
+ *
+ * Usage: npm run maintenance
+ *
+ * Emails queued by the command are sent by the server's outbox worker.
+ */
+
+const { getState, transition } = require('./lifecycle');
+const { getTokenExpiryHours, getExpiryCutoff } = require('./routes/deletion');
+const { localizePath } = require('./i18n');
+const { DEFAULT_LOCALE, formatDateTime } = require('./locale');
+const { createMail } = require('./emails');
+const { createOutboxMessage } = require('./outbox');
+const { logger } = require('./logger');
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+const DEFAULT_EXPIRED_RETENTION_DAYS = 30;
+const DEFAULT_COMPLETED_RETENTION_DAYS = 365;
+const DEFAULT_REMINDER_HOURS = 6;
+const DEFAULT_SUPPORT_SLA_DAYS = 7;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Placeholder left in place of the email address of an anonymized request
+ */
+const ANONYMIZED_EMAIL = 'anonymized@invalid';
+
+/**
+ * How each request collection (see ./storage) is handled
+ * - label         request type in support emails
+ * - formPath      form to make a new request on
+ * - slaStartedAt  when support became responsible for a confirmed request;
+ *                 the clock keeps running once it is in progress
+ */
+const COLLECTIONS = {
+    deletion: {
+        label: 'Account deletion',
+        formPath: '/request-deletion',
+        // Deletions only reach support once the grace period is over
+        slaStartedAt: (data) => data.supportNotifiedAt
+    },
+    export: {
+        label: 'Data export',
+        formPath: '/request-export',
+        slaStartedAt: (data) => data.confirmedAt
+    }
+};
+
+// ============================================================================
+// HELPER FUNCTIONS - Settings
+// ============================================================================
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Configured value (0 turns the task off)
+ */
+function readSetting(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Get the maintenance settings from the environment
+ * @returns {{intervalMinutes: number, expiredRetentionDays: number,
+ *   completedRetentionDays: number, reminderHours: number, supportSlaDays: number}}
+ */
+function getMaintenanceSettings() {
+    return {
+        intervalMinutes: readSetting('MAINTENANCE_INTERVAL_MINUTES', DEFAULT_CHECK_INTERVAL_MINUTES),
+        expiredRetentionDays: readSetting('EXPIRED_RETENTION_DAYS', DEFAULT_EXPIRED_RETENTION_DAYS),
+        completedRetentionDays: readSetting('COMPLETED_RETENTION_DAYS', DEFAULT_COMPLETED_RETENTION_DAYS),
+        reminderHours: readSetting('CONFIRM_REMINDER_HOURS', DEFAULT_REMINDER_HOURS),
+        supportSlaDays: readSetting('SUPPORT_SLA_DAYS', DEFAULT_SUPPORT_SLA_DAYS)
+    };
+}
+
+/**
+ * Find when a request entered a state
+ * @param {Object} data - Request data
+ * @param {string} state - Lifecycle state
+ * @returns {string} ISO timestamp from the history, or updatedAt for older records
+ */
+function getEnteredAt(data, state) {
+    const entry = (data.history || []).findLast((item) => item.to === state);
+    return entry ? entry.at : data.updatedAt || data.createdAt;
+}
+
+/**
+ * Compute when a pending request's confirmation link expires
+ * @param {Object} data - Pending request
+ * @returns {Date} Expiry time
+ */
+function getLinkExpiresAt(data) {
+    return new Date(new Date(data.createdAt).getTime() + getTokenExpiryHours() * HOUR_MS);
+}
+
+// ============================================================================
+// MAINTENANCE JOB
+// ============================================================================
+
+/**
+ * Create the background job that expires, purges, anonymizes, reminds and escalates
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Object} deps.exportStore - Data export request store
+ * @param {Object} deps.webhooks - Webhook service, for request.expired
+ * @param {Function} deps.getBaseUrl - () => public base URL for emailed links
+ * @param {Function} [deps.onQueued] - Called after queuing email or webhooks
+ * @param {Object} [deps.metrics] - Metrics registry, for expired requests (see ./metrics.js)
+ * @param {Object} [deps.settings] - Overrides getMaintenanceSettings()
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {{start: Function, stop: Function, runOnce: Function}}
+ */
+function createMaintenanceJob({ store, exportStore, webhooks, getBaseUrl, onQueued, metrics, settings, now = () => new Date() }) {
+    const options = { ...getMaintenanceSettings(), ...settings };
+    const collections = [
+        { name: 'deletion', store, expiredMessages: (data, at) => webhooks.messagesFor('request.expired', data, at) },
+        { name: 'export', store: exportStore, expiredMessages: () => [] }
+    ];
+    let timer = null;
+    let running = false;
+
+    /**
+     * Apply a change to every request in one state that matches a check
+     * Each request is re-read before the change, in case it moved on since
+     * the list was taken.
+     * @param {Object} target - Store to work on
+     * @param {string} status - Lifecycle state to list
+     * @param {Function} check - (data) => boolean
+     * @param {Function} apply - (data) => void, saves the request
+     * @returns {number} Number of requests changed
+     */
+    function sweep(target, status, check, apply) {
+        const matches = [];
+        for (let offset = 0; ; offset += 100) {
+            const { requests } = target.list({ status, limit: 100, offset });
+            matches.push(...requests.filter(check));
+            if (requests.length < 100) break;
+        }
+
+        let changed = 0;
+        for (const { token } of matches) {
+            const data = target.get(token);
+            if (!data || getState(data) !== status || !check(data)) continue;
+            try {
+                apply(data);
+                changed++;
+            } catch (error) {
+                // Left as it is so the next run retries it
+                logger.error('Maintenance of request failed', { request: token.substring(0, 8), error: error.message });
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Run every task over one collection
+     * @param {Object} collection - Entry of `collections`
+     * @param {Date} at - Current time
+     * @param {Object} summary - Counts, updated in place
+     */
+    function maintain({ name, store: target, expiredMessages }, at, summary) {
+        const { label, formPath, slaStartedAt } = COLLECTIONS[name];
+        const cutoff = getExpiryCutoff(at);
+        let queued = 0;
+
+        // Confirmation links that ran out unused
+        for (const status of ['submitted', 'email_sent']) {
+            summary.expired += sweep(target, status, (data) => data.createdAt < cutoff, (data) => {
+                transition(data, 'expired', { note: 'Confirmation link expired', at });
+                const messages = expiredMessages(data, at);
+                target.save(data.token, data, messages);
+                queued += messages.length;
+                if (metrics) metrics.increment('unitok_requests_expired_total', { type: name });
+            });
+        }
+
+        if (options.expiredRetentionDays > 0) {
+            const purgeBefore = new Date(at.getTime() - options.expiredRetentionDays * DAY_MS).toISOString();
+            summary.purged += sweep(target, 'expired', (data) => getEnteredAt(data, 'expired') < purgeBefore, (data) => {
+                target.delete(data.token);
+            });
+        }
+
+        if (options.completedRetentionDays > 0) {
+            const anonymizeBefore = new Date(at.getTime() - options.completedRetentionDays * DAY_MS).toISOString();
+            summary.anonymized += sweep(target, 'completed',
+                (data) => !data.anonymizedAt && getEnteredAt(data, 'completed') < anonymizeBefore,
+                (data) => {
+                    data.email = ANONYMIZED_EMAIL;
+                    if (data.feedback) data.feedback = '';
+                    data.anonymizedAt = at.toISOString();
+                    target.save(data.token, data);
+                });
+        }
+
+        // Only once the confirmation email is out; links that ran out were expired above
+        if (options.reminderHours > 0) {
+            summary.reminded += sweep(target, 'email_sent',
+                (data) => !data.reminderSentAt &&
+                    getLinkExpiresAt(data).getTime() - options.reminderHours * HOUR_MS <= at.getTime(),
+                (data) => {
+                    const formLink = getBaseUrl() + localizePath(data.locale || DEFAULT_LOCALE, formPath);
+                    data.reminderSentAt = at.toISOString();
+                    target.save(data.token, data, [buildReminderMail(name, data, at, formLink)]);
+                    queued++;
+                });
+        }
+
+        if (options.supportSlaDays > 0) {
+            const dueBefore = at.getTime() - options.supportSlaDays * DAY_MS;
+            for (const status of ['confirmed', 'in_progress']) {
+                summary.escalated += sweep(target, status,
+                    (data) => !data.escalatedAt && Boolean(slaStartedAt(data)) &&
+                        new Date(slaStartedAt(data)).getTime() <= dueBefore,
+                    (data) => {
+                        data.escalatedAt = at.toISOString();
+                        target.save(data.token, data, [buildEscalationMail(label, data, slaStartedAt(data), options.supportSlaDays, at)]);
+                        queued++;
+                    });
+            }
+        }
+
+        if (queued > 0 && onQueued) onQueued();
+    }
+
+    /**
+     * Run every task over both collections
+     * @returns {Promise<{expired: number, purged: number, anonymized: number,
+     *   reminded: number, escalated: number}>} Number of requests each task changed
+     */
+    async function runOnce() {
+        const summary = { expired: 0, purged: 0, anonymized: 0, reminded: 0, escalated: 0 };
+        if (running) return summary;
+        running = true;
+
+        const at = now();
+        try {
+            for (const collection of collections) {
+                maintain(collection, at, summary);
+            }
+            if (Object.values(summary).some((count) => count > 0)) {
+                logger.info('Maintenance run finished', summary);
+            }
+            return summary;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer || options.intervalMinutes === 0) return;
+        const tick = () => runOnce().catch((error) => logger.error('Maintenance run failed', { err: error }));
+        tick();
+        timer = setInterval(tick, options.intervalMinutes * 60 * 1000);
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - Email Builders
+// ============================================================================
+
+/**
+ * Build the reminder for a request whose confirmation link runs out soon
+ * The link token isn't stored, so the reminder points back to the first
+ * email rather than repeating the link.
+ * @param {string} collection - "deletion" or "export"
+ * @param {Object} requestData - Pending request
+ * @param {Date} now - Current time
+ * @param {string} formLink - Form for a new request, in the request's language
+ * @returns {Object} Outbox message
+ */
+function buildReminderMail(collection, requestData, now, formLink) {
+    return createOutboxMessage({
+        kind: `${collection}-reminder`,
+        ref: requestData.token,
+        mail: createMail(`${collection}-reminder`, {
+            to: requestData.email,
+            locale: requestData.locale,
+            values: {
+                expiresAt: formatDateTime(getLinkExpiresAt(requestData).toISOString(), requestData.locale),
+                formLink
+            }
+        })
+    }, now);
+}
+
+/**
+ * Build the notice telling support a confirmed request is overdue
+ * @param {string} label - Request type, e.g. "Account deletion"
+ * @param {Object} requestData - Confirmed or in-progress request
+ * @param {string} startedAt - ISO timestamp support became responsible
+ * @param {number} slaDays - SUPPORT_SLA_DAYS
+ * @param {Date} now - Current time
+ * @returns {Object} Outbox message
+ */
+function buildEscalationMail(label, requestData, startedAt, slaDays, now) {
+    return createOutboxMessage({
+        kind: 'support-sla-escalation',
+        ref: requestData.token,
+        mail: createMail('support-sla-escalation', {
+            to: process.env.SUPPORT_EMAIL,
+            layout: false,
+            fromName: 'Request Maintenance',
+            values: {
+                label,
+                email: requestData.email,
+                accountId: requestData.accountId,
+                token: requestData.token,
+                status: getState(requestData),
+                confirmedAt: formatDateTime(requestData.confirmedAt),
+                startedAt: formatDateTime(startedAt),
+                slaDays,
+                lastError: (requestData.accountDeletion && requestData.accountDeletion.lastError) ||
+                    (requestData.archive && requestData.archive.lastError)
+            }
+        })
+    }, now);
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const { createStore } = require('./storage');
+    const { createWebhooks } = require('./webhooks');
+    const { setLogDestination } = require('./logger');
+
+    // Keep stdout for the summary below
+    setLogDestination(process.stderr);
+
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const store = createStore();
+    const exportStore = createStore({ collection: 'export' });
+
+    createMaintenanceJob({
+        store,
+        exportStore,
+        webhooks: createWebhooks({ getBaseUrl: () => baseUrl }),
+        getBaseUrl: () => baseUrl
+    }).runOnce()
+        .then((summary) => {
+            console.log(`Expired ${summary.expired} unconfirmed request(s)`);
+            console.log(`Purged ${summary.purged} expired request(s)`);
+            console.log(`Anonymized ${summary.anonymized} completed request(s)`);
+            console.log(`Queued ${summary.reminded} reminder(s) and ${summary.escalated} escalation(s)`);
+        })
+        .catch((error) => {
+            console.error('Maintenance failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => {
+            exportStore.close();
+            store.close();
+        });
+}
+
+module.exports = { createMaintenanceJob, getMaintenanceSettings, ANONYMIZED_EMAIL };
@@ -0,0 +1,105 @@
+/**
+ * Metrics
+ *
+ * In-process counters, served in the Prometheus text format at GET /metrics
+ * (see ./routes/health.js). Counters start at zero with every process and
+ * are not shared between instances; Prometheus sums them across targets.
+ *
+ *   unitok_requests_submitted_total{type}     forms accepted (type: deletion, export)
+ *   unitok_requests_confirmed_total{type}     confirmation links used
+ *   unitok_requests_expired_total{type}       requests whose link ran out unused
+ *   unitok_reports_submitted_total{category}  reports sent through the contact form
+ *   unitok_emails_sent_total{kind}            emails delivered, by template
+ *   unitok_email_failures_total{kind}         failed delivery attempts, by template
+ *   unitok_webhook_failures_total{event}      failed webhook deliveries
+ *
+ * Submitted requests the form accepts but ignores (honeypot hits, unknown
+ * addresses in the user directory) are not counted.
+ */
+
+const COUNTERS = {
+    unitok_requests_submitted_total: 'Requests submitted through the forms',
+    unitok_requests_confirmed_total: 'Requests confirmed through their emailed link',
+    unitok_requests_expired_total: 'Requests whose confirmation link expired unused',
+    unitok_reports_submitted_total: 'Reports sent through the contact form',
+    unitok_emails_sent_total: 'Emails delivered to the mail transport',
+    unitok_email_failures_total: 'Failed email delivery attempts',
+    unitok_webhook_failures_total: 'Failed webhook delivery attempts'
+};
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - e.g. { type: 'deletion' }
+ * @returns {string} e.g. '{type="deletion"}', or '' without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create the metrics registry
+ * @returns {{increment: Function, get: Function, render: Function}}
+ */
+function createMetrics() {
+    // name -> Map of formatted labels -> value
+    const values = new Map(Object.keys(COUNTERS).map((name) => [name, new Map()]));
+
+    /**
+     * Add to a counter
+     * @param {string} name - Key of COUNTERS
+     * @param {Object} [labels] - Label values
+     * @param {number} [by] - Amount (default: 1)
+     */
+    function increment(name, labels = {}, by = 1) {
+        const series = values.get(name);
+        if (!series) throw new Error(`Unknown metric "${name}"`);
+        const key = formatLabels(labels);
+        series.set(key, (series.get(key) || 0) + by);
+    }
+
+    /**
+     * Read a counter
+     * @param {string} name - Key of COUNTERS
+     * @param {Object} [labels] - Label values
+     * @returns {number} Current value
+     */
+    function get(name, labels = {}) {
+        return values.get(name).get(formatLabels(labels)) || 0;
+    }
+
+    /**
+     * Render every counter, plus gauges measured at scrape time
+     * @param {Array<{name: string, help: string, values: Array<{labels: Object, value: number}>}>} [gauges]
+     * @returns {string} Prometheus text format
+     */
+    function render(gauges = []) {
+        const lines = [];
+        for (const [name, help] of Object.entries(COUNTERS)) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+            for (const [labels, value] of values.get(name)) {
+                lines.push(`${name}${labels} ${value}`);
+            }
+        }
+        for (const gauge of gauges) {
+            lines.push(`# HELP ${gauge.name} ${gauge.help}`, `# TYPE ${gauge.name} gauge`);
+            for (const { labels, value } of gauge.values) {
+                lines.push(`${gauge.name}${formatLabels(labels || {})} ${value}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { increment, get, render };
+}
+
+module.exports = { createMetrics, COUNTERS };
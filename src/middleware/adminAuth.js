@@ -0,0 +1,60 @@
+/**
+ * Admin Authentication Middleware
+ *
+ * Protects the admin dashboard and API with HTTP Basic authentication.
+ * Credentials come from ADMIN_USER and ADMIN_PASSWORD. When either is
+ * missing the admin routes are disabled and always respond 503, so an
+ * unconfigured deployment never exposes request data.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(a).digest();
+    const hashB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Require valid admin credentials on every request
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function adminAuth(req, res, next) {
+    const user = process.env.ADMIN_USER;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!user || !password) {
+        return res.status(503).json({
+            error: 'Admin access is not configured. Set ADMIN_USER and ADMIN_PASSWORD.'
+        });
+    }
+
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const givenUser = decoded.slice(0, separator);
+        const givenPassword = decoded.slice(separator + 1);
+
+        // Evaluate both comparisons so timing doesn't reveal which one failed
+        const userOk = safeEqual(givenUser, user);
+        const passwordOk = safeEqual(givenPassword, password);
+        if (separator !== -1 && userOk && passwordOk) {
+            req.adminUser = user;
+            return next();
+        }
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="UniTok Admin", charset="UTF-8"');
+    res.status(401).json({ error: 'Authentication required.' });
+}
+
+module.exports = adminAuth;
@@ -0,0 +1,87 @@
+/**
+ * CSRF Protection
+ *
+ * Signed double-submit tokens for forms posted from our pages. The page
+ * route calls issueCsrfToken(), which gives the browser a random secret
+ * in the CSRF_COOKIE cookie (HttpOnly, SameSite=Lax) and returns a token
+ * signed for that secret (see ../links.js) for the page to embed. The
+ * protected route accepts a POST only when it carries the token, in the
+ * X-CSRF-Token header or a `_csrf` field, matching the cookie it came with.
+ *
+ * Another site can make the browser send the cookie but can't read it or
+ * the page, so it has no way to get a matching token. Tokens stay valid
+ * while the cookie lasts and the signing key is listed in SIGNING_KEYS.
+ *
+ * Failures get 403 with a JSON error in the language of the submission.
+ */
+
+const crypto = require('crypto');
+const links = require('../links');
+const { t } = require('../i18n');
+const { resolveLocale } = require('../locale');
+const { logger } = require('../logger');
+
+const CSRF_COOKIE = 'unitok_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+const CSRF_FIELD = '_csrf';
+const SECRET_PATTERN = /^[\w-]{43}$/;
+
+/**
+ * Read the CSRF secret from the request's cookie
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string|null} Secret, or null if missing or malformed
+ */
+function getCookieSecret(req) {
+    const header = req.headers.cookie || '';
+    const match = header.match(new RegExp(`(?:^|;\\s*)${CSRF_COOKIE}=([^;]*)`));
+    return match && SECRET_PATTERN.test(match[1]) ? match[1] : null;
+}
+
+/**
+ * Issue a CSRF token for a page, setting the cookie if needed
+ * Pages embedding a token must not be cached, as the token only works
+ * with the visitor's own cookie.
+ * @param {import('express').Request} req - Page request
+ * @param {import('express').Response} res - Page response
+ * @returns {string} Token to send back with the form
+ */
+function issueCsrfToken(req, res) {
+    let secret = getCookieSecret(req);
+    if (!secret) {
+        secret = crypto.randomBytes(32).toString('base64url');
+        res.cookie(CSRF_COOKIE, secret, {
+            httpOnly: true,
+            secure: req.secure,
+            sameSite: 'lax',
+            path: '/'
+        });
+    }
+    res.set('Cache-Control', 'no-store');
+    return links.sign('csrf', secret);
+}
+
+/**
+ * Create the middleware that checks CSRF tokens
+ * @returns {import('express').RequestHandler}
+ */
+function createCsrfProtection() {
+    return (req, res, next) => {
+        const secret = getCookieSecret(req);
+        const token = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+
+        if (!secret || !links.verify('csrf', secret, token)) {
+            logger.warn('CSRF check failed', {
+                method: req.method,
+                path: req.path,
+                reason: secret ? 'token' : 'cookie'
+            });
+            return res.status(403).json({
+                error: t(resolveLocale(req), 'api.csrfFailed')
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = { CSRF_COOKIE, CSRF_HEADER, issueCsrfToken, createCsrfProtection };
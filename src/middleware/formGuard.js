@@ -0,0 +1,51 @@
+/**
+ * Form Guard Middleware
+ *
+ * Cheap bot checks for forms posted from our pages:
+ * - Honeypot: a hidden `website` field that people never see or fill in.
+ *   Submissions that fill it get a normal-looking success response, so
+ *   the bot has no signal to adapt to, but nothing is saved or sent.
+ * - Time to submit: the page sends how long it was open in `formElapsedMs`
+ *   (measured on the client, so clock skew doesn't matter). Submissions
+ *   faster than FORM_MIN_SUBMIT_SECONDS (default 3) are rejected, and so
+ *   are those without a number there, which didn't come from the page.
+ *
+ * Error messages are in the language of the submission (see ../locale).
+ */
+
+const { t } = require('../i18n');
+const { resolveLocale } = require('../locale');
+const { logger } = require('../logger');
+
+/**
+ * Create the form guard middleware
+ * @param {Object} options
+ * @param {Function} options.successBody - (req) => JSON body returned to honeypot hits
+ * @returns {import('express').RequestHandler}
+ */
+function createFormGuard({ successBody }) {
+    return (req, res, next) => {
+        const body = req.body || {};
+
+        if (body.website) {
+            logger.warn('Honeypot field filled; ignoring submission', { method: req.method, path: req.path });
+            return res.json(successBody(req));
+        }
+
+        const minSeconds = parseInt(process.env.FORM_MIN_SUBMIT_SECONDS);
+        const minMs = (Number.isNaN(minSeconds) ? 3 : minSeconds) * 1000;
+        const elapsedMs = Number(body.formElapsedMs);
+
+        // Number('') and Number(null) are 0, so those count as too fast too
+        if (minMs > 0 && (!Number.isFinite(elapsedMs) || elapsedMs < minMs)) {
+            logger.warn('Form submitted too quickly', { method: req.method, path: req.path, elapsedMs: body.formElapsedMs });
+            return res.status(400).json({
+                error: t(resolveLocale(req), 'api.tooFast')
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = { createFormGuard };
@@ -0,0 +1,113 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Sliding-window limits for public endpoints that send email. Each limit
+ * counts hits per key (client IP, submitted email, ...) in a hit store
+ * from ../rateLimit and answers 429 with a Retry-After header once the
+ * key has used up its allowance for the window.
+ */
+
+const { t } = require('../i18n');
+const { resolveLocale } = require('../locale');
+const { logger } = require('../logger');
+
+/**
+ * Read a limit from the environment
+ * @param {string} name - Variable prefix, e.g. "RATE_LIMIT_IP"
+ * @param {number} defaultMax - Default hits per window
+ * @param {number} defaultWindowMinutes - Default window length
+ * @returns {{max: number, windowMs: number}} Limit (max 0 disables it)
+ */
+function getLimitFromEnv(name, defaultMax, defaultWindowMinutes) {
+    const max = parseInt(process.env[`${name}_MAX`]);
+    const windowMinutes = parseInt(process.env[`${name}_WINDOW_MINUTES`]) || defaultWindowMinutes;
+    return {
+        max: Number.isNaN(max) ? defaultMax : max,
+        windowMs: windowMinutes * 60 * 1000
+    };
+}
+
+/**
+ * Describe a wait time for error messages
+ * @param {number} seconds - Seconds until the next attempt is allowed
+ * @param {string} locale - Supported locale
+ * @returns {string} e.g. "5 minutes" or "3 hours"
+ */
+function formatWait(seconds, locale) {
+    const minutes = Math.ceil(seconds / 60);
+    const [value, unit] = minutes < 120 ? [minutes, 'minute'] : [Math.ceil(minutes / 60), 'hour'];
+    // Western digits in Arabic, matching formatDateTime() in ../locale
+    return new Intl.NumberFormat(locale === 'ar' ? 'ar-u-nu-latn' : 'en', {
+        style: 'unit',
+        unit,
+        unitDisplay: 'long'
+    }).format(value);
+}
+
+/**
+ * Create a rate limit middleware
+ * @param {Object} options
+ * @param {Object} options.store - Hit store from createRateLimitStore()
+ * @param {string} options.name - Limit name, used to namespace keys and in logs
+ * @param {Function} options.key - (req) => string|null; null skips the limit
+ * @param {number} options.max - Hits allowed per window (0 disables the limit)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {import('express').RequestHandler}
+ */
+function createRateLimit({ store, name, key, max, windowMs }) {
+    return (req, res, next) => {
+        const value = max > 0 ? key(req) : null;
+        if (!value) return next();
+
+        const result = store.consume(`${name}:${value}`, windowMs, max);
+        if (result.allowed) return next();
+
+        const retryAfterSeconds = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+        logger.warn('Rate limit hit', { limit: name, method: req.method, path: req.path, retryAfterSeconds });
+
+        const locale = resolveLocale(req);
+        res.set('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({
+            error: t(locale, 'api.rateLimited', { wait: formatWait(retryAfterSeconds, locale) })
+        });
+    };
+}
+
+/**
+ * Build the limits for a public request form from the environment
+ * Each form counts its own hits, under the same RATE_LIMIT_IP and
+ * RATE_LIMIT_EMAIL settings.
+ * @param {Object} store - Hit store from createRateLimitStore()
+ * @param {string} form - Form name, e.g. "deletion", used to namespace keys
+ * @returns {{byIp: Function, byEmail: Function}} Middleware per limit
+ */
+function createSubmissionRateLimits(store, form) {
+    return {
+        byIp: createRateLimit({
+            store,
+            name: `${form}-ip`,
+            key: (req) => req.ip,
+            ...getLimitFromEnv('RATE_LIMIT_IP', 10, 60)
+        }),
+        byEmail: createRateLimit({
+            store,
+            name: `${form}-email`,
+            key: (req) => {
+                const email = req.body && req.body.email;
+                return typeof email === 'string' ? email.trim().toLowerCase() : null;
+            },
+            ...getLimitFromEnv('RATE_LIMIT_EMAIL', 3, 24 * 60)
+        })
+    };
+}
+
+/**
+ * Build the limits for POST /request-deletion from the environment
+ * @param {Object} store - Hit store from createRateLimitStore()
+ * @returns {{byIp: Function, byEmail: Function}} Middleware per limit
+ */
+function createDeletionRateLimits(store) {
+    return createSubmissionRateLimits(store, 'deletion');
+}
+
+module.exports = { createRateLimit, createSubmissionRateLimits, createDeletionRateLimits };
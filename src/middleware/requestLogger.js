@@ -0,0 +1,73 @@
+/**
+ * Request Logging Middleware
+ *
+ * Gives every HTTP request a correlation ID and logs one line per
+ * response (see ../logger.js). The ID is taken from an incoming
+ * X-Request-Id header when it looks safe (e.g. set by the reverse proxy),
+ * generated otherwise, and sent back in the X-Request-Id response header.
+ * Everything logged while the request is handled carries it as `requestId`.
+ *
+ * Paths are logged as the matched route pattern, e.g. /confirm/:token,
+ * so tokens in links never reach the log. Query strings are left out for
+ * the same reason.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../logger');
+
+const INCOMING_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+/**
+ * Paths requested often enough that their lines are debug only
+ */
+const QUIET_PATHS = ['/healthz', '/metrics'];
+
+/**
+ * Get the path to log for a request
+ * @param {import('express').Request} req - Finished request
+ * @returns {string} Route pattern including the router's mount path,
+ *   the path for static files, or "(unmatched)"
+ */
+function getLoggedPath(req) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    // Only static files are served without a route; anything else is a 404
+    const pathname = req.originalUrl.split('?')[0];
+    return pathname.startsWith('/assets/') ? pathname : '(unmatched)';
+}
+
+/**
+ * Create the request logging middleware
+ * Mount it first, so every later handler runs inside its context.
+ * @returns {import('express').RequestHandler}
+ */
+function createRequestLogger() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+        const started = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const status = res.statusCode;
+            const fields = {
+                method: req.method,
+                path: getLoggedPath(req),
+                status,
+                durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6)
+            };
+            if (status >= 500) {
+                logger.error('Request failed', fields);
+            } else if (QUIET_PATHS.includes(fields.path)) {
+                logger.debug('Request handled', fields);
+            } else {
+                logger.info('Request handled', fields);
+            }
+        });
+
+        logger.runWithContext({ requestId }, next);
+    };
+}
+
+module.exports = { createRequestLogger };
@@ -0,0 +1,110 @@
+/**
+ * Security Middleware
+ *
+ * Response headers and the CORS policy for every route:
+ *
+ * - Content-Security-Policy  scripts only from this site and inline blocks
+ *                            carrying the response's nonce (pages render it
+ *                            as {{cspNonce}}); styles may be inline, since
+ *                            every page has its own <style> block; no
+ *                            framing, plugins or foreign form targets
+ * - Strict-Transport-Security on HTTPS requests (see TRUST_PROXY), for
+ *                            HSTS_MAX_AGE_DAYS (default 180, 0 to leave out)
+ * - X-Frame-Options, X-Content-Type-Options, Referrer-Policy,
+ *   Cross-Origin-Opener-Policy and Permissions-Policy
+ *
+ * Cross-origin requests are refused unless their origin is listed in
+ * CORS_ORIGINS (comma-separated, e.g. "https://unitokapp.com,https://www.
+ * unitokapp.com"). The site's own pages are same-origin and need no entry.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_HSTS_MAX_AGE_DAYS = 180;
+
+/**
+ * Read the CORS allowlist from the environment
+ * FRONTEND_URL, the single origin of earlier versions, is still honoured.
+ * @returns {Array<string>} Allowed origins, e.g. ["https://unitokapp.com"]
+ * @throws {Error} If an entry is not a bare http(s) origin
+ */
+function getCorsOrigins() {
+    const value = process.env.CORS_ORIGINS || process.env.FRONTEND_URL || '';
+    return value.split(',').map((entry) => entry.trim().replace(/\/$/, '')).filter(Boolean).map((entry) => {
+        let url;
+        try {
+            url = new URL(entry);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== entry) {
+            throw new Error(`Invalid CORS_ORIGINS entry "${entry}" (expected an origin such as https://unitokapp.com)`);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Build the options for the cors middleware
+ * @param {Array<string>} origins - Allowed origins from getCorsOrigins()
+ * @returns {Object} cors() options
+ */
+function createCorsOptions(origins) {
+    return {
+        // Requests without an Origin header (same-origin GETs, curl) get no CORS headers
+        origin: (origin, callback) => callback(null, Boolean(origin) && origins.includes(origin)),
+        methods: ['GET', 'POST'],
+        allowedHeaders: ['Content-Type'],
+        credentials: false
+    };
+}
+
+/**
+ * Build the Content-Security-Policy for one response
+ * @param {string} nonce - Nonce allowed on inline scripts
+ * @returns {string} Header value
+ */
+function buildContentSecurityPolicy(nonce) {
+    return [
+        "default-src 'self'",
+        `script-src 'self' 'nonce-${nonce}'`,
+        "style-src 'self' 'unsafe-inline'",
+        "img-src 'self' data:",
+        "media-src 'self'",
+        "connect-src 'self'",
+        "form-action 'self'",
+        "frame-ancestors 'none'",
+        "base-uri 'none'",
+        "object-src 'none'"
+    ].join('; ');
+}
+
+/**
+ * Create the security headers middleware
+ * Mount it before any route, so error pages get the headers too.
+ * @returns {import('express').RequestHandler}
+ */
+function createSecurityHeaders() {
+    const hstsDays = parseInt(process.env.HSTS_MAX_AGE_DAYS);
+    const hstsMaxAge = (Number.isNaN(hstsDays) ? DEFAULT_HSTS_MAX_AGE_DAYS : hstsDays) * 24 * 60 * 60;
+
+    return (req, res, next) => {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        res.locals.cspNonce = nonce;
+
+        res.set({
+            'Content-Security-Policy': buildContentSecurityPolicy(nonce),
+            'X-Frame-Options': 'DENY',
+            'X-Content-Type-Options': 'nosniff',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+        });
+        if (req.secure && hstsMaxAge > 0) {
+            res.set('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+        }
+        next();
+    };
+}
+
+module.exports = { getCorsOrigins, createCorsOptions, createSecurityHeaders };
@@ -0,0 +1,115 @@
+/**
+ * File Outbox Adapter
+ *
+ * Stores each queued email as `<id>.json` in a directory next to the
+ * request files (data/outbox/). Used by the file request store.
+ *
+ * Like the file request store, every query scans the directory, which is
+ * fine while only a handful of messages are waiting at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Create a file-backed outbox
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the message files
+ * @returns {Object} Outbox implementing the interface in ./index.js
+ */
+function createFileOutbox({ dir }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    /**
+     * Get the file for a message ID
+     * IDs can come from admin URLs, so anything but the UUIDs
+     * createOutboxMessage() makes is refused rather than joined into a path.
+     * @param {string} id - Message ID
+     * @returns {string|null} Absolute file path, or null for a malformed ID
+     */
+    const filePath = (id) => (UUID_PATTERN.test(id) ? path.join(dir, `${id}.json`) : null);
+
+    /**
+     * Read every message file
+     * Unreadable files are logged and skipped
+     * @returns {Array<Object>} Messages
+     */
+    function readAll() {
+        const messages = [];
+        for (const file of fs.readdirSync(dir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                messages.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+            } catch (error) {
+                logger.error('Error reading outbox file', { file, error: error.message });
+            }
+        }
+        return messages;
+    }
+
+    function add(message) {
+        const file = filePath(message.id);
+        if (!file) {
+            throw new Error('Invalid message ID');
+        }
+        fs.writeFileSync(file, JSON.stringify(message, null, 2));
+    }
+
+    function get(id) {
+        const file = filePath(id);
+        return file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    function due(now, limit) {
+        const cutoff = now.toISOString();
+        return readAll()
+            .filter((message) => message.status === 'pending' && message.nextAttemptAt <= cutoff)
+            .sort((a, b) => (a.nextAttemptAt < b.nextAttemptAt ? -1 : 1))
+            .slice(0, limit);
+    }
+
+    function claim(message, until) {
+        // Synchronous, so nothing else in this process runs between the
+        // check and the write
+        const current = get(message.id);
+        if (!current || current.status !== 'pending' || current.nextAttemptAt !== message.nextAttemptAt) {
+            return false;
+        }
+        current.nextAttemptAt = until.toISOString();
+        add(current);
+        message.nextAttemptAt = current.nextAttemptAt;
+        return true;
+    }
+
+    function remove(id) {
+        const file = filePath(id);
+        if (file && fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+
+    function list({ status, limit = 100, offset = 0 } = {}) {
+        const matches = readAll()
+            .filter((message) => !status || message.status === status)
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+        return {
+            total: matches.length,
+            messages: matches.slice(offset, offset + limit)
+        };
+    }
+
+    function counts() {
+        const messages = readAll();
+        return {
+            pending: messages.filter((message) => message.status === 'pending').length,
+            dead: messages.filter((message) => message.status === 'dead').length
+        };
+    }
+
+    return { add, get, due, claim, update: add, remove, list, counts };
+}
+
+module.exports = { createFileOutbox };
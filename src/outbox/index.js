@@ -0,0 +1,157 @@
+/**
+ * Email Outbox
+ *
+ * Emails, and the outbound webhooks of ../webhooks, are not sent from
+ * request handlers. They are written to an outbox
+ * together with the state change that caused them, and a background
+ * worker (./worker.js) delivers them, retrying with exponential backoff.
+ * Messages that still fail after OUTBOX_MAX_ATTEMPTS are moved to the
+ * dead-letter list, where admins can inspect and replay them.
+ *
+ * Each request store (../storage) owns an outbox, available as
+ * `store.outbox`, and accepts messages to queue in `save()` and
+ * `createIfNoPending()`. With the sqlite driver the request update and
+ * its messages are written in one transaction.
+ *
+ * Every outbox exposes the same synchronous interface:
+ * - add(message)                       Queue a message
+ * - get(id)                            Message or null
+ * - due(now, limit)                    Pending messages whose nextAttemptAt
+ *                                      has passed, oldest first
+ * - claim(message, until)              Reserve a due message for sending by
+ *                                      pushing nextAttemptAt to `until`;
+ *                                      false if another worker got it first
+ * - update(message)                    Replace a stored message
+ * - remove(id)                         Delete a message (after sending)
+ * - list({ status, limit, offset })    Messages newest first, optionally by
+ *                                      status; returns { total, messages }
+ * - counts()                           { pending, dead }
+ *
+ * A message looks like:
+ *   { id, kind, ref, mail, status: 'pending' | 'dead', attempts,
+ *     nextAttemptAt, lastError, createdAt, updatedAt, deadAt }
+ * where `kind` is the email template name, `ref` the deletion request
+ * token it belongs to (if any) and `mail` the rendered Nodemailer options.
+ * Webhook deliveries have `webhook` ({ subscription, url, format, body })
+ * instead of `mail`, and the event type as `kind`.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Create a message ready to queue
+ * @param {Object} options
+ * @param {string} options.kind - Email template name, e.g. "deletion-confirm",
+ *   or webhook event type
+ * @param {string} [options.ref] - Deletion request token the email belongs to
+ * @param {Object} [options.mail] - Nodemailer mail options from createMail()
+ * @param {Object} [options.webhook] - Webhook delivery, instead of `mail`
+ * @param {Date} [now] - Current time
+ * @returns {Object} Outbox message
+ */
+function createOutboxMessage({ kind, ref = null, mail, webhook }, now = new Date()) {
+    const timestamp = now.toISOString();
+    return {
+        id: uuidv4(),
+        kind,
+        ref,
+        ...(webhook ? { webhook } : { mail }),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: timestamp,
+        lastError: null,
+        createdAt: timestamp,
+        updatedAt: timestamp
+    };
+}
+
+/**
+ * Read the retry policy from the environment
+ * @returns {{maxAttempts: number, baseDelayMs: number}} Policy
+ */
+function getRetryPolicy() {
+    const baseSeconds = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS);
+    return {
+        maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+        baseDelayMs: (Number.isNaN(baseSeconds) ? DEFAULT_RETRY_BASE_SECONDS : baseSeconds) * 1000
+    };
+}
+
+/**
+ * Get the wait before the next attempt, doubling after each failure
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @param {number} baseDelayMs - Wait after the first failure
+ * @returns {number} Delay in milliseconds, at most MAX_RETRY_DELAY_MS
+ */
+function getRetryDelayMs(attempts, baseDelayMs) {
+    return Math.min(baseDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Describe a message for logs (see ../logger.js)
+ * @param {Object} message - Outbox message
+ * @returns {Object} Log fields, e.g. { messageId, channel: 'email',
+ *   kind: 'deletion-confirm', to: 'sara@example.com', request: '3f2a9c1b' }
+ */
+function describeMessage(message) {
+    const fields = message.webhook
+        ? { messageId: message.id, channel: 'webhook', kind: message.kind, subscription: message.webhook.subscription }
+        : { messageId: message.id, channel: 'email', kind: message.kind, to: message.mail.to };
+    if (message.ref) fields.request = message.ref.substring(0, 8);
+    return fields;
+}
+
+/**
+ * Record a failed attempt, scheduling a retry or moving the message to
+ * the dead-letter list once it has used up its attempts
+ * @param {Object} message - Outbox message (modified in place)
+ * @param {Error} error - Send error
+ * @param {Object} policy - From getRetryPolicy()
+ * @param {Date} [now] - Current time
+ * @returns {Object} The updated message
+ */
+function recordFailure(message, error, policy, now = new Date()) {
+    message.attempts += 1;
+    message.lastError = error.message || String(error);
+    message.updatedAt = now.toISOString();
+
+    if (message.attempts >= policy.maxAttempts) {
+        message.status = 'dead';
+        message.deadAt = message.updatedAt;
+    } else {
+        const delayMs = getRetryDelayMs(message.attempts, policy.baseDelayMs);
+        message.nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
+    }
+    return message;
+}
+
+/**
+ * Move a dead message back to the queue with a fresh set of attempts
+ * @param {Object} message - Dead outbox message (modified in place)
+ * @param {string} actor - Who replayed it, e.g. "admin:alice"
+ * @param {Date} [now] - Current time
+ * @returns {Object} The updated message
+ */
+function replayMessage(message, actor, now = new Date()) {
+    message.status = 'pending';
+    message.attempts = 0;
+    message.nextAttemptAt = now.toISOString();
+    message.updatedAt = message.nextAttemptAt;
+    message.replayedAt = message.nextAttemptAt;
+    message.replayedBy = actor;
+    delete message.deadAt;
+    return message;
+}
+
+module.exports = {
+    createOutboxMessage,
+    getRetryPolicy,
+    getRetryDelayMs,
+    describeMessage,
+    recordFailure,
+    replayMessage
+};
@@ -0,0 +1,146 @@
+/**
+ * SQLite Outbox Adapter
+ *
+ * Keeps queued emails in the `email_outbox` table of the request database
+ * (created by the migrations in ../storage/sqliteStore.js). It shares the
+ * request store's connection, so a request update and the emails it queues
+ * commit in the same transaction.
+ *
+ * As with deletion requests, the full message is kept as JSON in the
+ * `data` column and the other columns mirror the fields used in queries.
+ *
+ * @requires better-sqlite3
+ */
+
+/**
+ * Create an outbox on an open request database
+ * @param {import('better-sqlite3').Database} db - Migrated database handle
+ * @returns {Object} Outbox implementing the interface in ./index.js
+ */
+function createSqliteOutbox(db) {
+    const statements = {
+        upsert: db.prepare(`
+            INSERT INTO email_outbox (id, kind, ref, status, attempts, next_attempt_at, created_at, data)
+            VALUES (@id, @kind, @ref, @status, @attempts, @nextAttemptAt, @createdAt, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                status = excluded.status,
+                attempts = excluded.attempts,
+                next_attempt_at = excluded.next_attempt_at,
+                data = excluded.data
+        `),
+        get: db.prepare('SELECT data FROM email_outbox WHERE id = ?'),
+        delete: db.prepare('DELETE FROM email_outbox WHERE id = ?'),
+        due: db.prepare(`
+            SELECT data FROM email_outbox
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at
+            LIMIT ?
+        `),
+        claim: db.prepare(`
+            UPDATE email_outbox SET next_attempt_at = @until
+            WHERE id = @id AND status = 'pending' AND next_attempt_at = @nextAttemptAt
+        `),
+        list: db.prepare(`
+            SELECT data FROM email_outbox
+            WHERE @status IS NULL OR status = @status
+            ORDER BY created_at DESC
+            LIMIT @limit OFFSET @offset
+        `),
+        count: db.prepare('SELECT COUNT(*) AS total FROM email_outbox WHERE @status IS NULL OR status = @status'),
+        counts: db.prepare('SELECT status, COUNT(*) AS total FROM email_outbox GROUP BY status')
+    };
+
+    /**
+     * Map a message onto the statement parameters
+     * @param {Object} message - Outbox message
+     * @returns {Object} Named parameters for the upsert statement
+     */
+    function toRow(message) {
+        return {
+            id: message.id,
+            kind: message.kind,
+            ref: message.ref || null,
+            status: message.status,
+            attempts: message.attempts,
+            nextAttemptAt: message.nextAttemptAt,
+            createdAt: message.createdAt,
+            data: JSON.stringify(message)
+        };
+    }
+
+    function add(message) {
+        statements.upsert.run(toRow(message));
+    }
+
+    function get(id) {
+        const row = statements.get.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    function due(now, limit) {
+        return statements.due.all(now.toISOString(), limit).map((row) => JSON.parse(row.data));
+    }
+
+    const claimTx = db.transaction((message, until) => {
+        const { changes } = statements.claim.run({
+            id: message.id,
+            nextAttemptAt: message.nextAttemptAt,
+            until
+        });
+        if (changes === 0) return false;
+
+        // Keep the JSON copy in step with the column
+        const current = get(message.id);
+        current.nextAttemptAt = until;
+        add(current);
+        return true;
+    });
+
+    function claim(message, until) {
+        // IMMEDIATE so two processes sharing the database can't both claim it
+        const claimed = claimTx.immediate(message, until.toISOString());
+        if (claimed) message.nextAttemptAt = until.toISOString();
+        return claimed;
+    }
+
+    function remove(id) {
+        statements.delete.run(id);
+    }
+
+    function list({ status, limit = 100, offset = 0 } = {}) {
+        const filter = { status: status || null };
+        return {
+            total: statements.count.get(filter).total,
+            messages: statements.list.all({ ...filter, limit, offset }).map((row) => JSON.parse(row.data))
+        };
+    }
+
+    function counts() {
+        const result = { pending: 0, dead: 0 };
+        for (const row of statements.counts.all()) {
+            result[row.status] = row.total;
+        }
+        return result;
+    }
+
+    /**
+     * Insert many messages in one transaction, skipping existing IDs
+     * Used by the JSON import migration, so a message already sent from
+     * the database is not queued again
+     * @param {Array<Object>} messages - Outbox messages
+     * @returns {number} Number of messages inserted
+     */
+    const importMany = db.transaction((messages) => {
+        let inserted = 0;
+        for (const message of messages) {
+            if (statements.get.get(message.id)) continue;
+            add(message);
+            inserted++;
+        }
+        return inserted;
+    });
+
+    return { add, get, due, claim, update: add, remove, list, counts, importMany };
+}
+
+module.exports = { createSqliteOutbox };
@@ -0,0 +1,170 @@
+/**
+ * Outbox Worker
+ *
+ * Background job that delivers queued emails and webhooks (see ./index.js). It checks
+ * the outbox every OUTBOX_POLL_SECONDS (default 10), and right away when
+ * woken after something is queued. Each message is claimed before sending,
+ * so a crash mid-send only delays it until the claim runs out.
+ */
+
+const { getRetryPolicy, describeMessage, recordFailure } = require('./index');
+const { logger } = require('../logger');
+
+const DEFAULT_POLL_SECONDS = 10;
+const BATCH_SIZE = 20;
+const CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Create the outbox worker
+ * @param {Object} deps
+ * @param {Object} deps.outbox - Outbox from the request store
+ * @param {Object} deps.transporter - Nodemailer transporter
+ * @param {Object} [deps.webhooks] - Webhook service for webhook messages (see ../webhooks)
+ * @param {Function} [deps.onSent] - (message) => void, called after delivery
+ * @param {Object} [deps.metrics] - Metrics registry for sent and failed messages (see ../metrics.js)
+ * @param {number} [deps.intervalMs] - How often to check
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {{start: Function, stop: Function, wake: Function, runOnce: Function, send: Function}}
+ */
+function createOutboxWorker({ outbox, transporter, webhooks, onSent, metrics, intervalMs, now = () => new Date() }) {
+    const interval = intervalMs ||
+        (parseInt(process.env.OUTBOX_POLL_SECONDS) || DEFAULT_POLL_SECONDS) * 1000;
+    const policy = getRetryPolicy();
+    let timer = null;
+    let running = null;
+    let wakeQueued = false;
+
+    /**
+     * Send one claimed message and record the outcome
+     * @param {Object} message - Claimed outbox message
+     * @returns {Promise<boolean>} True if sent
+     */
+    async function deliver(message) {
+        try {
+            if (message.webhook) {
+                if (!webhooks) throw new Error('Webhooks are not configured');
+                await webhooks.deliver(message, now());
+            } else {
+                await transporter.sendMail(message.mail);
+            }
+        } catch (error) {
+            recordFailure(message, error, policy, now());
+            outbox.update(message);
+            if (metrics) {
+                if (message.webhook) {
+                    metrics.increment('unitok_webhook_failures_total', { event: message.kind });
+                } else {
+                    metrics.increment('unitok_email_failures_total', { kind: message.kind });
+                }
+            }
+            const fields = { ...describeMessage(message), attempts: message.attempts, error: error.message };
+            if (message.status === 'dead') {
+                logger.error('Message failed; moved to dead letters', fields);
+            } else {
+                logger.warn('Message failed; will retry', { ...fields, nextAttemptAt: message.nextAttemptAt });
+            }
+            return false;
+        }
+
+        outbox.remove(message.id);
+        if (metrics && !message.webhook) metrics.increment('unitok_emails_sent_total', { kind: message.kind });
+        logger.info('Message sent', describeMessage(message));
+
+        if (onSent) {
+            try {
+                onSent(message);
+            } catch (error) {
+                // The email is out, so only the follow-up bookkeeping is lost
+                logger.error('Error after sending message', { ...describeMessage(message), err: error });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Send every message that is due
+     * If a run is already in progress, waits for that one instead.
+     * @returns {Promise<number>} Number of emails sent
+     */
+    function runOnce() {
+        if (!running) {
+            running = deliverDue().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    /**
+     * Claim and send due messages in batches until none are left
+     * @returns {Promise<number>} Number of emails sent
+     */
+    async function deliverDue() {
+        let sent = 0;
+        for (;;) {
+            const at = now();
+            const batch = outbox.due(at, BATCH_SIZE);
+            for (const message of batch) {
+                if (!outbox.claim(message, new Date(at.getTime() + CLAIM_MS))) continue;
+                if (await deliver(message)) sent++;
+            }
+            if (batch.length < BATCH_SIZE) break;
+        }
+        return sent;
+    }
+
+    /**
+     * Send particular messages now, e.g. those a CLI command just queued
+     * Messages another worker has claimed or already sent are skipped, so
+     * this can run next to the server's worker.
+     * @param {Array<string>} ids - Outbox message IDs
+     * @returns {Promise<number>} Number of messages sent
+     */
+    async function send(ids) {
+        let sent = 0;
+        for (const id of ids) {
+            const message = outbox.get(id);
+            if (!message || message.status !== 'pending') continue;
+            if (!outbox.claim(message, new Date(now().getTime() + CLAIM_MS))) continue;
+            if (await deliver(message)) sent++;
+        }
+        return sent;
+    }
+
+    /**
+     * Run once, logging rather than throwing on errors
+     */
+    function tick() {
+        runOnce().catch((error) => logger.error('Outbox run failed', { err: error }));
+    }
+
+    /**
+     * Check the outbox soon, e.g. right after queuing a message
+     */
+    function wake() {
+        if (wakeQueued) return;
+        wakeQueued = true;
+        setImmediate(() => {
+            wakeQueued = false;
+            tick();
+        });
+    }
+
+    function start() {
+        if (timer) return;
+        // Check right away too, for messages queued before a restart
+        tick();
+        timer = setInterval(tick, interval);
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, wake, runOnce, send };
+}
+
+module.exports = { createOutboxWorker };
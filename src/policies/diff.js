@@ -0,0 +1,144 @@
+/**
+ * Policy Text Diff
+ *
+ * Compares two versions of a policy's text, paragraph by paragraph. Each
+ * string in the text catalog is a paragraph, identified by its key path
+ * (e.g. "s3.item2"); markup is stripped so only wording changes show.
+ * Changed paragraphs are compared word by word.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+// Word diffs of paragraphs longer than this (tokens before x after) are
+// shown as a replaced paragraph instead
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Convert a catalog string to plain text
+ * @param {string} html - String that may contain markup
+ * @returns {string} Text with tags removed and whitespace collapsed
+ */
+function toPlainText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * List the paragraphs of a policy text in document order
+ * @param {Object} text - Policy text catalog
+ * @param {string} [prefix] - Key path of `text` inside the catalog
+ * @returns {Array<{key: string, text: string}>} Paragraphs
+ */
+function flattenText(text, prefix = '') {
+    return Object.entries(text).flatMap(([key, value]) => {
+        const path = prefix + key;
+        if (typeof value === 'string') return [{ key: path, text: toPlainText(value) }];
+        return value && typeof value === 'object' ? flattenText(value, `${path}.`) : [];
+    });
+}
+
+/**
+ * Append a part to a diff, joining it to the previous part of the same type
+ * @param {Array<Object>} parts - Diff so far
+ * @param {string} type - "same", "added" or "removed"
+ * @param {string} text - Text of the part
+ */
+function pushPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+}
+
+/**
+ * Compare two paragraphs word by word
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: string, text: string}>} Parts in order, each
+ *   "same", "added" or "removed"
+ */
+function diffWords(before, after) {
+    const a = before.match(/\S+\s*/g) || [];
+    const b = after.match(/\S+\s*/g) || [];
+    const parts = [];
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        if (before) pushPart(parts, 'removed', before);
+        if (after) pushPart(parts, 'added', after);
+        return parts;
+    }
+
+    // Longest common subsequence lengths of every pair of suffixes
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i].trim() === b[j].trim()
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i].trim() === b[j].trim()) {
+            pushPart(parts, 'same', b[j]);
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            // Removed words first, so a replacement reads old then new
+            pushPart(parts, 'removed', a[i]);
+            i++;
+        } else {
+            pushPart(parts, 'added', b[j]);
+            j++;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Compare two versions of a policy text
+ * Removed paragraphs are listed after the paragraph that preceded them.
+ * @param {Object} before - Old text catalog
+ * @param {Object} after - New text catalog
+ * @returns {Array<{key: string, type: string, parts: Array<Object>}>}
+ *   Changed paragraphs in document order; type is "added", "removed" or
+ *   "changed", and parts as from diffWords()
+ */
+function diffTexts(before, after) {
+    const oldParagraphs = flattenText(before);
+    const newParagraphs = flattenText(after);
+    const oldText = new Map(oldParagraphs.map(({ key, text }) => [key, text]));
+    const newKeys = new Set(newParagraphs.map(({ key }) => key));
+
+    // Removed paragraphs, by the key of the surviving paragraph before them
+    const removedAfter = new Map();
+    let anchor = '';
+    for (const { key, text } of oldParagraphs) {
+        if (newKeys.has(key)) {
+            anchor = key;
+        } else {
+            if (!removedAfter.has(anchor)) removedAfter.set(anchor, []);
+            removedAfter.get(anchor).push({ key, type: 'removed', parts: [{ type: 'removed', text }] });
+        }
+    }
+
+    const changes = [...(removedAfter.get('') || [])];
+    for (const { key, text } of newParagraphs) {
+        if (!oldText.has(key)) {
+            changes.push({ key, type: 'added', parts: [{ type: 'added', text }] });
+        } else if (oldText.get(key) !== text) {
+            changes.push({ key, type: 'changed', parts: diffWords(oldText.get(key), text) });
+        }
+        changes.push(...(removedAfter.get(key) || []));
+    }
+    return changes;
+}
+
+module.exports = { toPlainText, flattenText, diffWords, diffTexts };
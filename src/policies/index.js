@@ -0,0 +1,381 @@
+/**
+ * Policy Versions
+ *
+ * The privacy policy and child safety standards, kept as dated versions
+ * so the stable URLs (/pp.html, /csae.html) always show the version in
+ * effect while every earlier one stays readable. content/policies.json
+ * lists each policy with the page that shows it and its versions:
+ *
+ *   { "id": "privacy", "page": "/pp.html", "versions": [
+ *       { "version": "1.1", "effective": "2025-12-01",
+ *         "summary": { "en": "What changed", "ar": "..." } } ] }
+ *
+ * The text of a version is in content/policies/<id>/<effective>/<locale>.json,
+ * with the same keys the page template reads as {{t.key}}; keys missing
+ * from a translation fall back to the English text of that version. The
+ * page's own labels (search box, footer buttons) stay in its catalog.
+ *
+ * A version is current from its effective date (UTC) until the next one
+ * takes effect, so a new version can be published ahead of time. Policy
+ * names are keys of "names" in the "policies" catalog. The files are
+ * validated when loaded; a missing text or malformed entry stops the
+ * server from starting.
+ *
+ * Versions are served at /policies/<id>/<effective>, the changes each
+ * one made at /policies/<id>/<effective>/changes and the version history
+ * at /policies/<id>/history (see ../routes/policies.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCatalog, mergeCatalog, t, localizePath } = require('../i18n');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, formatDate } = require('../locale');
+const { diffTexts } = require('./diff');
+
+const CONTENT_DIR = path.join(__dirname, '..', '..', 'content');
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const POLICY_PATH_PATTERN = /^\/policies\/[a-z][a-z0-9-]*\/(history|\d{4}-\d{2}-\d{2}(\/changes)?)$/;
+
+/**
+ * Get the URL path of a policy page
+ * @param {string} id - Policy ID
+ * @param {...string} parts - Further path segments, e.g. an effective date
+ * @returns {string} e.g. "/policies/privacy/2025-09-23"
+ */
+function getPolicyPath(id, ...parts) {
+    return ['/policies', id, ...parts].join('/');
+}
+
+/**
+ * Check whether a path is one of the dated or history pages of a policy
+ * @param {string} pathname - English path, e.g. "/policies/privacy/history"
+ * @returns {boolean} True if it has the shape of a policy page
+ */
+function isPolicyPath(pathname) {
+    return typeof pathname === 'string' && POLICY_PATH_PATTERN.test(pathname);
+}
+
+/**
+ * Read a version's text in one locale
+ * @param {string} file - Text file path
+ * @returns {Object|null} Text catalog, or null if the file doesn't exist
+ * @throws {Error} If the file is not a JSON object
+ */
+function readText(file) {
+    if (!fs.existsSync(file)) return null;
+    const text = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!text || typeof text !== 'object' || Array.isArray(text)) {
+        throw new Error('must be a JSON object');
+    }
+    return text;
+}
+
+/**
+ * Validate one version and read its text
+ * @param {Object} version - Entry from the policy's "versions" list
+ * @param {string} label - Entry description for error messages
+ * @param {string} textDir - Directory holding the policy's version folders
+ * @returns {{problems: Array<string>, text: Object}} Problems found and the
+ *   text by locale
+ */
+function checkVersion(version, label, textDir) {
+    const problems = [];
+    const text = {};
+
+    if (typeof version.version !== 'string' || !version.version) {
+        problems.push(`${label}: "version" is required`);
+    }
+    if (!DATE_PATTERN.test(version.effective) || Number.isNaN(Date.parse(version.effective))) {
+        problems.push(`${label}: "effective" must be a YYYY-MM-DD date`);
+        return { problems, text };
+    }
+    if (!version.summary || typeof version.summary[DEFAULT_LOCALE] !== 'string') {
+        problems.push(`${label}: "summary" needs an "${DEFAULT_LOCALE}" text`);
+    }
+
+    for (const locale of SUPPORTED_LOCALES) {
+        const file = path.join(textDir, version.effective, `${locale}.json`);
+        try {
+            text[locale] = readText(file);
+        } catch (error) {
+            problems.push(`${label}: ${path.relative(path.dirname(path.dirname(textDir)), file)} ${error.message}`);
+        }
+    }
+    if (text[DEFAULT_LOCALE] === null) {
+        problems.push(`${label}: text not found (expected ${version.effective}/${DEFAULT_LOCALE}.json)`);
+    }
+    return { problems, text };
+}
+
+/**
+ * Validate the policy list, reading the text of every version
+ * @param {Array<Object>} entries - Entries from policies.json
+ * @param {string} dir - Content directory
+ * @returns {{problems: Array<string>, policies: Map<string, Object>}}
+ */
+function readPolicies(entries, dir) {
+    const names = getCatalog(DEFAULT_LOCALE, 'policies').names || {};
+    const problems = [];
+    const policies = new Map();
+
+    entries.forEach((entry, index) => {
+        const label = `policies.json #${index + 1} (${entry.id || 'no id'})`;
+        if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+            problems.push(`${label}: "id" must be lowercase letters, digits and dashes`);
+            return;
+        }
+        if (policies.has(entry.id)) {
+            problems.push(`${label}: duplicate id "${entry.id}"`);
+            return;
+        }
+        if (typeof names[entry.id] !== 'string') {
+            problems.push(`${label}: no name (add "${entry.id}" to "names" in the policies catalogs)`);
+        }
+        if (typeof entry.page !== 'string' || !entry.page.startsWith('/')) {
+            problems.push(`${label}: "page" must be a path such as "/pp.html"`);
+        }
+        if (!Array.isArray(entry.versions) || entry.versions.length === 0) {
+            problems.push(`${label}: "versions" must be a non-empty list`);
+            return;
+        }
+
+        const textDir = path.join(dir, 'policies', entry.id);
+        const seen = new Set();
+        const versions = [];
+        entry.versions.forEach((version, versionIndex) => {
+            const versionLabel = `${label} version #${versionIndex + 1}`;
+            const checked = checkVersion(version, versionLabel, textDir);
+            problems.push(...checked.problems);
+            for (const field of ['version', 'effective']) {
+                if (seen.has(`${field}:${version[field]}`)) {
+                    problems.push(`${versionLabel}: duplicate ${field} "${version[field]}"`);
+                }
+                seen.add(`${field}:${version[field]}`);
+            }
+            versions.push({ ...version, text: checked.text });
+        });
+
+        versions.sort((a, b) => (a.effective < b.effective ? -1 : 1));
+        policies.set(entry.id, { id: entry.id, page: entry.page, versions });
+    });
+
+    return { problems, policies };
+}
+
+/**
+ * Load and validate the policies
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory with policies.json and policies/
+ * @returns {Object} Policies with list(), get(), getVersion(), getCurrent(),
+ *   getStatus(), getText(), getChanges(), describe() and getPageValues()
+ * @throws {Error} Listing every problem found, if any
+ */
+function loadPolicies({ dir = CONTENT_DIR } = {}) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, 'policies.json'), 'utf8'));
+    if (!Array.isArray(data.policies)) {
+        throw new Error('content/policies.json must have a "policies" list');
+    }
+
+    const { problems, policies } = readPolicies(data.policies, dir);
+    if (problems.length > 0) {
+        throw new Error(`Invalid policies:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    /**
+     * List the policies
+     * @returns {Array<{id: string, page: string}>} Policies in manifest order
+     */
+    function list() {
+        return [...policies.values()].map(({ id, page }) => ({ id, page }));
+    }
+
+    /**
+     * Get a policy with its versions, oldest first
+     * @param {string} id - Policy ID
+     * @returns {Object|null} Policy, or null if unknown
+     */
+    function get(id) {
+        return policies.get(id) || null;
+    }
+
+    /**
+     * Get one version of a policy
+     * @param {string} id - Policy ID
+     * @param {string} effective - Effective date of the version
+     * @returns {Object|null} Version, or null if unknown
+     */
+    function getVersion(id, effective) {
+        const policy = get(id);
+        return (policy && policy.versions.find((version) => version.effective === effective)) || null;
+    }
+
+    /**
+     * Get the version in effect
+     * Before the first version takes effect, that version is shown.
+     * @param {string} id - Policy ID
+     * @param {Date} now - Current time
+     * @returns {Object|null} Version, or null if the policy is unknown
+     */
+    function getCurrent(id, now) {
+        const policy = get(id);
+        if (!policy) return null;
+        const today = now.toISOString().slice(0, 10);
+        const effective = policy.versions.filter((version) => version.effective <= today);
+        return effective.length > 0 ? effective[effective.length - 1] : policy.versions[0];
+    }
+
+    /**
+     * Get the version before or after another
+     * @param {string} id - Policy ID
+     * @param {Object} version - Version of that policy
+     * @param {number} step - -1 for the previous version, 1 for the next
+     * @returns {Object|null} Version, or null at either end
+     */
+    function getAdjacent(id, version, step) {
+        const { versions } = get(id);
+        return versions[versions.indexOf(version) + step] || null;
+    }
+
+    /**
+     * Tell whether a version is the current one, an older one or a future one
+     * @param {string} id - Policy ID
+     * @param {Object} version - Version of that policy
+     * @param {Date} now - Current time
+     * @returns {string} "current", "superseded" or "upcoming"
+     */
+    function getStatus(id, version, now) {
+        const current = getCurrent(id, now);
+        if (version === current) return 'current';
+        return version.effective < current.effective ? 'superseded' : 'upcoming';
+    }
+
+    /**
+     * Get the text of a version in a locale
+     * @param {Object} version - Version
+     * @param {string} locale - Supported locale
+     * @returns {Object} Text catalog with English fallbacks
+     */
+    function getText(version, locale) {
+        const english = version.text[DEFAULT_LOCALE];
+        const translated = version.text[locale];
+        return locale === DEFAULT_LOCALE || !translated ? english : mergeCatalog(english, translated);
+    }
+
+    /**
+     * Compare a version with the one before it
+     * @param {string} id - Policy ID
+     * @param {Object} version - Version of that policy
+     * @param {string} locale - Supported locale
+     * @returns {Array<Object>|null} Changed paragraphs from diffTexts(), each
+     *   with the `section` title it belongs to, or null for the first version
+     */
+    function getChanges(id, version, locale) {
+        const previous = getAdjacent(id, version, -1);
+        if (!previous) return null;
+
+        const before = getText(previous, locale);
+        const after = getText(version, locale);
+        return diffTexts(before, after).map((change) => {
+            const [section, field] = change.key.split('.');
+            const text = after[section] || before[section];
+            const title = field && field !== 'title' && text && typeof text.title === 'string'
+                ? text.title.replace(/<[^>]*>/g, '')
+                : null;
+            return { ...change, section: title };
+        });
+    }
+
+    /**
+     * Describe a version for pages, emails and the API
+     * @param {string} id - Policy ID
+     * @param {Object} version - Version of that policy
+     * @param {string} locale - Supported locale
+     * @param {Date} now - Current time
+     * @returns {Object} Version label, dates, summary, status and URL paths
+     */
+    function describe(id, version, locale, now) {
+        const previous = getAdjacent(id, version, -1);
+        return {
+            version: version.version,
+            effective: version.effective,
+            effectiveDate: formatDate(version.effective, locale),
+            summary: version.summary[locale] || version.summary[DEFAULT_LOCALE],
+            status: getStatus(id, version, now),
+            url: localizePath(locale, getPolicyPath(id, version.effective)),
+            changesUrl: previous ? localizePath(locale, getPolicyPath(id, version.effective, 'changes')) : null
+        };
+    }
+
+    /**
+     * Get the values for a policy page template
+     * The stable page shows the current version and announces an upcoming
+     * one; a dated page says how the version it shows relates to the
+     * current one.
+     * @param {string} id - Policy ID
+     * @param {Object} version - Version to show
+     * @param {string} locale - Supported locale
+     * @param {Date} now - Current time
+     * @param {Object} [options]
+     * @param {boolean} [options.archived] - For a dated page
+     * @returns {{text: Object, values: Object}} Text to merge over the page
+     *   catalog and the page's placeholder values
+     */
+    function getPageValues(id, version, locale, now, { archived = false } = {}) {
+        const policy = get(id);
+        const info = describe(id, version, locale, now);
+        const current = getCurrent(id, now);
+        const next = getAdjacent(id, current, 1);
+        const link = (key, url) => ({ url, label: t(locale, `policies.notice.${key}`) });
+        const currentUrl = localizePath(locale, policy.page);
+        let notice = null;
+
+        if (!archived && next) {
+            const upcoming = describe(id, next, locale, now);
+            notice = {
+                message: t(locale, 'policies.notice.upcoming', upcoming),
+                links: [link('readNew', upcoming.url), link('whatChanges', upcoming.changesUrl)]
+            };
+        } else if (archived && info.status === 'current') {
+            notice = {
+                message: t(locale, 'policies.notice.current', info),
+                links: [link('readCurrent', currentUrl)]
+            };
+        } else if (archived && info.status === 'superseded') {
+            const replacement = getAdjacent(id, version, 1);
+            notice = {
+                message: t(locale, 'policies.notice.superseded', {
+                    ...info,
+                    replacedDate: formatDate(replacement.effective, locale)
+                }),
+                links: [link('readCurrent', currentUrl), link('history', localizePath(locale, getPolicyPath(id, 'history')))]
+            };
+        } else if (archived) {
+            notice = {
+                message: t(locale, 'policies.notice.scheduled', info),
+                links: [link('readCurrent', currentUrl), link('whatChanges', info.changesUrl)]
+            };
+        }
+
+        if (notice) {
+            // The first version has no changes to link to
+            notice.links = notice.links.filter((item) => item.url);
+        }
+
+        return {
+            text: getText(version, locale),
+            values: {
+                effectiveDate: info.effectiveDate,
+                policyVersion: info.version,
+                policyNotice: notice,
+                archived,
+                historyUrl: localizePath(locale, getPolicyPath(id, 'history')),
+                historyLabel: t(locale, 'policies.notice.history')
+            }
+        };
+    }
+
+    return { list, get, getVersion, getCurrent, getStatus, getText, getChanges, describe, getPageValues };
+}
+
+module.exports = { loadPolicies, getPolicyPath, isPolicyPath };
@@ -0,0 +1,207 @@
+/**
+ * Policy Update Notifications
+ *
+ * Emails the addresses in POLICY_CONTACTS when a new policy version takes
+ * effect (see ./index.js). Entries are comma-separated addresses, each
+ * optionally prefixed with the language to write in, e.g.
+ * "legal@unitokapp.com,ar:support@unitokapp.com"; English is the default.
+ * Without contacts the job does nothing.
+ *
+ * Only the version in effect is announced, and only if it replaced an
+ * earlier one. Announcements are recorded in a notice log in the data
+ * directory, so each version is announced once however often the job
+ * runs or the server restarts. Emails are queued before the version is
+ * recorded: a crash in between sends them again rather than never.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMail } = require('../emails');
+const { createOutboxMessage } = require('../outbox');
+const { t, localizePath } = require('../i18n');
+const { DATA_DIR } = require('../storage');
+const { DEFAULT_LOCALE, isSupportedLocale } = require('../locale');
+const { logger } = require('../logger');
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+const EMAIL_PATTERN = /^[^\s@,:]+@[^\s@,:]+\.[^\s@,:]+$/;
+
+/**
+ * Read the addresses to notify from POLICY_CONTACTS
+ * @returns {Array<{email: string, locale: string}>} Contacts
+ * @throws {Error} If an entry is not an address or names an unsupported language
+ */
+function getPolicyContacts() {
+    const value = process.env.POLICY_CONTACTS || '';
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        const locale = separator > 0 ? entry.slice(0, separator) : DEFAULT_LOCALE;
+        const email = entry.slice(separator + 1);
+
+        if (!isSupportedLocale(locale) || !EMAIL_PATTERN.test(email)) {
+            throw new Error(`Invalid POLICY_CONTACTS entry "${entry}" (expected an email address, optionally prefixed with a language such as "ar:")`);
+        }
+        return { email, locale };
+    });
+}
+
+/**
+ * Create the log of announced policy versions
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file (default data/policy-notices.json)
+ * @returns {{has: Function, record: Function, list: Function}}
+ */
+function createNoticeLog({ file = path.join(DATA_DIR, 'policy-notices.json') } = {}) {
+    /**
+     * Read every recorded announcement
+     * @returns {Array<Object>} { policy, version, effective, recipients, notifiedAt }
+     */
+    function list() {
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).notices : [];
+    }
+
+    /**
+     * Check whether a version was announced
+     * @param {string} policy - Policy ID
+     * @param {string} effective - Effective date of the version
+     * @returns {boolean} True if recorded
+     */
+    function has(policy, effective) {
+        return list().some((notice) => notice.policy === policy && notice.effective === effective);
+    }
+
+    /**
+     * Record an announcement
+     * Written to a temporary file first so a crash never leaves half a log
+     * @param {Object} notice - { policy, version, effective, recipients, notifiedAt }
+     */
+    function record(notice) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ notices: [...list(), notice] }, null, 2));
+        fs.renameSync(temporary, file);
+    }
+
+    return { has, record, list };
+}
+
+/**
+ * Build the email announcing a policy version
+ * @param {Object} policies - Policies from loadPolicies()
+ * @param {string} id - Policy ID
+ * @param {Object} version - Version that took effect
+ * @param {{email: string, locale: string}} contact - Recipient
+ * @param {string} baseUrl - Public base URL
+ * @param {Date} now - Current time
+ * @returns {Object} Outbox message
+ */
+function buildPolicyUpdatedMail(policies, id, version, contact, baseUrl, now) {
+    const { locale } = contact;
+    const info = policies.describe(id, version, locale, now);
+    return createOutboxMessage({
+        kind: 'policy-updated',
+        mail: createMail('policy-updated', {
+            to: contact.email,
+            locale,
+            values: {
+                policyName: t(locale, `policies.names.${id}`),
+                version: info.version,
+                effectiveDate: info.effectiveDate,
+                summary: info.summary,
+                policyLink: baseUrl + localizePath(locale, policies.get(id).page),
+                changesLink: baseUrl + info.changesUrl
+            }
+        })
+    }, now);
+}
+
+/**
+ * Create the background job that announces new policy versions
+ * @param {Object} deps
+ * @param {Object} deps.policies - Policies from loadPolicies()
+ * @param {Object} deps.outbox - Outbox to queue the emails in
+ * @param {Object} [deps.noticeLog] - Announced versions (default: createNoticeLog())
+ * @param {Function} deps.getBaseUrl - () => public base URL for emailed links
+ * @param {Function} [deps.onQueued] - Called after emails were queued
+ * @param {number} [deps.intervalMs] - How often to check
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {{start: Function, stop: Function, runOnce: Function}}
+ */
+function createPolicyNotifier({
+    policies,
+    outbox,
+    noticeLog = createNoticeLog(),
+    getBaseUrl,
+    onQueued = () => {},
+    intervalMs,
+    now = () => new Date()
+}) {
+    const interval = intervalMs ||
+        (parseInt(process.env.POLICY_CHECK_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+    let timer = null;
+    let running = false;
+
+    /**
+     * Announce every policy version that took effect and wasn't announced yet
+     * @returns {Promise<number>} Number of emails queued
+     */
+    async function runOnce() {
+        if (running) return 0;
+        running = true;
+
+        try {
+            const contacts = getPolicyContacts();
+            if (contacts.length === 0) return 0;
+
+            const at = now();
+            let queued = 0;
+            for (const { id } of policies.list()) {
+                const version = policies.getCurrent(id, at);
+                const isFirst = policies.get(id).versions[0] === version;
+                if (isFirst || noticeLog.has(id, version.effective)) continue;
+
+                try {
+                    const messages = contacts.map((contact) =>
+                        buildPolicyUpdatedMail(policies, id, version, contact, getBaseUrl(), at));
+                    messages.forEach(outbox.add);
+                    noticeLog.record({
+                        policy: id,
+                        version: version.version,
+                        effective: version.effective,
+                        recipients: contacts.length,
+                        notifiedAt: at.toISOString()
+                    });
+                    queued += contacts.length;
+                    logger.info('Policy update announced', { policy: id, version: version.version, recipients: contacts.length });
+                } catch (error) {
+                    // Left unrecorded so the next run retries it
+                    logger.error('Error announcing policy update', { policy: id, version: version.version, error: error.message });
+                }
+            }
+
+            if (queued > 0) onQueued();
+            return queued;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        const tick = () => runOnce().catch((error) => logger.error('Policy update check failed', { err: error }));
+        // Check right away too, in case a version took effect while we were down
+        tick();
+        timer = setInterval(tick, interval);
+        // Don't keep the process alive just for this timer
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { getPolicyContacts, createNoticeLog, createPolicyNotifier };
@@ -0,0 +1,47 @@
+/**
+ * Rate Limit Storage
+ *
+ * Builds the hit store selected by RATE_LIMIT_STORE:
+ * - `memory` (default) per-process sliding log
+ * - `sqlite` persistent sliding log in the database at SQLITE_PATH
+ *
+ * Every store exposes the same synchronous interface:
+ * - consume(key, windowMs, max, [now])  Record a hit unless `key` already has
+ *                                       `max` hits in the last `windowMs`.
+ *                                       Returns { allowed, remaining } or
+ *                                       { allowed: false, retryAfterMs }
+ * - reset()                             Forget all hits
+ * - close()                             Release underlying resources
+ *
+ * Rejected attempts are not recorded, so a blocked client can try again as
+ * soon as its oldest hit leaves the window.
+ */
+
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createSqliteStore } = require('./sqliteStore');
+const { DATA_DIR } = require('../storage');
+
+/**
+ * Create the rate limit store configured in the environment
+ * @param {Object} [options]
+ * @param {string} [options.driver] - Overrides RATE_LIMIT_STORE
+ * @param {string} [options.filename] - Database path for the sqlite driver
+ * @returns {Object} Hit store
+ */
+function createRateLimitStore(options = {}) {
+    const driver = options.driver || process.env.RATE_LIMIT_STORE || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return createMemoryStore();
+        case 'sqlite':
+            return createSqliteStore({
+                filename: options.filename || process.env.SQLITE_PATH || path.join(DATA_DIR, 'unitok.db')
+            });
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${driver}" (expected "memory" or "sqlite")`);
+    }
+}
+
+module.exports = { createRateLimitStore };
@@ -0,0 +1,53 @@
+/**
+ * In-Memory Rate Limit Store
+ *
+ * Keeps a sliding log of hit timestamps per key in process memory.
+ * Counts reset when the server restarts and aren't shared between
+ * instances; use the SQLite store when either matters.
+ */
+
+/**
+ * Create an in-memory hit store
+ * @param {Object} [options]
+ * @param {number} [options.sweepIntervalMs=60000] - How often to drop idle keys
+ * @returns {Object} Store implementing the interface in ./index.js
+ */
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const hits = new Map();
+    let longestWindowMs = 0;
+
+    function consume(key, windowMs, max, now = Date.now()) {
+        longestWindowMs = Math.max(longestWindowMs, windowMs);
+        const log = (hits.get(key) || []).filter((at) => at > now - windowMs);
+
+        if (log.length >= max) {
+            hits.set(key, log);
+            return { allowed: false, retryAfterMs: log[0] + windowMs - now };
+        }
+
+        log.push(now);
+        hits.set(key, log);
+        return { allowed: true, remaining: max - log.length };
+    }
+
+    // Drop keys with no hits inside any window so memory stays bounded
+    const sweeper = setInterval(() => {
+        const cutoff = Date.now() - longestWindowMs;
+        for (const [key, log] of hits) {
+            if (log[log.length - 1] <= cutoff) hits.delete(key);
+        }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    function reset() {
+        hits.clear();
+    }
+
+    function close() {
+        clearInterval(sweeper);
+    }
+
+    return { driver: 'memory', consume, reset, close };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,89 @@
+/**
+ * SQLite Rate Limit Store
+ *
+ * Keeps the sliding log of hits in a SQLite table so limits survive
+ * restarts and apply across processes sharing the database file. Each
+ * check-and-record runs in an IMMEDIATE transaction.
+ *
+ * A check only prunes its own key, so a sweep on a timer deletes hits
+ * older than the longest window seen, including those of keys that
+ * never come back.
+ *
+ * @requires better-sqlite3
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a SQLite-backed hit store
+ * @param {Object} options
+ * @param {string} options.filename - Database file path (or ':memory:')
+ * @param {number} [options.sweepIntervalMs=60000] - How often to delete old hits
+ * @returns {Object} Store implementing the interface in ./index.js
+ */
+function createSqliteStore({ filename, sweepIntervalMs = 60 * 1000 }) {
+    // Loaded lazily so the memory driver works without the native module
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS rate_limit_hits (
+            key TEXT NOT NULL,
+            at  INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_key_at ON rate_limit_hits (key, at);
+    `);
+
+    const statements = {
+        prune: db.prepare('DELETE FROM rate_limit_hits WHERE key = ? AND at <= ?'),
+        sweep: db.prepare('DELETE FROM rate_limit_hits WHERE at <= ?'),
+        window: db.prepare('SELECT COUNT(*) AS count, MIN(at) AS oldest FROM rate_limit_hits WHERE key = ?'),
+        insert: db.prepare('INSERT INTO rate_limit_hits (key, at) VALUES (?, ?)'),
+        clear: db.prepare('DELETE FROM rate_limit_hits')
+    };
+
+    const consumeTx = db.transaction((key, windowMs, max, now) => {
+        statements.prune.run(key, now - windowMs);
+        const { count, oldest } = statements.window.get(key);
+
+        if (count >= max) {
+            return { allowed: false, retryAfterMs: oldest + windowMs - now };
+        }
+
+        statements.insert.run(key, now);
+        return { allowed: true, remaining: max - count - 1 };
+    });
+
+    let longestWindowMs = 0;
+
+    function consume(key, windowMs, max, now = Date.now()) {
+        longestWindowMs = Math.max(longestWindowMs, windowMs);
+        return consumeTx.immediate(key, windowMs, max, now);
+    }
+
+    // Nothing to sweep until this process has seen a window
+    const sweeper = setInterval(() => {
+        if (longestWindowMs > 0) statements.sweep.run(Date.now() - longestWindowMs);
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    function reset() {
+        statements.clear.run();
+    }
+
+    function close() {
+        clearInterval(sweeper);
+        db.close();
+    }
+
+    return { driver: 'sqlite', consume, reset, close };
+}
+
+module.exports = { createSqliteStore };
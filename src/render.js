@@ -0,0 +1,191 @@
+/**
+ * HTML Page Rendering
+ *
+ * Fills placeholders in the static HTML pages that need per-request
+ * values, such as the cancel link on the confirmation page. Email
+ * templates (src/emails) use the same syntax.
+ *
+ * - {{name}}               Value, HTML-escaped
+ * - {{a.b}}                Nested value, e.g. a translation in {{t.title}}
+ * - {{{name}}}             Value inserted as-is (only for trusted HTML)
+ * - {{#name}}...{{/name}}  Block kept only when the value is truthy; for a
+ *                          list, repeated per item with the item's fields
+ *                          (or the item itself as {{.}}) in scope
+ * - {{^name}}...{{/name}}  Block kept only when the value is falsy or an
+ *                          empty list
+ *
+ * Page files (renderFile) can also pull in shared markup from views/:
+ *
+ * - {{> partials/footer}}  Another template, inserted in place
+ * - {{<layouts/base}}      Another template, with the blocks it declares
+ *   {{$body}}...{{/body}}  replaced by the ones given here; blocks that
+ *   {{/layouts/base}}      aren't given keep their default content
+ * - {{$name}}...{{/name}}  Block a page can replace, with default content
+ *
+ * Partials and blocks are resolved before any value is filled in, so they
+ * see the same values as the page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+// Partials including partials deeper than this are taken to be a loop
+const MAX_INCLUDE_DEPTH = 10;
+
+const INCLUDE_PATTERN = /\{\{<([\w./-]+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{>\s*([\w./-]+)\s*\}\}/g;
+const BLOCK_PATTERN = /\{\{\$([\w-]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+
+/**
+ * Convert a placeholder value to text
+ * @param {*} value - Value to convert
+ * @returns {string} String form, empty for null or undefined
+ */
+function toText(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Look up a placeholder value, following dots into nested objects
+ * @param {Object} values - Placeholder values
+ * @param {string} name - Name such as "email" or "t.hero.title"
+ * @returns {*} Value, or undefined if any part is missing
+ */
+function lookup(values, name) {
+    if (name === '.') return values['.'];
+    return name.split('.').reduce((value, key) =>
+        (value === undefined || value === null ? undefined : value[key]), values);
+}
+
+/**
+ * Escape a value for safe use in HTML text and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+    return toText(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the values in scope for one item of a list section
+ * @param {Object} values - Values around the section
+ * @param {*} item - List item
+ * @returns {Object} Values with the item's fields (or the item as ".") added
+ */
+function itemScope(values, item) {
+    return item && typeof item === 'object' ? { ...values, ...item } : { ...values, '.': item };
+}
+
+/**
+ * Render a template string
+ * @param {string} template - Template with placeholders
+ * @param {Object} values - Placeholder values
+ * @param {Object} [options]
+ * @param {boolean} [options.escape=true] - HTML-escape {{name}} values; turn off for plain text
+ * @returns {string} Rendered output
+ */
+function renderTemplate(template, values, options = {}) {
+    const format = options.escape === false ? toText : escapeHtml;
+    // One pass, so inserted values are never scanned for placeholders;
+    // section blocks are rendered on their own, which allows nesting
+    return template.replace(
+        /\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{\{([\w.]+|\.)\}\}\}|\{\{([\w.]+|\.)\}\}/g,
+        (match, type, section, block, raw, name) => {
+            if (section) {
+                const value = lookup(values, section);
+                const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+                if (type === '^') return isEmpty ? renderTemplate(block, values, options) : '';
+                if (isEmpty) return '';
+                return Array.isArray(value)
+                    ? value.map((item) => renderTemplate(block, itemScope(values, item), options)).join('')
+                    : renderTemplate(block, values, options);
+            }
+            return raw ? toText(lookup(values, raw)) : format(lookup(values, name));
+        });
+}
+
+/**
+ * Read a partial or layout from views/
+ * @param {string} name - Name relative to views/, without ".html"
+ * @returns {string} Template
+ * @throws {Error} If there is no such template
+ */
+function readView(name) {
+    const file = path.join(VIEWS_DIR, `${name}.html`);
+    if (!file.startsWith(VIEWS_DIR + path.sep) || !fs.existsSync(file)) {
+        throw new Error(`Template not found: ${name} (expected views/${name}.html)`);
+    }
+    // Without the final newline, so a partial fits on its tag's line
+    return fs.readFileSync(file, 'utf8').replace(/\n$/, '');
+}
+
+/**
+ * Insert the partials and layouts a template refers to
+ * Blocks are left in place, so a layout's blocks can still be replaced by
+ * the template that extends it; see resolveBlocks().
+ * @param {string} template - Template text
+ * @param {number} [depth] - How many templates deep this one is
+ * @returns {string} Template without {{> }} or {{< }} tags
+ * @throws {Error} If a template is missing or templates include each other
+ */
+function expandTemplate(template, depth = 0) {
+    if (depth > MAX_INCLUDE_DEPTH) {
+        throw new Error(`Templates nested more than ${MAX_INCLUDE_DEPTH} deep (does a partial include itself?)`);
+    }
+    return template.replace(INCLUDE_PATTERN, (match, parent, blocks, partial) => {
+        if (partial) return expandTemplate(readView(partial), depth + 1);
+
+        const given = new Map();
+        for (const [, name, content] of blocks.matchAll(BLOCK_PATTERN)) {
+            given.set(name, expandTemplate(content, depth + 1));
+        }
+        return expandTemplate(readView(parent), depth + 1).replace(BLOCK_PATTERN, (block, name) =>
+            (given.has(name) ? `{{$${name}}}${given.get(name)}{{/${name}}}` : block));
+    });
+}
+
+/**
+ * Replace the blocks left in an expanded template with their content
+ * @param {string} template - Template from expandTemplate()
+ * @returns {string} Template without {{$ }} tags
+ */
+function resolveBlocks(template) {
+    let resolved = template;
+    let previous;
+    // Blocks can hold blocks, so repeat until none are left
+    do {
+        previous = resolved;
+        resolved = resolved.replace(BLOCK_PATTERN, (block, name, content) => content);
+    } while (resolved !== previous);
+    return resolved;
+}
+
+/**
+ * Render an HTML file
+ * @param {string} filePath - Absolute path to the template file
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered HTML
+ * @throws {Error} If a partial or layout it refers to is missing
+ */
+function renderFile(filePath, values) {
+    const template = resolveBlocks(expandTemplate(fs.readFileSync(filePath, 'utf8')));
+    return renderTemplate(template, values);
+}
+
+/**
+ * Render a template from views/
+ * @param {string} name - Name relative to views/, e.g. "message"
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered HTML
+ */
+function renderView(name, values) {
+    return renderFile(path.join(VIEWS_DIR, `${name}.html`), values);
+}
+
+module.exports = { VIEWS_DIR, escapeHtml, renderTemplate, renderFile, renderView };
@@ -0,0 +1,264 @@
+/**
+ * Reports and Contact Requests
+ *
+ * Everything POST /api/reports (see ../routes/reports.js) needs to turn a
+ * form submission into a ticket:
+ *
+ * - Categories, and who each one is routed to:
+ *     general  General support      SUPPORT_EMAIL
+ *     safety   Child safety (CSAE)  SAFETY_EMAIL, flagged priority and restricted
+ *     legal    Legal                LEGAL_EMAIL, or SUPPORT_EMAIL when unset
+ * - Ticket IDs, e.g. UT-7K3Q9D2M, emailed to the reporter
+ * - Validation of the submitted fields and attachments
+ *
+ * Attachments arrive base64-encoded in the JSON body. Their type is read
+ * from the file contents, not from what the browser claims, and only
+ * images and PDFs are kept. REPORT_MAX_ATTACHMENTS (default 3) and
+ * REPORT_ATTACHMENT_MAX_MB (default 5, per file) bound them.
+ *
+ * Restricted reports are stored like the others (see
+ * ../storage/reportStore.js) but their contents are kept out of the admin
+ * API and their attachments out of email: only the safety contact
+ * handles them.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+/**
+ * Report categories: the variable naming their recipient, the variable
+ * used when that one is unset, and the flags stored with their reports
+ */
+const REPORT_CATEGORIES = {
+    general: { label: 'General Support', recipient: 'SUPPORT_EMAIL' },
+    safety: { label: 'Child Safety', recipient: 'SAFETY_EMAIL', fallback: 'SUPPORT_EMAIL', priority: true, restricted: true },
+    legal: { label: 'Legal', recipient: 'LEGAL_EMAIL', fallback: 'SUPPORT_EMAIL' }
+};
+
+/**
+ * Attachment types we keep, recognised by the bytes they start with
+ */
+const ATTACHMENT_TYPES = [
+    { type: 'image/png', extension: 'png', matches: (data) => data.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')) },
+    { type: 'image/jpeg', extension: 'jpg', matches: (data) => data.subarray(0, 3).equals(Buffer.from('ffd8ff', 'hex')) },
+    { type: 'image/gif', extension: 'gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+    { type: 'image/webp', extension: 'webp', matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { type: 'application/pdf', extension: 'pdf', matches: (data) => data.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+// Crockford's base32, without the letters that read like digits
+const TICKET_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TICKET_LENGTH = 8;
+const TICKET_PATTERN = new RegExp(`^UT-[${TICKET_ALPHABET}]{${TICKET_LENGTH}}$`);
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_FILENAME_LENGTH = 100;
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Read the attachment limits from the environment
+ * @returns {{maxAttachments: number, maxAttachmentMb: number, maxAttachmentBytes: number}}
+ */
+function getReportSettings() {
+    const maxAttachments = parseInt(process.env.REPORT_MAX_ATTACHMENTS);
+    const maxAttachmentMb = parseFloat(process.env.REPORT_ATTACHMENT_MAX_MB) || 5;
+    return {
+        maxAttachments: Number.isNaN(maxAttachments) ? 3 : Math.max(maxAttachments, 0),
+        maxAttachmentMb,
+        maxAttachmentBytes: Math.floor(maxAttachmentMb * 1024 * 1024)
+    };
+}
+
+/**
+ * Get the largest JSON body POST /api/reports accepts
+ * Room for every attachment at its largest, base64-encoded, plus the text fields
+ * @returns {number} Bytes
+ */
+function getReportBodyLimit() {
+    const { maxAttachments, maxAttachmentBytes } = getReportSettings();
+    return Math.ceil(maxAttachments * maxAttachmentBytes * 4 / 3) + 64 * 1024;
+}
+
+/**
+ * Get the address reports in a category are sent to
+ * @param {string} category - Key of REPORT_CATEGORIES
+ * @returns {string|undefined} Email address
+ */
+function getReportRecipient(category) {
+    const { recipient, fallback } = REPORT_CATEGORIES[category];
+    return process.env[recipient] || (fallback && process.env[fallback]);
+}
+
+/**
+ * Warn about categories whose own recipient is not configured
+ * Called once at startup; their reports still go to the fallback address.
+ */
+function checkReportRecipients() {
+    if (!process.env.SAFETY_EMAIL) {
+        logger.warn('SAFETY_EMAIL is not set; child safety reports will be sent to SUPPORT_EMAIL');
+    }
+}
+
+// ============================================================================
+// TICKETS
+// ============================================================================
+
+/**
+ * Generate a ticket ID
+ * @returns {string} e.g. "UT-7K3Q9D2M"
+ */
+function createTicketId() {
+    const bytes = crypto.randomBytes(TICKET_LENGTH);
+    let id = '';
+    for (const byte of bytes) {
+        id += TICKET_ALPHABET[byte % TICKET_ALPHABET.length];
+    }
+    return `UT-${id}`;
+}
+
+/**
+ * Check that a string is shaped like a ticket ID
+ * @param {string} value - Candidate ID
+ * @returns {boolean} True for IDs from createTicketId()
+ */
+function isTicketId(value) {
+    return typeof value === 'string' && TICKET_PATTERN.test(value);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Build the error thrown for an unacceptable submission
+ * @param {string} key - Message under "api", e.g. "invalidEmail"
+ * @param {Object} [values] - Placeholder values for the message
+ * @returns {Error} Error with code INVALID_REPORT
+ */
+function invalidReport(key, values = {}) {
+    return Object.assign(new Error(`Invalid report: ${key}`), { code: 'INVALID_REPORT', key, values });
+}
+
+/**
+ * Read an optional text field, trimmed
+ * @param {*} value - Submitted value
+ * @returns {string} Text, or '' when missing
+ */
+function readText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Make a submitted file name safe to store and show
+ * @param {*} name - Submitted name
+ * @param {number} index - Position of the file, for unnamed ones
+ * @param {string} extension - Extension matching the detected type
+ * @returns {string} Name without paths or control characters, ending in the extension
+ */
+function cleanFilename(name, index, extension) {
+    const base = readText(name).split(/[\\/]/).pop()
+        .replace(/[\u0000-\u001f\u007f"]/g, '')
+        .replace(/\.[^.]*$/, '')
+        .substring(0, MAX_FILENAME_LENGTH);
+    return `${base || `attachment-${index + 1}`}.${extension}`;
+}
+
+/**
+ * Decode and check the submitted attachments
+ * @param {*} attachments - Array of { name, data } with base64 data, or nothing
+ * @param {Object} settings - Limits from getReportSettings()
+ * @returns {Array<{name: string, type: string, size: number, data: Buffer}>} Files
+ * @throws {Error} With code INVALID_REPORT for too many, too large or unsupported files
+ */
+function parseAttachments(attachments, settings) {
+    if (attachments === undefined || attachments === null) return [];
+    if (!Array.isArray(attachments)) throw invalidReport('invalidAttachment', { name: '' });
+    if (attachments.length > settings.maxAttachments) {
+        throw invalidReport('tooManyAttachments', { max: settings.maxAttachments });
+    }
+
+    return attachments.map((attachment, index) => {
+        const name = readText(attachment && attachment.name);
+        const encoded = attachment && typeof attachment.data === 'string' ? attachment.data : '';
+        const data = Buffer.from(encoded.replace(/^data:[^,]*,/, ''), 'base64');
+
+        if (data.length === 0) throw invalidReport('invalidAttachment', { name });
+        if (data.length > settings.maxAttachmentBytes) {
+            throw invalidReport('attachmentTooLarge', { name, maxMb: settings.maxAttachmentMb });
+        }
+
+        const format = ATTACHMENT_TYPES.find((candidate) => candidate.matches(data));
+        if (!format) throw invalidReport('invalidAttachment', { name });
+
+        return { name: cleanFilename(name, index, format.extension), type: format.type, size: data.length, data };
+    });
+}
+
+/**
+ * Check a submitted report and pick out its fields
+ * @param {Object} body - Parsed request body
+ * @param {Object} [settings] - Limits (default: getReportSettings())
+ * @returns {{category: string, email: string, name: string, subject: string,
+ *   message: string, attachments: Array<Object>}} Report fields and decoded files
+ * @throws {Error} With code INVALID_REPORT and the "api" message `key` to answer with
+ */
+function parseReport(body, settings = getReportSettings()) {
+    const category = readText(body.category);
+    if (!Object.hasOwn(REPORT_CATEGORIES, category)) throw invalidReport('invalidCategory');
+
+    const email = readText(body.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw invalidReport('invalidEmail');
+
+    const name = readText(body.name).substring(0, MAX_NAME_LENGTH);
+    const subject = readText(body.subject).substring(0, MAX_SUBJECT_LENGTH);
+    const message = readText(body.message);
+    if (!message) throw invalidReport('missingMessage');
+    if (message.length > MAX_MESSAGE_LENGTH) throw invalidReport('messageTooLong', { max: MAX_MESSAGE_LENGTH });
+
+    return { category, email, name, subject, message, attachments: parseAttachments(body.attachments, settings) };
+}
+
+/**
+ * Build the stored record for a report
+ * @param {Object} fields - Result of parseReport()
+ * @param {Object} context
+ * @param {string} context.ticketId - Ticket ID
+ * @param {string} context.locale - Language of the submission
+ * @param {string} [context.ip] - Client address
+ * @param {Date} context.at - Time of submission
+ * @returns {Object} Report, with attachment details but not their contents
+ */
+function createReport({ category, email, name, subject, message, attachments }, { ticketId, locale, ip, at }) {
+    const { priority = false, restricted = false } = REPORT_CATEGORIES[category];
+    return {
+        ticketId,
+        category,
+        priority,
+        restricted,
+        email,
+        name,
+        subject,
+        message,
+        locale,
+        ip,
+        createdAt: at.toISOString(),
+        attachments: attachments.map(({ name: filename, type, size }) => ({ name: filename, type, size }))
+    };
+}
+
+module.exports = {
+    REPORT_CATEGORIES,
+    getReportSettings,
+    getReportBodyLimit,
+    getReportRecipient,
+    checkReportRecipients,
+    createTicketId,
+    isTicketId,
+    parseReport,
+    createReport
+};
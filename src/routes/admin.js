@@ -0,0 +1,450 @@
+/**
+ * Admin Routes
+ *
+ * Dashboard and JSON API for support staff to review deletion requests
+ * and record what happened to them after confirmation.
+ *
+ * - GET  /admin                               Dashboard page
+ * - GET  /admin/api/requests                  List (?status=&q=&limit=&offset=)
+ * - GET  /admin/api/requests/:token           Request details and history
+ * - POST /admin/api/requests/:token/start     Move to in_progress
+ * - POST /admin/api/requests/:token/complete  Move to completed, email the user
+ * - POST /admin/api/requests/:token/cancel    Move to cancelled
+ * - GET  /admin/api/outbox                    Queued and failed emails and webhooks
+ *                                             (?status=pending|dead&limit=&offset=)
+ * - GET  /admin/api/outbox/:id                One message, including its body
+ * - POST /admin/api/outbox/:id/replay         Queue a failed message again
+ * - GET  /admin/api/reports                   Contact form reports (?category=&limit=&offset=)
+ * - GET  /admin/api/reports/:ticket           One report
+ * - GET  /admin/api/reports/:ticket/attachments/:index
+ *                                             Download an attachment (0-based)
+ *
+ * Requests can't be started or completed while the user's grace period
+ * is still open (see gracePeriod.js).
+ *
+ * Restricted reports (child safety, see reports/index.js) only appear in
+ * the list as their ticket and category: their contents, attachments and
+ * the email that carried them to SAFETY_EMAIL stay out of this API.
+ *
+ * All routes require admin credentials (see middleware/adminAuth.js), and
+ * the POST routes the CSRF token the dashboard page carries (see
+ * middleware/csrf.js), since browsers resend Basic credentials on their own.
+ */
+
+const express = require('express');
+const path = require('path');
+const adminAuth = require('../middleware/adminAuth');
+const { issueCsrfToken, createCsrfProtection } = require('../middleware/csrf');
+const { renderFile } = require('../render');
+const { STATES, TRANSITIONS, getState, transition } = require('../lifecycle');
+const { isInGracePeriod } = require('../gracePeriod');
+const { createMail } = require('../emails');
+const { createOutboxMessage, describeMessage, replayMessage } = require('../outbox');
+const { REPORT_CATEGORIES } = require('../reports');
+const { logger } = require('../logger');
+
+const ADMIN_PAGE = path.join(__dirname, '..', '..', 'admin', 'index.html');
+
+const MAX_PAGE_SIZE = 500;
+
+const OUTBOX_STATUSES = ['pending', 'dead'];
+
+/**
+ * Admin actions and the lifecycle state each one moves a request to
+ */
+const ACTIONS = {
+    start: 'in_progress',
+    complete: 'completed',
+    cancel: 'cancelled'
+};
+
+/**
+ * Webhook events announcing the states admins can move a request to
+ */
+const STATE_EVENTS = {
+    completed: 'request.completed',
+    cancelled: 'request.cancelled'
+};
+
+/**
+ * Error codes applyAdminAction() throws when a request can't take an action
+ */
+const ACTION_ERRORS = ['INVALID_TRANSITION', 'GRACE_PERIOD_OPEN'];
+
+/**
+ * Build the admin router
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Object} deps.reports - Contact form report store
+ * @param {Object} deps.mailWorker - Outbox worker, woken after queuing email
+ * @param {Object} deps.webhooks - Webhook service, for request events
+ * @param {Function} deps.now - () => current time as a Date
+ * @returns {import('express').Router}
+ */
+function createAdminRouter({ store, reports, mailWorker, webhooks, now }) {
+    const router = express.Router();
+
+    router.use(adminAuth);
+    const csrfProtection = createCsrfProtection();
+
+    /**
+     * GET /admin
+     * Serve the admin dashboard
+     */
+    router.get('/', (req, res) => {
+        res.send(renderFile(ADMIN_PAGE, {
+            cspNonce: res.locals.cspNonce,
+            csrfToken: issueCsrfToken(req, res)
+        }));
+    });
+
+    /**
+     * GET /admin/api/requests
+     * List requests, newest first, filtered by state and search text
+     */
+    router.get('/api/requests', (req, res) => {
+        const { status, q } = req.query;
+
+        if (status && !STATES.includes(status)) {
+            return res.status(400).json({
+                error: `Unknown status. Expected one of: ${STATES.join(', ')}.`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { total, requests } = store.list({ status, search: q ? String(q) : undefined, limit, offset });
+        const at = now();
+
+        res.json({
+            total,
+            limit,
+            offset,
+            requests: requests.map((data) => toAdminView(data, at))
+        });
+    });
+
+    /**
+     * GET /admin/api/requests/:token
+     * Get a single request
+     */
+    router.get('/api/requests/:token', (req, res) => {
+        const requestData = store.get(req.params.token);
+        if (!requestData) {
+            return res.status(404).json({ error: 'Request not found.' });
+        }
+        res.json(toAdminView(requestData, now()));
+    });
+
+    /**
+     * POST /admin/api/requests/:token/:action
+     * Apply an admin action (start, complete, cancel) to a request
+     * Completing a request also queues an email telling the user their
+     * account is gone.
+     * Body: { note }
+     */
+    router.post('/api/requests/:token/:action', csrfProtection, (req, res) => {
+        const to = ACTIONS[req.params.action];
+        if (!to) {
+            return res.status(404).json({ error: 'Unknown action.' });
+        }
+
+        const requestData = store.get(req.params.token);
+        if (!requestData) {
+            return res.status(404).json({ error: 'Request not found.' });
+        }
+
+        const at = now();
+        let messages;
+        try {
+            messages = applyAdminAction(requestData, req.params.action, {
+                actor: `admin:${req.adminUser}`,
+                ip: req.ip,
+                note: String((req.body && req.body.note) || '').trim(),
+                webhooks,
+                at
+            });
+        } catch (error) {
+            if (!ACTION_ERRORS.includes(error.code)) throw error;
+            return res.status(409).json({ error: error.message });
+        }
+
+        store.save(requestData.token, requestData, messages);
+        if (messages.length > 0) mailWorker.wake();
+        logger.info('Deletion request moved by an admin', { request: requestData.token.substring(0, 8), to, admin: req.adminUser });
+
+        res.json({ success: true, request: toAdminView(requestData, at) });
+    });
+
+    /**
+     * GET /admin/api/outbox
+     * List queued (pending) and failed (dead) emails, newest first
+     */
+    router.get('/api/outbox', (req, res) => {
+        const { status } = req.query;
+
+        if (status && !OUTBOX_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Unknown status. Expected one of: ${OUTBOX_STATUSES.join(', ')}.`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { total, messages } = store.outbox.list({ status, limit, offset });
+
+        res.json({
+            total,
+            limit,
+            offset,
+            counts: store.outbox.counts(),
+            messages: messages.map(toOutboxSummary)
+        });
+    });
+
+    /**
+     * GET /admin/api/outbox/:id
+     * Get a single email with its rendered content
+     */
+    router.get('/api/outbox/:id', (req, res) => {
+        const message = store.outbox.get(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found.' });
+        }
+        res.json(isRestrictedReportMail(message) ? redactMail(message) : message);
+    });
+
+    /**
+     * POST /admin/api/outbox/:id/replay
+     * Queue a dead-lettered email or webhook again with a fresh set of attempts
+     */
+    router.post('/api/outbox/:id/replay', csrfProtection, (req, res) => {
+        const message = store.outbox.get(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found.' });
+        }
+        if (message.status !== 'dead') {
+            return res.status(409).json({ error: 'Only failed messages can be replayed.' });
+        }
+
+        store.outbox.update(replayMessage(message, `admin:${req.adminUser}`, now()));
+        mailWorker.wake();
+        logger.info('Message replayed', { ...describeMessage(message), admin: req.adminUser });
+
+        res.json({ success: true, message: toOutboxSummary(message) });
+    });
+
+    /**
+     * Check whether an outbox message carries a restricted report
+     * @param {Object} message - Outbox message
+     * @returns {boolean} True for the email sending one to its recipient
+     */
+    function isRestrictedReportMail(message) {
+        if (message.kind !== 'support-report') return false;
+        const report = reports.get(message.ref);
+        return Boolean(report && report.restricted);
+    }
+
+    /**
+     * GET /admin/api/reports
+     * List reports, newest first, optionally in one category
+     */
+    router.get('/api/reports', (req, res) => {
+        const { category } = req.query;
+        const categories = Object.keys(REPORT_CATEGORIES);
+
+        if (category && !categories.includes(category)) {
+            return res.status(400).json({
+                error: `Unknown category. Expected one of: ${categories.join(', ')}.`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { total, reports: page } = reports.list({ category, limit, offset });
+
+        res.json({
+            total,
+            limit,
+            offset,
+            reports: page.map(toReportSummary)
+        });
+    });
+
+    /**
+     * Look up the report named in :ticket
+     * Sends 404 for unknown tickets and 403 for restricted reports, and
+     * returns null in both cases.
+     * @param {import('express').Request} req - Request with :ticket
+     * @param {import('express').Response} res - Response for errors
+     * @returns {Object|null} Report admins may see
+     */
+    function getVisibleReport(req, res) {
+        const report = reports.get(req.params.ticket);
+        if (!report) {
+            res.status(404).json({ error: 'Report not found.' });
+            return null;
+        }
+        if (report.restricted) {
+            logger.warn('Admin asked for a restricted report', { ticket: report.ticketId, admin: req.adminUser });
+            res.status(403).json({ error: 'This report is restricted. It is handled by the child safety contact (SAFETY_EMAIL).' });
+            return null;
+        }
+        return report;
+    }
+
+    /**
+     * GET /admin/api/reports/:ticket
+     * Get a single report
+     */
+    router.get('/api/reports/:ticket', (req, res) => {
+        const report = getVisibleReport(req, res);
+        if (report) res.json(report);
+    });
+
+    /**
+     * GET /admin/api/reports/:ticket/attachments/:index
+     * Download an attachment of a report
+     */
+    router.get('/api/reports/:ticket/attachments/:index', (req, res) => {
+        const report = getVisibleReport(req, res);
+        if (!report) return;
+
+        const index = Number(req.params.index);
+        const attachment = report.attachments[index];
+        const stream = attachment ? reports.openAttachment(report.ticketId, index) : null;
+        if (!stream) {
+            return res.status(404).json({ error: 'Attachment not found.' });
+        }
+
+        res.attachment(attachment.name);
+        res.setHeader('Content-Type', attachment.type);
+        res.set({
+            'Content-Length': String(attachment.size),
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        stream.on('error', (error) => {
+            logger.error('Error sending report attachment', { ticket: report.ticketId, error: error.message });
+            res.destroy();
+        });
+        stream.pipe(res);
+    });
+
+    return router;
+}
+
+/**
+ * Apply a support action to a request
+ * Shared with bin/unitok so both record the same history, emails and
+ * webhooks. Mutates `requestData`; the caller saves it with the returned
+ * messages.
+ * @param {Object} requestData - Stored request
+ * @param {string} action - Key of ACTIONS: "start", "complete" or "cancel"
+ * @param {Object} context
+ * @param {string} context.actor - Who acted, e.g. "admin:alice" or "cli:alice"
+ * @param {string} [context.ip] - Client IP address
+ * @param {string} [context.note] - Note for the history
+ * @param {Object} context.webhooks - Webhook service, for request events
+ * @param {Date} [context.at] - Time of the action
+ * @returns {Array<Object>} Outbox messages to save with the request
+ * @throws {InvalidTransitionError} If the request can't move to the action's state
+ * @throws {Error} With code GRACE_PERIOD_OPEN when starting or completing a
+ *   request the user can still cancel
+ */
+function applyAdminAction(requestData, action, { actor, ip, note, webhooks, at = new Date() }) {
+    const to = ACTIONS[action];
+    if (to !== 'cancelled' && isInGracePeriod(requestData, at)) {
+        throw Object.assign(
+            new Error(`The user can still cancel this request until ${requestData.graceEndsAt}.`),
+            { code: 'GRACE_PERIOD_OPEN' }
+        );
+    }
+
+    transition(requestData, to, { actor, ip, note, at });
+
+    const messages = to === 'completed' ? [buildCompletedMail(requestData, at)] : [];
+    if (STATE_EVENTS[to]) messages.push(...webhooks.messagesFor(STATE_EVENTS[to], requestData, at));
+    return messages;
+}
+
+/**
+ * Shape a stored request for admin responses
+ * @param {Object} data - Stored request data
+ * @param {Date} now - Current time, for the grace period
+ * @returns {Object} Request with its current state and the allowed next states
+ */
+function toAdminView(data, now) {
+    const status = getState(data);
+    const allowedTransitions = isInGracePeriod(data, now)
+        ? TRANSITIONS[status].filter((state) => state === 'cancelled')
+        : TRANSITIONS[status];
+    return { ...data, status, history: data.history || [], allowedTransitions };
+}
+
+/**
+ * Shape an outbox message for list responses, without the email or webhook body
+ * Webhooks show their subscription as the recipient and the event as the subject.
+ * @param {Object} message - Outbox message
+ * @returns {Object} Message summary
+ */
+function toOutboxSummary(message) {
+    const { mail, webhook, ...rest } = message;
+    if (webhook) {
+        return { ...rest, channel: 'webhook', to: `${webhook.subscription} (${webhook.url})`, subject: message.kind };
+    }
+    return { ...rest, channel: 'email', to: mail.to, subject: mail.subject };
+}
+
+/**
+ * Shape a report for list responses
+ * Restricted reports show only what is needed to know they exist.
+ * @param {Object} report - Stored report
+ * @returns {Object} Report summary
+ */
+function toReportSummary(report) {
+    const { ticketId, category, priority, restricted, createdAt } = report;
+    if (restricted) {
+        return { ticketId, category, priority, restricted, createdAt };
+    }
+    return {
+        ticketId,
+        category,
+        priority,
+        restricted,
+        createdAt,
+        email: report.email,
+        name: report.name,
+        subject: report.subject,
+        attachments: report.attachments.length
+    };
+}
+
+/**
+ * Hide the body of an email carrying a restricted report
+ * @param {Object} message - Outbox message
+ * @returns {Object} Message with its recipient and subject but no content
+ */
+function redactMail(message) {
+    const { html, text, ...mail } = message.mail;
+    return { ...message, mail, redacted: true };
+}
+
+/**
+ * Build the "your account has been deleted" email
+ * @param {Object} requestData - Completed request
+ * @param {Date} [now] - Current time
+ * @returns {Object} Outbox message
+ */
+function buildCompletedMail(requestData, now = new Date()) {
+    return createOutboxMessage({
+        kind: 'deletion-completed',
+        ref: requestData.token,
+        mail: createMail('deletion-completed', {
+            to: requestData.email,
+            locale: requestData.locale
+        })
+    }, now);
+}
+
+module.exports = { ACTIONS, createAdminRouter, applyAdminAction, buildCompletedMail };
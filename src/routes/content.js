@@ -0,0 +1,53 @@
+/**
+ * Content Routes
+ *
+ * Public JSON API for the lists on the landing page (see content.js).
+ * Only entries active today are returned, in display order.
+ *
+ * - GET /api/partners  Partner logos (?category=university|club|advertiser|reach)
+ * - GET /api/team      Team members, titles in the visitor's language (?lang=)
+ */
+
+const express = require('express');
+const { PARTNER_CATEGORIES } = require('../content');
+const { resolveLocale } = require('../locale');
+
+/**
+ * Build the content API router
+ * @param {Object} deps
+ * @param {Object} deps.content - Site content from loadContent()
+ * @returns {import('express').Router}
+ */
+function createContentRouter({ content }) {
+    const router = express.Router();
+
+    /**
+     * GET /api/partners
+     * List active partners, optionally for one category
+     */
+    router.get('/partners', (req, res) => {
+        const { category } = req.query;
+
+        if (category && !PARTNER_CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                error: `Unknown category. Expected one of: ${PARTNER_CATEGORIES.join(', ')}.`
+            });
+        }
+
+        res.json({ partners: content.getPartners({ category }) });
+    });
+
+    /**
+     * GET /api/team
+     * List active team members
+     */
+    router.get('/team', (req, res) => {
+        const locale = resolveLocale(req);
+        res.vary('Cookie').vary('Accept-Language');
+        res.json({ locale, team: content.getTeam(locale) });
+    });
+
+    return router;
+}
+
+module.exports = { createContentRouter };
@@ -0,0 +1,701 @@
+/**
+ * Account Deletion Routes
+ *
+ * Public side of the deletion flow:
+ *
+ * - POST /request-deletion  Submit a request; emails a confirmation link
+ * - GET  /confirm/:token    Confirmation page for the emailed link
+ * - POST /confirm/:token    Confirm the request
+ * - GET  /cancel/:id        Cancellation page during the grace period
+ *                           (?sig= from the signed link)
+ * - POST /cancel/:id        Cancel during the grace period
+ *
+ * Emails are queued in the store's outbox with the state change that
+ * causes them and delivered by the outbox worker (see ../outbox).
+ * Responses are in the language the request was made in (see ../locale).
+ *
+ * Confirmation links carry a signed token with its own expiry, checked
+ * before any lookup; requests are stored under the token's hash, their
+ * request ID (see ../tokens.js). Links emailed before tokens were signed
+ * carry the request's UUID and work until the request expires. The form
+ * posts with a CSRF token from its page (see ../middleware/csrf.js).
+ */
+
+const express = require('express');
+const path = require('path');
+const { createRequest, getState, isPending, transition } = require('../lifecycle');
+const { getGracePeriodDays, getGraceEndsAt, isInGracePeriod } = require('../gracePeriod');
+const links = require('../links');
+const tokens = require('../tokens');
+const { VIEWS_DIR } = require('../render');
+const { resolveLocale, formatDateTime } = require('../locale');
+const { t, renderPage, localizePath } = require('../i18n');
+const { createMail } = require('../emails');
+const { createOutboxMessage } = require('../outbox');
+const { createDeletionRateLimits } = require('../middleware/rateLimit');
+const { createFormGuard } = require('../middleware/formGuard');
+const { createCsrfProtection } = require('../middleware/csrf');
+const { logger } = require('../logger');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const MAX_FEEDBACK_LENGTH = 2000;
+
+// ============================================================================
+// HELPER FUNCTIONS - Account Deletion
+// ============================================================================
+
+/**
+ * Deletion reasons offered by the form, by code
+ */
+const DELETION_REASONS = {
+    'no-longer-needed': 'I no longer need this account',
+    'privacy-concerns': 'Privacy concerns',
+    'too-many-emails': 'Receiving too many emails',
+    'switching-service': 'Switching to a different service',
+    'difficult-to-use': 'The service is difficult to use',
+    'other': 'Other reason'
+};
+
+/**
+ * Convert deletion reason code to human-readable text
+ * @param {string} reasonCode - The reason code from the form
+ * @returns {string} Human-readable reason text
+ */
+function getReasonText(reasonCode) {
+    return DELETION_REASONS[reasonCode] || reasonCode;
+}
+
+/**
+ * Get how long confirmation links stay valid
+ * @returns {number} Hours, from TOKEN_EXPIRY_HOURS (default 24)
+ */
+function getTokenExpiryHours() {
+    return parseInt(process.env.TOKEN_EXPIRY_HOURS) || 24;
+}
+
+/**
+ * Get the cutoff before which unconfirmed requests count as expired
+ * @param {Date} now - Current time
+ * @returns {string} ISO timestamp
+ */
+function getExpiryCutoff(now) {
+    return new Date(now.getTime() - getTokenExpiryHours() * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Check a confirmation link emailed before tokens were signed
+ * Those links carry the UUID their request is stored under. They keep
+ * working until the request would have expired anyway, TOKEN_EXPIRY_HOURS
+ * after it was made, so nobody has to ask again because of the upgrade.
+ * @param {Object} store - Deletion request store
+ * @param {string} token - Token from the URL
+ * @param {Date} now - Current time
+ * @returns {{id: string, expiresAt: Date, expired: boolean}|null} As for
+ *   tokens.verifyToken(), or null if no request is stored under the UUID
+ */
+function verifyLegacyToken(store, token, now) {
+    const requestData = tokens.isLegacyToken(token) && store.get(token);
+    if (!requestData) return null;
+
+    const expiresAt = new Date(new Date(requestData.createdAt).getTime() + getTokenExpiryHours() * 60 * 60 * 1000);
+    return { id: token, expiresAt, expired: expiresAt <= now };
+}
+
+/**
+ * Build the response for an accepted deletion request
+ * @param {string} locale - Supported locale
+ * @returns {Object} JSON body
+ */
+function confirmationSent(locale) {
+    return {
+        success: true,
+        message: t(locale, 'api.confirmationSent')
+    };
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Build the deletion flow router
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Object} deps.mailWorker - Outbox worker, woken after queuing email
+ * @param {Object} deps.directory - User directory the address is checked against
+ * @param {Object} deps.webhooks - Webhook service, for request events
+ * @param {Object} deps.rateLimitStore - Hit store for the submission rate limits
+ * @param {Object} deps.metrics - Metrics registry for request counts (see ../metrics.js)
+ * @param {Function} deps.getBaseUrl - () => public base URL for emailed links
+ * @param {Function} deps.now - () => current time as a Date
+ * @returns {import('express').Router}
+ */
+function createDeletionRouter({ store, mailWorker, directory, webhooks, rateLimitStore, metrics, getBaseUrl, now }) {
+    const router = express.Router();
+    const deletionRateLimits = createDeletionRateLimits(rateLimitStore);
+
+    /**
+     * Render a deletion result page from request-deletion/ in the request's language
+     * @param {string} name - Page name, also its catalog ("confirm", "confirmed" or "cancel")
+     * @param {string} locale - Supported locale
+     * @param {Object} values - Placeholder values
+     * @returns {string} HTML content
+     */
+    function renderDeletionPage(name, locale, values) {
+        return renderPage(path.join(ROOT_DIR, 'request-deletion', `${name}.html`), {
+            locale,
+            namespace: name,
+            baseUrl: getBaseUrl(),
+            values
+        });
+    }
+
+    /**
+     * POST /request-deletion
+     * Submit an account deletion request
+     * Rate limited per IP and per email; bot submissions are dropped by the form guard
+     * and posts without the page's CSRF token are refused
+     * Validates email, checks it against the user directory, creates token,
+     * saves request and queues the confirmation email. Addresses without an
+     * account get the same answer but no email, so the form can't be used to
+     * find out who has one.
+     */
+    router.post('/request-deletion',
+        deletionRateLimits.byIp,
+        createFormGuard({ successBody: (req) => confirmationSent(resolveLocale(req)) }),
+        createCsrfProtection(),
+        deletionRateLimits.byEmail,
+        async (req, res) => {
+        const locale = resolveLocale(req);
+        try {
+            const { email: rawEmail, reason, feedback } = req.body;
+
+            // Validate email format
+            if (typeof rawEmail !== 'string' || !rawEmail.includes('@')) {
+                return res.status(400).json({
+                    error: t(locale, 'api.invalidEmail')
+                });
+            }
+
+            // Stored and compared in one spelling, so "User@x.com" and
+            // "user@x.com" can't each have a pending request
+            const email = rawEmail.trim().toLowerCase();
+
+            // Only the reasons the form offers; they are shown to support
+            // and in webhooks, so nothing else is stored in their place
+            if (typeof reason !== 'string' || !Object.hasOwn(DELETION_REASONS, reason)) {
+                return res.status(400).json({
+                    error: t(locale, 'api.missingReason')
+                });
+            }
+
+            // Feedback is optional free text
+            if (feedback !== undefined && (typeof feedback !== 'string' || feedback.length > MAX_FEEDBACK_LENGTH)) {
+                return res.status(400).json({
+                    error: t(locale, 'api.feedbackTooLong', { max: MAX_FEEDBACK_LENGTH })
+                });
+            }
+
+            // Only account holders can ask for their account to be deleted
+            let account;
+            try {
+                account = await directory.findAccount(email);
+            } catch (error) {
+                logger.error('User directory lookup failed', { email, directory: directory.driver, error: error.message });
+                return res.status(503).json({
+                    error: t(locale, 'api.requestFailed')
+                });
+            }
+            if (!account.exists) {
+                logger.info('Deletion request ignored: no account in the directory', { email, directory: directory.driver });
+                return res.json(confirmationSent(locale));
+            }
+
+            // Signed token for the link; only its hash is stored
+            const at = now();
+            const token = issueConfirmationToken(at);
+            const id = tokens.hashToken(token);
+
+            // Prepare request data
+            const requestData = createRequest({
+                email,
+                reason,
+                reasonText: getReasonText(reason),
+                feedback: feedback || '',
+                token: id,
+                accountId: account.accountId,
+                locale
+            }, { actor: 'user', ip: req.ip, at });
+
+            // Confirmation email, queued with the request
+            const confirmationMail = buildConfirmationMail(requestData, token, getBaseUrl(), at);
+
+            // Save request unless one is already pending for this email;
+            // stale pending ones are expired on the way
+            const messages = [confirmationMail, ...webhooks.messagesFor('request.created', requestData, at)];
+            const expiredMessages = (expired) => {
+                metrics.increment('unitok_requests_expired_total', { type: 'deletion' });
+                return webhooks.messagesFor('request.expired', expired, at);
+            };
+            if (!store.createIfNoPending(id, requestData, getExpiryCutoff(at), messages, expiredMessages)) {
+                return res.status(400).json({
+                    error: t(locale, 'api.alreadyPending')
+                });
+            }
+            metrics.increment('unitok_requests_submitted_total', { type: 'deletion' });
+            logger.info('Deletion request created', { email, request: id.substring(0, 8) });
+            mailWorker.wake();
+
+            res.json(confirmationSent(locale));
+
+        } catch (error) {
+            logger.error('Error processing deletion request', { err: error });
+            res.status(500).json({
+                error: t(locale, 'api.requestFailed')
+            });
+        }
+    });
+
+    /**
+     * Look up a request from a confirmation link
+     * Sends the matching error page and returns null if the link can't be
+     * used; an expired link expires its request on the way. Pages are in
+     * the language the request was made in.
+     * @param {import('express').Request} req - Request with :token
+     * @param {import('express').Response} res - Response for error pages
+     * @param {Date} at - Current time
+     * @returns {Object|null} Request data that is still pending
+     */
+    function getConfirmableRequest(req, res, at) {
+        let locale = resolveLocale(req);
+
+        // Check the signature before looking anything up; links from
+        // before tokens were signed carry their request's UUID instead
+        const verified = tokens.verifyToken('confirm', req.params.token, at) ||
+            verifyLegacyToken(store, req.params.token, at);
+        const requestData = verified && store.get(verified.id);
+
+        // Check if request exists
+        if (!requestData) {
+            res.status(404).send(generateErrorPage(locale, 'invalidLink'));
+            return null;
+        }
+
+        // Answer in the language the request was made in
+        locale = requestData.locale || locale;
+        const state = getState(requestData);
+        const id = requestData.token;
+
+        // Check if token is expired
+        if (state === 'expired' || (isPending(requestData) && verified.expired)) {
+            if (state !== 'expired') {
+                transition(requestData, 'expired', { note: 'Confirmation link expired', at });
+                store.save(id, requestData, webhooks.messagesFor('request.expired', requestData, at));
+                mailWorker.wake();
+                metrics.increment('unitok_requests_expired_total', { type: 'deletion' });
+            }
+            logger.info('Expired link used', { request: id.substring(0, 8) });
+            res.status(410).send(generateErrorPage(locale, 'linkExpired'));
+            return null;
+        }
+
+        // Check if the request was cancelled
+        if (state === 'cancelled') {
+            res.status(410).send(generateErrorPage(locale, 'requestCancelled'));
+            return null;
+        }
+
+        // Check if already confirmed (prevent double-confirmation)
+        if (!isPending(requestData)) {
+            res.status(410).send(generateAlreadyUsedPage(locale));
+            return null;
+        }
+
+        return requestData;
+    }
+
+    /**
+     * GET /confirm/:token
+     * Show the confirmation page for the emailed link
+     * Confirming needs the POST below, so mail scanners that open links
+     * can't confirm a deletion
+     */
+    router.get('/confirm/:token', (req, res) => {
+        try {
+            const requestData = getConfirmableRequest(req, res, now());
+            if (!requestData) return;
+
+            res.set('Cache-Control', 'no-store');
+            res.send(renderDeletionPage('confirm', requestData.locale || resolveLocale(req), {
+                token: req.params.token,
+                email: requestData.email,
+                graceDays: getGracePeriodDays() || null
+            }));
+
+        } catch (error) {
+            logger.error('Error showing deletion confirmation page', { err: error });
+            res.status(500).send(generateErrorPage(resolveLocale(req), 'confirmFailed'));
+        }
+    });
+
+    /**
+     * POST /confirm/:token
+     * Confirm a deletion request from its confirmation page
+     * Marks it confirmed and queues the grace period email (or the support
+     * notification when there is no grace period)
+     */
+    router.post('/confirm/:token', (req, res) => {
+        try {
+            const at = now();
+            const requestData = getConfirmableRequest(req, res, at);
+            if (!requestData) return;
+
+            // Mark as confirmed and open the grace period
+            const { messages, cancelLink } = confirmDeletion(requestData, {
+                actor: 'user',
+                ip: req.ip,
+                at,
+                baseUrl: getBaseUrl(),
+                deletionMode: directory.deletionMode,
+                webhooks
+            });
+            store.save(requestData.token, requestData, messages);
+            mailWorker.wake();
+            metrics.increment('unitok_requests_confirmed_total', { type: 'deletion' });
+            logger.info('Deletion confirmed', { request: requestData.token.substring(0, 8) });
+
+            // Show confirmation page
+            const locale = requestData.locale || resolveLocale(req);
+            res.send(renderDeletionPage('confirmed', locale, {
+                cancelUrl: cancelLink,
+                graceEndsAt: cancelLink ? formatDateTime(requestData.graceEndsAt, locale) : null
+            }));
+
+        } catch (error) {
+            logger.error('Error confirming deletion request', { err: error });
+            res.status(500).send(generateErrorPage(resolveLocale(req), 'confirmFailed'));
+        }
+    });
+
+    /**
+     * Look up a request from a signed cancel link
+     * Sends the matching error page and returns null if the link can't be used.
+     * Pages are in the language the request was made in.
+     * @param {import('express').Request} req - Request with :id and a signature
+     * @param {import('express').Response} res - Response for error pages
+     * @param {string} signature - Signature from the query string or form body
+     * @returns {Object|null} Request data that is still cancellable
+     */
+    function getCancellableRequest(req, res, signature) {
+        const { id } = req.params;
+        const requestData = tokens.isRequestId(id) && links.verify('cancel', id, signature) ? store.get(id) : null;
+        const locale = (requestData && requestData.locale) || resolveLocale(req);
+
+        if (!requestData) {
+            res.status(404).send(generateErrorPage(locale, 'invalidCancelLink'));
+            return null;
+        }
+
+        if (getState(requestData) === 'cancelled') {
+            res.send(renderDeletionPage('cancel', locale, { done: true }));
+            return null;
+        }
+
+        if (getState(requestData) !== 'confirmed' || !isInGracePeriod(requestData, now())) {
+            res.status(410).send(generateErrorPage(locale, 'tooLateToCancel', {
+                supportEmail: process.env.SUPPORT_EMAIL || t(locale, 'errors.support')
+            }));
+            return null;
+        }
+
+        return requestData;
+    }
+
+    /**
+     * GET /cancel/:id
+     * Show the cancellation page for a confirmed request in its grace period
+     * Cancelling needs the POST below, so link scanners can't cancel by visiting
+     */
+    router.get('/cancel/:id', (req, res) => {
+        const requestData = getCancellableRequest(req, res, req.query.sig);
+        if (!requestData) return;
+
+        const locale = requestData.locale || resolveLocale(req);
+        res.send(renderDeletionPage('cancel', locale, {
+            form: true,
+            token: requestData.token,
+            sig: req.query.sig,
+            email: requestData.email,
+            graceEndsAt: formatDateTime(requestData.graceEndsAt, locale)
+        }));
+    });
+
+    /**
+     * POST /cancel/:id
+     * Cancel a confirmed request during its grace period and notify support
+     */
+    router.post('/cancel/:id', (req, res) => {
+        try {
+            const requestData = getCancellableRequest(req, res, req.body && req.body.sig);
+            if (!requestData) return;
+
+            const at = now();
+            transition(requestData, 'cancelled', { actor: 'user', ip: req.ip, note: 'Cancelled during grace period', at });
+            store.save(requestData.token, requestData, [createOutboxMessage({
+                kind: 'support-deletion-cancelled',
+                ref: requestData.token,
+                mail: buildCancellationNoticeMail(requestData)
+            }, at), ...webhooks.messagesFor('request.cancelled', requestData, at)]);
+            mailWorker.wake();
+            logger.info('Deletion cancelled by the user', { request: requestData.token.substring(0, 8) });
+
+            res.send(renderDeletionPage('cancel', requestData.locale || resolveLocale(req), { done: true }));
+
+        } catch (error) {
+            logger.error('Error cancelling deletion request', { err: error });
+            res.status(500).send(generateErrorPage(resolveLocale(req), 'cancelFailed'));
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Issue the signed token for a confirmation link
+ * Only its hash, the request ID, is stored.
+ * @param {Date} now - Current time
+ * @returns {string} Token valid for getTokenExpiryHours()
+ */
+function issueConfirmationToken(now) {
+    return tokens.issueToken('confirm', new Date(now.getTime() + getTokenExpiryHours() * 60 * 60 * 1000));
+}
+
+/**
+ * Confirm a pending deletion request and open its grace period
+ * Mutates `requestData`; the caller saves it with the returned messages.
+ * Without a grace period the request is final at once and support is
+ * notified straight away.
+ * @param {Object} requestData - Pending request
+ * @param {Object} context
+ * @param {string} context.actor - Who confirmed, e.g. "user" or "cli:alice"
+ * @param {string} [context.ip] - Client IP address
+ * @param {string} [context.note] - Note for the history
+ * @param {Date} context.at - Time of confirmation
+ * @param {string} context.baseUrl - Public base URL for the cancel link
+ * @param {string} context.deletionMode - ACCOUNT_DELETION mode, for the support notification
+ * @param {Object} context.webhooks - Webhook service, for request.confirmed
+ * @returns {{messages: Array<Object>, cancelLink: string|null}} Outbox messages
+ *   to save with the request, and the cancel link while the grace period is open
+ * @throws {InvalidTransitionError} If the request isn't pending
+ */
+function confirmDeletion(requestData, { actor, ip, note, at, baseUrl, deletionMode, webhooks }) {
+    transition(requestData, 'confirmed', { actor, ip, note, at });
+    requestData.graceEndsAt = getGraceEndsAt(requestData.confirmedAt);
+
+    let cancelLink = null;
+    let followUpMail;
+    if (isInGracePeriod(requestData, at)) {
+        // Support is notified by the grace notifier once the window closes
+        cancelLink = links.buildCancelLink(baseUrl, requestData.token);
+        followUpMail = createOutboxMessage({
+            kind: 'deletion-scheduled',
+            ref: requestData.token,
+            mail: buildGracePeriodMail(requestData, cancelLink)
+        }, at);
+    } else {
+        // No grace period configured, so the request is final now
+        requestData.supportNotifiedAt = at.toISOString();
+        followUpMail = buildSupportNotification(requestData, at, deletionMode);
+    }
+
+    return {
+        messages: [followUpMail, ...webhooks.messagesFor('request.confirmed', requestData, at)],
+        cancelLink
+    };
+}
+
+/**
+ * Record a delivered email on its request
+ * The confirmation email moves the request from submitted to email_sent.
+ * @param {Object} store - Request store
+ * @param {Object} message - Sent outbox message
+ * @param {Date} [at] - Time of delivery
+ * @param {string} [confirmKind] - Kind of the confirmation email for this store's requests
+ */
+function recordMailSent(store, message, at = new Date(), confirmKind = 'deletion-confirm') {
+    if (message.kind !== confirmKind || !message.ref) return;
+
+    const requestData = store.get(message.ref);
+    if (requestData && getState(requestData) === 'submitted') {
+        store.save(requestData.token, transition(requestData, 'email_sent', { at }));
+    }
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - Email Builders
+// ============================================================================
+
+/**
+ * Build the email carrying a request's confirmation link
+ * @param {Object} requestData - Pending request
+ * @param {string} token - Signed token whose hash is the request ID
+ * @param {string} baseUrl - Public base URL
+ * @param {Date} now - Current time
+ * @returns {Object} Outbox message
+ */
+function buildConfirmationMail(requestData, token, baseUrl, now) {
+    return createOutboxMessage({
+        kind: 'deletion-confirm',
+        ref: requestData.token,
+        mail: createMail('deletion-confirm', {
+            to: requestData.email,
+            locale: requestData.locale,
+            values: {
+                confirmationLink: `${baseUrl}/confirm/${token}`,
+                expiryHours: getTokenExpiryHours()
+            }
+        })
+    }, now);
+}
+
+/**
+ * Build the notification telling support a deletion is final
+ * @param {Object} requestData - Confirmed request whose grace period is over
+ * @param {string} deletionMode - ACCOUNT_DELETION mode, "off" when support deletes by hand
+ * @returns {Object} Nodemailer mail options
+ */
+function buildSupportNotificationMail(requestData, deletionMode) {
+    return createMail('support-deletion-confirmed', {
+        to: process.env.SUPPORT_EMAIL,
+        layout: false,
+        fromName: 'Account Deletion System',
+        values: {
+            email: requestData.email,
+            accountId: requestData.accountId,
+            locale: requestData.locale || 'en',
+            reasonText: requestData.reasonText,
+            feedback: requestData.feedback || 'None provided',
+            token: requestData.token,
+            createdAt: formatDateTime(requestData.createdAt),
+            confirmedAt: formatDateTime(requestData.confirmedAt),
+            graceEndsAt: requestData.graceEndsAt && formatDateTime(requestData.graceEndsAt),
+            automaticDeletion: deletionMode !== 'off' && deletionMode
+        }
+    });
+}
+
+/**
+ * Build the outbox message telling support a deletion is final
+ * @param {Object} requestData - Confirmed request whose grace period is over
+ * @param {Date} [now] - Current time
+ * @param {string} [deletionMode] - ACCOUNT_DELETION mode (see src/directory/index.js)
+ * @returns {Object} Outbox message
+ */
+function buildSupportNotification(requestData, now = new Date(), deletionMode = 'off') {
+    return createOutboxMessage({
+        kind: 'support-deletion-confirmed',
+        ref: requestData.token,
+        mail: buildSupportNotificationMail(requestData, deletionMode)
+    }, now);
+}
+
+/**
+ * Build the email sent after confirmation with the cancel link
+ * @param {Object} requestData - Confirmed request
+ * @param {string} cancelLink - Signed cancel URL
+ * @returns {Object} Nodemailer mail options
+ */
+function buildGracePeriodMail(requestData, cancelLink) {
+    return createMail('deletion-scheduled', {
+        to: requestData.email,
+        locale: requestData.locale,
+        values: {
+            cancelLink,
+            graceEndsAt: formatDateTime(requestData.graceEndsAt, requestData.locale)
+        }
+    });
+}
+
+/**
+ * Build the notice telling support a user cancelled during the grace period
+ * @param {Object} requestData - Cancelled request
+ * @returns {Object} Nodemailer mail options
+ */
+function buildCancellationNoticeMail(requestData) {
+    return createMail('support-deletion-cancelled', {
+        to: process.env.SUPPORT_EMAIL,
+        layout: false,
+        fromName: 'Account Deletion System',
+        values: {
+            email: requestData.email,
+            token: requestData.token,
+            confirmedAt: formatDateTime(requestData.confirmedAt),
+            cancelledAt: formatDateTime(requestData.updatedAt)
+        }
+    });
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - HTML Generators
+// ============================================================================
+
+/**
+ * Render a one-message page (views/message.html)
+ * @param {string} locale - Supported locale
+ * @param {Object} values - icon, title, message, description, buttonUrl, buttonLabel
+ * @returns {string} HTML content
+ */
+function renderMessagePage(locale, values) {
+    return renderPage(path.join(VIEWS_DIR, 'message.html'), { locale, namespace: 'errors', values });
+}
+
+/**
+ * Generate error page HTML
+ * @param {string} locale - Supported locale
+ * @param {string} key - Error in the "errors" catalog, e.g. "linkExpired"
+ * @param {Object} [values] - Placeholder values for the error text
+ * @param {string} [formPath] - Form the button leads back to
+ * @returns {string} HTML content
+ */
+function generateErrorPage(locale, key, values = {}, formPath = '/request-deletion') {
+    return renderMessagePage(locale, {
+        icon: '&#10007;',
+        title: t(locale, `errors.${key}.title`, values),
+        message: t(locale, `errors.${key}.message`, values),
+        description: t(locale, `errors.${key}.description`, values),
+        buttonUrl: localizePath(locale, formPath),
+        buttonLabel: t(locale, 'errors.submitNewRequest')
+    });
+}
+
+/**
+ * Generate "already used" page HTML
+ * @param {string} locale - Supported locale
+ * @param {string} [key] - Message in the "errors" catalog
+ * @returns {string} HTML content
+ */
+function generateAlreadyUsedPage(locale, key = 'alreadyUsed') {
+    return renderMessagePage(locale, {
+        icon: '&#9989;',
+        title: t(locale, `errors.${key}.title`),
+        message: t(locale, `errors.${key}.message`),
+        description: t(locale, `errors.${key}.description`),
+        buttonUrl: 'https://home.unitokapp.com/',
+        buttonLabel: t(locale, 'common.returnHome')
+    });
+}
+
+module.exports = {
+    DELETION_REASONS,
+    createDeletionRouter,
+    issueConfirmationToken,
+    confirmDeletion,
+    buildConfirmationMail,
+    buildSupportNotification,
+    recordMailSent,
+    getTokenExpiryHours,
+    getExpiryCutoff,
+    generateErrorPage,
+    generateAlreadyUsedPage
+};
@@ -0,0 +1,67 @@
+/**
+ * Development Routes
+ *
+ * Only mounted when NODE_ENV=development.
+ *
+ * - GET  /dev/mailbox        Emails captured by the file or memory transport
+ * - GET  /dev/mailbox/:id    One email, HTML and plain text
+ * - POST /dev/mailbox/clear  Delete the captured emails
+ */
+
+const express = require('express');
+const path = require('path');
+const { renderFile } = require('../render');
+
+const MAILBOX_TEMPLATE = path.join(__dirname, '..', '..', 'dev', 'mailbox.html');
+
+/**
+ * Build the development router
+ * @param {Object} deps
+ * @param {Object} deps.transporter - Mail transport from createMailTransport()
+ * @returns {import('express').Router}
+ */
+function createDevRouter({ transporter }) {
+    const router = express.Router();
+
+    /**
+     * GET /dev/mailbox
+     * List captured emails, newest first
+     */
+    router.get('/mailbox', (req, res) => {
+        const messages = transporter.list();
+        res.send(renderFile(MAILBOX_TEMPLATE, {
+            driver: transporter.driver,
+            keepsMessages: messages !== null,
+            messages: messages || []
+        }));
+    });
+
+    /**
+     * GET /dev/mailbox/:id
+     * Show one captured email
+     */
+    router.get('/mailbox/:id', (req, res) => {
+        const message = transporter.get(req.params.id);
+        if (!message) {
+            return res.status(404).send('Email not found');
+        }
+        res.send(renderFile(MAILBOX_TEMPLATE, {
+            driver: transporter.driver,
+            keepsMessages: true,
+            message
+        }));
+    });
+
+    /**
+     * POST /dev/mailbox/clear
+     * Delete every captured email
+     */
+    router.post('/mailbox/clear', (req, res) => {
+        transporter.clear();
+        res.redirect('/dev/mailbox');
+    });
+
+    return router;
+}
+
+module.exports = { createDevRouter };
@@ -0,0 +1,377 @@
+/**
+ * Data Export Routes
+ *
+ * Lets users get a copy of their data (access requests under GDPR and
+ * PDPL), verified the same way as deletion requests:
+ *
+ * - POST /request-export          Submit a request; emails a confirmation link
+ * - GET  /confirm-export/:token   Confirmation page for the emailed link
+ * - POST /confirm-export/:token   Confirm the request; notifies support
+ * - GET  /download-export/:id     Download the archive (?sig= from the signed
+ *                                 link in the "export ready" email)
+ *
+ * Archives are built in the background once a request is confirmed (see
+ * ../dataExport.js) and can be downloaded until they expire. Export
+ * requests live in their own store (the `export` collection, see
+ * ../storage) but share the outbox, so the one outbox worker sends their
+ * emails.
+ */
+
+const express = require('express');
+const path = require('path');
+const { createRequest, getState, isPending, transition } = require('../lifecycle');
+const links = require('../links');
+const tokens = require('../tokens');
+const { resolveLocale, formatDateTime } = require('../locale');
+const { t, renderPage } = require('../i18n');
+const { createMail } = require('../emails');
+const { createOutboxMessage } = require('../outbox');
+const { getDownloadHours } = require('../dataExport');
+const { createSubmissionRateLimits } = require('../middleware/rateLimit');
+const { createFormGuard } = require('../middleware/formGuard');
+const { createCsrfProtection } = require('../middleware/csrf');
+const { logger } = require('../logger');
+const {
+    getTokenExpiryHours,
+    getExpiryCutoff,
+    generateErrorPage,
+    generateAlreadyUsedPage
+} = require('./deletion');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const FORM_PATH = '/request-export';
+
+// ============================================================================
+// HELPER FUNCTIONS - Data Export
+// ============================================================================
+
+/**
+ * Build the response for an accepted export request
+ * @param {string} locale - Supported locale
+ * @returns {Object} JSON body
+ */
+function confirmationSent(locale) {
+    return {
+        success: true,
+        message: t(locale, 'api.confirmationSent')
+    };
+}
+
+/**
+ * Generate an error page whose button leads back to the export form
+ * @param {string} locale - Supported locale
+ * @param {string} key - Error under "errors.export", e.g. "linkExpired"
+ * @returns {string} HTML content
+ */
+function exportErrorPage(locale, key) {
+    return generateErrorPage(locale, `export.${key}`, {}, FORM_PATH);
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Build the data export router
+ * @param {Object} deps
+ * @param {Object} deps.store - Export request store
+ * @param {Object} deps.archives - Archive store for downloads
+ * @param {Object} deps.mailWorker - Outbox worker, woken after queuing email
+ * @param {Object} deps.directory - User directory the address is checked against
+ * @param {Object} deps.rateLimitStore - Hit store for the submission rate limits
+ * @param {Object} deps.metrics - Metrics registry for request counts (see ../metrics.js)
+ * @param {Function} deps.getBaseUrl - () => public base URL for emailed links
+ * @param {Function} deps.now - () => current time as a Date
+ * @returns {import('express').Router}
+ */
+function createExportRouter({ store, archives, mailWorker, directory, rateLimitStore, metrics, getBaseUrl, now }) {
+    const router = express.Router();
+    const exportRateLimits = createSubmissionRateLimits(rateLimitStore, 'export');
+
+    /**
+     * POST /request-export
+     * Submit a data export request
+     * Rate limited and guarded like the deletion form, CSRF token included.
+     * Addresses without an account get the same answer but no email, so the
+     * form can't be used to find out who has one.
+     */
+    router.post('/request-export',
+        exportRateLimits.byIp,
+        createFormGuard({ successBody: (req) => confirmationSent(resolveLocale(req)) }),
+        createCsrfProtection(),
+        exportRateLimits.byEmail,
+        async (req, res) => {
+        const locale = resolveLocale(req);
+        try {
+            const { email: rawEmail } = req.body;
+
+            if (typeof rawEmail !== 'string' || !rawEmail.includes('@')) {
+                return res.status(400).json({
+                    error: t(locale, 'api.invalidEmail')
+                });
+            }
+
+            // Stored and compared in one spelling, so "User@x.com" and
+            // "user@x.com" can't each have a pending request
+            const email = rawEmail.trim().toLowerCase();
+
+            let account;
+            try {
+                account = await directory.findAccount(email);
+            } catch (error) {
+                logger.error('User directory lookup failed', { email, directory: directory.driver, error: error.message });
+                return res.status(503).json({
+                    error: t(locale, 'api.requestFailed')
+                });
+            }
+            if (!account.exists) {
+                logger.info('Export request ignored: no account in the directory', { email, directory: directory.driver });
+                return res.json(confirmationSent(locale));
+            }
+
+            // Signed token for the link; only its hash is stored
+            const at = now();
+            const token = tokens.issueToken('export', new Date(at.getTime() + getTokenExpiryHours() * 60 * 60 * 1000));
+            const id = tokens.hashToken(token);
+
+            const requestData = createRequest({
+                email,
+                token: id,
+                accountId: account.accountId,
+                locale
+            }, { actor: 'user', ip: req.ip, at });
+
+            const confirmationMail = createOutboxMessage({
+                kind: 'export-confirm',
+                ref: id,
+                mail: createMail('export-confirm', {
+                    to: email,
+                    locale,
+                    values: {
+                        confirmationLink: `${getBaseUrl()}/confirm-export/${token}`,
+                        expiryHours: getTokenExpiryHours()
+                    }
+                })
+            }, at);
+
+            const expiredMessages = () => {
+                metrics.increment('unitok_requests_expired_total', { type: 'export' });
+                return [];
+            };
+            if (!store.createIfNoPending(id, requestData, getExpiryCutoff(at), [confirmationMail], expiredMessages)) {
+                return res.status(400).json({
+                    error: t(locale, 'api.exportAlreadyPending')
+                });
+            }
+            metrics.increment('unitok_requests_submitted_total', { type: 'export' });
+            logger.info('Export request created', { email, request: id.substring(0, 8) });
+            mailWorker.wake();
+
+            res.json(confirmationSent(locale));
+
+        } catch (error) {
+            logger.error('Error processing export request', { err: error });
+            res.status(500).json({
+                error: t(locale, 'api.requestFailed')
+            });
+        }
+    });
+
+    /**
+     * Look up an export request from a confirmation link
+     * Sends the matching error page and returns null if the link can't be
+     * used; an expired link expires its request on the way.
+     * @param {import('express').Request} req - Request with :token
+     * @param {import('express').Response} res - Response for error pages
+     * @param {Date} at - Current time
+     * @returns {Object|null} Request data that is still pending
+     */
+    function getConfirmableRequest(req, res, at) {
+        const verified = tokens.verifyToken('export', req.params.token, at);
+        const requestData = verified && store.get(verified.id);
+        if (!requestData) {
+            res.status(404).send(exportErrorPage(resolveLocale(req), 'invalidLink'));
+            return null;
+        }
+
+        const locale = requestData.locale || resolveLocale(req);
+        const state = getState(requestData);
+
+        if (state === 'expired' || (isPending(requestData) && verified.expired)) {
+            if (state !== 'expired') {
+                store.save(requestData.token, transition(requestData, 'expired', { note: 'Confirmation link expired', at }));
+                metrics.increment('unitok_requests_expired_total', { type: 'export' });
+            }
+            res.status(410).send(exportErrorPage(locale, 'linkExpired'));
+            return null;
+        }
+
+        if (!isPending(requestData)) {
+            res.status(410).send(generateAlreadyUsedPage(locale, 'export.alreadyUsed'));
+            return null;
+        }
+
+        return requestData;
+    }
+
+    /**
+     * GET /confirm-export/:token
+     * Show the confirmation page for the emailed link; confirming needs the
+     * POST below, so mail scanners that open links can't confirm
+     */
+    router.get('/confirm-export/:token', (req, res) => {
+        try {
+            const requestData = getConfirmableRequest(req, res, now());
+            if (!requestData) return;
+
+            res.set('Cache-Control', 'no-store');
+            res.send(renderPage(path.join(ROOT_DIR, 'request-export', 'confirm.html'), {
+                locale: requestData.locale || resolveLocale(req),
+                namespace: 'exportConfirm',
+                baseUrl: getBaseUrl(),
+                values: {
+                    token: req.params.token,
+                    email: requestData.email
+                }
+            }));
+
+        } catch (error) {
+            logger.error('Error showing export confirmation page', { err: error });
+            res.status(500).send(exportErrorPage(resolveLocale(req), 'confirmFailed'));
+        }
+    });
+
+    /**
+     * POST /confirm-export/:token
+     * Confirm a data export request from its confirmation page
+     * Marks it confirmed and notifies support; the archive is built in the
+     * background when the directory can export accounts
+     */
+    router.post('/confirm-export/:token', (req, res) => {
+        try {
+            const at = now();
+            const requestData = getConfirmableRequest(req, res, at);
+            if (!requestData) return;
+
+            transition(requestData, 'confirmed', { actor: 'user', ip: req.ip, at });
+            store.save(requestData.token, requestData, [createOutboxMessage({
+                kind: 'support-export-requested',
+                ref: requestData.token,
+                mail: buildSupportExportMail(requestData, Boolean(directory.exportAccount))
+            }, at)]);
+            mailWorker.wake();
+            metrics.increment('unitok_requests_confirmed_total', { type: 'export' });
+            logger.info('Data export confirmed', { request: requestData.token.substring(0, 8) });
+
+            res.send(renderPage(path.join(ROOT_DIR, 'request-export', 'confirmed.html'), {
+                locale: requestData.locale || resolveLocale(req),
+                namespace: 'exportConfirmed',
+                baseUrl: getBaseUrl(),
+                values: {
+                    automatic: Boolean(directory.exportAccount),
+                    downloadHours: getDownloadHours()
+                }
+            }));
+
+        } catch (error) {
+            logger.error('Error confirming export request', { err: error });
+            res.status(500).send(exportErrorPage(resolveLocale(req), 'confirmFailed'));
+        }
+    });
+
+    /**
+     * GET /download-export/:id
+     * Send the archive of a completed export while its link is valid
+     */
+    router.get('/download-export/:id', (req, res) => {
+        const { id } = req.params;
+        const requestData = tokens.isRequestId(id) && links.verify('export-download', id, req.query.sig)
+            ? store.get(id)
+            : null;
+        const locale = (requestData && requestData.locale) || resolveLocale(req);
+        const archive = requestData && requestData.archive;
+
+        if (!archive || !['ready', 'expired'].includes(archive.status)) {
+            return res.status(404).send(exportErrorPage(locale, 'invalidDownloadLink'));
+        }
+
+        const at = now();
+        const stream = archive.status === 'ready' && new Date(archive.expiresAt) > at ? archives.open(id) : null;
+        if (!stream) {
+            return res.status(410).send(exportErrorPage(locale, 'downloadExpired'));
+        }
+
+        archive.downloads = (archive.downloads || 0) + 1;
+        archive.lastDownloadedAt = at.toISOString();
+        store.save(id, requestData);
+        logger.info('Data export downloaded', { request: id.substring(0, 8), downloads: archive.downloads });
+
+        // attachment() guesses the type from the filename, so the backend's
+        // type is set after it, and without the charset res.set() would add
+        res.attachment(archive.filename);
+        res.setHeader('Content-Type', archive.contentType);
+        res.set({
+            'Content-Length': String(archive.size),
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        stream.on('error', (error) => {
+            logger.error('Error sending export archive', { request: id.substring(0, 8), error: error.message });
+            res.destroy();
+        });
+        stream.pipe(res);
+    });
+
+    return router;
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - Email Builders
+// ============================================================================
+
+/**
+ * Build the notice telling support a user asked for a copy of their data
+ * @param {Object} requestData - Confirmed export request
+ * @param {boolean} automatic - Whether the archive is built by the directory
+ * @returns {Object} Nodemailer mail options
+ */
+function buildSupportExportMail(requestData, automatic) {
+    return createMail('support-export-requested', {
+        to: process.env.SUPPORT_EMAIL,
+        layout: false,
+        fromName: 'Data Export System',
+        values: {
+            email: requestData.email,
+            accountId: requestData.accountId,
+            locale: requestData.locale || 'en',
+            token: requestData.token,
+            createdAt: formatDateTime(requestData.createdAt),
+            confirmedAt: formatDateTime(requestData.confirmedAt),
+            automatic
+        }
+    });
+}
+
+/**
+ * Build the outbox message telling the user their archive is ready
+ * @param {Object} requestData - Export request with a ready archive
+ * @param {Date} now - Current time
+ * @param {string} baseUrl - Public server URL for the download link
+ * @returns {Object} Outbox message
+ */
+function buildExportReadyMail(requestData, now, baseUrl) {
+    return createOutboxMessage({
+        kind: 'export-ready',
+        ref: requestData.token,
+        mail: createMail('export-ready', {
+            to: requestData.email,
+            locale: requestData.locale,
+            values: {
+                downloadLink: links.buildExportDownloadLink(baseUrl, requestData.token),
+                expiresAt: formatDateTime(requestData.archive.expiresAt, requestData.locale)
+            }
+        })
+    }, now);
+}
+
+module.exports = { createExportRouter, buildExportReadyMail };
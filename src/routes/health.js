@@ -0,0 +1,169 @@
+/**
+ * Health and Metrics Routes
+ *
+ * For load balancers, uptime checks and Prometheus:
+ *
+ * - GET /healthz  Storage and mail transport status as JSON. Answers 503
+ *                 when a request store can't be read or written, and 200
+ *                 with status "degraded" when only the mail transport
+ *                 fails, since requests are still accepted and their
+ *                 emails wait in the outbox.
+ * - GET /metrics  Counters from ../metrics.js and outbox gauges in the
+ *                 Prometheus text format. Needs `Authorization: Bearer
+ *                 <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ *
+ * The mail transport check (an SMTP handshake for smtp) is cached for
+ * MAIL_CHECK_SECONDS so frequent health checks don't each open a
+ * connection. Failure details are logged, not returned.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('../logger');
+
+const MAIL_CHECK_SECONDS = 60;
+const MAIL_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Check a bearer token against METRICS_TOKEN in constant time
+ * @param {string} [header] - Authorization header
+ * @param {string} expected - METRICS_TOKEN
+ * @returns {boolean} True if the header carries the token
+ */
+function hasMetricsToken(header, expected) {
+    const given = (header || '').replace(/^Bearer\s+/i, '');
+    const hashGiven = crypto.createHash('sha256').update(given).digest();
+    const hashExpected = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(hashGiven, hashExpected);
+}
+
+/**
+ * Run a store's ping()
+ * @param {string} name - Store name for the log
+ * @param {Object} store - Request store
+ * @returns {{status: string, driver: string}} "ok" or "error"
+ */
+function checkStore(name, store) {
+    try {
+        store.ping();
+        return { status: 'ok', driver: store.driver };
+    } catch (error) {
+        logger.error('Health check: storage failed', { store: name, driver: store.driver, err: error });
+        return { status: 'error', driver: store.driver };
+    }
+}
+
+/**
+ * Build the health and metrics router
+ * @param {Object} deps
+ * @param {Object} deps.store - Deletion request store
+ * @param {Object} deps.exportStore - Data export request store
+ * @param {Object} deps.transporter - Mail transport
+ * @param {Object} deps.metrics - Metrics registry (see ../metrics.js)
+ * @param {Function} deps.now - () => current time as a Date
+ * @returns {import('express').Router}
+ */
+function createHealthRouter({ store, exportStore, transporter, metrics, now }) {
+    const router = express.Router();
+    const startedAt = now();
+    let mailCheck = null;
+    let mailCheckRunning = null;
+
+    /**
+     * Check the mail transport, reusing a recent result
+     * @returns {Promise<{status: string, driver: string, checkedAt: string}>}
+     */
+    async function checkMail() {
+        const at = now();
+        if (mailCheck && at - new Date(mailCheck.checkedAt) < MAIL_CHECK_SECONDS * 1000) {
+            return mailCheck;
+        }
+        if (!mailCheckRunning) {
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('Mail transport check timed out')), MAIL_CHECK_TIMEOUT_MS);
+            });
+            mailCheckRunning = Promise.race([transporter.verify(), timeout])
+                .then(() => 'ok', (error) => {
+                    logger.error('Health check: mail transport failed', { driver: transporter.driver, err: error });
+                    return 'error';
+                })
+                .then((status) => {
+                    mailCheck = { status, driver: transporter.driver, checkedAt: at.toISOString() };
+                    return mailCheck;
+                })
+                .finally(() => {
+                    clearTimeout(timer);
+                    mailCheckRunning = null;
+                });
+        }
+        return mailCheckRunning;
+    }
+
+    /**
+     * GET /healthz
+     * Report whether the service can take requests
+     */
+    router.get('/healthz', async (req, res) => {
+        const storage = checkStore('deletion', store);
+        const exportStorage = checkStore('export', exportStore);
+        const mail = await checkMail();
+
+        let outbox = null;
+        try {
+            outbox = store.outbox.counts();
+        } catch (error) {
+            // Already reported through the storage check
+        }
+
+        let status = 'ok';
+        if (storage.status !== 'ok' || exportStorage.status !== 'ok') {
+            status = 'error';
+        } else if (mail.status !== 'ok') {
+            status = 'degraded';
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.status(status === 'error' ? 503 : 200).json({
+            status,
+            uptimeSeconds: Math.round((now() - startedAt) / 1000),
+            checks: { storage, exportStorage, mail, outbox }
+        });
+    });
+
+    /**
+     * GET /metrics
+     * Counters and gauges in the Prometheus text format
+     */
+    router.get('/metrics', (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token && !hasMetricsToken(req.get('Authorization'), token)) {
+            res.set('WWW-Authenticate', 'Bearer realm="UniTok Metrics"');
+            return res.status(401).type('text/plain').send('Authentication required.\n');
+        }
+
+        const gauges = [];
+        try {
+            const counts = store.outbox.counts();
+            gauges.push({
+                name: 'unitok_outbox_messages',
+                help: 'Messages waiting in the outbox, by status',
+                values: Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }))
+            });
+        } catch (error) {
+            logger.error('Metrics: reading outbox counts failed', { err: error });
+        }
+        gauges.push({
+            name: 'unitok_uptime_seconds',
+            help: 'Seconds since the app was started',
+            values: [{ value: Math.round((now() - startedAt) / 1000) }]
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain; version=0.0.4').send(metrics.render(gauges));
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,170 @@
+/**
+ * Page Routes
+ *
+ * Public HTML pages in every supported language. English is served at the
+ * plain paths and translations under a locale prefix:
+ *
+ * - GET /                  Landing page          (/ar/)
+ * - GET /pp.html           Privacy policy        (/ar/pp.html)
+ * - GET /csae.html         Child safety policy   (/ar/csae.html)
+ * - GET /request-deletion  Account deletion form (/ar/request-deletion)
+ * - GET /request-export    Data export form      (/ar/request-export)
+ * - GET /report            Contact and report form (/ar/report)
+ * - GET /lang/:locale      Language switcher (?to=/pp.html); saves the
+ *                          choice in a cookie and redirects to the page
+ *
+ * The policy pages show the policy version in effect (see ../policies);
+ * earlier and upcoming versions are served by ./policies.js.
+ *
+ * Visitors to a plain path whose saved or browser language is not English
+ * are redirected to their translation.
+ *
+ * Every page gets the response's CSP nonce as {{cspNonce}} for its inline
+ * scripts (see ../middleware/security.js); the forms also get a CSRF token
+ * as {{csrfToken}} (see ../middleware/csrf.js).
+ */
+
+const express = require('express');
+const path = require('path');
+const { renderPage, localizePath } = require('../i18n');
+const { getDownloadHours } = require('../dataExport');
+const { getTokenExpiryHours } = require('./deletion');
+const { getReportSettings } = require('../reports');
+const { issueCsrfToken } = require('../middleware/csrf');
+const { isPolicyPath } = require('../policies');
+const {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    LOCALE_COOKIE,
+    LOCALE_COOKIE_MAX_AGE_MS,
+    isSupportedLocale,
+    getPreferredLocale
+} = require('../locale');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Pages by their English path, with the template and catalog for each,
+ * optionally getValues(deps, locale) for page data, `csrf` for pages
+ * whose form posts need a CSRF token and `policy` for pages showing a
+ * policy from content/policies.json
+ */
+const PAGES = {
+    '/': {
+        file: 'index.html',
+        namespace: 'home',
+        getValues: ({ content }, locale) => content.getLandingSections(locale)
+    },
+    '/pp.html': { file: 'pp.html', namespace: 'privacy', policy: 'privacy' },
+    '/csae.html': { file: 'csae.html', namespace: 'csae', policy: 'csae' },
+    '/request-deletion': { file: path.join('request-deletion', 'index.html'), namespace: 'deletion', csrf: true },
+    '/request-export': {
+        file: path.join('request-export', 'index.html'),
+        namespace: 'export',
+        csrf: true,
+        getValues: () => ({ expiryHours: getTokenExpiryHours(), downloadHours: getDownloadHours() })
+    },
+    '/report': {
+        file: path.join('report', 'index.html'),
+        namespace: 'report',
+        csrf: true,
+        getValues: () => getReportSettings()
+    }
+};
+
+/**
+ * Get the URL of every page in a locale, keyed by the page's catalog name
+ * @param {string} locale - Supported locale
+ * @returns {Object} e.g. { home: '/ar/', privacy: '/ar/pp.html', ... }
+ */
+function getPageUrls(locale) {
+    return Object.fromEntries(Object.entries(PAGES).map(([pathname, page]) =>
+        [page.namespace, localizePath(locale, pathname)]));
+}
+
+/**
+ * Build the page router
+ * @param {Object} deps
+ * @param {Function} deps.getBaseUrl - () => public base URL for hreflang links
+ * @param {Object} deps.content - Site content from loadContent()
+ * @param {Object} deps.policies - Policies from loadPolicies()
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {import('express').Router}
+ */
+function createPagesRouter(deps) {
+    const { getBaseUrl, policies, now = () => new Date() } = deps;
+    const router = express.Router();
+
+    for (const [pathname, page] of Object.entries(PAGES)) {
+        if (page.policy && !policies.get(page.policy)) {
+            throw new Error(`Page ${pathname} shows policy "${page.policy}", which is missing from content/policies.json`);
+        }
+        const filePath = path.join(ROOT_DIR, page.file);
+
+        /**
+         * Send a page in one locale
+         * @param {string} locale - Supported locale
+         * @param {import('express').Request} req - Request
+         * @param {import('express').Response} res - Response
+         */
+        const sendPage = (locale, req, res) => {
+            const at = now();
+            const policy = page.policy
+                ? policies.getPageValues(page.policy, policies.getCurrent(page.policy, at), locale, at)
+                : { values: {} };
+            res.send(renderPage(filePath, {
+                locale,
+                namespace: page.namespace,
+                baseUrl: getBaseUrl(),
+                pathname,
+                text: policy.text,
+                values: {
+                    urls: getPageUrls(locale),
+                    cspNonce: res.locals.cspNonce,
+                    csrfToken: page.csrf ? issueCsrfToken(req, res) : null,
+                    ...policy.values,
+                    ...(page.getValues ? page.getValues(deps, locale) : {})
+                }
+            }));
+        };
+
+        router.get(pathname, (req, res) => {
+            res.vary('Cookie').vary('Accept-Language');
+            const locale = getPreferredLocale(req);
+            if (locale !== DEFAULT_LOCALE) {
+                return res.redirect(localizePath(locale, pathname));
+            }
+            sendPage(DEFAULT_LOCALE, req, res);
+        });
+
+        for (const locale of SUPPORTED_LOCALES.filter((other) => other !== DEFAULT_LOCALE)) {
+            router.get(localizePath(locale, pathname), (req, res) => sendPage(locale, req, res));
+        }
+    }
+
+    /**
+     * GET /lang/:locale
+     * Save the visitor's language and redirect to the page they came from
+     */
+    router.get('/lang/:locale', (req, res) => {
+        const { locale } = req.params;
+        if (!isSupportedLocale(locale)) {
+            return res.status(404).send('Unsupported language');
+        }
+
+        // Only redirect to our own pages
+        const { to } = req.query;
+        const pathname = Object.hasOwn(PAGES, to) || isPolicyPath(to) ? to : '/';
+
+        res.cookie(LOCALE_COOKIE, locale, {
+            maxAge: LOCALE_COOKIE_MAX_AGE_MS,
+            sameSite: 'lax',
+            path: '/'
+        });
+        res.redirect(localizePath(locale, pathname));
+    });
+
+    return router;
+}
+
+module.exports = { createPagesRouter, getPageUrls, PAGES };
@@ -0,0 +1,240 @@
+/**
+ * Policy Routes
+ *
+ * Dated versions of the policies in content/policies.json (see
+ * ../policies/index.js), in every supported language. The stable pages
+ * (/pp.html, /csae.html) are served by ./pages.js and always show the
+ * version in effect.
+ *
+ * - GET /policies/:policy                     Redirect to the stable page
+ * - GET /policies/:policy/history             Every version, newest first
+ * - GET /policies/:policy/:effective          One version, e.g. /policies/privacy/2025-12-01
+ * - GET /policies/:policy/:effective/changes  What that version changed
+ * - GET /api/policies                         Policies and versions as JSON (?lang=)
+ *
+ * Translations are served under a locale prefix (/ar/policies/...), and
+ * visitors to a plain path whose saved or browser language is not English
+ * are redirected to their translation, as for the other pages. Unknown
+ * policies and versions fall through to the 404 handler.
+ */
+
+const express = require('express');
+const path = require('path');
+const { renderPage, localizePath, t } = require('../i18n');
+const { getPolicyPath } = require('../policies');
+const { PAGES, getPageUrls } = require('./pages');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, getPreferredLocale, resolveLocale } = require('../locale');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Build the policy router
+ * @param {Object} deps
+ * @param {Object} deps.policies - Policies from loadPolicies()
+ * @param {Function} deps.getBaseUrl - () => public base URL for hreflang links
+ * @param {Function} [deps.now] - () => current time as a Date
+ * @returns {import('express').Router}
+ * @throws {Error} If a policy's page is not one of the site's pages
+ */
+function createPoliciesRouter({ policies, getBaseUrl, now = () => new Date() }) {
+    const router = express.Router();
+
+    for (const { id, page } of policies.list()) {
+        if (!PAGES[page] || PAGES[page].policy !== id) {
+            throw new Error(`Policy "${id}" has no page at ${page} (see PAGES in src/routes/pages.js)`);
+        }
+    }
+
+    /**
+     * Register a page route in every locale
+     * @param {string} pattern - English route path
+     * @param {Function} handler - (locale, req, res, next) => void
+     */
+    function localizedRoute(pattern, handler) {
+        router.get(pattern, (req, res, next) => {
+            res.vary('Cookie').vary('Accept-Language');
+            const locale = getPreferredLocale(req);
+            if (locale !== DEFAULT_LOCALE) {
+                return res.redirect(localizePath(locale, req.path));
+            }
+            handler(DEFAULT_LOCALE, req, res, next);
+        });
+
+        for (const locale of SUPPORTED_LOCALES.filter((other) => other !== DEFAULT_LOCALE)) {
+            router.get(localizePath(locale, pattern), (req, res, next) => handler(locale, req, res, next));
+        }
+    }
+
+    /**
+     * Look up the policy and version named in the URL
+     * @param {import('express').Request} req - Request
+     * @returns {{policy: Object, version: Object|null}|null} Null for an unknown policy
+     */
+    function findPolicy(req) {
+        const policy = policies.get(req.params.policy);
+        if (!policy) return null;
+        return { policy, version: req.params.effective ? policies.getVersion(policy.id, req.params.effective) : null };
+    }
+
+    /**
+     * Render one of the policy pages in ../../policies/
+     * @param {string} file - Template name, e.g. "history.html"
+     * @param {string} locale - Supported locale
+     * @param {string} pathname - English path of the page
+     * @param {import('express').Response} res - Response
+     * @param {Object} values - Page values
+     */
+    function sendPolicyPage(file, locale, pathname, res, values) {
+        res.send(renderPage(path.join(ROOT_DIR, 'policies', file), {
+            locale,
+            namespace: 'policies',
+            baseUrl: getBaseUrl(),
+            pathname,
+            values: { cspNonce: res.locals.cspNonce, ...values }
+        }));
+    }
+
+    /**
+     * GET /policies/:policy
+     * Redirect to the stable URL of the policy
+     */
+    for (const locale of SUPPORTED_LOCALES) {
+        router.get(localizePath(locale, '/policies/:policy'), (req, res, next) => {
+            const found = findPolicy(req);
+            if (!found) return next();
+            res.redirect(localizePath(locale, found.policy.page));
+        });
+    }
+
+    /**
+     * GET /policies/:policy/history
+     * List every version with its status and summary
+     */
+    localizedRoute('/policies/:policy/history', (locale, req, res, next) => {
+        const found = findPolicy(req);
+        if (!found) return next();
+        const { policy } = found;
+        const at = now();
+
+        const versions = [...policy.versions].reverse().map((version) => {
+            const info = policies.describe(policy.id, version, locale, at);
+            return {
+                ...info,
+                label: t(locale, 'policies.history.version', info),
+                effectiveLabel: t(locale, 'policies.history.effective', info),
+                statusLabel: t(locale, `policies.history.status.${info.status}`)
+            };
+        });
+
+        sendPolicyPage('history.html', locale, getPolicyPath(policy.id, 'history'), res, {
+            policyName: t(locale, `policies.names.${policy.id}`),
+            pageUrl: localizePath(locale, policy.page),
+            versions
+        });
+    });
+
+    /**
+     * GET /policies/:policy/:effective
+     * Show one version, marked as current, replaced or upcoming
+     */
+    localizedRoute('/policies/:policy/:effective', (locale, req, res, next) => {
+        const found = findPolicy(req);
+        if (!found || !found.version) return next();
+        const { policy, version } = found;
+        const page = PAGES[policy.page];
+
+        const { text, values } = policies.getPageValues(policy.id, version, locale, now(), { archived: true });
+        res.send(renderPage(path.join(ROOT_DIR, page.file), {
+            locale,
+            namespace: page.namespace,
+            baseUrl: getBaseUrl(),
+            pathname: getPolicyPath(policy.id, version.effective),
+            text,
+            values: { urls: getPageUrls(locale), cspNonce: res.locals.cspNonce, ...values }
+        }));
+    });
+
+    /**
+     * GET /policies/:policy/:effective/changes
+     * Compare a version with the one before it, word by word
+     */
+    localizedRoute('/policies/:policy/:effective/changes', (locale, req, res, next) => {
+        const found = findPolicy(req);
+        if (!found || !found.version) return next();
+        const { policy, version } = found;
+        const changes = policies.getChanges(policy.id, version, locale);
+        // The first version has nothing to compare with
+        if (!changes) return next();
+
+        const at = now();
+        const info = policies.describe(policy.id, version, locale, at);
+        const previous = policies.describe(policy.id, policy.versions[policy.versions.indexOf(version) - 1], locale, at);
+
+        let lastSection = null;
+        const rows = changes.map((change) => {
+            const sectionTitle = change.section && change.section !== lastSection ? change.section : null;
+            lastSection = change.section;
+            return {
+                sectionTitle,
+                kindLabel: change.type === 'changed' ? null : t(locale, `policies.changes.${change.type}`),
+                parts: change.parts.map((part) => ({
+                    text: part.text,
+                    added: part.type === 'added',
+                    removed: part.type === 'removed',
+                    same: part.type === 'same'
+                }))
+            };
+        });
+
+        sendPolicyPage('changes.html', locale, getPolicyPath(policy.id, version.effective, 'changes'), res, {
+            policyName: t(locale, `policies.names.${policy.id}`),
+            version: info.version,
+            effectiveDate: info.effectiveDate,
+            previousVersion: previous.version,
+            previousDate: previous.effectiveDate,
+            summary: info.summary,
+            versionUrl: info.url,
+            historyUrl: localizePath(locale, getPolicyPath(policy.id, 'history')),
+            changes: rows
+        });
+    });
+
+    /**
+     * GET /api/policies
+     * List the policies with their versions, in the visitor's language
+     */
+    router.get('/api/policies', (req, res) => {
+        const locale = resolveLocale(req);
+        const at = now();
+        const baseUrl = getBaseUrl();
+        res.vary('Cookie').vary('Accept-Language');
+
+        res.json({
+            locale,
+            policies: policies.list().map(({ id, page }) => {
+                const versions = policies.get(id).versions.map((version) => {
+                    const info = policies.describe(id, version, locale, at);
+                    return {
+                        version: info.version,
+                        effective: info.effective,
+                        status: info.status,
+                        summary: info.summary,
+                        url: baseUrl + info.url,
+                        changesUrl: info.changesUrl ? baseUrl + info.changesUrl : null
+                    };
+                });
+                return {
+                    id,
+                    name: t(locale, `policies.names.${id}`),
+                    url: baseUrl + localizePath(locale, page),
+                    current: policies.getCurrent(id, at).version,
+                    versions
+                };
+            })
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createPoliciesRouter };
@@ -0,0 +1,223 @@
+/**
+ * Report Routes
+ *
+ * Contact and reporting intake behind the form at /report:
+ *
+ * - POST /api/reports  Submit a report; answers with its ticket ID
+ *
+ * Reports are stored with their attachments (see ../storage/reportStore.js)
+ * and two emails are queued in the outbox: the ticket ID to the reporter,
+ * and the report to its category's recipient (see ../reports). Child
+ * safety reports go to SAFETY_EMAIL, marked priority, and are stored
+ * restricted.
+ *
+ * Unlike the request forms there is no confirmation link: a report is
+ * accepted as sent, so the form is rate limited, guarded and CSRF-checked
+ * like the others before anything is stored.
+ */
+
+const express = require('express');
+const { resolveLocale, formatDateTime } = require('../locale');
+const { t } = require('../i18n');
+const { createMail } = require('../emails');
+const { createOutboxMessage } = require('../outbox');
+const {
+    REPORT_CATEGORIES,
+    getReportBodyLimit,
+    getReportRecipient,
+    checkReportRecipients,
+    createTicketId,
+    parseReport,
+    createReport
+} = require('../reports');
+const { createSubmissionRateLimits } = require('../middleware/rateLimit');
+const { createFormGuard } = require('../middleware/formGuard');
+const { createCsrfProtection } = require('../middleware/csrf');
+const { logger } = require('../logger');
+
+// ============================================================================
+// HELPER FUNCTIONS - Reports
+// ============================================================================
+
+/**
+ * Build the response for an accepted report
+ * @param {string} locale - Supported locale
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object} JSON body
+ */
+function reportReceived(locale, ticketId) {
+    return {
+        success: true,
+        ticketId,
+        message: t(locale, 'api.reportReceived', { ticketId })
+    };
+}
+
+/**
+ * Create the JSON body parser for POST /api/reports
+ * Attachments are base64-encoded in the body, so it takes far more than
+ * the app's default parser, which skips this route (see ../app.js). It
+ * runs after the IP rate limit and CSRF check, so nobody can make the
+ * server read a body that size before being turned away. Bodies over the
+ * limit get a JSON error the form can show.
+ * @returns {import('express').RequestHandler}
+ */
+function createReportBodyParser() {
+    const parse = express.json({ limit: getReportBodyLimit() });
+    return (req, res, next) => parse(req, res, (error) => {
+        if (error && error.type === 'entity.too.large') {
+            logger.warn('Report body too large', { length: error.length, limit: error.limit });
+            return res.status(413).json({
+                error: t(resolveLocale(req), 'api.reportTooLarge')
+            });
+        }
+        next(error);
+    });
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Build the report router
+ * @param {Object} deps
+ * @param {Object} deps.reports - Report store
+ * @param {Object} deps.outbox - Outbox the emails are queued in
+ * @param {Object} deps.mailWorker - Outbox worker, woken after queuing email
+ * @param {Object} deps.rateLimitStore - Hit store for the submission rate limits
+ * @param {Object} deps.metrics - Metrics registry for report counts (see ../metrics.js)
+ * @param {Function} deps.now - () => current time as a Date
+ * @returns {import('express').Router}
+ */
+function createReportsRouter({ reports, outbox, mailWorker, rateLimitStore, metrics, now }) {
+    const router = express.Router();
+    const reportRateLimits = createSubmissionRateLimits(rateLimitStore, 'report');
+
+    checkReportRecipients();
+
+    /**
+     * POST /api/reports
+     * Submit a report
+     * Body: { category, email, name, subject, message, attachments: [{ name, data }], lang }
+     * Honeypot hits get a made-up ticket ID, so they look accepted.
+     * The body is only read once the CSRF check has passed, so the token
+     * has to come in the X-CSRF-Token header.
+     */
+    router.post('/api/reports',
+        reportRateLimits.byIp,
+        createCsrfProtection(),
+        createReportBodyParser(),
+        createFormGuard({ successBody: (req) => reportReceived(resolveLocale(req), createTicketId()) }),
+        reportRateLimits.byEmail,
+        (req, res) => {
+        const locale = resolveLocale(req);
+        try {
+            let fields;
+            try {
+                fields = parseReport(req.body);
+            } catch (error) {
+                if (error.code !== 'INVALID_REPORT') throw error;
+                return res.status(400).json({
+                    error: t(locale, `api.${error.key}`, error.values)
+                });
+            }
+
+            let ticketId = createTicketId();
+            while (reports.has(ticketId)) ticketId = createTicketId();
+
+            const at = now();
+            const report = createReport(fields, { ticketId, locale, ip: req.ip, at });
+            reports.save(report, fields.attachments);
+
+            outbox.add(buildReportReceivedMail(report, at));
+            outbox.add(buildSupportReportMail(report, at));
+            mailWorker.wake();
+
+            metrics.increment('unitok_reports_submitted_total', { category: report.category });
+            logger.info('Report received', {
+                ticket: ticketId,
+                category: report.category,
+                priority: report.priority,
+                attachments: report.attachments.length
+            });
+
+            res.json(reportReceived(locale, ticketId));
+
+        } catch (error) {
+            logger.error('Error processing report', { err: error });
+            res.status(500).json({
+                error: t(locale, 'api.requestFailed')
+            });
+        }
+    });
+
+    return router;
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - Email Builders
+// ============================================================================
+
+/**
+ * Build the email giving the reporter their ticket ID
+ * Replies go to the team handling the category.
+ * @param {Object} report - Stored report
+ * @param {Date} now - Current time
+ * @returns {Object} Outbox message
+ */
+function buildReportReceivedMail(report, now) {
+    const mail = createMail('report-received', {
+        to: report.email,
+        locale: report.locale,
+        values: {
+            ticketId: report.ticketId,
+            categoryName: t(report.locale, `report.categories.${report.category}`),
+            priority: report.priority
+        }
+    });
+    return createOutboxMessage({
+        kind: 'report-received',
+        ref: report.ticketId,
+        mail: { ...mail, replyTo: getReportRecipient(report.category) }
+    }, now);
+}
+
+/**
+ * Build the email passing a report to its category's recipient
+ * Attachments are listed, not attached; replies go to the reporter.
+ * @param {Object} report - Stored report
+ * @param {Date} now - Current time
+ * @returns {Object} Outbox message
+ */
+function buildSupportReportMail(report, now) {
+    const mail = createMail('support-report', {
+        to: getReportRecipient(report.category),
+        layout: false,
+        fromName: 'UniTok Reports',
+        values: {
+            ticketId: report.ticketId,
+            categoryLabel: REPORT_CATEGORIES[report.category].label,
+            priority: report.priority,
+            restricted: report.restricted,
+            email: report.email,
+            name: report.name,
+            locale: report.locale,
+            createdAt: formatDateTime(report.createdAt),
+            reportSubject: report.subject,
+            message: report.message,
+            hasAttachments: report.attachments.length > 0,
+            attachments: report.attachments.map((attachment) => ({
+                ...attachment,
+                sizeKb: Math.ceil(attachment.size / 1024)
+            }))
+        }
+    });
+    return createOutboxMessage({
+        kind: 'support-report',
+        ref: report.ticketId,
+        mail: { ...mail, replyTo: report.email }
+    }, now);
+}
+
+module.exports = { createReportsRouter };
@@ -0,0 +1,75 @@
+/**
+ * Export Archive Storage
+ *
+ * Keeps the data export archives built for users (see ../dataExport.js)
+ * as files named after their request ID, readable only by the server's
+ * user. Details such as the download filename and content type are kept
+ * on the export request, not here. Archives are removed once their
+ * download link expires.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isRequestId } = require('../tokens');
+const { logger } = require('../logger');
+
+/**
+ * Create a file-backed archive store
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the archives
+ * @returns {{save: Function, open: Function, remove: Function, dir: string}}
+ */
+function createArchiveStore({ dir }) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        logger.info('Created archive directory', { dir });
+    }
+
+    /**
+     * Map a request ID to its archive file
+     * @param {string} id - Request ID
+     * @returns {string} Absolute file path
+     * @throws {Error} For a malformed ID, so nothing outside dir is touched
+     */
+    function filePath(id) {
+        if (!isRequestId(id)) {
+            throw new Error('Invalid export request ID');
+        }
+        return path.join(dir, `${id}.archive`);
+    }
+
+    /**
+     * Store an archive, replacing any earlier one for the request
+     * Written to a temporary file first so a crash never leaves half an archive
+     * @param {string} id - Request ID
+     * @param {Buffer} data - Archive contents
+     */
+    function save(id, data) {
+        const target = filePath(id);
+        const temporary = `${target}.tmp`;
+        fs.writeFileSync(temporary, data, { mode: 0o600 });
+        fs.renameSync(temporary, target);
+    }
+
+    /**
+     * Open an archive for streaming
+     * @param {string} id - Request ID
+     * @returns {import('fs').ReadStream|null} Stream, or null if there is no archive
+     */
+    function open(id) {
+        const target = filePath(id);
+        return fs.existsSync(target) ? fs.createReadStream(target) : null;
+    }
+
+    /**
+     * Delete an archive; missing archives are ignored
+     * @param {string} id - Request ID
+     */
+    function remove(id) {
+        fs.rmSync(filePath(id), { force: true });
+    }
+
+    return { save, open, remove, dir };
+}
+
+module.exports = { createArchiveStore };
@@ -0,0 +1,172 @@
+/**
+ * File Storage Adapter
+ *
+ * Stores each deletion request as `<id>.json` inside a data directory,
+ * where the ID is the hash of its confirmation token (see ../tokens.js).
+ * This is the original storage format and remains the default driver,
+ * which keeps existing deployments working without any migration step.
+ *
+ * Duplicate checks scan every file in the directory, so this adapter is
+ * only suitable for low request volumes. Use the SQLite adapter otherwise.
+ *
+ * Queued emails go to `outbox/` inside the data directory, or to
+ * `outboxDir` so that stores for other request collections can share one
+ * outbox. A request and its messages are separate files, written request
+ * first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getState, isPending, transition } = require('../lifecycle');
+const { createFileOutbox } = require('../outbox/fileOutbox');
+const { logger } = require('../logger');
+
+/**
+ * Create a file-backed request store
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the request files
+ * @param {string} [options.outboxDir] - Outbox directory (default `<dir>/outbox`)
+ * @returns {Object} Store implementing the interface in ./index.js
+ */
+function createFileStore({ dir, outboxDir = path.join(dir, 'outbox') }) {
+    // Ensure data directory exists
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        logger.info('Created data directory', { dir });
+    }
+
+    /**
+     * Get the file for a request ID
+     * IDs can come from URLs, so anything but hex and dashes is refused
+     * rather than joined into a path.
+     * @param {string} token - Request ID
+     * @returns {string|null} Absolute file path, or null for a malformed ID
+     */
+    const filePath = (token) => (/^[0-9a-f-]{1,64}$/.test(token) ? path.join(dir, `${token}.json`) : null);
+    const outbox = createFileOutbox({ dir: outboxDir });
+
+    /**
+     * Read every request file in the data directory
+     * Unreadable files are logged and skipped
+     * @returns {Array<{file: string, data: Object}>}
+     */
+    function readAll() {
+        const entries = [];
+        for (const file of fs.readdirSync(dir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                entries.push({ file, data });
+            } catch (error) {
+                logger.error('Error reading request file', { file, error: error.message });
+            }
+        }
+        return entries;
+    }
+
+    function save(token, data, messages = []) {
+        const file = filePath(token);
+        if (!file) {
+            throw new Error('Invalid request ID');
+        }
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        messages.forEach(outbox.add);
+    }
+
+    function get(token) {
+        const file = filePath(token);
+        if (file && fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        return null;
+    }
+
+    function remove(token) {
+        const file = filePath(token);
+        if (file && fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+
+    function hasPending(email, expiredBefore, expiredMessages) {
+        for (const { data } of readAll()) {
+            if (data.email !== email || !isPending(data)) continue;
+
+            if (data.createdAt < expiredBefore) {
+                // Keep the record for the audit trail, but stop it blocking
+                transition(data, 'expired', { note: 'Confirmation link expired' });
+                save(data.token, data, expiredMessages ? expiredMessages(data) : []);
+                logger.info('Marked expired request', { request: data.token.substring(0, 8) });
+            } else {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function createIfNoPending(token, data, expiredBefore, messages = [], expiredMessages) {
+        // Node runs this synchronously, so no other request in this
+        // process can interleave between the check and the write.
+        if (hasPending(data.email, expiredBefore, expiredMessages)) {
+            return false;
+        }
+        save(token, data, messages);
+        return true;
+    }
+
+    function replacePending(previous, token, data, messages = []) {
+        // Synchronous like createIfNoPending(). Only one request per email
+        // is pending, so once `previous` isn't, nothing blocks `data`.
+        const current = get(previous.token);
+        if (!current || !isPending(current)) {
+            return false;
+        }
+        save(previous.token, previous);
+        save(token, data, messages);
+        return true;
+    }
+
+    function list({ status, search, limit = 100, offset = 0 } = {}) {
+        const needle = search ? search.toLowerCase() : null;
+        const matches = all()
+            .filter((data) => !status || getState(data) === status)
+            .filter((data) => !needle ||
+                data.email.toLowerCase().includes(needle) ||
+                data.token.toLowerCase().includes(needle))
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+        return {
+            total: matches.length,
+            requests: matches.slice(offset, offset + limit)
+        };
+    }
+
+    function all() {
+        return readAll().map(({ data }) => data);
+    }
+
+    function ping() {
+        // Throws if the directories are gone or no longer writable
+        fs.accessSync(dir, fs.constants.R_OK | fs.constants.W_OK);
+        fs.accessSync(outboxDir, fs.constants.R_OK | fs.constants.W_OK);
+    }
+
+    function close() {}
+
+    return {
+        driver: 'file',
+        save,
+        get,
+        delete: remove,
+        hasPending,
+        createIfNoPending,
+        replacePending,
+        list,
+        all,
+        ping,
+        close,
+        outbox
+    };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,120 @@
+/**
+ * Deletion Request Storage
+ *
+ * Builds the storage adapter selected by STORAGE_DRIVER:
+ * - `file`   (default) one JSON file per request in data/
+ * - `sqlite` embedded SQLite database at SQLITE_PATH
+ *
+ * Data export requests (see ../routes/exports.js) are kept apart in a
+ * store of their own, the `export` collection: data/exports/ or the
+ * `export_requests` table. Both collections share one outbox, so the one
+ * outbox worker delivers their emails.
+ *
+ * Export archives and contact form reports are always files, outside
+ * these adapters (see ./archiveStore.js and ./reportStore.js).
+ *
+ * Every adapter exposes the same synchronous interface:
+ * - save(token, data, [messages])               Insert or replace a request,
+ *                                               queuing outbox messages with it
+ * - get(token)                                  Request data or null
+ * - delete(token)                               Remove a request
+ * - hasPending(email, expiredBefore, [expiredMessages])
+ *                                               True if a pending request newer than
+ *                                               `expiredBefore` exists; older pending
+ *                                               requests are moved to `expired`
+ * - createIfNoPending(token, data, expiredBefore, [messages], [expiredMessages])
+ *                                               Atomically check and insert; returns
+ *                                               false if a pending request exists
+ * - replacePending(previous, token, data, [messages])
+ *                                               Atomically save `previous`, no longer
+ *                                               pending, and insert `data` in its
+ *                                               place; returns false, changing
+ *                                               nothing, if the stored copy of
+ *                                               `previous` isn't pending any more
+ * - list({ status, search, limit, offset })     Requests newest first, optionally
+ *                                               filtered by state and by an email
+ *                                               or token substring; returns
+ *                                               { total, requests }
+ * - all()                                       Every stored request
+ * - ping()                                      Throw if the storage can't be read
+ *                                               or written (see ../routes/health.js)
+ * - close()                                     Release underlying resources
+ * - outbox                                      Email outbox kept with the requests
+ *                                               (see ../outbox)
+ *
+ * `token` is the request ID: the hash of the signed token in the emailed
+ * confirmation link (see ../tokens.js), or a plain UUID for requests made
+ * before links were signed. The link token itself is never stored.
+ *
+ * `expiredBefore` is an ISO timestamp compared against `createdAt`.
+ * `expiredMessages(data)` returns outbox messages to queue with each request
+ * moved to `expired` along the way (e.g. webhook events).
+ * Request states and pending rules are defined in ../lifecycle.js.
+ */
+
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createSqliteStore } = require('./sqliteStore');
+const { createArchiveStore } = require('./archiveStore');
+const { createReportFileStore } = require('./reportStore');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Create the request store configured in the environment
+ * @param {Object} [options]
+ * @param {string} [options.driver] - Overrides STORAGE_DRIVER
+ * @param {string} [options.dir] - Data directory for the file driver
+ * @param {string} [options.filename] - Database path for the sqlite driver
+ * @param {string} [options.collection='deletion'] - "deletion" or "export" requests
+ * @returns {Object} Request store
+ */
+function createStore(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'file';
+    const collection = options.collection || 'deletion';
+    const dir = options.dir || DATA_DIR;
+
+    switch (driver) {
+        case 'file':
+            return collection === 'deletion'
+                ? createFileStore({ dir })
+                : createFileStore({ dir: path.join(dir, `${collection}s`), outboxDir: path.join(dir, 'outbox') });
+        case 'sqlite':
+            return createSqliteStore({
+                filename: options.filename || process.env.SQLITE_PATH || path.join(DATA_DIR, 'unitok.db'),
+                collection
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "file" or "sqlite")`);
+    }
+}
+
+/**
+ * Create the store for data export archives
+ * Archives are files whatever the STORAGE_DRIVER, in EXPORT_ARCHIVE_DIR
+ * (default data/export-archives/)
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Overrides EXPORT_ARCHIVE_DIR
+ * @returns {Object} Archive store (see ./archiveStore.js)
+ */
+function createExportArchiveStore(options = {}) {
+    return createArchiveStore({
+        dir: options.dir || process.env.EXPORT_ARCHIVE_DIR || path.join(DATA_DIR, 'export-archives')
+    });
+}
+
+/**
+ * Create the store for reports sent through the contact form
+ * Reports are files whatever the STORAGE_DRIVER, in REPORT_DIR
+ * (default data/reports/)
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Overrides REPORT_DIR
+ * @returns {Object} Report store (see ./reportStore.js)
+ */
+function createReportStore(options = {}) {
+    return createReportFileStore({
+        dir: options.dir || process.env.REPORT_DIR || path.join(DATA_DIR, 'reports')
+    });
+}
+
+module.exports = { createStore, createExportArchiveStore, createReportStore, DATA_DIR };
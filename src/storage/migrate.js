@@ -0,0 +1,69 @@
+/**
+ * JSON to SQLite Migration
+ *
+ * Imports what the file driver wrote into the SQLite database: deletion
+ * requests (`<token>.json`), export requests (`exports/`) and the emails
+ * and webhooks still queued or dead-lettered in `outbox/`, so switching
+ * drivers doesn't drop mail that hasn't gone out. Anything that already
+ * exists in the database is left untouched, so the migration can be run
+ * more than once.
+ *
+ * Usage: npm run migrate:sqlite [-- <data-dir> [<sqlite-path>]]
+ */
+
+require('dotenv').config();
+
+const { createFileStore } = require('./fileStore');
+const { createSqliteStore } = require('./sqliteStore');
+const { DATA_DIR } = require('./index');
+const path = require('path');
+
+/**
+ * Copy the valid requests of one collection into the database
+ * @param {Object} source - File store
+ * @param {Object} target - SQLite store for the same collection
+ * @returns {{found: number, imported: number}} Summary
+ */
+function importRequests(source, target) {
+    const requests = source.all().filter((data) => data.token && data.email && data.createdAt);
+    return { found: requests.length, imported: target.importMany(requests) };
+}
+
+/**
+ * Copy every JSON request and outbox message in `dir` into the SQLite database
+ * @param {string} dir - Data directory of the file driver
+ * @param {string} filename - SQLite database path
+ * @returns {{requests: Object, exports: Object, outbox: Object}} `{found, imported}` for each
+ */
+function importJsonFiles(dir, filename) {
+    const outboxDir = path.join(dir, 'outbox');
+    const deletions = createFileStore({ dir, outboxDir });
+    const exportRequests = createFileStore({ dir: path.join(dir, 'exports'), outboxDir });
+    const target = createSqliteStore({ filename });
+    const exportTarget = createSqliteStore({ filename, collection: 'export' });
+
+    try {
+        const { messages } = deletions.outbox.list({ limit: Infinity });
+        return {
+            requests: importRequests(deletions, target),
+            exports: importRequests(exportRequests, exportTarget),
+            outbox: { found: messages.length, imported: target.outbox.importMany(messages) }
+        };
+    } finally {
+        exportTarget.close();
+        target.close();
+    }
+}
+
+if (require.main === module) {
+    const dir = process.argv[2] || DATA_DIR;
+    const filename = process.argv[3] || process.env.SQLITE_PATH || path.join(DATA_DIR, 'unitok.db');
+
+    const summary = importJsonFiles(dir, filename);
+    console.log(`Found ${summary.requests.found} deletion request(s), ${summary.exports.found} export request(s) and ${summary.outbox.found} outbox message(s) in ${dir}`);
+    console.log(`Imported ${summary.requests.imported}, ${summary.exports.imported} and ${summary.outbox.imported} of them into ${filename}`);
+    console.log('JSON files were left in place; run this with the server stopped, so nothing is sent twice,');
+    console.log('and remove them once STORAGE_DRIVER=sqlite is live.');
+}
+
+module.exports = { importJsonFiles };
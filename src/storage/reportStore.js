@@ -0,0 +1,118 @@
+/**
+ * Report Storage
+ *
+ * Keeps the reports sent through the contact form (see ../reports) on
+ * disk, one directory per ticket, readable only by the server's user:
+ *
+ *   <dir>/<ticket ID>/report.json        The report, including its flags
+ *   <dir>/<ticket ID>/attachments/<n>    Attachment n (0-based), as uploaded
+ *
+ * Reports are files whatever the STORAGE_DRIVER, so attachments never end
+ * up in the database. Restricted reports are stored the same way; the
+ * `restricted` flag in report.json is what keeps them out of the admin API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isTicketId } = require('../reports');
+const { logger } = require('../logger');
+
+/**
+ * Create a file-backed report store
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the reports
+ * @returns {{save: Function, get: Function, has: Function, list: Function,
+ *   openAttachment: Function, dir: string}}
+ */
+function createReportFileStore({ dir }) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        logger.info('Created report directory', { dir });
+    }
+
+    /**
+     * Map a ticket ID to its directory
+     * @param {string} ticketId - Ticket ID
+     * @returns {string} Absolute directory path
+     * @throws {Error} For a malformed ID, so nothing outside dir is touched
+     */
+    function ticketDir(ticketId) {
+        if (!isTicketId(ticketId)) {
+            throw new Error('Invalid ticket ID');
+        }
+        return path.join(dir, ticketId);
+    }
+
+    /**
+     * Check whether a ticket ID is taken
+     * @param {string} ticketId - Ticket ID
+     * @returns {boolean} True if a report exists for it
+     */
+    function has(ticketId) {
+        return fs.existsSync(ticketDir(ticketId));
+    }
+
+    /**
+     * Store a new report with its attachments
+     * The report is written last, through a temporary file, so a crash
+     * never leaves a report pointing at missing attachments.
+     * @param {Object} report - Report from createReport()
+     * @param {Array<{data: Buffer}>} [files] - Attachment contents, in the
+     *   order of report.attachments
+     */
+    function save(report, files = []) {
+        const target = ticketDir(report.ticketId);
+        fs.mkdirSync(path.join(target, 'attachments'), { recursive: true, mode: 0o700 });
+        files.forEach((file, index) => {
+            fs.writeFileSync(path.join(target, 'attachments', String(index)), file.data, { mode: 0o600 });
+        });
+
+        const temporary = path.join(target, 'report.json.tmp');
+        fs.writeFileSync(temporary, JSON.stringify(report, null, 2), { mode: 0o600 });
+        fs.renameSync(temporary, path.join(target, 'report.json'));
+    }
+
+    /**
+     * Read a report
+     * @param {string} ticketId - Ticket ID
+     * @returns {Object|null} Report, or null if there is none
+     */
+    function get(ticketId) {
+        if (!isTicketId(ticketId)) return null;
+        const file = path.join(ticketDir(ticketId), 'report.json');
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    /**
+     * List reports, newest first
+     * @param {Object} [options]
+     * @param {string} [options.category] - Only reports in this category
+     * @param {number} [options.limit=100] - Page size
+     * @param {number} [options.offset=0] - Reports to skip
+     * @returns {{total: number, reports: Array<Object>}} Page of reports
+     */
+    function list({ category, limit = 100, offset = 0 } = {}) {
+        const reports = fs.readdirSync(dir)
+            .filter(isTicketId)
+            .map(get)
+            .filter((report) => report && (!category || report.category === category))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return { total: reports.length, reports: reports.slice(offset, offset + limit) };
+    }
+
+    /**
+     * Open an attachment for streaming
+     * @param {string} ticketId - Ticket ID
+     * @param {number} index - Position in report.attachments
+     * @returns {import('fs').ReadStream|null} Stream, or null if there is no such file
+     */
+    function openAttachment(ticketId, index) {
+        if (!Number.isInteger(index) || index < 0) return null;
+        const file = path.join(ticketDir(ticketId), 'attachments', String(index));
+        return fs.existsSync(file) ? fs.createReadStream(file) : null;
+    }
+
+    return { save, get, has, list, openAttachment, dir };
+}
+
+module.exports = { createReportFileStore };
@@ -0,0 +1,321 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Stores deletion requests (table `deletion_requests`) or data export
+ * requests (`export_requests`) in an embedded SQLite database using
+ * better-sqlite3. Requests are indexed by token and email, and the
+ * duplicate check plus insert run inside a single IMMEDIATE transaction,
+ * so concurrent submissions for the same email cannot both succeed.
+ *
+ * The full request object is kept as JSON in the `data` column. The other
+ * columns mirror the fields used for lookups and are kept in sync on save.
+ * Queued emails live in the same database (see ../outbox/sqliteOutbox.js).
+ *
+ * @requires better-sqlite3
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getState, isPending, transition } = require('../lifecycle');
+const { createSqliteOutbox } = require('../outbox/sqliteOutbox');
+const { logger } = require('../logger');
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version
+ * Append new entries to this list; never edit one that has shipped.
+ */
+const MIGRATIONS = [
+    `
+    CREATE TABLE deletion_requests (
+        token        TEXT PRIMARY KEY,
+        email        TEXT NOT NULL,
+        confirmed    INTEGER NOT NULL DEFAULT 0,
+        created_at   TEXT NOT NULL,
+        confirmed_at TEXT,
+        data         TEXT NOT NULL
+    );
+    CREATE INDEX idx_deletion_requests_email ON deletion_requests (email);
+    CREATE INDEX idx_deletion_requests_created_at ON deletion_requests (created_at);
+    CREATE UNIQUE INDEX idx_deletion_requests_one_pending
+        ON deletion_requests (email) WHERE confirmed = 0;
+    `,
+    `
+    ALTER TABLE deletion_requests ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+    UPDATE deletion_requests SET status = 'confirmed' WHERE confirmed = 1;
+    CREATE INDEX idx_deletion_requests_status ON deletion_requests (status, created_at);
+    DROP INDEX idx_deletion_requests_one_pending;
+    CREATE UNIQUE INDEX idx_deletion_requests_one_pending
+        ON deletion_requests (email) WHERE status = 'pending';
+    `,
+    `
+    UPDATE deletion_requests SET status = 'email_sent' WHERE status = 'pending';
+    UPDATE deletion_requests SET status = 'completed' WHERE status = 'processed';
+    UPDATE deletion_requests SET status = 'cancelled' WHERE status = 'rejected';
+    DROP INDEX idx_deletion_requests_one_pending;
+    CREATE UNIQUE INDEX idx_deletion_requests_one_pending
+        ON deletion_requests (email) WHERE status IN ('submitted', 'email_sent');
+    `,
+    `
+    CREATE TABLE email_outbox (
+        id              TEXT PRIMARY KEY,
+        kind            TEXT NOT NULL,
+        ref             TEXT,
+        status          TEXT NOT NULL DEFAULT 'pending',
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        created_at      TEXT NOT NULL,
+        data            TEXT NOT NULL
+    );
+    CREATE INDEX idx_email_outbox_due ON email_outbox (status, next_attempt_at);
+    CREATE INDEX idx_email_outbox_created_at ON email_outbox (created_at);
+    `,
+    `
+    CREATE TABLE export_requests (
+        token        TEXT PRIMARY KEY,
+        email        TEXT NOT NULL,
+        confirmed    INTEGER NOT NULL DEFAULT 0,
+        status       TEXT NOT NULL,
+        created_at   TEXT NOT NULL,
+        confirmed_at TEXT,
+        data         TEXT NOT NULL
+    );
+    CREATE INDEX idx_export_requests_email ON export_requests (email);
+    CREATE INDEX idx_export_requests_status ON export_requests (status, created_at);
+    CREATE UNIQUE INDEX idx_export_requests_one_pending
+        ON export_requests (email) WHERE status IN ('submitted', 'email_sent');
+    `
+];
+
+/**
+ * Tables by request collection (see ./index.js)
+ */
+const TABLES = {
+    deletion: 'deletion_requests',
+    export: 'export_requests'
+};
+
+/**
+ * WHERE clause shared by the list and count statements
+ * The search parameter is an escaped LIKE pattern (case-insensitive for ASCII)
+ */
+const FILTER = `
+    (@status IS NULL OR status = @status)
+    AND (@search IS NULL
+         OR email LIKE @search ESCAPE '\\'
+         OR token LIKE @search ESCAPE '\\')
+`;
+
+/**
+ * Bring the database schema up to date
+ * @param {import('better-sqlite3').Database} db - Open database handle
+ */
+function migrate(db) {
+    const current = db.pragma('user_version', { simple: true });
+    for (let version = current; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+    }
+}
+
+/**
+ * Create a SQLite-backed request store
+ * @param {Object} options
+ * @param {string} options.filename - Database file path (or ':memory:')
+ * @param {string} [options.collection='deletion'] - "deletion" or "export"
+ * @returns {Object} Store implementing the interface in ./index.js
+ */
+function createSqliteStore({ filename, collection = 'deletion' }) {
+    const table = TABLES[collection];
+    if (!table) {
+        throw new Error(`Unknown request collection "${collection}"`);
+    }
+
+    // Loaded lazily so the file driver works without the native module
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    migrate(db);
+    const outbox = createSqliteOutbox(db);
+
+    const statements = {
+        upsert: db.prepare(`
+            INSERT INTO ${table} (token, email, confirmed, status, created_at, confirmed_at, data)
+            VALUES (@token, @email, @confirmed, @status, @createdAt, @confirmedAt, @data)
+            ON CONFLICT (token) DO UPDATE SET
+                email = excluded.email,
+                confirmed = excluded.confirmed,
+                status = excluded.status,
+                created_at = excluded.created_at,
+                confirmed_at = excluded.confirmed_at,
+                data = excluded.data
+        `),
+        get: db.prepare(`SELECT data FROM ${table} WHERE token = ?`),
+        delete: db.prepare(`DELETE FROM ${table} WHERE token = ?`),
+        findExpiredPending: db.prepare(`
+            SELECT data FROM ${table}
+            WHERE email = ? AND status IN ('submitted', 'email_sent') AND created_at < ?
+        `),
+        findPending: db.prepare(`
+            SELECT 1 FROM ${table}
+            WHERE email = ? AND status IN ('submitted', 'email_sent')
+            LIMIT 1
+        `),
+        list: db.prepare(`
+            SELECT data FROM ${table}
+            WHERE ${FILTER}
+            ORDER BY created_at DESC
+            LIMIT @limit OFFSET @offset
+        `),
+        count: db.prepare(`SELECT COUNT(*) AS total FROM ${table} WHERE ${FILTER}`),
+        all: db.prepare(`SELECT data FROM ${table} ORDER BY created_at`)
+    };
+
+    /**
+     * Map a request object onto the statement parameters
+     * @param {string} token - Request token
+     * @param {Object} data - Request data
+     * @returns {Object} Named parameters for the upsert statement
+     */
+    function toRow(token, data) {
+        return {
+            token,
+            email: data.email,
+            confirmed: data.confirmed ? 1 : 0,
+            status: getState(data),
+            createdAt: data.createdAt,
+            confirmedAt: data.confirmedAt || null,
+            data: JSON.stringify(data)
+        };
+    }
+
+    const saveTx = db.transaction((token, data, messages) => {
+        statements.upsert.run(toRow(token, data));
+        messages.forEach(outbox.add);
+    });
+
+    function save(token, data, messages = []) {
+        saveTx(token, data, messages);
+    }
+
+    function get(token) {
+        const row = statements.get.get(token);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    function remove(token) {
+        statements.delete.run(token);
+    }
+
+    const hasPending = db.transaction((email, expiredBefore, expiredMessages) => {
+        // Keep expired records for the audit trail, but stop them blocking
+        for (const row of statements.findExpiredPending.all(email, expiredBefore)) {
+            const data = JSON.parse(row.data);
+            transition(data, 'expired', { note: 'Confirmation link expired' });
+            save(data.token, data, expiredMessages ? expiredMessages(data) : []);
+            logger.info('Marked expired request', { request: data.token.substring(0, 8) });
+        }
+        return Boolean(statements.findPending.get(email));
+    });
+
+    const createIfNoPendingTx = db.transaction((token, data, expiredBefore, messages, expiredMessages) => {
+        if (hasPending(data.email, expiredBefore, expiredMessages)) {
+            return false;
+        }
+        save(token, data, messages);
+        return true;
+    });
+
+    function createIfNoPending(token, data, expiredBefore, messages = [], expiredMessages) {
+        // IMMEDIATE takes the write lock up front, so another process
+        // sharing the database cannot slip in between check and insert.
+        return createIfNoPendingTx.immediate(token, data, expiredBefore, messages, expiredMessages);
+    }
+
+    const replacePendingTx = db.transaction((previous, token, data, messages) => {
+        // Only one request per email is pending, so once `previous`
+        // isn't, nothing blocks `data`
+        const current = get(previous.token);
+        if (!current || !isPending(current)) {
+            return false;
+        }
+        save(previous.token, previous);
+        save(token, data, messages);
+        return true;
+    });
+
+    function replacePending(previous, token, data, messages = []) {
+        return replacePendingTx.immediate(previous, token, data, messages);
+    }
+
+    function list({ status, search, limit = 100, offset = 0 } = {}) {
+        const filter = {
+            status: status || null,
+            search: search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null
+        };
+
+        return {
+            total: statements.count.get(filter).total,
+            requests: statements.list.all({ ...filter, limit, offset }).map((row) => JSON.parse(row.data))
+        };
+    }
+
+    function all() {
+        return statements.all.all().map((row) => JSON.parse(row.data));
+    }
+
+    /**
+     * Insert many requests in one transaction, skipping existing tokens
+     * Used by the JSON import migration
+     * @param {Array<Object>} requests - Request objects with a `token` field
+     * @returns {number} Number of requests inserted
+     */
+    const importMany = db.transaction((requests) => {
+        let inserted = 0;
+        for (const data of requests) {
+            if (statements.get.get(data.token)) continue;
+            try {
+                save(data.token, data);
+                inserted++;
+            } catch (error) {
+                if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw error;
+                // Legacy data can hold two pending requests for one email
+                logger.warn('Skipped duplicate pending request', { email: data.email, request: data.token.substring(0, 8) });
+            }
+        }
+        return inserted;
+    });
+
+    function ping() {
+        db.prepare('SELECT 1').get();
+    }
+
+    function close() {
+        db.close();
+    }
+
+    return {
+        driver: 'sqlite',
+        save,
+        get,
+        delete: remove,
+        hasPending,
+        createIfNoPending,
+        replacePending,
+        list,
+        all,
+        importMany,
+        ping,
+        close,
+        outbox
+    };
+}
+
+module.exports = { createSqliteStore };
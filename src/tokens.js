@@ -0,0 +1,193 @@
+/**
+ * Signed Tokens
+ *
+ * Confirmation links carry a self-describing token:
+ *
+ *   <keyId>.<expiry>.<nonce>.<signature>
+ *
+ * - keyId      which signing key made it (see SIGNING_KEYS below)
+ * - expiry     Unix time in seconds, base 36
+ * - nonce      16 random bytes, base64url
+ * - signature  HMAC-SHA256 over the purpose and the fields above, base64url
+ *
+ * A token is checked (format, key, signature, expiry) before anything is
+ * looked up, so guessed or tampered links never reach the store. The store
+ * only ever sees hashToken(token), which doubles as the request ID; the
+ * token itself is emailed and never saved or logged.
+ *
+ * Keys come from SIGNING_KEYS, a comma-separated list of `<id>:<secret>`
+ * pairs. The first key signs; every key is accepted when verifying. To
+ * rotate, put a new key first and drop the old one once the longest-lived
+ * link signed with it (a grace period) has run out. Without SIGNING_KEYS,
+ * LINK_SIGNING_SECRET is used as the only key, and without either a random
+ * key is generated and links stop working after a restart.
+ *
+ * The same keys sign the cancel links in ./links.js.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MIN_SECRET_LENGTH = 32;
+
+const TOKEN_PATTERN = /^([A-Za-z0-9_-]{1,32})\.([0-9a-z]{1,10})\.([A-Za-z0-9_-]{22})\.([A-Za-z0-9_-]{43})$/;
+
+// Plain UUIDs, which were both link token and request ID before signing
+const LEGACY_TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Hashes of signed tokens, or the plain UUIDs of requests made before them
+const REQUEST_ID_PATTERN = /^(?:[0-9a-f]{64}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/;
+
+let generatedKey = null;
+
+/**
+ * Parse a SIGNING_KEYS value
+ * Throws on malformed entries, naming the key but never printing a secret.
+ * @param {string} value - e.g. "2026-10:abc...,2026-01:def..."
+ * @returns {Array<{id: string, secret: string}>} Keys, signing key first
+ */
+function parseSigningKeys(value) {
+    const keys = value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry, index) => {
+        const separator = entry.indexOf(':');
+        const id = separator > 0 ? entry.slice(0, separator) : '';
+        const secret = entry.slice(separator + 1);
+
+        if (!KEY_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid SIGNING_KEYS entry ${index + 1}: expected <id>:<secret> with an id of letters, digits, "-" or "_"`);
+        }
+        if (secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`Signing key "${id}" is too short (at least ${MIN_SECRET_LENGTH} characters)`);
+        }
+        return { id, secret };
+    });
+
+    if (keys.length === 0) {
+        throw new Error('SIGNING_KEYS is set but contains no keys');
+    }
+    const ids = keys.map((key) => key.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        throw new Error(`Signing key "${duplicate}" is listed twice in SIGNING_KEYS`);
+    }
+    return keys;
+}
+
+/**
+ * Get the configured signing keys
+ * Read on every call, so a changed environment applies right away
+ * @returns {Array<{id: string, secret: string}>} Keys, signing key first
+ */
+function getSigningKeys() {
+    if (process.env.SIGNING_KEYS) {
+        return parseSigningKeys(process.env.SIGNING_KEYS);
+    }
+    if (process.env.LINK_SIGNING_SECRET) {
+        return [{ id: 'default', secret: process.env.LINK_SIGNING_SECRET }];
+    }
+    if (!generatedKey) {
+        generatedKey = { id: 'ephemeral', secret: crypto.randomBytes(32).toString('hex') };
+        logger.warn('SIGNING_KEYS is not set; emailed links will not survive a restart');
+    }
+    return [generatedKey];
+}
+
+/**
+ * Compute a token signature
+ * @param {string} secret - Key secret
+ * @param {string} purpose - What the token is for, e.g. "confirm"
+ * @param {string} payload - "<keyId>.<expiry>.<nonce>"
+ * @returns {string} base64url HMAC
+ */
+function computeSignature(secret, purpose, payload) {
+    return crypto.createHmac('sha256', secret).update(`${purpose}.${payload}`).digest('base64url');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Issue a signed token with the current signing key
+ * @param {string} purpose - What the token is for, e.g. "confirm"
+ * @param {Date} expiresAt - When the token stops working
+ * @returns {string} Token for the emailed link
+ */
+function issueToken(purpose, expiresAt) {
+    const [key] = getSigningKeys();
+    const expiry = Math.floor(expiresAt.getTime() / 1000).toString(36);
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const payload = `${key.id}.${expiry}.${nonce}`;
+    return `${payload}.${computeSignature(key.secret, purpose, payload)}`;
+}
+
+/**
+ * Check a token from a link without touching the store
+ * @param {string} purpose - Purpose it must have been issued for
+ * @param {string} token - Token from the URL
+ * @param {Date} [now] - Current time
+ * @returns {{id: string, expiresAt: Date, expired: boolean}|null} Request ID
+ *   and expiry, or null if the token is malformed, signed with an unknown
+ *   key or tampered with
+ */
+function verifyToken(purpose, token, now = new Date()) {
+    const match = typeof token === 'string' && TOKEN_PATTERN.exec(token);
+    if (!match) return null;
+
+    const [, keyId, expiry, nonce, signature] = match;
+    const key = getSigningKeys().find((candidate) => candidate.id === keyId);
+    if (!key || !safeEqual(signature, computeSignature(key.secret, purpose, `${keyId}.${expiry}.${nonce}`))) {
+        return null;
+    }
+
+    const expiresAt = new Date(parseInt(expiry, 36) * 1000);
+    return { id: hashToken(token), expiresAt, expired: expiresAt <= now };
+}
+
+/**
+ * Hash a token into the ID its request is stored under
+ * @param {string} token - Signed token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check that a value from a URL has the shape of a request ID
+ * @param {string} id - Candidate ID
+ * @returns {boolean} True for a token hash or a pre-signing UUID
+ */
+function isRequestId(id) {
+    return typeof id === 'string' && REQUEST_ID_PATTERN.test(id);
+}
+
+/**
+ * Check whether a link token is a UUID from before tokens were signed
+ * Such a token is also the ID its request is stored under, so it can
+ * only be checked against the store (see ../routes/deletion.js).
+ * @param {string} token - Token from the URL
+ * @returns {boolean} True for a UUID
+ */
+function isLegacyToken(token) {
+    return typeof token === 'string' && LEGACY_TOKEN_PATTERN.test(token);
+}
+
+module.exports = {
+    getSigningKeys,
+    parseSigningKeys,
+    issueToken,
+    verifyToken,
+    hashToken,
+    isRequestId,
+    isLegacyToken,
+    safeEqual
+};
@@ -0,0 +1,98 @@
+/**
+ * Webhook Payload Formats
+ *
+ * - `json`  Event envelope for our own tooling:
+ *           { id, type, createdAt, data: { requestId, email, status, ... } }
+ *           `id` is the same for every subscription sent one event, so
+ *           receivers can drop duplicates.
+ * - `slack` Slack incoming-webhook message ({ text }). The email address
+ *           is masked, since channels are read more widely than tickets.
+ *           Only the text of a known reason is shown, and everything the
+ *           user typed is escaped, so it can't mention or link anyone.
+ */
+
+const { DELETION_REASONS } = require('../routes/deletion');
+
+const EVENT_LABELS = {
+    'request.created': 'Deletion requested',
+    'request.confirmed': 'Deletion confirmed',
+    'request.expired': 'Deletion request expired',
+    'request.cancelled': 'Deletion cancelled',
+    'request.completed': 'Account deleted'
+};
+
+/**
+ * Build the generic JSON event
+ * @param {string} event - Event type, e.g. "request.confirmed"
+ * @param {Object} requestData - Request the event is about
+ * @param {Object} context
+ * @param {string} context.id - Event ID
+ * @param {Date} context.at - When it happened
+ * @returns {Object} Event envelope
+ */
+function buildJsonPayload(event, requestData, { id, at }) {
+    return {
+        id,
+        type: event,
+        createdAt: at.toISOString(),
+        data: {
+            requestId: requestData.token,
+            email: requestData.email,
+            accountId: requestData.accountId || null,
+            status: requestData.status,
+            locale: requestData.locale || 'en',
+            reason: requestData.reason,
+            reasonText: requestData.reasonText,
+            requestedAt: requestData.createdAt,
+            confirmedAt: requestData.confirmedAt || null,
+            graceEndsAt: requestData.graceEndsAt || null
+        }
+    };
+}
+
+/**
+ * Hide most of the local part of an email address
+ * @param {string} email - Address, e.g. "student@example.com"
+ * @returns {string} Masked address, e.g. "s******@example.com"
+ */
+function maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    return `${local.charAt(0)}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+}
+
+/**
+ * Escape text for Slack's mrkdwn, where <...> is a mention or a link
+ * @param {string} text - Plain text
+ * @returns {string} Text that shows as typed
+ */
+function escapeMrkdwn(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build a Slack message
+ * @param {string} event - Event type
+ * @param {Object} requestData - Request the event is about
+ * @param {Object} context
+ * @param {string} context.adminUrl - Admin dashboard URL, linked from the message
+ * @returns {Object} Slack message
+ */
+function buildSlackPayload(event, requestData, { adminUrl }) {
+    const reason = Object.hasOwn(DELETION_REASONS, requestData.reason) ? DELETION_REASONS[requestData.reason] : null;
+    const details = [
+        escapeMrkdwn(maskEmail(requestData.email)),
+        reason,
+        `request ${requestData.token.substring(0, 8)}`
+    ].filter(Boolean).join(' · ');
+
+    return {
+        text: `*${EVENT_LABELS[event] || event}*: ${details} (<${adminUrl}|admin dashboard>)`
+    };
+}
+
+const FORMATS = {
+    json: buildJsonPayload,
+    slack: buildSlackPayload
+};
+
+module.exports = { FORMATS, maskEmail };
@@ -0,0 +1,218 @@
+/**
+ * Outbound Webhooks
+ *
+ * Tells other systems (ops tooling, the ticketing system, Slack) about
+ * deletion request events:
+ * - request.created     form submitted
+ * - request.confirmed   link in the confirmation email followed
+ * - request.expired     confirmation link ran out unused
+ * - request.cancelled   cancelled by the user or an admin
+ * - request.completed   account deleted, by an admin or automatically
+ *
+ * Subscriptions come from WEBHOOKS, a JSON array:
+ *
+ *   [{ "name": "ops", "url": "https://ops.example.com/hooks/unitok",
+ *      "events": ["request.confirmed", "request.cancelled"],
+ *      "format": "json", "secret": "<32+ random characters>" }]
+ *
+ * - name    unique label, shown in logs and the admin dashboard
+ * - url     endpoint to POST to
+ * - events  event types to send, or ["*"] for all
+ * - format  "json" (default) or "slack", see ./formats.js
+ * - secret  signing key, required for "json"
+ *
+ * Deliveries ride the email outbox (../outbox): they are queued in the
+ * same save as the state change and sent by the outbox worker with the
+ * same retries, backoff and dead letters. Each attempt is logged with its
+ * HTTP status and duration. The payload is fixed when the event is
+ * queued, so a retry sends the same body.
+ *
+ * Signed deliveries carry `X-UniTok-Signature: t=<unix seconds>,v1=<hex>`,
+ * where v1 is the HMAC-SHA256 of `<t>.<raw body>` under the secret.
+ * Receivers should recompute it, compare in constant time and reject
+ * timestamps more than a few minutes old. `X-UniTok-Event` holds the
+ * event type and `X-UniTok-Delivery` an ID that is the same across
+ * retries of one delivery.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createOutboxMessage } = require('../outbox');
+const { FORMATS } = require('./formats');
+const { logger } = require('../logger');
+
+const EVENTS = ['request.created', 'request.confirmed', 'request.expired', 'request.cancelled', 'request.completed'];
+const MIN_SECRET_LENGTH = 32;
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} X-UniTok-Signature header value
+ */
+function signWebhook(secret, body, timestamp) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Parse and check the subscription list
+ * @param {string} [value] - WEBHOOKS value (JSON array)
+ * @returns {Array<Object>} Subscriptions, empty if unset
+ * @throws {Error} If the JSON or any subscription is invalid
+ */
+function parseSubscriptions(value) {
+    if (!value || !value.trim()) return [];
+
+    let list;
+    try {
+        list = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`WEBHOOKS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('WEBHOOKS must be a JSON array of subscriptions');
+    }
+
+    const names = new Set();
+    return list.map((entry, index) => {
+        const label = `WEBHOOKS[${index}]`;
+        const { name, url, events, format = 'json', secret } = entry || {};
+
+        if (!name || typeof name !== 'string') {
+            throw new Error(`${label} needs a name`);
+        }
+        if (names.has(name)) {
+            throw new Error(`${label}: duplicate name "${name}"`);
+        }
+        names.add(name);
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            throw new Error(`${label} (${name}): invalid url`);
+        }
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw new Error(`${label} (${name}): url must be http or https`);
+        }
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error(`${label} (${name}): events must be a non-empty array`);
+        }
+        const unknown = events.filter((event) => event !== '*' && !EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`${label} (${name}): unknown events ${unknown.join(', ')} (expected ${EVENTS.join(', ')} or *)`);
+        }
+
+        if (!FORMATS[format]) {
+            throw new Error(`${label} (${name}): unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+        if (format === 'json' && (!secret || secret.length < MIN_SECRET_LENGTH)) {
+            throw new Error(`${label} (${name}): json webhooks need a secret of at least ${MIN_SECRET_LENGTH} characters`);
+        }
+
+        return {
+            name,
+            url: parsedUrl.toString(),
+            events: events.includes('*') ? [...EVENTS] : [...events],
+            format,
+            secret: secret || null
+        };
+    });
+}
+
+/**
+ * Create the webhook service
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.subscriptions] - Overrides WEBHOOKS (already parsed)
+ * @param {Function} [options.getBaseUrl] - () => public base URL, for links in Slack messages
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (default WEBHOOK_TIMEOUT_SECONDS)
+ * @returns {{subscriptions: Array<Object>, messagesFor: Function, deliver: Function}}
+ */
+function createWebhooks(options = {}) {
+    const subscriptions = options.subscriptions || parseSubscriptions(process.env.WEBHOOKS);
+    const getBaseUrl = options.getBaseUrl || (() => process.env.BASE_URL || '');
+    const timeoutMs = options.timeoutMs ||
+        (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || DEFAULT_TIMEOUT_SECONDS) * 1000;
+
+    /**
+     * Build the outbox messages announcing an event, one per subscription
+     * that wants it; save them with the state change
+     * @param {string} event - One of EVENTS
+     * @param {Object} requestData - Request after the change
+     * @param {Date} [now] - When it happened
+     * @returns {Array<Object>} Outbox messages, empty if nobody subscribed
+     */
+    function messagesFor(event, requestData, now = new Date()) {
+        if (!EVENTS.includes(event)) {
+            throw new Error(`Unknown webhook event "${event}"`);
+        }
+
+        const id = uuidv4();
+        const adminUrl = `${getBaseUrl()}/admin`;
+        return subscriptions
+            .filter((subscription) => subscription.events.includes(event))
+            .map((subscription) => createOutboxMessage({
+                kind: event,
+                ref: requestData.token,
+                webhook: {
+                    subscription: subscription.name,
+                    url: subscription.url,
+                    format: subscription.format,
+                    body: JSON.stringify(FORMATS[subscription.format](event, requestData, { id, at: now, adminUrl }))
+                }
+            }, now));
+    }
+
+    /**
+     * POST one queued delivery
+     * @param {Object} message - Outbox message with a `webhook` field
+     * @param {Date} [now] - Current time, for the signature timestamp
+     * @returns {Promise<void>} Resolves on a 2xx answer
+     * @throws {Error} If the subscription is gone or the endpoint fails
+     */
+    async function deliver(message, now = new Date()) {
+        const { subscription: name, url, body } = message.webhook;
+        const subscription = subscriptions.find((entry) => entry.name === name);
+        if (!subscription) {
+            throw new Error(`Webhook subscription "${name}" is no longer configured`);
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'UniTok-Webhooks/1.0',
+            'X-UniTok-Event': message.kind,
+            'X-UniTok-Delivery': message.id
+        };
+        if (subscription.secret) {
+            headers['X-UniTok-Signature'] = signWebhook(subscription.secret, body, Math.floor(now.getTime() / 1000));
+        }
+
+        const attempt = message.attempts + 1;
+        const started = Date.now();
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            logger.warn('Webhook request failed', { event: message.kind, subscription: name, attempt, error: error.message, durationMs: Date.now() - started });
+            throw error;
+        }
+
+        logger.info('Webhook request answered', { event: message.kind, subscription: name, attempt, status: response.status, durationMs: Date.now() - started });
+        if (!response.ok) {
+            throw new Error(`Webhook endpoint answered HTTP ${response.status}`);
+        }
+    }
+
+    return { subscriptions, messagesFor, deliver };
+}
+
+module.exports = { EVENTS, createWebhooks, parseSubscriptions, signWebhook };
@@ -0,0 +1,168 @@
+/**
+ * Asset build, manifest URLs and static caching
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { startTestApp } = require('./helpers');
+const { buildAssets } = require('../src/assets/build');
+const { ASSETS_DIR } = require('../src/assets');
+
+const HASHED = '[0-9a-f]{8}';
+
+describe('assets', () => {
+    let dir;
+    let ctx;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-assets-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        if (ctx) await ctx.close();
+        ctx = null;
+    });
+
+    /**
+     * Write a file under a test directory
+     * @param {string} root - Test directory
+     * @param {string} file - Path relative to it
+     * @param {Buffer|string} contents - File contents
+     */
+    function writeFile(root, file, contents) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), contents);
+    }
+
+    /**
+     * Draw a plain PNG
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Promise<Buffer>} PNG file
+     */
+    function createPng(width, height) {
+        return sharp({ create: { width, height, channels: 4, background: '#E5204E' } }).png().toBuffer();
+    }
+
+    describe('build', () => {
+        it('writes hashed copies, WebP widths for srcset and a manifest, and only redoes what changed', async () => {
+            const source = path.join(dir, 'source');
+            const build = path.join(dir, 'build');
+            writeFile(source, 'logo.png', await createPng(800, 400));
+            writeFile(source, 'Universities/KSU.svg.png', await createPng(120, 60));
+            writeFile(source, 'clubs/Software.svg', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+            writeFile(source, 'js/site.js', 'console.log("hello");\n');
+            writeFile(source, '.DS_Store', 'ignored');
+
+            const first = await buildAssets({ sourceDir: source, buildDir: build });
+            assert.deepEqual([first.built, first.reused, first.removed], [4, 0, 0]);
+
+            const { files } = JSON.parse(fs.readFileSync(path.join(build, 'asset-manifest.json'), 'utf8'));
+            assert.deepEqual(Object.keys(files), ['Universities/KSU.svg.png', 'clubs/Software.svg', 'js/site.js', 'logo.png']);
+
+            const logo = files['logo.png'];
+            assert.match(logo.file, new RegExp(`^logo\\.${HASHED}\\.png$`));
+            assert.deepEqual([logo.width, logo.height], [800, 400]);
+            assert.deepEqual(logo.variants.map((variant) => [variant.width, variant.type]),
+                [[160, 'image/webp'], [320, 'image/webp'], [640, 'image/webp'], [800, 'image/webp']]);
+            const small = await sharp(path.join(build, 'assets', logo.variants[0].file)).metadata();
+            assert.deepEqual([small.format, small.width, small.height], ['webp', 160, 80]);
+            // The fallback copy is no wider than the largest a logo needs
+            assert.equal((await sharp(path.join(build, 'assets', logo.file)).metadata()).width, 640);
+
+            // Doubled extensions are dropped; images smaller than every width keep their own
+            assert.match(files['Universities/KSU.svg.png'].file, new RegExp(`^Universities/KSU\\.${HASHED}\\.png$`));
+            assert.deepEqual(files['Universities/KSU.svg.png'].variants.map((variant) => variant.width), [120]);
+            assert.match(files['js/site.js'].file, new RegExp(`^js/site\\.${HASHED}\\.js$`));
+            assert.equal(fs.readFileSync(path.join(build, 'assets', files['js/site.js'].file), 'utf8'), 'console.log("hello");\n');
+            assert.equal(files['clubs/Software.svg'].variants, undefined);
+
+            writeFile(source, 'js/site.js', 'console.log("changed");\n');
+            const second = await buildAssets({ sourceDir: source, buildDir: build });
+            assert.deepEqual([second.built, second.reused, second.removed], [1, 3, 1]);
+            assert.ok(!fs.existsSync(path.join(build, 'assets', files['js/site.js'].file)));
+            assert.notEqual(second.manifest.files['js/site.js'].file, files['js/site.js'].file);
+        });
+    });
+
+    describe('serving', () => {
+        const unbuilt = process.env.ASSET_BUILD_DIR;
+        let build;
+
+        before(async () => {
+            const source = path.join(dir, 'served');
+            build = path.join(dir, 'served-build');
+            for (const file of ['logo.png', 'longlogo.png', 'js/site.js', 'team/FarisYacte.png']) {
+                writeFile(source, file, fs.readFileSync(path.join(ASSETS_DIR, file)));
+            }
+            await buildAssets({ sourceDir: source, buildDir: build });
+        });
+
+        afterEach(() => {
+            process.env.ASSET_BUILD_DIR = unbuilt;
+        });
+
+        it('links the built copies from the pages, with srcset for images', async () => {
+            process.env.ASSET_BUILD_DIR = build;
+            ctx = await startTestApp();
+
+            const html = await (await ctx.request('GET', '/')).text();
+            assert.match(html, new RegExp(`<link rel="icon" type="image/png" href="/assets/logo\\.${HASHED}\\.png" />`));
+            assert.match(html, new RegExp(`<script src="/assets/js/site\\.${HASHED}\\.js"></script>`));
+            assert.match(html, new RegExp(`<img src="/assets/longlogo\\.${HASHED}\\.png" srcset="/assets/longlogo\\.160w\\.${HASHED}\\.webp 160w, .+ 1280w" sizes="230px"`));
+            assert.match(html, new RegExp(`<img src="/assets/team/FarisYacte\\.${HASHED}\\.png" srcset="[^"]+ 348w" sizes="150px" alt="Faris Yacte"`));
+            // Not in this build, so still the original
+            assert.match(html, /<img src="\/assets\/Universities\/UPM.png" alt="UPM">/);
+        });
+
+        it('caches hashed files for a year and revalidates the originals by ETag', async () => {
+            process.env.ASSET_BUILD_DIR = build;
+            ctx = await startTestApp();
+
+            const html = await (await ctx.request('GET', '/pp.html')).text();
+            const script = html.match(/<script src="(\/assets\/js\/site\.[0-9a-f]{8}\.js)">/)[1];
+            const hashed = await ctx.request('GET', script);
+            assert.equal(hashed.status, 200);
+            assert.equal(hashed.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+            assert.equal(await hashed.text(), fs.readFileSync(path.join(ASSETS_DIR, 'js', 'site.js'), 'utf8'));
+
+            const original = await ctx.request('GET', '/assets/Universities/UPM.png');
+            assert.equal(original.headers.get('cache-control'), 'no-cache');
+            const etag = original.headers.get('etag');
+            assert.ok(etag);
+            // As a browser revalidates; fetch() would otherwise send no-cache, which forces a 200
+            const revalidated = await ctx.request('GET', '/assets/Universities/UPM.png', undefined, {
+                'If-None-Match': etag,
+                'Cache-Control': 'max-age=0'
+            });
+            assert.equal(revalidated.status, 304);
+        });
+
+        it('compresses pages and scripts with brotli or gzip, as accepted', async () => {
+            ctx = await startTestApp();
+
+            const brotli = await ctx.request('GET', '/pp.html', undefined, { 'Accept-Encoding': 'br, gzip' });
+            assert.equal(brotli.headers.get('content-encoding'), 'br');
+            assert.match(brotli.headers.get('vary'), /Accept-Encoding/);
+            assert.match(await brotli.text(), /^<!doctype html>/);
+
+            const gzip = await ctx.request('GET', '/assets/js/site.js', undefined, { 'Accept-Encoding': 'gzip' });
+            assert.equal(gzip.headers.get('content-encoding'), 'gzip');
+
+            const plain = await ctx.request('GET', '/assets/js/site.js', undefined, { 'Accept-Encoding': 'identity' });
+            assert.equal(plain.headers.get('content-encoding'), null);
+
+            // Images are already compressed
+            const image = await ctx.request('GET', '/assets/logo.png', undefined, { 'Accept-Encoding': 'br, gzip' });
+            assert.equal(image.headers.get('content-encoding'), null);
+        });
+    });
+});
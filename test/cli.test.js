@@ -0,0 +1,247 @@
+/**
+ * bin/unitok commands, run against a test app's services
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SUPPORT_EMAIL, startTestApp, findLink } = require('./helpers');
+const { getState } = require('../src/lifecycle');
+const { runCli } = require('../src/cli');
+const tokens = require('../src/tokens');
+const { createOutboxMessage } = require('../src/outbox');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIGNING_KEY = `cli-test:${'c'.repeat(64)}`;
+
+describe('operations CLI', () => {
+    let ctx;
+    let savedKeys;
+
+    beforeEach(async () => {
+        // Links emailed by the CLI have to verify in the server's process
+        savedKeys = process.env.SIGNING_KEYS;
+        process.env.SIGNING_KEYS = SIGNING_KEY;
+        ctx = await startTestApp();
+    });
+
+    afterEach(async () => {
+        await ctx.close();
+        if (savedKeys === undefined) {
+            delete process.env.SIGNING_KEYS;
+        } else {
+            process.env.SIGNING_KEYS = savedKeys;
+        }
+    });
+
+    /**
+     * Run a command with the test app's services
+     * @param {...string} argv - Command and arguments
+     * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+     */
+    async function cli(...argv) {
+        const output = { stdout: '', stderr: '' };
+        const code = await runCli(argv, {
+            store: ctx.store,
+            mailWorker: ctx.mailWorker,
+            directory: ctx.directory,
+            webhooks: ctx.webhooks,
+            getBaseUrl: () => 'http://unitok.test',
+            actor: 'cli:tester',
+            now: ctx.clock.now,
+            stdout: { write: (text) => { output.stdout += text; } },
+            stderr: { write: (text) => { output.stderr += text; } }
+        });
+        return { code, ...output };
+    }
+
+    /**
+     * Submit a deletion request
+     * @param {string} email - Address to delete
+     * @param {Object} [fields] - Extra form fields
+     * @returns {Promise<{token: string, id: string}>} Link token and request ID
+     */
+    async function submit(email, fields = {}) {
+        const response = await ctx.request('POST', '/request-deletion', { email, reason: 'other', ...fields });
+        assert.equal(response.status, 200);
+        const mail = (await ctx.deliverMail()).findLast((message) => message.to === email);
+        const token = findLink(mail, 'confirm').split('/').pop();
+        return { token, id: tokens.hashToken(token) };
+    }
+
+    it('lists, searches and shows requests', async () => {
+        const { id } = await submit('alice@example.com');
+        ctx.clock.advance(60 * 1000);
+        await submit('bob@example.com');
+
+        const listed = await cli('list');
+        assert.equal(listed.code, 0);
+        const lines = listed.stdout.trim().split('\n');
+        assert.match(lines[0], /^ID\s+STATUS\s+CREATED\s+EMAIL$/);
+        assert.match(lines[1], /email_sent .*bob@example\.com$/);
+        assert.match(lines[2], new RegExp(`^${id.substring(0, 12)} .*alice@example\\.com$`));
+
+        const found = await cli('search', 'alice');
+        assert.equal(found.stdout.trim().split('\n').length, 2);
+        assert.match((await cli('list', '--status', 'confirmed')).stdout, /No requests found/);
+
+        const shown = await cli('show', id.substring(0, 8));
+        assert.equal(shown.code, 0);
+        assert.match(shown.stdout, new RegExp(`Request:\\s+${id}`));
+        assert.match(shown.stdout, /Reason:\s+Other reason/);
+        assert.match(shown.stdout, /- -> submitted {2}\(user, /);
+
+        const missing = await cli('show', 'ffffffff');
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /No request found/);
+    });
+
+    it('resends the confirmation email with a new link', async () => {
+        const { token, id } = await submit('alice@example.com', { lang: 'ar', feedback: 'Bye' });
+
+        // Left for the server's worker, which may be sending it already
+        const queued = createOutboxMessage({ kind: 'deletion-confirm', mail: { to: 'bob@example.com', subject: 'Confirm', text: 'Confirm' } });
+        ctx.store.outbox.add(queued);
+
+        const result = await cli('resend', id);
+        assert.equal(result.code, 0);
+        assert.match(result.stderr, /Sent 1 queued/);
+        assert.ok(ctx.store.outbox.get(queued.id));
+
+        const previous = ctx.store.get(id);
+        assert.equal(getState(previous), 'expired');
+        assert.equal(previous.history.at(-1).actor, 'cli:tester');
+
+        const mail = ctx.transporter.messages.at(-1);
+        assert.equal(mail.to, 'alice@example.com');
+        assert.match(mail.subject, /تأكيد طلب حذف/);
+        const newToken = findLink(mail, 'confirm').split('/').pop();
+        const resent = ctx.store.get(tokens.hashToken(newToken));
+        assert.equal(getState(resent), 'email_sent');
+        assert.equal(resent.feedback, 'Bye');
+        assert.equal(resent.resentFrom, id);
+
+        assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 410);
+        assert.equal((await ctx.request('POST', `/confirm/${newToken}`)).status, 200);
+    });
+
+    it('resends nothing if the link is used while the command runs', async () => {
+        const { token, id } = await submit('alice@example.com');
+        const stale = ctx.store.get(id);
+        assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 200);
+
+        // The command still sees the request as it was when it looked it up
+        const get = ctx.store.get;
+        ctx.store.get = (key) => (key === id ? structuredClone(stale) : get(key));
+
+        const result = await cli('resend', id);
+        assert.equal(result.code, 1);
+        assert.equal(result.stdout, '');
+        assert.match(result.stderr, /stopped waiting for confirmation/);
+        assert.equal(ctx.store.all().length, 1);
+        assert.equal(getState(get(id)), 'confirmed');
+        assert.ok(!ctx.store.outbox.list().messages.some((message) => message.kind === 'deletion-confirm'));
+    });
+
+    it('reports a change only once it is saved', async () => {
+        const { id } = await submit('alice@example.com');
+        ctx.store.save = () => {
+            throw new Error('disk full');
+        };
+
+        for (const command of ['confirm', 'cancel']) {
+            const result = await cli(command, id);
+            assert.equal(result.code, 1);
+            assert.equal(result.stdout, '');
+            assert.match(result.stderr, /disk full/);
+        }
+        assert.equal(getState(ctx.store.get(id)), 'email_sent');
+    });
+
+    it('refuses to email links without shared signing keys', async () => {
+        const { id } = await submit('alice@example.com');
+        delete process.env.SIGNING_KEYS;
+
+        for (const command of ['resend', 'confirm']) {
+            const result = await cli(command, id);
+            assert.equal(result.code, 1);
+            assert.match(result.stderr, /SIGNING_KEYS is not set/);
+        }
+        assert.equal(getState(ctx.store.get(id)), 'email_sent');
+    });
+
+    it('confirms, completes and cancels like the dashboard', async () => {
+        const first = await submit('alice@example.com');
+        const second = await submit('bob@example.com');
+
+        const confirmed = await cli('confirm', first.id, '--note', 'Confirmed by phone');
+        assert.equal(confirmed.code, 0);
+        assert.match(confirmed.stdout, /can cancel until/);
+        const data = ctx.store.get(first.id);
+        assert.equal(getState(data), 'confirmed');
+        assert.deepEqual(data.history.at(-1), {
+            from: 'email_sent',
+            to: 'confirmed',
+            at: ctx.clock.now().toISOString(),
+            actor: 'cli:tester',
+            note: 'Confirmed by phone'
+        });
+        assert.match(ctx.transporter.messages.at(-1).subject, /Deletion Is Scheduled/);
+
+        const early = await cli('complete', first.id);
+        assert.equal(early.code, 1);
+        assert.match(early.stderr, /can still cancel this request/);
+
+        ctx.clock.advance(15 * DAY_MS);
+        await ctx.graceNotifier.runOnce();
+        const completed = await cli('complete', first.id);
+        assert.equal(completed.code, 0);
+        assert.equal(getState(ctx.store.get(first.id)), 'completed');
+        const messages = await ctx.deliverMail();
+        assert.ok(messages.some((message) => message.to === SUPPORT_EMAIL));
+        assert.match(messages.findLast((message) => message.to === 'alice@example.com').subject, /Has Been Deleted/);
+
+        assert.equal((await cli('cancel', second.id, '--no-send')).code, 0);
+        assert.equal(getState(ctx.store.get(second.id)), 'cancelled');
+        const again = await cli('cancel', second.id);
+        assert.equal(again.code, 1);
+        assert.equal(again.stderr, 'Cannot move a request from "cancelled" to "cancelled".\n');
+    });
+
+    it('exports requests in a date range as CSV or JSON', async () => {
+        await submit('early@example.com');
+        ctx.clock.advance(2 * DAY_MS);
+        await submit('=formula@example.com', { feedback: 'Line one,\n"two"' });
+        ctx.clock.advance(DAY_MS);
+        await submit('late@example.com');
+
+        const csv = await cli('export', '--from', '2026-01-16', '--to', '2026-01-17');
+        assert.equal(csv.code, 0);
+        const rows = csv.stdout.split('\r\n');
+        assert.equal(rows[0], 'id,email,status,reason,feedback,locale,accountId,createdAt,confirmedAt,graceEndsAt,supportNotifiedAt,updatedAt');
+        assert.match(rows[1], /^[0-9a-f]{64},'=formula@example\.com,email_sent,Other reason,"Line one,\n""two""",en,/);
+        assert.equal(rows.length, 3);
+
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-cli-')), 'requests.json');
+        const json = await cli('export', '--format', 'json', '--from', '2026-01-15', '--output', file);
+        assert.equal(json.code, 0);
+        assert.equal(json.stdout, '');
+        const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(exported.map((data) => data.email), ['early@example.com', '=formula@example.com', 'late@example.com']);
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+
+        const bad = await cli('export', '--from', 'yesterday');
+        assert.equal(bad.code, 2);
+        assert.match(bad.stderr, /Not a date: yesterday/);
+    });
+
+    it('shows the usage for unknown commands and options', async () => {
+        for (const argv of [['delete', 'abc'], ['list', '--verbose'], ['show'], ['export', '--format', 'xml']]) {
+            const result = await cli(...argv);
+            assert.equal(result.code, 2, argv.join(' '));
+            assert.match(result.stderr, /Usage: unitok <command>/);
+        }
+    });
+});
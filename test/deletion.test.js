@@ -0,0 +1,345 @@
+/**
+ * Account deletion flow, end to end over HTTP
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BASE_URL, SUPPORT_EMAIL, startTestApp, findLink } = require('./helpers');
+const { getState } = require('../src/lifecycle');
+const { t } = require('../src/i18n');
+const tokens = require('../src/tokens');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('account deletion', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await startTestApp();
+    });
+
+    afterEach(async () => {
+        await ctx.close();
+    });
+
+    /**
+     * Submit a valid request and return the confirmation email
+     * @param {string} email - Address to delete
+     * @returns {Promise<{token: string, id: string, mail: Object}>} Token
+     *   from the emailed link and the request ID it is stored under
+     */
+    async function submit(email) {
+        const response = await ctx.request('POST', '/request-deletion', { email, reason: 'privacy-concerns' });
+        assert.equal(response.status, 200);
+
+        const messages = await ctx.deliverMail();
+        const mail = messages.findLast((message) => message.to === email);
+        const link = findLink(mail, 'confirm');
+        const token = link.split('/').pop();
+        return { token, id: tokens.hashToken(token), mail };
+    }
+
+    describe('POST /request-deletion', () => {
+        it('rejects a missing or malformed email', async () => {
+            for (const email of [undefined, '', 'not-an-email', ['@'], { '@': 1 }, 42]) {
+                const response = await ctx.request('POST', '/request-deletion', { email, reason: 'other' });
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: t('en', 'api.invalidEmail') });
+            }
+        });
+
+        it('rejects a missing or unknown reason', async () => {
+            for (const [i, reason] of [undefined, '', '<!channel>', 'toString', ['other']].entries()) {
+                const response = await ctx.request('POST', '/request-deletion', { email: `user${i}@example.com`, reason });
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: t('en', 'api.missingReason') });
+            }
+            assert.equal(ctx.store.all().length, 0);
+        });
+
+        it('rejects feedback that is not text or is too long', async () => {
+            for (const [i, feedback] of [42, ['Bye'], { text: 'Bye' }, 'x'.repeat(2001)].entries()) {
+                const response = await ctx.request('POST', '/request-deletion', { email: `user${i}@example.com`, reason: 'other', feedback });
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: t('en', 'api.feedbackTooLong', { max: 2000 }) });
+            }
+            assert.equal(ctx.store.all().length, 0);
+
+            const response = await ctx.request('POST', '/request-deletion', { email: 'user@example.com', reason: 'other', feedback: 'x'.repeat(2000) });
+            assert.equal(response.status, 200);
+        });
+
+        it('answers in the language of the submission', async () => {
+            const response = await ctx.request('POST', '/request-deletion', { email: 'nope', reason: 'other', lang: 'ar' });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { error: t('ar', 'api.invalidEmail') });
+        });
+
+        it('saves the request and emails a confirmation link', async () => {
+            const response = await ctx.request('POST', '/request-deletion', {
+                email: 'user@example.com',
+                reason: 'privacy-concerns',
+                feedback: 'Bye'
+            });
+            assert.equal(response.status, 200);
+            assert.deepEqual(await response.json(), { success: true, message: t('en', 'api.confirmationSent') });
+
+            const [request] = ctx.store.all();
+            assert.equal(getState(request), 'submitted');
+            assert.equal(request.email, 'user@example.com');
+            assert.equal(request.reasonText, 'Privacy concerns');
+            assert.equal(request.createdAt, ctx.clock.now().toISOString());
+
+            const messages = await ctx.deliverMail();
+            assert.equal(messages.length, 1);
+            assert.equal(messages[0].to, 'user@example.com');
+            const token = findLink(messages[0], 'confirm').split('/').pop();
+            assert.equal(request.token, tokens.hashToken(token));
+            assert.equal(getState(ctx.store.get(request.token)), 'email_sent');
+
+            // Only the hash is kept
+            assert.ok(!JSON.stringify(ctx.store.all()).includes(token));
+        });
+
+        it('rejects a second request while one is pending', async () => {
+            await submit('user@example.com');
+
+            const response = await ctx.request('POST', '/request-deletion', { email: 'user@example.com', reason: 'other' });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { error: t('en', 'api.alreadyPending') });
+
+            // However the address is typed
+            const retyped = await ctx.request('POST', '/request-deletion', { email: ' User@Example.COM', reason: 'other' });
+            assert.equal(retyped.status, 400);
+            assert.equal(ctx.store.all().length, 1);
+            assert.equal((await ctx.deliverMail()).length, 1);
+        });
+
+        it('accepts a new request once the pending one has expired', async () => {
+            const { id } = await submit('user@example.com');
+            ctx.clock.advance(25 * HOUR_MS);
+
+            const response = await ctx.request('POST', '/request-deletion', { email: 'user@example.com', reason: 'other' });
+            assert.equal(response.status, 200);
+            assert.equal(getState(ctx.store.get(id)), 'expired');
+            assert.equal(ctx.store.all().length, 2);
+        });
+
+        it('rejects submissions faster than the form can be filled in', async () => {
+            for (const [i, formElapsedMs] of [undefined, null, '', 'soon', 1500].entries()) {
+                const response = await ctx.request('POST', '/request-deletion', {
+                    email: `user${i}@example.com`,
+                    reason: 'other',
+                    formElapsedMs
+                });
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: t('en', 'api.tooFast') });
+            }
+            assert.equal(ctx.store.all().length, 0);
+        });
+
+        it('pretends to accept honeypot submissions without saving them', async () => {
+            const response = await ctx.request('POST', '/request-deletion', {
+                email: 'bot@example.com',
+                reason: 'other',
+                website: 'http://spam.example'
+            });
+            assert.equal(response.status, 200);
+            assert.equal((await response.json()).success, true);
+            assert.equal(ctx.store.all().length, 0);
+            assert.equal((await ctx.deliverMail()).length, 0);
+        });
+    });
+
+    describe('/confirm/:token', () => {
+        it('responds 404 to an unknown token', async () => {
+            const token = tokens.issueToken('confirm', new Date(ctx.clock.now().getTime() + HOUR_MS));
+            const response = await ctx.request('GET', `/confirm/${token}`);
+            assert.equal(response.status, 404);
+            assert.match(await response.text(), new RegExp(t('en', 'errors.invalidLink.title')));
+        });
+
+        it('responds 404 to malformed and tampered tokens', async () => {
+            const { token, id } = await submit('user@example.com');
+            const [keyId, expiry, nonce, signature] = token.split('.');
+            const later = (parseInt(expiry, 36) + 3600).toString(36);
+
+            for (const candidate of [
+                id,
+                '00000000-0000-4000-8000-000000000000',
+                '..%2F..%2Fpackage',
+                `${keyId}.${later}.${nonce}.${signature}`,
+                `${keyId}.${expiry}.${nonce}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`,
+                `${token}x`
+            ]) {
+                const response = await ctx.request('GET', `/confirm/${candidate}`);
+                assert.equal(response.status, 404, candidate);
+                assert.equal((await ctx.request('POST', `/confirm/${candidate}`)).status, 404, candidate);
+            }
+            assert.equal(getState(ctx.store.get(id)), 'email_sent');
+        });
+
+        it('shows a confirmation page without confirming', async () => {
+            const { token, id } = await submit('user@example.com');
+
+            // Mail scanners opening the link twice change nothing
+            for (let visit = 0; visit < 2; visit++) {
+                const response = await ctx.request('GET', `/confirm/${token}`);
+                assert.equal(response.status, 200);
+                assert.equal(response.headers.get('cache-control'), 'no-store');
+                const html = await response.text();
+                assert.match(html, new RegExp(t('en', 'confirm.heading')));
+                assert.ok(html.includes(`action="/confirm/${token}"`));
+            }
+            assert.equal(getState(ctx.store.get(id)), 'email_sent');
+            assert.equal((await ctx.deliverMail()).length, 1);
+        });
+
+        it('confirms the request and emails the cancel link', async () => {
+            const { token, id } = await submit('user@example.com');
+            ctx.clock.advance(HOUR_MS);
+
+            const response = await ctx.request('POST', `/confirm/${token}`);
+            assert.equal(response.status, 200);
+            assert.match(await response.text(), new RegExp(t('en', 'confirmed.heading')));
+
+            const request = ctx.store.get(id);
+            assert.equal(getState(request), 'confirmed');
+            assert.equal(request.confirmedAt, ctx.clock.now().toISOString());
+
+            const messages = await ctx.deliverMail();
+            assert.equal(messages.length, 2);
+            assert.equal(messages[1].to, 'user@example.com');
+            assert.match(findLink(messages[1], 'cancel'), new RegExp(`^/cancel/${id}\\?sig=`));
+        });
+
+        it('accepts links emailed before tokens were signed until they expire', async () => {
+            // Stored under the UUID that was also the link token
+            const legacy = (token, email) => ctx.store.save(token, {
+                email,
+                reason: 'other',
+                reasonText: 'Other reason',
+                feedback: '',
+                token,
+                createdAt: ctx.clock.now().toISOString(),
+                confirmed: false
+            });
+            const fresh = '3f2a9c1b-8d4e-4f6a-9b2c-1d3e5f7a9b0c';
+            const stale = '7c1e2d3f-4a5b-4c6d-8e7f-9a0b1c2d3e4f';
+            legacy(stale, 'late@example.com');
+            ctx.clock.advance(23 * HOUR_MS);
+            legacy(fresh, 'user@example.com');
+            ctx.clock.advance(2 * HOUR_MS);
+
+            assert.equal((await ctx.request('GET', `/confirm/${fresh}`)).status, 200);
+            assert.equal((await ctx.request('POST', `/confirm/${fresh}`)).status, 200);
+            assert.equal(getState(ctx.store.get(fresh)), 'confirmed');
+            assert.match(findLink((await ctx.deliverMail()).at(-1), 'cancel'), new RegExp(`^/cancel/${fresh}\\?sig=`));
+
+            assert.equal((await ctx.request('POST', `/confirm/${stale}`)).status, 410);
+            assert.equal(getState(ctx.store.get(stale)), 'expired');
+        });
+
+        it('responds 410 when the link is used twice', async () => {
+            const { token } = await submit('user@example.com');
+
+            assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 200);
+            const response = await ctx.request('POST', `/confirm/${token}`);
+            assert.equal(response.status, 410);
+            assert.match(await response.text(), new RegExp(t('en', 'errors.alreadyUsed.title')));
+            assert.equal((await ctx.request('GET', `/confirm/${token}`)).status, 410);
+
+            // Only the first confirmation queues an email
+            assert.equal((await ctx.deliverMail()).length, 2);
+        });
+
+        it('responds 410 once the link has expired', async () => {
+            const { token, id } = await submit('user@example.com');
+            ctx.clock.advance(25 * HOUR_MS);
+
+            const response = await ctx.request('GET', `/confirm/${token}`);
+            assert.equal(response.status, 410);
+            assert.match(await response.text(), new RegExp(t('en', 'errors.linkExpired.title')));
+            assert.equal(getState(ctx.store.get(id)), 'expired');
+
+            // Still expired when confirmed from a page opened earlier
+            assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 410);
+            assert.equal((await ctx.deliverMail()).length, 1);
+        });
+    });
+
+    describe('grace period', () => {
+        it('cancels from the emailed link and notifies support', async () => {
+            const { token, id } = await submit('user@example.com');
+            await ctx.request('POST', `/confirm/${token}`);
+            const cancelLink = findLink((await ctx.deliverMail())[1], 'cancel');
+
+            const page = await ctx.request('GET', cancelLink);
+            assert.equal(page.status, 200);
+
+            const sig = new URL(cancelLink, BASE_URL).searchParams.get('sig');
+            const response = await ctx.request('POST', `/cancel/${id}`, { sig });
+            assert.equal(response.status, 200);
+            assert.equal(getState(ctx.store.get(id)), 'cancelled');
+
+            const messages = await ctx.deliverMail();
+            assert.equal(messages.length, 3);
+            assert.equal(messages[2].to, SUPPORT_EMAIL);
+            assert.match(messages[2].subject, /cancel/i);
+        });
+
+        it('rejects a cancel link with a bad signature', async () => {
+            const { token, id } = await submit('user@example.com');
+            await ctx.request('POST', `/confirm/${token}`);
+
+            const response = await ctx.request('GET', `/cancel/${id}?sig=forged`);
+            assert.equal(response.status, 404);
+            assert.equal(getState(ctx.store.get(id)), 'confirmed');
+        });
+
+        it('notifies support once the grace period is over', async () => {
+            const { token, id } = await submit('user@example.com');
+            await ctx.request('POST', `/confirm/${token}`);
+
+            assert.equal(await ctx.graceNotifier.runOnce(), 0);
+            ctx.clock.advance(15 * DAY_MS);
+            const wake = mock.method(ctx.mailWorker, 'wake');
+            assert.equal(await ctx.graceNotifier.runOnce(), 1);
+            assert.equal(ctx.store.get(id).supportNotifiedAt, ctx.clock.now().toISOString());
+            // Sent right away rather than on the worker's next poll
+            assert.equal(wake.mock.callCount(), 1);
+            wake.mock.restore();
+
+            const messages = await ctx.deliverMail();
+            assert.equal(messages.length, 3);
+            assert.equal(messages[2].to, SUPPORT_EMAIL);
+            assert.match(messages[2].text, new RegExp(id));
+        });
+
+        it('keeps admins from starting the request until it ends, by the app clock', async (t) => {
+            process.env.ADMIN_USER = 'admin';
+            process.env.ADMIN_PASSWORD = 'secret';
+            t.after(() => {
+                delete process.env.ADMIN_USER;
+                delete process.env.ADMIN_PASSWORD;
+            });
+            const admin = { Authorization: `Basic ${Buffer.from('admin:secret').toString('base64')}` };
+
+            const { token, id } = await submit('user@example.com');
+            await ctx.request('POST', `/confirm/${token}`);
+
+            const early = await ctx.request('POST', `/admin/api/requests/${id}/start`, {}, admin);
+            assert.equal(early.status, 409);
+            const view = await (await ctx.request('GET', `/admin/api/requests/${id}`, undefined, admin)).json();
+            assert.deepEqual(view.allowedTransitions, ['cancelled']);
+
+            ctx.clock.advance(15 * DAY_MS);
+            const started = await ctx.request('POST', `/admin/api/requests/${id}/start`, {}, admin);
+            assert.equal(started.status, 200);
+            const { request } = await started.json();
+            assert.equal(request.status, 'in_progress');
+            assert.equal(request.history.at(-1).at, ctx.clock.now().toISOString());
+        });
+    });
+});
@@ -0,0 +1,287 @@
+/**
+ * Account check against the user directory and automatic deletion
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { SUPPORT_EMAIL, startTestApp, findLink } = require('./helpers');
+const { getState, transition } = require('../src/lifecycle');
+const { t } = require('../src/i18n');
+const tokens = require('../src/tokens');
+const { createStubDirectory } = require('../src/directory/stubDirectory');
+const { createHttpDirectory } = require('../src/directory/httpDirectory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACCOUNTS = [
+    { id: 'u_1001', email: 'student@example.com' },
+    { id: 'u_1002', email: 'club.lead@example.com' }
+];
+
+describe('user directory', () => {
+    let ctx;
+
+    afterEach(async () => {
+        await ctx.close();
+    });
+
+    /**
+     * Submit a request and confirm it from the emailed link
+     * @param {string} email - Account holder's address
+     * @returns {Promise<string>} Request ID
+     */
+    async function submitAndConfirm(email) {
+        const response = await ctx.request('POST', '/request-deletion', { email, reason: 'privacy-concerns' });
+        assert.equal(response.status, 200);
+
+        // Requests are stored, and mailed, under the lowercased address
+        const mail = (await ctx.deliverMail()).findLast((message) => message.to === email.toLowerCase());
+        const token = findLink(mail, 'confirm').split('/').pop();
+        assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 200);
+        return tokens.hashToken(token);
+    }
+
+    /**
+     * Move past the grace period and notify support
+     */
+    async function endGracePeriod() {
+        ctx.clock.advance(15 * DAY_MS);
+        assert.equal(await ctx.graceNotifier.runOnce(), 1);
+    }
+
+    describe('account check', () => {
+        it('records the account ID of a known address', async () => {
+            ctx = await startTestApp({ directory: createStubDirectory({ accounts: ACCOUNTS }) });
+
+            const id = await submitAndConfirm('Student@Example.com');
+            assert.equal(ctx.store.get(id).accountId, 'u_1001');
+            assert.equal(ctx.accountDeleter, null);
+        });
+
+        it('answers as usual but sends nothing for an unknown address', async () => {
+            ctx = await startTestApp({ directory: createStubDirectory({ accounts: ACCOUNTS }) });
+
+            const response = await ctx.request('POST', '/request-deletion', {
+                email: 'stranger@example.com',
+                reason: 'other'
+            });
+            assert.equal(response.status, 200);
+            assert.deepEqual(await response.json(), { success: true, message: t('en', 'api.confirmationSent') });
+            assert.equal(ctx.store.list({}).total, 0);
+            assert.equal((await ctx.deliverMail()).length, 0);
+        });
+
+        it('fails with 503 when the directory is unreachable', async () => {
+            ctx = await startTestApp({
+                directory: {
+                    driver: 'test',
+                    deletionMode: 'off',
+                    findAccount: async () => {
+                        throw new Error('connect ECONNREFUSED');
+                    },
+                    deleteAccount: null
+                }
+            });
+
+            const response = await ctx.request('POST', '/request-deletion', {
+                email: 'student@example.com',
+                reason: 'other'
+            });
+            assert.equal(response.status, 503);
+            assert.deepEqual(await response.json(), { error: t('en', 'api.requestFailed') });
+            assert.equal(ctx.store.list({}).total, 0);
+        });
+    });
+
+    describe('automatic deletion', () => {
+        it('deletes the account once the grace period is over', async () => {
+            const directory = createStubDirectory({ accounts: ACCOUNTS, deletionMode: 'api' });
+            ctx = await startTestApp({ directory });
+
+            const id = await submitAndConfirm('student@example.com');
+            assert.equal(await ctx.accountDeleter.runOnce(), 0);
+
+            await endGracePeriod();
+            assert.equal(await ctx.accountDeleter.runOnce(), 1);
+            assert.deepEqual(directory.deleted, ['u_1001']);
+
+            const requestData = ctx.store.get(id);
+            assert.equal(getState(requestData), 'completed');
+            assert.equal(requestData.accountDeletion.status, 'deleted');
+            assert.equal(requestData.accountDeletion.attempts, 1);
+            assert.equal(requestData.history.at(-1).actor, 'system');
+
+            const messages = await ctx.deliverMail();
+            const support = messages.find((message) => message.to === SUPPORT_EMAIL);
+            assert.match(support.text, /u_1001/);
+            assert.match(support.text, /deleted automatically \(api\)/);
+            assert.equal(messages.length, 4);
+            assert.equal(messages.filter((message) => message.to === 'student@example.com').length, 3);
+        });
+
+        it('retries a failed call with backoff and then gives up', async () => {
+            let calls = 0;
+            ctx = await startTestApp({
+                directory: {
+                    driver: 'test',
+                    deletionMode: 'api',
+                    findAccount: async () => ({ exists: true, accountId: 'u_1001' }),
+                    deleteAccount: async () => {
+                        calls++;
+                        throw new Error('HTTP 500');
+                    }
+                }
+            });
+
+            const id = await submitAndConfirm('student@example.com');
+            await endGracePeriod();
+
+            assert.equal(await ctx.accountDeleter.runOnce(), 0);
+            let attempt = ctx.store.get(id).accountDeletion;
+            assert.equal(attempt.status, 'retrying');
+            assert.equal(attempt.lastError, 'HTTP 500');
+
+            // Not due again until the backoff has passed
+            assert.equal(await ctx.accountDeleter.runOnce(), 0);
+            assert.equal(calls, 1);
+
+            for (let i = 0; i < 10; i++) {
+                ctx.clock.advance(DAY_MS);
+                await ctx.accountDeleter.runOnce();
+            }
+            attempt = ctx.store.get(id).accountDeletion;
+            assert.equal(attempt.status, 'failed');
+            assert.equal(attempt.attempts, calls);
+            assert.equal(getState(ctx.store.get(id)), 'confirmed');
+        });
+
+        it('leaves a request that support has already handled alone', async () => {
+            const directory = createStubDirectory({ accounts: ACCOUNTS, deletionMode: 'api' });
+            ctx = await startTestApp({ directory });
+
+            const id = await submitAndConfirm('student@example.com');
+            await endGracePeriod();
+
+            ctx.store.save(id, transition(ctx.store.get(id), 'in_progress', { actor: 'admin:test' }));
+
+            assert.equal(await ctx.accountDeleter.runOnce(), 0);
+            assert.deepEqual(directory.deleted, []);
+        });
+    });
+
+    describe('http directory', () => {
+        let server;
+        let received;
+
+        /**
+         * Start a fake backend
+         * @param {Function} handler - (req, body, res) => void
+         * @returns {Promise<string>} Its URL
+         */
+        async function startBackend(handler) {
+            received = [];
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    received.push({ method: req.method, url: req.url, headers: req.headers, body });
+                    handler(req, body, res);
+                });
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            return `http://127.0.0.1:${server.address().port}`;
+        }
+
+        afterEach(async () => {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        /**
+         * Answer like the app backend
+         * @param {import('http').IncomingMessage} req - Request
+         * @param {string} body - Raw body
+         * @param {import('http').ServerResponse} res - Response
+         */
+        function backend(req, body, res) {
+            const url = new URL(req.url, 'http://backend');
+            if (url.pathname === '/hooks/deletion') {
+                res.writeHead(204).end();
+            } else if (req.headers.authorization !== 'Bearer test-key') {
+                res.writeHead(401).end();
+            } else if (url.pathname === '/accounts/lookup') {
+                const account = ACCOUNTS.find((entry) => entry.email === url.searchParams.get('email'));
+                res.writeHead(account ? 200 : 404, { 'Content-Type': 'application/json' })
+                    .end(account ? JSON.stringify({ id: account.id }) : '{}');
+            } else if (url.pathname === '/accounts/u_1001/deletion') {
+                res.writeHead(202, { 'Content-Type': 'application/json' }).end('{"reference":"job-7"}');
+            } else {
+                res.writeHead(404).end();
+            }
+        }
+
+        it('looks up accounts and calls the deletion API', async () => {
+            const baseUrl = await startBackend(backend);
+            const directory = createHttpDirectory({ baseUrl, apiKey: 'test-key', timeoutMs: 1000, deletionMode: 'api' });
+            ctx = await startTestApp({ directory });
+
+            assert.deepEqual(await directory.findAccount('nobody@example.com'), { exists: false, accountId: null });
+
+            const id = await submitAndConfirm('student@example.com');
+            await endGracePeriod();
+            assert.equal(await ctx.accountDeleter.runOnce(), 1);
+
+            const requestData = ctx.store.get(id);
+            assert.equal(getState(requestData), 'in_progress');
+            assert.equal(requestData.accountDeletion.status, 'accepted');
+            assert.equal(requestData.accountDeletion.reference, 'job-7');
+
+            const call = received.at(-1);
+            assert.equal(call.headers['idempotency-key'], id);
+            assert.equal(JSON.parse(call.body).requestId, id);
+        });
+
+        it('signs the deletion webhook', async () => {
+            const baseUrl = await startBackend(backend);
+            const directory = createHttpDirectory({
+                baseUrl,
+                apiKey: 'test-key',
+                timeoutMs: 1000,
+                deletionMode: 'webhook',
+                webhookUrl: `${baseUrl}/hooks/deletion`,
+                webhookSecret: 'webhook-secret'
+            });
+            ctx = await startTestApp({ directory });
+
+            const id = await submitAndConfirm('club.lead@example.com');
+            await endGracePeriod();
+            assert.equal(await ctx.accountDeleter.runOnce(), 1);
+            assert.equal(getState(ctx.store.get(id)), 'in_progress');
+
+            const call = received.at(-1);
+            assert.equal(call.url, '/hooks/deletion');
+            const [, timestamp, signature] = call.headers['x-unitok-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+            const expected = crypto.createHmac('sha256', 'webhook-secret').update(`${timestamp}.${call.body}`).digest('hex');
+            assert.equal(signature, expected);
+
+            const event = JSON.parse(call.body);
+            assert.equal(event.event, 'account.deletion_requested');
+            assert.equal(event.accountId, 'u_1002');
+            assert.equal(event.requestId, id);
+        });
+    });
+});
+
+describe('createHttpDirectory', () => {
+    it('rejects a half-configured webhook', () => {
+        assert.throws(() => createHttpDirectory({
+            baseUrl: 'http://backend',
+            apiKey: 'test-key',
+            timeoutMs: 1000,
+            deletionMode: 'webhook'
+        }), /ACCOUNT_DELETION_WEBHOOK_URL/);
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * Data export requests, archives and downloads
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { SUPPORT_EMAIL, startTestApp, findLink } = require('./helpers');
+const { getState } = require('../src/lifecycle');
+const { t } = require('../src/i18n');
+const tokens = require('../src/tokens');
+const { createStubDirectory } = require('../src/directory/stubDirectory');
+const { createHttpDirectory } = require('../src/directory/httpDirectory');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const ACCOUNTS = [
+    { id: 'u_1001', email: 'student@example.com', displayName: 'Sample Student' },
+    { id: 'u_1002', email: 'club.lead@example.com' }
+];
+
+describe('data export', () => {
+    let ctx;
+
+    afterEach(async () => {
+        await ctx.close();
+    });
+
+    /**
+     * Submit an export request and return the token from its confirmation email
+     * @param {string} email - Account holder's address
+     * @param {Object} [fields] - Extra form fields
+     * @returns {Promise<string>} Confirmation token
+     */
+    async function submit(email, fields = {}) {
+        const response = await ctx.request('POST', '/request-export', { email, ...fields });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { success: true, message: t(fields.lang || 'en', 'api.confirmationSent') });
+
+        const mail = (await ctx.deliverMail()).findLast((message) => message.to === email);
+        return findLink(mail, 'confirm-export').split('/').pop();
+    }
+
+    /**
+     * Submit and confirm an export request
+     * @param {string} email - Account holder's address
+     * @returns {Promise<string>} Request ID
+     */
+    async function submitAndConfirm(email) {
+        const token = await submit(email);
+        assert.equal((await ctx.request('POST', `/confirm-export/${token}`)).status, 200);
+        return tokens.hashToken(token);
+    }
+
+    describe('with an export backend', () => {
+        it('builds the archive and emails a download link', async () => {
+            ctx = await startTestApp({ directory: createStubDirectory({ accounts: ACCOUNTS }) });
+
+            const token = await submit('student@example.com');
+            const id = tokens.hashToken(token);
+            assert.equal(getState(ctx.exportStore.get(id)), 'email_sent');
+            assert.equal(ctx.store.list({}).total, 0);
+
+            const page = await ctx.request('POST', `/confirm-export/${token}`);
+            assert.equal(page.status, 200);
+            assert.match(await page.text(), /72 hours/);
+
+            const support = (await ctx.deliverMail()).find((message) => message.to === SUPPORT_EMAIL);
+            assert.match(support.subject, /Data Export Request - student@example.com/);
+            assert.match(support.text, /u_1001/);
+            assert.match(support.text, /built automatically/);
+
+            assert.equal(await ctx.exportBuilder.runOnce(), 1);
+            const requestData = ctx.exportStore.get(id);
+            assert.equal(getState(requestData), 'completed');
+            assert.equal(requestData.archive.status, 'ready');
+            assert.equal(requestData.archive.expiresAt, new Date(ctx.clock.now().getTime() + 72 * HOUR_MS).toISOString());
+
+            const ready = (await ctx.deliverMail()).findLast((message) => message.to === 'student@example.com');
+            assert.match(ready.subject, /Ready to Download/);
+            const downloadLink = findLink(ready, 'download-export');
+
+            const download = await ctx.request('GET', downloadLink);
+            assert.equal(download.status, 200);
+            assert.equal(download.headers.get('content-type'), 'application/json');
+            assert.equal(download.headers.get('content-disposition'), 'attachment; filename="unitok-data-u_1001.json"');
+            assert.equal(download.headers.get('cache-control'), 'no-store');
+
+            const archive = await download.json();
+            assert.equal(archive.requestId, id);
+            assert.equal(archive.account.displayName, 'Sample Student');
+            assert.equal(ctx.exportStore.get(id).archive.downloads, 1);
+        });
+
+        it('refuses tampered links and deletes archives once they expire', async () => {
+            ctx = await startTestApp({ directory: createStubDirectory({ accounts: ACCOUNTS }) });
+
+            const id = await submitAndConfirm('club.lead@example.com');
+            await ctx.exportBuilder.runOnce();
+            const downloadLink = findLink((await ctx.deliverMail()).at(-1), 'download-export');
+
+            assert.equal((await ctx.request('GET', `/download-export/${id}?sig=forged`)).status, 404);
+            assert.equal((await ctx.request('GET', `/download-export/${id}`)).status, 404);
+
+            ctx.clock.advance(73 * HOUR_MS);
+            assert.equal((await ctx.request('GET', downloadLink)).status, 410);
+
+            await ctx.exportBuilder.runOnce();
+            assert.equal(ctx.exportStore.get(id).archive.status, 'expired');
+            assert.equal(fs.existsSync(path.join(ctx.archives.dir, `${id}.archive`)), false);
+            assert.equal((await ctx.request('GET', downloadLink)).status, 410);
+        });
+
+        it('retries a failing backend with backoff and then gives up', async () => {
+            let calls = 0;
+            ctx = await startTestApp({
+                directory: {
+                    driver: 'test',
+                    deletionMode: 'off',
+                    findAccount: async () => ({ exists: true, accountId: 'u_1001' }),
+                    deleteAccount: null,
+                    exportAccount: async () => {
+                        calls++;
+                        throw new Error('HTTP 500');
+                    }
+                }
+            });
+
+            const id = await submitAndConfirm('student@example.com');
+            assert.equal(await ctx.exportBuilder.runOnce(), 0);
+            assert.equal(ctx.exportStore.get(id).archive.status, 'retrying');
+            assert.equal(await ctx.exportBuilder.runOnce(), 0);
+            assert.equal(calls, 1);
+
+            for (let i = 0; i < 10; i++) {
+                ctx.clock.advance(24 * HOUR_MS);
+                await ctx.exportBuilder.runOnce();
+            }
+            const { archive } = ctx.exportStore.get(id);
+            assert.equal(archive.status, 'failed');
+            assert.equal(archive.attempts, calls);
+            assert.equal(archive.lastError, 'HTTP 500');
+            assert.equal(getState(ctx.exportStore.get(id)), 'confirmed');
+        });
+    });
+
+    describe('requests', () => {
+        it('rejects a missing or malformed email', async () => {
+            ctx = await startTestApp();
+
+            for (const email of [undefined, 'not-an-email', ['@'], 42]) {
+                const response = await ctx.request('POST', '/request-export', { email });
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: t('en', 'api.invalidEmail') });
+            }
+        });
+
+        it('answers as usual but sends nothing for an unknown address', async () => {
+            ctx = await startTestApp({ directory: createStubDirectory({ accounts: ACCOUNTS }) });
+
+            const response = await ctx.request('POST', '/request-export', { email: 'stranger@example.com' });
+            assert.equal(response.status, 200);
+            assert.equal(ctx.exportStore.list({}).total, 0);
+            assert.equal((await ctx.deliverMail()).length, 0);
+        });
+
+        it('allows one pending request per address, apart from deletion requests', async () => {
+            ctx = await startTestApp();
+
+            await submit('user@example.com', { lang: 'ar' });
+            const again = await ctx.request('POST', '/request-export', { email: 'user@example.com', lang: 'ar' });
+            assert.equal(again.status, 400);
+            assert.deepEqual(await again.json(), { error: t('ar', 'api.exportAlreadyPending') });
+            const retyped = await ctx.request('POST', '/request-export', { email: 'User@Example.com ', lang: 'ar' });
+            assert.equal(retyped.status, 400);
+            assert.equal(ctx.exportStore.list({}).total, 1);
+
+            const deletion = await ctx.request('POST', '/request-deletion', { email: 'user@example.com', reason: 'other' });
+            assert.equal(deletion.status, 200);
+        });
+
+        it('expires unused confirmation links', async () => {
+            ctx = await startTestApp();
+
+            const token = await submit('user@example.com');
+            ctx.clock.advance(25 * HOUR_MS);
+
+            const response = await ctx.request('GET', `/confirm-export/${token}`);
+            assert.equal(response.status, 410);
+            assert.match(await response.text(), /href="\/request-export"/);
+            assert.equal(getState(ctx.exportStore.get(tokens.hashToken(token))), 'expired');
+        });
+
+        it('leaves the export to support without a backend', async () => {
+            ctx = await startTestApp();
+            assert.equal(ctx.exportBuilder, null);
+
+            const token = await submit('user@example.com', { lang: 'ar' });
+            const landing = await ctx.request('GET', `/confirm-export/${token}`);
+            assert.equal(landing.status, 200);
+            assert.match(await landing.text(), new RegExp(t('ar', 'exportConfirm.heading')));
+            assert.equal(getState(ctx.exportStore.get(tokens.hashToken(token))), 'email_sent');
+
+            const page = await ctx.request('POST', `/confirm-export/${token}`);
+            assert.equal(page.status, 200);
+            assert.match(await page.text(), new RegExp(t('ar', 'exportConfirmed.within30Days')));
+
+            const support = (await ctx.deliverMail()).find((message) => message.to === SUPPORT_EMAIL);
+            assert.match(support.text, /Please send the user a copy of their data within 30 days/);
+
+            const reused = await ctx.request('POST', `/confirm-export/${token}`);
+            assert.equal(reused.status, 410);
+        });
+    });
+
+    describe('http directory', () => {
+        let server;
+        let received;
+
+        afterEach(async () => {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        it('downloads the archive from the backend', async () => {
+            received = [];
+            server = http.createServer((req, res) => {
+                received.push({ method: req.method, url: req.url, headers: req.headers });
+                const url = new URL(req.url, 'http://backend');
+                if (req.headers.authorization !== 'Bearer test-key') {
+                    res.writeHead(401).end();
+                } else if (url.pathname === '/accounts/lookup') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"id":"u_1001"}');
+                } else if (url.pathname === '/accounts/u_1001/export') {
+                    res.writeHead(200, {
+                        'Content-Type': 'application/zip',
+                        'Content-Disposition': 'attachment; filename="u_1001-export.zip"'
+                    }).end(Buffer.from('PK-archive-bytes'));
+                } else {
+                    res.writeHead(404).end();
+                }
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+            ctx = await startTestApp({
+                directory: createHttpDirectory({ baseUrl, apiKey: 'test-key', timeoutMs: 1000, deletionMode: 'off' })
+            });
+
+            const id = await submitAndConfirm('student@example.com');
+            assert.equal(await ctx.exportBuilder.runOnce(), 1);
+
+            const call = received.at(-1);
+            assert.equal(call.method, 'POST');
+            assert.equal(call.headers['idempotency-key'], id);
+
+            const downloadLink = findLink((await ctx.deliverMail()).at(-1), 'download-export');
+            assert.ok(downloadLink.startsWith(`/download-export/${id}?sig=`));
+            const download = await ctx.request('GET', downloadLink);
+            assert.equal(download.headers.get('content-type'), 'application/zip');
+            assert.equal(download.headers.get('content-disposition'), 'attachment; filename="u_1001-export.zip"');
+            assert.equal(await download.text(), 'PK-archive-bytes');
+        });
+    });
+});
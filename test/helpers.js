@@ -0,0 +1,142 @@
+/**
+ * Test Helpers
+ *
+ * Builds an app on local fakes: a file store in a temporary directory,
+ * the memory mail transport and a clock the test moves by hand. The app
+ * listens on a random port and is reached with fetch(), like a browser
+ * that has opened the deletion form: requests carry its CSRF cookie, and
+ * POSTs its token and how long the form was open.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../src/app');
+const { createStore, createExportArchiveStore, createReportStore } = require('../src/storage');
+const { createMemoryTransport } = require('../src/mail/memoryTransport');
+const { createRateLimitStore } = require('../src/rateLimit');
+const { createNoticeLog } = require('../src/policies/notifier');
+
+const BASE_URL = 'http://unitok.test';
+const SUPPORT_EMAIL = 'support@unitok.test';
+
+// Sent as formElapsedMs, well over the form guard's minimum
+const FORM_ELAPSED_MS = 30 * 1000;
+
+// Support notifications need somewhere to go
+process.env.SUPPORT_EMAIL = SUPPORT_EMAIL;
+
+// Pages link the original assets, whatever was built locally in dist/;
+// tests of the asset build point this at their own build
+process.env.ASSET_BUILD_DIR = path.join(os.tmpdir(), 'unitok-test-no-asset-build');
+
+/**
+ * Create a clock that only moves when told to
+ * @param {Date} [start] - Initial time
+ * @returns {{now: Function, advance: Function}} Clock
+ */
+function createFakeClock(start = new Date('2026-01-15T10:00:00.000Z')) {
+    let current = start.getTime();
+    return {
+        now: () => new Date(current),
+        advance: (ms) => {
+            current += ms;
+        }
+    };
+}
+
+/**
+ * Build and start a test app
+ * @param {Object} [config] - Extra createApp() config
+ * @returns {Promise<Object>} App, fakes and request helpers; call close() when done
+ */
+async function startTestApp(config = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-test-'));
+    const clock = createFakeClock();
+    const transporter = createMemoryTransport();
+    const instance = createApp({
+        store: createStore({ driver: 'file', dir }),
+        exportStore: createStore({ driver: 'file', dir, collection: 'export' }),
+        archives: createExportArchiveStore({ dir: path.join(dir, 'export-archives') }),
+        reports: createReportStore({ dir: path.join(dir, 'reports') }),
+        transporter,
+        rateLimitStore: createRateLimitStore({ driver: 'memory' }),
+        policyNotices: createNoticeLog({ file: path.join(dir, 'policy-notices.json') }),
+        now: clock.now,
+        baseUrl: BASE_URL,
+        devRoutes: false,
+        ...config
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = instance.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    // CSRF cookie and token, as the form page hands them out
+    const form = await fetch(`${origin}/request-deletion`);
+    const csrf = {
+        cookie: form.headers.get('set-cookie').split(';')[0],
+        token: (await form.text()).match(/<meta name="csrf-token" content="([^"]+)"/)[1]
+    };
+
+    /**
+     * Send a request to the app
+     * @param {string} method - HTTP method
+     * @param {string} urlPath - Path, e.g. "/confirm/abc"
+     * @param {Object} [body] - JSON body; formElapsedMs is added unless given
+     * @param {Object} [headers] - Extra request headers, overriding the CSRF ones
+     * @returns {Promise<Response>} Response (redirects are not followed)
+     */
+    function request(method, urlPath, body, headers = {}) {
+        if (body && !Array.isArray(body) && !('formElapsedMs' in body)) {
+            body = { ...body, formElapsedMs: FORM_ELAPSED_MS };
+        }
+        return fetch(`${origin}${urlPath}`, {
+            method,
+            redirect: 'manual',
+            headers: {
+                Cookie: csrf.cookie,
+                ...(method === 'GET' ? {} : { 'X-CSRF-Token': csrf.token }),
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    /**
+     * Deliver every queued email
+     * @returns {Promise<Array<Object>>} Emails captured so far, oldest first
+     */
+    async function deliverMail() {
+        // A run started by a request may have missed messages queued since,
+        // so keep going until a run finds nothing to send
+        while (await instance.mailWorker.runOnce() > 0);
+        return transporter.messages;
+    }
+
+    async function close() {
+        await new Promise((resolve) => {
+            server.close(resolve);
+            server.closeAllConnections();
+        });
+        instance.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { ...instance, clock, transporter, origin, csrf, request, deliverMail, close };
+}
+
+/**
+ * Pull the path of a link to this site out of an email's text
+ * @param {Object} message - Captured email
+ * @param {string} route - First path segment, e.g. "confirm"
+ * @returns {string|null} Path with query string, e.g. "/cancel/abc?sig=..."
+ */
+function findLink(message, route) {
+    const match = message.text.match(new RegExp(`${BASE_URL}(/${route}/[^\\s]+)`));
+    return match ? match[1] : null;
+}
+
+module.exports = { BASE_URL, SUPPORT_EMAIL, createFakeClock, startTestApp, findLink };
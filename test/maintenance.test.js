@@ -0,0 +1,178 @@
+/**
+ * Scheduled maintenance of stored requests
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BASE_URL, SUPPORT_EMAIL, startTestApp, findLink } = require('./helpers');
+const { createRequest, getState, transition } = require('../src/lifecycle');
+const { ANONYMIZED_EMAIL } = require('../src/maintenance');
+const tokens = require('../src/tokens');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('maintenance', () => {
+    let ctx;
+
+    afterEach(async () => {
+        await ctx.close();
+    });
+
+    /**
+     * Submit a request and deliver its confirmation email
+     * @param {string} form - "deletion" or "export"
+     * @param {string} email - Account holder's address
+     * @param {string} [lang] - Form language
+     * @returns {Promise<string>} Confirmation token
+     */
+    async function submit(form, email, lang) {
+        const response = await ctx.request('POST', `/request-${form}`, { email, reason: 'other', lang });
+        assert.equal(response.status, 200);
+        const mail = (await ctx.deliverMail()).findLast((message) => message.to === email);
+        return findLink(mail, form === 'export' ? 'confirm-export' : 'confirm').split('/').pop();
+    }
+
+    /**
+     * Store a deletion request that was completed at the current time
+     * @param {string} email - Account holder's address
+     * @returns {string} Request ID
+     */
+    function saveCompleted(email) {
+        const at = ctx.clock.now();
+        const id = tokens.hashToken(tokens.issueToken('confirm', new Date(at.getTime() + DAY_MS)));
+        const data = createRequest({ email, reason: 'other', feedback: 'Too many emails', token: id }, { at });
+        transition(data, 'confirmed', { actor: 'user', at });
+        transition(data, 'completed', { actor: 'admin:alice', at });
+        ctx.store.save(id, data);
+        return id;
+    }
+
+    it('expires unconfirmed requests and purges them after the retention period', async () => {
+        ctx = await startTestApp();
+
+        const id = tokens.hashToken(await submit('deletion', 'user@example.com'));
+        const exportId = tokens.hashToken(await submit('export', 'user@example.com'));
+        assert.equal((await ctx.maintenance.runOnce()).expired, 0);
+
+        ctx.clock.advance(25 * HOUR_MS);
+        assert.equal((await ctx.maintenance.runOnce()).expired, 2);
+        assert.equal(getState(ctx.store.get(id)), 'expired');
+        assert.equal(getState(ctx.exportStore.get(exportId)), 'expired');
+
+        ctx.clock.advance(29 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).purged, 0);
+
+        ctx.clock.advance(2 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).purged, 2);
+        assert.equal(ctx.store.get(id), null);
+        assert.equal(ctx.exportStore.get(exportId), null);
+    });
+
+    it('anonymizes completed requests after the retention period', async () => {
+        ctx = await startTestApp({ maintenance: { completedRetentionDays: 90 } });
+
+        const id = saveCompleted('user@example.com');
+        ctx.clock.advance(89 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).anonymized, 0);
+
+        ctx.clock.advance(2 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).anonymized, 1);
+        const data = ctx.store.get(id);
+        assert.equal(data.email, ANONYMIZED_EMAIL);
+        assert.equal(data.feedback, '');
+        assert.equal(data.anonymizedAt, ctx.clock.now().toISOString());
+        assert.equal(data.reason, 'other');
+        assert.equal(data.history.length, 3);
+
+        assert.equal((await ctx.maintenance.runOnce()).anonymized, 0);
+    });
+
+    it('keeps completed requests when retention is turned off', async () => {
+        ctx = await startTestApp({ maintenance: { completedRetentionDays: 0 } });
+
+        const id = saveCompleted('user@example.com');
+        ctx.clock.advance(1000 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).anonymized, 0);
+        assert.equal(ctx.store.get(id).email, 'user@example.com');
+    });
+
+    it('reminds users once before their confirmation link expires', async () => {
+        ctx = await startTestApp();
+
+        await submit('deletion', 'user@example.com');
+        await submit('export', 'student@example.com', 'ar');
+
+        ctx.clock.advance(17 * HOUR_MS);
+        assert.equal((await ctx.maintenance.runOnce()).reminded, 0);
+
+        ctx.clock.advance(2 * HOUR_MS);
+        assert.equal((await ctx.maintenance.runOnce()).reminded, 2);
+        const messages = await ctx.deliverMail();
+
+        const reminder = messages.findLast((message) => message.to === 'user@example.com');
+        assert.match(reminder.subject, /^Reminder: Confirm Your UniTok Account Deletion Request/);
+        assert.match(reminder.text, /January 16, 2026 at 10:00 AM UTC/);
+        assert.ok(reminder.text.includes(`${BASE_URL}/request-deletion`));
+        assert.equal(findLink(reminder, 'confirm'), null);
+
+        const arabic = messages.findLast((message) => message.to === 'student@example.com');
+        assert.ok(arabic.text.includes(`${BASE_URL}/ar/request-export`));
+
+        ctx.clock.advance(HOUR_MS);
+        assert.equal((await ctx.maintenance.runOnce()).reminded, 0);
+    });
+
+    it('escalates confirmed requests support has not processed in time', async () => {
+        ctx = await startTestApp();
+
+        const token = await submit('deletion', 'user@example.com');
+        assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 200);
+        const id = tokens.hashToken(token);
+
+        // The SLA starts once the grace period is over and support is told
+        ctx.clock.advance(10 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).escalated, 0);
+        ctx.clock.advance(5 * DAY_MS);
+        await ctx.graceNotifier.runOnce();
+
+        ctx.clock.advance(6 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).escalated, 0);
+        ctx.clock.advance(DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).escalated, 1);
+        assert.equal(ctx.store.get(id).escalatedAt, ctx.clock.now().toISOString());
+
+        const escalation = (await ctx.deliverMail()).findLast((message) => message.to === SUPPORT_EMAIL);
+        assert.equal(escalation.subject, 'Overdue Request - user@example.com');
+        assert.match(escalation.text, /Type: Account deletion/);
+        assert.match(escalation.text, new RegExp(`Request ID: ${id}`));
+
+        ctx.clock.advance(DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).escalated, 0);
+    });
+
+    it('keeps the SLA running once support has started a request', async () => {
+        ctx = await startTestApp();
+
+        const token = await submit('deletion', 'user@example.com');
+        assert.equal((await ctx.request('POST', `/confirm/${token}`)).status, 200);
+        const id = tokens.hashToken(token);
+        ctx.clock.advance(15 * DAY_MS);
+        await ctx.graceNotifier.runOnce();
+
+        ctx.clock.advance(2 * DAY_MS);
+        const data = ctx.store.get(id);
+        transition(data, 'in_progress', { actor: 'admin:support', at: ctx.clock.now() });
+        ctx.store.save(id, data);
+
+        ctx.clock.advance(4 * DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).escalated, 0);
+        ctx.clock.advance(DAY_MS);
+        assert.equal((await ctx.maintenance.runOnce()).escalated, 1);
+        assert.equal(getState(ctx.store.get(id)), 'in_progress');
+
+        const escalation = (await ctx.deliverMail()).findLast((message) => message.to === SUPPORT_EMAIL);
+        assert.equal(escalation.subject, 'Overdue Request - user@example.com');
+        assert.match(escalation.text, /Status: in_progress/);
+    });
+});
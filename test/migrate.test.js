@@ -0,0 +1,72 @@
+/**
+ * Moving the file driver's data into SQLite
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../src/storage');
+const { createSqliteStore } = require('../src/storage/sqliteStore');
+const { importJsonFiles } = require('../src/storage/migrate');
+const { createOutboxMessage } = require('../src/outbox');
+
+describe('migrate:sqlite', () => {
+    let dir;
+    let filename;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-migrate-'));
+        filename = path.join(dir, 'unitok.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Build a request waiting for its confirmation
+     * @param {string} token - Request ID
+     * @param {string} email - Address
+     * @returns {Object} Request data
+     */
+    function pendingRequest(token, email) {
+        return { token, email, status: 'email_sent', createdAt: '2026-01-15T10:00:00.000Z' };
+    }
+
+    it('copies deletion and export requests and the unsent outbox, once', () => {
+        const deletions = createStore({ driver: 'file', dir });
+        const exportRequests = createStore({ driver: 'file', dir, collection: 'export' });
+        const mail = { to: 'user@example.com', subject: 'Confirm', text: 'Confirm' };
+
+        deletions.save('a'.repeat(64), pendingRequest('a'.repeat(64), 'user@example.com'),
+            [createOutboxMessage({ kind: 'confirmation', ref: 'a'.repeat(64), mail })]);
+        exportRequests.save('b'.repeat(64), pendingRequest('b'.repeat(64), 'user@example.com'),
+            [createOutboxMessage({ kind: 'export-confirmation', ref: 'b'.repeat(64), mail })]);
+        const dead = createOutboxMessage({ kind: 'webhook', webhook: { event: 'request.created' } });
+        deletions.outbox.add({ ...dead, status: 'dead', attempts: 5 });
+
+        const expected = {
+            requests: { found: 1, imported: 1 },
+            exports: { found: 1, imported: 1 },
+            outbox: { found: 3, imported: 3 }
+        };
+        assert.deepEqual(importJsonFiles(dir, filename), expected);
+
+        const target = createSqliteStore({ filename });
+        const exportTarget = createSqliteStore({ filename, collection: 'export' });
+        try {
+            assert.equal(target.get('a'.repeat(64)).email, 'user@example.com');
+            assert.equal(exportTarget.get('b'.repeat(64)).email, 'user@example.com');
+            assert.deepEqual(target.outbox.counts(), { pending: 2, dead: 1 });
+        } finally {
+            exportTarget.close();
+            target.close();
+        }
+
+        // Already there, so a second run changes nothing
+        for (const summary of Object.values(expected)) summary.imported = 0;
+        assert.deepEqual(importJsonFiles(dir, filename), expected);
+    });
+});
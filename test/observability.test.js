@@ -0,0 +1,191 @@
+/**
+ * Structured logs, request IDs, health checks and metrics
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, findLink } = require('./helpers');
+const { createLogger, setLogDestination } = require('../src/logger');
+const { createMemoryTransport } = require('../src/mail/memoryTransport');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create a stream that keeps what is written to it
+ * @returns {{write: Function, text: Function, lines: Function}} Stream; text()
+ *   returns the output and lines() parses its JSON lines
+ */
+function createCapture() {
+    let output = '';
+    return {
+        write: (text) => {
+            output += text;
+        },
+        text: () => output,
+        lines: () => output.trim().split('\n').filter(Boolean).map((line) => JSON.parse(line))
+    };
+}
+
+describe('logger', () => {
+    it('writes JSON lines with personal data redacted', () => {
+        const capture = createCapture();
+        const logger = createLogger({ level: 'info', format: 'json', getStream: () => capture });
+
+        logger.debug('Not written');
+        logger.child({ job: 'test' }).warn('Lookup failed for sara@example.com', {
+            email: 'sara@example.com',
+            feedback: 'I found a better app',
+            err: new Error('No account for sara@example.com')
+        });
+
+        const [entry] = capture.lines();
+        assert.equal(capture.lines().length, 1);
+        assert.equal(entry.level, 'warn');
+        assert.equal(entry.job, 'test');
+        assert.equal(entry.msg, 'Lookup failed for s***@example.com');
+        assert.equal(entry.email, 's***@example.com');
+        assert.equal(entry.feedback, '[redacted]');
+        assert.equal(entry.err.message, 'No account for s***@example.com');
+        assert.match(entry.err.stack, /^Error: No account for s\*\*\*@example\.com/);
+        assert.ok(!capture.text().includes('sara@'));
+    });
+
+    it('adds context fields to everything logged inside it', async () => {
+        const capture = createCapture();
+        const logger = createLogger({ level: 'debug', format: 'json', getStream: () => capture });
+
+        await logger.runWithContext({ requestId: 'abc-123' }, async () => {
+            await new Promise((resolve) => setImmediate(resolve));
+            logger.debug('Inside');
+        });
+        logger.info('Outside');
+
+        const [inside, outside] = capture.lines();
+        assert.equal(inside.requestId, 'abc-123');
+        assert.equal(outside.requestId, undefined);
+    });
+});
+
+describe('request logging, health and metrics', () => {
+    let ctx;
+    let capture;
+
+    afterEach(async () => {
+        setLogDestination(null);
+        delete process.env.METRICS_TOKEN;
+        await ctx.close();
+    });
+
+    /**
+     * Start an app whose log lines are captured
+     * @param {Object} [config] - Extra createApp() config
+     */
+    async function start(config) {
+        ctx = await startTestApp(config);
+        capture = createCapture();
+        setLogDestination(capture);
+    }
+
+    it('tags log lines with the request ID and keeps tokens out of the log', async () => {
+        await start();
+
+        const response = await ctx.request('POST', '/request-deletion', { email: 'sara@example.com', reason: 'other' });
+        const requestId = response.headers.get('x-request-id');
+        assert.match(requestId, /^[0-9a-f-]{36}$/);
+
+        const created = capture.lines().find((entry) => entry.msg === 'Deletion request created');
+        assert.equal(created.requestId, requestId);
+        assert.equal(created.email, 's***@example.com');
+
+        const mail = (await ctx.deliverMail()).at(-1);
+        const link = findLink(mail, 'confirm');
+        const confirmed = await ctx.request('POST', link, undefined, { 'X-Request-Id': 'proxy-request-0001' });
+        assert.equal(confirmed.headers.get('x-request-id'), 'proxy-request-0001');
+        // The line is logged once the (compressed) body has been sent
+        await confirmed.text();
+
+        const handled = capture.lines().filter((entry) => entry.msg === 'Request handled');
+        assert.deepEqual(handled.map((entry) => entry.path), ['/request-deletion', '/confirm/:token']);
+        assert.equal(handled[1].method, 'POST');
+        assert.equal(handled[1].requestId, 'proxy-request-0001');
+        assert.equal(handled[1].status, 200);
+        assert.ok(!capture.text().includes(link.split('/').pop()));
+        assert.ok(!capture.text().includes('sara@'));
+    });
+
+    it('reports storage and mail transport status', async () => {
+        await start();
+
+        let response = await ctx.request('GET', '/healthz');
+        assert.equal(response.status, 200);
+        let body = await response.json();
+        assert.equal(body.status, 'ok');
+        assert.deepEqual(body.checks.storage, { status: 'ok', driver: 'file' });
+        assert.equal(body.checks.mail.status, 'ok');
+        assert.deepEqual(body.checks.outbox, { pending: 0, dead: 0 });
+
+        // The mail check is cached, so a broken transport shows up a minute later
+        ctx.transporter.verify = async () => {
+            throw new Error('Invalid login: 535 Authentication failed');
+        };
+        assert.equal((await (await ctx.request('GET', '/healthz')).json()).status, 'ok');
+        ctx.clock.advance(61 * 1000);
+        response = await ctx.request('GET', '/healthz');
+        assert.equal(response.status, 200);
+        body = await response.json();
+        assert.equal(body.status, 'degraded');
+        assert.equal(body.checks.mail.status, 'error');
+        assert.ok(!JSON.stringify(body).includes('Authentication failed'));
+
+        ctx.exportStore.ping = () => {
+            throw new Error('EACCES: permission denied');
+        };
+        response = await ctx.request('GET', '/healthz');
+        assert.equal(response.status, 503);
+        body = await response.json();
+        assert.equal(body.status, 'error');
+        assert.equal(body.checks.exportStorage.status, 'error');
+        assert.ok(capture.lines().some((entry) => entry.msg === 'Health check: storage failed'));
+    });
+
+    it('counts requests and email failures in the Prometheus format', async () => {
+        const transporter = createMemoryTransport();
+        const send = transporter.sendMail;
+        let failures = 1;
+        transporter.sendMail = async (mail) => {
+            if (failures-- > 0) throw new Error('Connection refused');
+            return send(mail);
+        };
+        await start({ transporter });
+
+        await ctx.request('POST', '/request-deletion', { email: 'sara@example.com', reason: 'other' });
+        await ctx.request('POST', '/request-export', { email: 'sara@example.com' });
+        await ctx.request('POST', '/request-deletion', { email: 'omar@example.com', reason: 'other' });
+        await ctx.deliverMail();
+        ctx.clock.advance(2 * HOUR_MS);
+        await ctx.deliverMail();
+
+        const link = findLink(transporter.messages.find((message) => message.to === 'omar@example.com'), 'confirm');
+        assert.equal((await ctx.request('POST', link)).status, 200);
+
+        ctx.clock.advance(25 * HOUR_MS);
+        await ctx.maintenance.runOnce();
+
+        process.env.METRICS_TOKEN = 'scrape-secret';
+        assert.equal((await ctx.request('GET', '/metrics')).status, 401);
+
+        const response = await ctx.request('GET', '/metrics', undefined, { Authorization: 'Bearer scrape-secret' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain/);
+        const text = await response.text();
+        assert.match(text, /^# TYPE unitok_requests_submitted_total counter$/m);
+        assert.match(text, /^unitok_requests_submitted_total\{type="deletion"\} 2$/m);
+        assert.match(text, /^unitok_requests_submitted_total\{type="export"\} 1$/m);
+        assert.match(text, /^unitok_requests_confirmed_total\{type="deletion"\} 1$/m);
+        assert.match(text, /^unitok_requests_expired_total\{type="deletion"\} 1$/m);
+        assert.match(text, /^unitok_requests_expired_total\{type="export"\} 1$/m);
+        assert.match(text, /^unitok_email_failures_total\{kind="deletion-confirm"\} 1$/m);
+        assert.match(text, /^unitok_emails_sent_total\{kind="deletion-confirm"\} 2$/m);
+        assert.match(text, /^unitok_outbox_messages\{status="dead"\} 0$/m);
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * Policy versions, archives, changes and update emails
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BASE_URL, startTestApp } = require('./helpers');
+const { loadPolicies } = require('../src/policies');
+const { createNoticeLog } = require('../src/policies/notifier');
+const { diffWords } = require('../src/policies/diff');
+
+const CONTENT_DIR = path.join(__dirname, '..', 'content');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Write a content directory with a second privacy policy version
+ * Version 1.1 rewords the intro of section 1, drops item 6 and takes
+ * effect on 2026-02-01, after the test clock's start.
+ * @param {string} dir - Directory to fill
+ * @param {Array<Object>} [extraVersions] - More privacy versions to list
+ */
+function writeContent(dir, extraVersions = []) {
+    fs.cpSync(path.join(CONTENT_DIR, 'policies'), path.join(dir, 'policies'), { recursive: true });
+
+    const textDir = path.join(dir, 'policies', 'privacy', '2026-02-01');
+    fs.mkdirSync(textDir);
+    const text = JSON.parse(fs.readFileSync(path.join(dir, 'policies', 'privacy', '2025-09-23', 'en.json'), 'utf8'));
+    text.s1.intro = 'We collect the information described below to provide and secure the app.';
+    delete text.s1.item6;
+    fs.writeFileSync(path.join(textDir, 'en.json'), JSON.stringify(text));
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'policies.json'), 'utf8'));
+    manifest.policies[0].versions.push({
+        version: '1.1',
+        effective: '2026-02-01',
+        summary: { en: 'We collect less optional data.', ar: 'نجمع بيانات اختيارية أقل.' }
+    }, ...extraVersions);
+    fs.writeFileSync(path.join(dir, 'policies.json'), JSON.stringify(manifest));
+}
+
+describe('policies', () => {
+    let dir;
+    let ctx;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-policies-'));
+        writeContent(dir);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        delete process.env.POLICY_CONTACTS;
+        if (ctx) await ctx.close();
+        ctx = null;
+    });
+
+    describe('pages', () => {
+        it('serves the version in effect at the stable URL and announces the next one', async () => {
+            ctx = await startTestApp({ policies: loadPolicies({ dir }) });
+
+            const page = await (await ctx.request('GET', '/pp.html')).text();
+            assert.match(page, /<strong>Version:<\/strong> 1\.0</);
+            assert.match(page, /Effective:<\/strong> September 23, 2025/);
+            assert.match(page, /We collect the types of information described below/);
+            assert.match(page, /An updated version of this policy takes effect on February 1, 2026\./);
+            assert.match(page, /href="\/policies\/privacy\/2026-02-01"/);
+            assert.match(page, /href="\/policies\/privacy\/2026-02-01\/changes"/);
+            assert.ok(!page.includes('noindex'));
+
+            ctx.clock.advance(17 * DAY_MS);
+            const updated = await (await ctx.request('GET', '/pp.html')).text();
+            assert.match(updated, /<strong>Version:<\/strong> 1\.1</);
+            assert.match(updated, /We collect the information described below to provide and secure the app\./);
+            assert.ok(!updated.includes('policy-notice" role="note"'));
+
+            // The CSAE standards are served too, with their own history
+            const csae = await (await ctx.request('GET', '/ar/csae.html')).text();
+            assert.match(csae, /آخر تحديث: 1 يناير 2025/);
+            assert.match(csae, /href="\/ar\/policies\/csae\/history"/);
+        });
+
+        it('keeps every version at a dated URL, marked as replaced or upcoming', async () => {
+            ctx = await startTestApp({ policies: loadPolicies({ dir }) });
+
+            const upcoming = await (await ctx.request('GET', '/policies/privacy/2026-02-01')).text();
+            assert.match(upcoming, /<meta name="robots" content="noindex" \/>/);
+            assert.match(upcoming, /You are reading version 1\.1, which takes effect on February 1, 2026\./);
+
+            ctx.clock.advance(17 * DAY_MS);
+            const old = await (await ctx.request('GET', '/policies/privacy/2025-09-23')).text();
+            assert.match(old, /which took effect on September 23, 2025 and was replaced on February 1, 2026\./);
+            assert.match(old, /We collect the types of information described below/);
+            assert.match(old, /href="\/pp.html">Read the current version/);
+
+            const arabic = await ctx.request('GET', '/ar/policies/privacy/2025-09-23');
+            assert.match(await arabic.text(), /<html lang="ar" dir="rtl">[\s\S]*استُبدل في 1 فبراير 2026/);
+
+            const redirect = await ctx.request('GET', '/policies/privacy/2025-09-23', undefined, { 'Accept-Language': 'ar' });
+            assert.equal(redirect.status, 302);
+            assert.equal(redirect.headers.get('location'), '/ar/policies/privacy/2025-09-23');
+
+            const stable = await ctx.request('GET', '/ar/policies/privacy');
+            assert.equal(stable.headers.get('location'), '/ar/pp.html');
+
+            for (const url of ['/policies/privacy/2025-01-01', '/policies/terms/history', '/policies/privacy/2025-09-23/changes']) {
+                assert.equal((await ctx.request('GET', url)).status, 404, url);
+            }
+        });
+
+        it('shows what a version changed, word by word', async () => {
+            ctx = await startTestApp({ policies: loadPolicies({ dir }) });
+
+            const response = await ctx.request('GET', '/policies/privacy/2026-02-01/changes');
+            assert.equal(response.status, 200);
+            const page = await response.text();
+            assert.match(page, /<strong>Summary:<\/strong> We collect less optional data\./);
+            assert.match(page, /<h3>Information We Collect<\/h3>/);
+            assert.ok(page.includes('<p>We collect the <del>types of </del>information described below to ' +
+                '<del>provide, secure, </del><ins>provide </ins>and <del>improve </del><ins>secure </ins>the app.</p>'));
+            assert.match(page, /Removed paragraph[\s\S]*<del>Optional Data: location or contacts/);
+            // Unchanged paragraphs are left out
+            assert.ok(!page.includes('Account Information'));
+        });
+
+        it('lists the versions newest first', async () => {
+            ctx = await startTestApp({ policies: loadPolicies({ dir }) });
+
+            const page = await (await ctx.request('GET', '/policies/privacy/history')).text();
+            const versions = [...page.matchAll(/<h2>Version ([\d.]+)<span class="badge (\w+)">/g)]
+                .map(([, version, status]) => `${version} ${status}`);
+            assert.deepEqual(versions, ['1.1 upcoming', '1.0 current']);
+
+            const switcher = await ctx.request('GET', '/lang/ar?to=/policies/privacy/history');
+            assert.equal(switcher.headers.get('location'), '/ar/policies/privacy/history');
+
+            const api = await (await ctx.request('GET', '/api/policies?lang=ar')).json();
+            const privacy = api.policies.find((policy) => policy.id === 'privacy');
+            assert.equal(privacy.url, `${BASE_URL}/ar/pp.html`);
+            assert.equal(privacy.current, '1.0');
+            assert.deepEqual(privacy.versions[1], {
+                version: '1.1',
+                effective: '2026-02-01',
+                status: 'upcoming',
+                summary: 'نجمع بيانات اختيارية أقل.',
+                url: `${BASE_URL}/ar/policies/privacy/2026-02-01`,
+                changesUrl: `${BASE_URL}/ar/policies/privacy/2026-02-01/changes`
+            });
+        });
+    });
+
+    describe('update emails', () => {
+        it('emails every contact once when a version takes effect', async () => {
+            process.env.POLICY_CONTACTS = 'legal@example.com, ar:support@example.com';
+            const noticeFile = path.join(dir, 'notices.json');
+            ctx = await startTestApp({ policies: loadPolicies({ dir }), policyNotices: createNoticeLog({ file: noticeFile }) });
+
+            // The first versions replaced nothing, and 1.1 isn't in effect yet
+            assert.equal(await ctx.policyNotifier.runOnce(), 0);
+
+            ctx.clock.advance(17 * DAY_MS);
+            assert.equal(await ctx.policyNotifier.runOnce(), 2);
+            const mail = await ctx.deliverMail();
+            const english = mail.find((message) => message.to === 'legal@example.com');
+            assert.equal(english.subject, 'Update to the UniTok Privacy Policy');
+            assert.match(english.text, /Version 1\.1 of the UniTok Privacy Policy took effect on February 1, 2026\./);
+            assert.match(english.text, /What changed: We collect less optional data\./);
+            assert.ok(english.text.includes(`${BASE_URL}/policies/privacy/2026-02-01/changes`));
+            const arabic = mail.find((message) => message.to === 'support@example.com');
+            assert.equal(arabic.subject, 'تحديث سياسة الخصوصية في UniTok');
+            assert.ok(arabic.text.includes(`${BASE_URL}/ar/pp.html`));
+
+            assert.equal(await ctx.policyNotifier.runOnce(), 0);
+            await ctx.close();
+
+            // The log outlives the process
+            ctx = await startTestApp({
+                policies: loadPolicies({ dir }),
+                policyNotices: createNoticeLog({ file: noticeFile }),
+                now: () => new Date('2026-03-01T00:00:00.000Z')
+            });
+            assert.equal(await ctx.policyNotifier.runOnce(), 0);
+            assert.deepEqual(createNoticeLog({ file: noticeFile }).list().map(({ policy, version, recipients }) =>
+                ({ policy, version, recipients })), [{ policy: 'privacy', version: '1.1', recipients: 2 }]);
+        });
+
+        it('refuses to start with an invalid contact', async () => {
+            process.env.POLICY_CONTACTS = 'legal@example.com,fr:support@example.com';
+            await assert.rejects(startTestApp(), /Invalid POLICY_CONTACTS entry "fr:support@example.com"/);
+        });
+    });
+
+    describe('loading', () => {
+        it('reports every problem in the policy files', () => {
+            const broken = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-policies-'));
+            try {
+                writeContent(broken, [
+                    { version: '1.1', effective: '2026-03-01', summary: { en: 'Again' } },
+                    { version: '2.0', effective: '2026-13-01', summary: {} }
+                ]);
+                assert.throws(() => loadPolicies({ dir: broken }), (error) => {
+                    assert.match(error.message, /^Invalid policies:/);
+                    assert.match(error.message, /version #3: duplicate version "1.1"/);
+                    assert.match(error.message, /version #3: text not found \(expected 2026-03-01\/en.json\)/);
+                    assert.match(error.message, /version #4: "effective" must be a YYYY-MM-DD date/);
+                    return true;
+                });
+            } finally {
+                fs.rmSync(broken, { recursive: true, force: true });
+            }
+        });
+
+        it('compares paragraphs word by word', () => {
+            assert.deepEqual(diffWords('Data is kept for 30 days.', 'Data is kept for 90 days.'), [
+                { type: 'same', text: 'Data is kept for ' },
+                { type: 'removed', text: '30 ' },
+                { type: 'added', text: '90 ' },
+                { type: 'same', text: 'days.' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Rate limit stores
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteStore } = require('../src/rateLimit/sqliteStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('sqlite rate limit store', () => {
+    let dir;
+    let filename;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-rate-limit-'));
+        filename = path.join(dir, 'unitok.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Count the hits left in the database
+     * @returns {number} Rows in rate_limit_hits
+     */
+    function countHits() {
+        const Database = require('better-sqlite3');
+        const db = new Database(filename, { readonly: true });
+        try {
+            return db.prepare('SELECT COUNT(*) AS count FROM rate_limit_hits').get().count;
+        } finally {
+            db.close();
+        }
+    }
+
+    it('allows up to max hits in the window', () => {
+        const store = createSqliteStore({ filename });
+        const now = Date.now();
+        try {
+            assert.deepEqual(store.consume('ip:1', HOUR_MS, 2, now), { allowed: true, remaining: 1 });
+            assert.deepEqual(store.consume('ip:1', HOUR_MS, 2, now + 1000), { allowed: true, remaining: 0 });
+            assert.deepEqual(store.consume('ip:1', HOUR_MS, 2, now + 2000), { allowed: false, retryAfterMs: HOUR_MS - 2000 });
+            assert.equal(store.consume('ip:1', HOUR_MS, 2, now + HOUR_MS).allowed, true);
+        } finally {
+            store.close();
+        }
+    });
+
+    it('deletes old hits of keys that never come back', async () => {
+        const store = createSqliteStore({ filename, sweepIntervalMs: 10 });
+        const now = Date.now();
+        try {
+            for (let i = 0; i < 5; i++) {
+                store.consume(`email:${i}@example.com`, HOUR_MS, 3, now - 2 * HOUR_MS);
+            }
+            store.consume('email:recent@example.com', HOUR_MS, 3, now);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            assert.equal(countHits(), 1);
+        } finally {
+            store.close();
+        }
+    });
+});
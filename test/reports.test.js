@@ -0,0 +1,248 @@
+/**
+ * Contact and child safety reports
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SUPPORT_EMAIL, startTestApp } = require('./helpers');
+const { t } = require('../src/i18n');
+
+const SAFETY_EMAIL = 'safety@unitok.test';
+const ADMIN = { Authorization: `Basic ${Buffer.from('admin:secret').toString('base64')}` };
+
+// Smallest files that pass the type check
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(24)]);
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+describe('reports', () => {
+    let ctx;
+
+    afterEach(async () => {
+        delete process.env.SAFETY_EMAIL;
+        delete process.env.REPORT_MAX_ATTACHMENTS;
+        delete process.env.REPORT_ATTACHMENT_MAX_MB;
+        delete process.env.ADMIN_USER;
+        delete process.env.ADMIN_PASSWORD;
+        if (ctx) await ctx.close();
+        ctx = null;
+    });
+
+    /**
+     * Submit a report
+     * @param {Object} fields - Form fields, over a general support report
+     * @returns {Promise<Response>} Response
+     */
+    function submit(fields = {}) {
+        return ctx.request('POST', '/api/reports', {
+            category: 'general',
+            email: 'reporter@example.com',
+            message: 'The app logs me out every time I open it.',
+            ...fields
+        });
+    }
+
+    /**
+     * Put the reporter's email before the one to the team
+     * @param {Array<Object>} messages - Captured emails for one report
+     * @returns {Array<Object>} [receipt, notice]
+     */
+    function sortByRecipient(messages) {
+        return [...messages].sort((a, b) => Number(b.to === 'reporter@example.com') - Number(a.to === 'reporter@example.com'));
+    }
+
+    describe('intake', () => {
+        it('stores a report and emails its ticket ID to the reporter and the report to support', async () => {
+            ctx = await startTestApp();
+
+            const response = await submit({
+                name: 'Sara',
+                subject: 'Logged out',
+                lang: 'ar',
+                attachments: [{ name: 'C:\\Users\\sara\\screen.PNG', data: `data:image/png;base64,${PNG.toString('base64')}` }]
+            });
+            assert.equal(response.status, 200);
+            const { success, ticketId, message } = await response.json();
+            assert.equal(success, true);
+            assert.match(ticketId, /^UT-[0-9A-HJKMNP-TV-Z]{8}$/);
+            assert.equal(message, t('ar', 'api.reportReceived', { ticketId }));
+
+            const report = ctx.reports.get(ticketId);
+            assert.equal(report.category, 'general');
+            assert.equal(report.priority, false);
+            assert.equal(report.restricted, false);
+            assert.equal(report.locale, 'ar');
+            assert.deepEqual(report.attachments, [{ name: 'screen.png', type: 'image/png', size: PNG.length }]);
+            assert.deepEqual(fs.readFileSync(path.join(ctx.reports.dir, ticketId, 'attachments', '0')), PNG);
+
+            const [receipt, notice] = sortByRecipient(await ctx.deliverMail());
+            assert.equal(receipt.to, 'reporter@example.com');
+            assert.equal(receipt.subject, `تلقّينا بلاغك [${ticketId}]`);
+            assert.equal(receipt.replyTo, SUPPORT_EMAIL);
+            assert.match(receipt.text, new RegExp(ticketId));
+
+            assert.equal(notice.to, SUPPORT_EMAIL);
+            assert.equal(notice.replyTo, 'reporter@example.com');
+            assert.equal(notice.subject, `General Support Report [${ticketId}]`);
+            assert.match(notice.text, /From: Sara <reporter@example.com>/);
+            assert.match(notice.text, /Subject: Logged out\n\nThe app logs me out every time I open it\./);
+            assert.match(notice.text, /- screen\.png \(image\/png, 1 KB\)/);
+
+            assert.equal(ctx.metrics.get('unitok_reports_submitted_total', { category: 'general' }), 1);
+        });
+
+        it('routes child safety reports to SAFETY_EMAIL, flagged priority and restricted', async () => {
+            process.env.SAFETY_EMAIL = SAFETY_EMAIL;
+            ctx = await startTestApp();
+
+            const { ticketId } = await (await submit({
+                category: 'safety',
+                message: 'An account is asking children for photos.',
+                attachments: [{ name: 'evidence.pdf', data: PDF.toString('base64') }]
+            })).json();
+
+            const report = ctx.reports.get(ticketId);
+            assert.equal(report.priority, true);
+            assert.equal(report.restricted, true);
+
+            const [receipt, notice] = sortByRecipient(await ctx.deliverMail());
+            assert.equal(receipt.replyTo, SAFETY_EMAIL);
+            assert.match(receipt.text, /Child safety reports are handled first/);
+            assert.equal(notice.to, SAFETY_EMAIL);
+            assert.equal(notice.subject, `PRIORITY: Child Safety Report [${ticketId}]`);
+            assert.match(notice.text, /stored with restricted access/);
+        });
+
+        it('falls back to SUPPORT_EMAIL for safety reports when SAFETY_EMAIL is unset', async () => {
+            ctx = await startTestApp();
+
+            await submit({ category: 'safety' });
+            const [, notice] = sortByRecipient(await ctx.deliverMail());
+            assert.equal(notice.to, SUPPORT_EMAIL);
+        });
+
+        it('refuses incomplete reports and unsupported attachments without storing anything', async () => {
+            process.env.REPORT_MAX_ATTACHMENTS = '1';
+            ctx = await startTestApp();
+
+            const cases = [
+                [{ category: 'billing' }, t('en', 'api.invalidCategory')],
+                [{ email: 'not-an-address' }, t('en', 'api.invalidEmail')],
+                [{ message: '   ' }, t('en', 'api.missingMessage')],
+                [{ message: 'x'.repeat(5001) }, t('en', 'api.messageTooLong', { max: 5000 })],
+                [{ attachments: [{ name: 'a.png', data: PNG.toString('base64') }, { name: 'b.png', data: PNG.toString('base64') }] },
+                    t('en', 'api.tooManyAttachments', { max: 1 })],
+                // Named like an image, but it's a script
+                [{ attachments: [{ name: 'photo.png', data: Buffer.from('#!/bin/sh\n').toString('base64') }] },
+                    t('en', 'api.invalidAttachment', { name: 'photo.png' })]
+            ];
+            for (const [index, [fields, error]] of cases.entries()) {
+                // A new address each time, to stay under the per-address rate limit
+                const response = await submit({ email: `reporter${index}@example.com`, ...fields });
+                assert.equal(response.status, 400, error);
+                assert.deepEqual(await response.json(), { error });
+            }
+
+            assert.equal(ctx.reports.list().total, 0);
+            assert.equal((await ctx.deliverMail()).length, 0);
+        });
+
+        it('answers oversized attachments in JSON', async () => {
+            process.env.REPORT_ATTACHMENT_MAX_MB = '0.1';
+            ctx = await startTestApp();
+
+            const large = Buffer.concat([PNG, Buffer.alloc(120 * 1024)]).toString('base64');
+            const one = await submit({ attachments: [{ name: 'large.png', data: large }] });
+            assert.equal(one.status, 400);
+            assert.deepEqual(await one.json(), { error: t('en', 'api.attachmentTooLarge', { name: 'large.png', maxMb: 0.1 }) });
+
+            const all = await submit({ attachments: [large, large, large, large].map((data) => ({ name: 'large.png', data })) });
+            assert.equal(all.status, 413);
+            assert.deepEqual(await all.json(), { error: t('en', 'api.reportTooLarge') });
+        });
+
+        it('needs the CSRF token', async () => {
+            ctx = await startTestApp();
+
+            const response = await ctx.request('POST', '/api/reports', {
+                category: 'general',
+                email: 'reporter@example.com',
+                message: 'Hello'
+            }, { 'X-CSRF-Token': 'forged' });
+            assert.equal(response.status, 403);
+            assert.equal(ctx.reports.list().total, 0);
+
+            // Checked before the body is read, so a large one is refused the same way
+            const large = await ctx.request('POST', '/api/reports', {
+                category: 'general',
+                email: 'reporter@example.com',
+                message: 'x'.repeat(40 * 1024 * 1024)
+            }, { 'X-CSRF-Token': 'forged' });
+            assert.equal(large.status, 403);
+        });
+    });
+
+    describe('admin API', () => {
+        it('lists reports but keeps restricted ones out of reach', async () => {
+            process.env.ADMIN_USER = 'admin';
+            process.env.ADMIN_PASSWORD = 'secret';
+            ctx = await startTestApp();
+
+            const general = (await (await submit({ attachments: [{ name: 'bug.png', data: PNG.toString('base64') }] })).json()).ticketId;
+            ctx.clock.advance(1000);
+            const safety = (await (await submit({ category: 'safety', message: 'Details of a safety concern.' })).json()).ticketId;
+
+            const list = await (await ctx.request('GET', '/admin/api/reports', undefined, ADMIN)).json();
+            assert.equal(list.total, 2);
+            assert.deepEqual(list.reports[0], {
+                ticketId: safety,
+                category: 'safety',
+                priority: true,
+                restricted: true,
+                createdAt: '2026-01-15T10:00:01.000Z'
+            });
+            assert.equal(list.reports[1].email, 'reporter@example.com');
+
+            const details = await ctx.request('GET', `/admin/api/reports/${general}`, undefined, ADMIN);
+            assert.equal((await details.json()).message, 'The app logs me out every time I open it.');
+            const download = await ctx.request('GET', `/admin/api/reports/${general}/attachments/0`, undefined, ADMIN);
+            assert.equal(download.headers.get('content-type'), 'image/png');
+            assert.deepEqual(Buffer.from(await download.arrayBuffer()), PNG);
+
+            assert.equal((await ctx.request('GET', `/admin/api/reports/${safety}`, undefined, ADMIN)).status, 403);
+            assert.equal((await ctx.request('GET', `/admin/api/reports/${safety}/attachments/0`, undefined, ADMIN)).status, 403);
+            assert.equal((await ctx.request('GET', '/admin/api/reports/UT-00000000', undefined, ADMIN)).status, 404);
+
+            // The email carrying the restricted report to SAFETY_EMAIL is shown without its body
+            const { messages } = await (await ctx.request('GET', '/admin/api/outbox', undefined, ADMIN)).json();
+            const notice = messages.find((message) => message.kind === 'support-report' && message.ref === safety);
+            const redacted = await (await ctx.request('GET', `/admin/api/outbox/${notice.id}`, undefined, ADMIN)).json();
+            assert.equal(redacted.redacted, true);
+            assert.equal(redacted.mail.text, undefined);
+            assert.equal(redacted.mail.html, undefined);
+
+            // Outbox IDs can't reach the report files next to the outbox
+            const traversal = `/admin/api/outbox/..%2Freports%2F${safety}%2Freport`;
+            assert.equal((await ctx.request('GET', traversal, undefined, ADMIN)).status, 404);
+            assert.equal((await ctx.request('POST', `${traversal}/replay`, {}, ADMIN)).status, 404);
+        });
+    });
+
+    describe('pages', () => {
+        it('serves the form in every language and links to it from the child safety standards', async () => {
+            ctx = await startTestApp();
+
+            const form = await ctx.request('GET', '/ar/report');
+            assert.equal(form.status, 200);
+            assert.equal(form.headers.get('cache-control'), 'no-store');
+            const html = await form.text();
+            assert.match(html, /<html lang="ar" dir="rtl">/);
+            assert.match(html, /<meta name="csrf-token" content="[\w-]+" \/>/);
+            assert.match(html, /data-max-files="3"/);
+
+            const csae = await (await ctx.request('GET', '/csae.html')).text();
+            assert.equal(csae.match(/<a href="\/report\?category=safety">/g).length, 2);
+        });
+    });
+});
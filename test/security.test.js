@@ -0,0 +1,142 @@
+/**
+ * Security headers, CORS allowlist and CSRF protection
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+const { t } = require('../src/i18n');
+
+describe('security', () => {
+    let ctx;
+
+    afterEach(async () => {
+        delete process.env.CORS_ORIGINS;
+        delete process.env.TRUST_PROXY;
+        delete process.env.HSTS_MAX_AGE_DAYS;
+        if (ctx) await ctx.close();
+        ctx = null;
+    });
+
+    describe('headers', () => {
+        it('allows only the site bundle and inline scripts carrying the response nonce', async () => {
+            ctx = await startTestApp();
+
+            const first = await ctx.request('GET', '/pp.html');
+            const policy = first.headers.get('content-security-policy');
+            const [, nonce] = policy.match(/script-src 'self' 'nonce-([^']+)'/);
+            assert.match(policy, /frame-ancestors 'none'/);
+            assert.match(policy, /form-action 'self'/);
+            assert.equal(first.headers.get('x-frame-options'), 'DENY');
+            assert.equal(first.headers.get('x-content-type-options'), 'nosniff');
+
+            const html = await first.text();
+            const scripts = html.match(/<script[^>]*>/g);
+            assert.equal(scripts[0], '<script src="/assets/js/site.js">');
+            assert.ok(scripts.length > 1);
+            for (const tag of scripts.slice(1)) {
+                assert.equal(tag, `<script nonce="${nonce}">`);
+            }
+            assert.ok(!/\son[a-z]+="/.test(html));
+
+            const second = await ctx.request('GET', '/pp.html');
+            assert.notEqual(second.headers.get('content-security-policy'), policy);
+        });
+
+        it('sends HSTS on HTTPS requests only', async () => {
+            process.env.TRUST_PROXY = '1';
+            ctx = await startTestApp();
+
+            assert.equal((await ctx.request('GET', '/')).headers.get('strict-transport-security'), null);
+
+            const secure = await ctx.request('GET', '/', undefined, { 'X-Forwarded-Proto': 'https' });
+            assert.equal(secure.headers.get('strict-transport-security'), 'max-age=15552000; includeSubDomains');
+            await ctx.close();
+
+            process.env.HSTS_MAX_AGE_DAYS = '0';
+            ctx = await startTestApp();
+            const off = await ctx.request('GET', '/', undefined, { 'X-Forwarded-Proto': 'https' });
+            assert.equal(off.headers.get('strict-transport-security'), null);
+        });
+    });
+
+    describe('CORS', () => {
+        it('answers only the origins in CORS_ORIGINS', async () => {
+            process.env.CORS_ORIGINS = 'https://unitokapp.com, https://www.unitokapp.com/';
+            ctx = await startTestApp();
+
+            const allowed = await ctx.request('OPTIONS', '/request-deletion', undefined, {
+                Origin: 'https://www.unitokapp.com',
+                'Access-Control-Request-Method': 'POST'
+            });
+            assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://www.unitokapp.com');
+            assert.equal(allowed.headers.get('access-control-allow-credentials'), null);
+
+            const other = await ctx.request('OPTIONS', '/request-deletion', undefined, {
+                Origin: 'https://evil.example',
+                'Access-Control-Request-Method': 'POST'
+            });
+            assert.equal(other.headers.get('access-control-allow-origin'), null);
+        });
+
+        it('refuses cross-origin requests when no origin is listed', async () => {
+            ctx = await startTestApp();
+
+            const response = await ctx.request('GET', '/api/partners', undefined, { Origin: 'https://unitokapp.com' });
+            assert.equal(response.headers.get('access-control-allow-origin'), null);
+        });
+
+        it('refuses to start with an invalid entry', async () => {
+            process.env.CORS_ORIGINS = 'https://unitokapp.com/app';
+            await assert.rejects(startTestApp(), /Invalid CORS_ORIGINS entry "https:\/\/unitokapp.com\/app"/);
+        });
+    });
+
+    describe('CSRF', () => {
+        const body = { email: 'user@example.com', reason: 'other' };
+
+        it('issues a token with the form page, kept out of caches', async () => {
+            ctx = await startTestApp();
+
+            const page = await ctx.request('GET', '/request-export');
+            assert.equal(page.headers.get('cache-control'), 'no-store');
+            // The page reuses the cookie the visitor already has
+            assert.equal(page.headers.get('set-cookie'), null);
+            assert.match(await page.text(), /<meta name="csrf-token" content="[\w-]+" \/>/);
+
+            const fresh = await fetch(`${ctx.origin}/ar/request-deletion`);
+            assert.match(fresh.headers.get('set-cookie'), /^unitok_csrf=[\w-]{43}; Path=\/; HttpOnly; SameSite=Lax$/);
+        });
+
+        it('refuses form posts without a matching token', async () => {
+            ctx = await startTestApp();
+
+            const missing = await ctx.request('POST', '/request-deletion', body, { 'X-CSRF-Token': '' });
+            assert.equal(missing.status, 403);
+            assert.deepEqual(await missing.json(), { error: t('en', 'api.csrfFailed') });
+
+            const forged = await ctx.request('POST', '/request-export', { ...body, lang: 'ar' }, { 'X-CSRF-Token': 'forged' });
+            assert.equal(forged.status, 403);
+            assert.deepEqual(await forged.json(), { error: t('ar', 'api.csrfFailed') });
+
+            // A token is only good with the cookie it was issued for
+            const otherCookie = await ctx.request('POST', '/request-deletion', body, {
+                Cookie: 'unitok_csrf=AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'
+            });
+            assert.equal(otherCookie.status, 403);
+
+            assert.equal(ctx.store.all().length, 0);
+            assert.equal(ctx.exportStore.all().length, 0);
+        });
+
+        it('accepts the token as a form field', async () => {
+            ctx = await startTestApp();
+
+            const response = await ctx.request('POST', '/request-deletion', { ...body, _csrf: ctx.csrf.token }, {
+                'X-CSRF-Token': ''
+            });
+            assert.equal(response.status, 200);
+            assert.equal(ctx.store.all().length, 1);
+        });
+    });
+});
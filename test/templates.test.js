@@ -0,0 +1,93 @@
+/**
+ * Shared layouts, partials and page widgets
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestApp } = require('./helpers');
+const { renderFile } = require('../src/render');
+const { getPageAssets } = require('../src/assets');
+
+describe('templates', () => {
+    let dir;
+    let ctx;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unitok-templates-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        if (ctx) await ctx.close();
+        ctx = null;
+    });
+
+    /**
+     * Write a page template
+     * @param {string} template - Template text
+     * @returns {string} Path of the file
+     */
+    function writePage(template) {
+        const file = path.join(dir, 'page.html');
+        fs.writeFileSync(file, template);
+        return file;
+    }
+
+    describe('rendering', () => {
+        it('fills a layout with the blocks a page gives and the partials it includes', () => {
+            const file = writePage([
+                '{{<layouts/base}}',
+                '{{$title}}Hello {{name}}{{/title}}',
+                '{{$body}}{{<partials/footer}}{{$content}}<p>{{name}}</p>{{/content}}{{/partials/footer}}{{/body}}',
+                '{{/layouts/base}}'
+            ].join('\n'));
+
+            const html = renderFile(file, {
+                lang: 'en',
+                dir: 'ltr',
+                name: '<Sara>',
+                common: { rightsReserved: 'All rights reserved.' },
+                assets: getPageAssets()
+            });
+            assert.match(html, /^<!doctype html>\n<html lang="en" dir="ltr">/);
+            assert.match(html, /<title>Hello &lt;Sara&gt;<\/title>/);
+            assert.match(html, /<footer class="site-footer">\s*<p>&lt;Sara&gt;<\/p>\s*<p class="copyright">&copy; UniTok\. All rights reserved\.<\/p>/);
+            assert.match(html, /--primary-color: #E5204E;/);
+            assert.match(html, /<script src="\/assets\/js\/site.js"><\/script>/);
+            assert.ok(!html.includes('{{'));
+        });
+
+        it('names the template that is missing', () => {
+            const file = writePage('{{> partials/nothing}}');
+            assert.throws(() => renderFile(file, {}), /Template not found: partials\/nothing \(expected views\/partials\/nothing.html\)/);
+            assert.throws(() => renderFile(writePage('{{> ../package}}'), {}), /Template not found/);
+        });
+    });
+
+    describe('pages', () => {
+        it('renders every page and message through the shared layout', async () => {
+            ctx = await startTestApp();
+
+            for (const url of ['/', '/ar/pp.html', '/csae.html', '/request-deletion', '/ar/request-export', '/confirm/unknown']) {
+                const html = await (await ctx.request('GET', url)).text();
+                assert.match(html, /<link rel="icon" type="image\/png" href="\/assets\/logo.png" \/>/, url);
+                assert.match(html, /<script src="\/assets\/js\/site.js"><\/script>/, url);
+                assert.match(html, /<p class="copyright">&copy; UniTok\. /, url);
+            }
+
+            const error = await (await ctx.request('GET', '/confirm/unknown', undefined, { 'Accept-Language': 'ar' })).text();
+            assert.match(error, /<html lang="ar" dir="rtl">/);
+            assert.match(error, /<a href="\/ar\/request-deletion" class="btn">/);
+
+            const bundle = await ctx.request('GET', '/assets/js/site.js');
+            assert.equal(bundle.status, 200);
+            assert.match(await bundle.text(), /window\.UniTok = \{ format, showToast, scrollToTop \}/);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Signed tokens and signing key rotation
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const tokens = require('../src/tokens');
+const links = require('../src/links');
+
+const OLD_KEY = `2026-01:${'a'.repeat(64)}`;
+const NEW_KEY = `2026-10:${'b'.repeat(64)}`;
+const NOW = new Date('2026-01-15T10:00:00.000Z');
+const IN_A_DAY = new Date(NOW.getTime() + 24 * 60 * 60 * 1000);
+
+describe('tokens', () => {
+    let savedKeys;
+
+    beforeEach(() => {
+        savedKeys = process.env.SIGNING_KEYS;
+        process.env.SIGNING_KEYS = NEW_KEY;
+    });
+
+    afterEach(() => {
+        if (savedKeys === undefined) {
+            delete process.env.SIGNING_KEYS;
+        } else {
+            process.env.SIGNING_KEYS = savedKeys;
+        }
+    });
+
+    it('verifies a token it issued and returns its hash as the request ID', () => {
+        const token = tokens.issueToken('confirm', IN_A_DAY);
+        const verified = tokens.verifyToken('confirm', token, NOW);
+
+        assert.equal(verified.id, tokens.hashToken(token));
+        assert.match(verified.id, /^[0-9a-f]{64}$/);
+        assert.equal(verified.expired, false);
+        assert.equal(verified.expiresAt.toISOString(), IN_A_DAY.toISOString());
+        assert.ok(tokens.isRequestId(verified.id));
+    });
+
+    it('reports expiry from the token itself', () => {
+        const token = tokens.issueToken('confirm', IN_A_DAY);
+        assert.equal(tokens.verifyToken('confirm', token, IN_A_DAY).expired, true);
+    });
+
+    it('rejects tokens issued for another purpose', () => {
+        const token = tokens.issueToken('export', IN_A_DAY);
+        assert.equal(tokens.verifyToken('confirm', token, NOW), null);
+    });
+
+    it('rejects malformed tokens', () => {
+        for (const value of [undefined, '', 'abc', '../../etc/passwd', '2026-10.x.y.z', `${'a'.repeat(40)}.1.2.3`]) {
+            assert.equal(tokens.verifyToken('confirm', value, NOW), null);
+        }
+    });
+
+    it('keeps accepting tokens and links signed with a rotated-out key', () => {
+        process.env.SIGNING_KEYS = OLD_KEY;
+        const token = tokens.issueToken('confirm', IN_A_DAY);
+        const id = tokens.verifyToken('confirm', token, NOW).id;
+        const sig = links.sign('cancel', id);
+
+        process.env.SIGNING_KEYS = `${NEW_KEY},${OLD_KEY}`;
+        assert.ok(tokens.verifyToken('confirm', token, NOW));
+        assert.ok(links.verify('cancel', id, sig));
+        assert.match(tokens.issueToken('confirm', IN_A_DAY), /^2026-10\./);
+
+        // Dropping the old key retires everything it signed
+        process.env.SIGNING_KEYS = NEW_KEY;
+        assert.equal(tokens.verifyToken('confirm', token, NOW), null);
+        assert.equal(links.verify('cancel', id, sig), false);
+    });
+
+    it('refuses malformed key lists', () => {
+        assert.throws(() => tokens.parseSigningKeys('no-separator'), /expected <id>:<secret>/);
+        assert.throws(() => tokens.parseSigningKeys('k1:short'), /too short/);
+        assert.throws(() => tokens.parseSigningKeys(`${NEW_KEY},${NEW_KEY}`), /listed twice/);
+        assert.throws(() => tokens.parseSigningKeys(' , '), /no keys/);
+    });
+});
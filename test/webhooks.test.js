@@ -0,0 +1,210 @@
+/**
+ * Outbound webhooks for deletion request events
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { BASE_URL, startTestApp, findLink } = require('./helpers');
+const tokens = require('../src/tokens');
+const { createWebhooks, parseSubscriptions } = require('../src/webhooks');
+const { FORMATS } = require('../src/webhooks/formats');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SECRET = 'ops-webhook-secret-with-32-chars!';
+
+describe('parseSubscriptions', () => {
+    const valid = { name: 'ops', url: 'https://ops.example.com/hook', events: ['*'], secret: SECRET };
+
+    it('defaults to no subscriptions', () => {
+        assert.deepEqual(parseSubscriptions(undefined), []);
+        assert.deepEqual(parseSubscriptions(' '), []);
+    });
+
+    it('expands "*" and defaults the format to json', () => {
+        const [subscription] = parseSubscriptions(JSON.stringify([valid]));
+        assert.equal(subscription.format, 'json');
+        assert.equal(subscription.events.length, 5);
+        assert.ok(subscription.events.includes('request.cancelled'));
+    });
+
+    it('refuses invalid subscriptions', () => {
+        const cases = [
+            ['not json', /not valid JSON/],
+            [JSON.stringify({ ...valid }), /JSON array/],
+            [JSON.stringify([valid, valid]), /duplicate name/],
+            [JSON.stringify([{ ...valid, url: 'ftp://ops.example.com' }]), /http or https/],
+            [JSON.stringify([{ ...valid, events: ['request.deleted'] }]), /unknown events request.deleted/],
+            [JSON.stringify([{ ...valid, format: 'xml' }]), /unknown format/],
+            [JSON.stringify([{ ...valid, secret: 'short' }]), /secret of at least 32/]
+        ];
+        for (const [value, error] of cases) {
+            assert.throws(() => parseSubscriptions(value), error);
+        }
+    });
+
+    it('lets Slack webhooks go unsigned', () => {
+        const [subscription] = parseSubscriptions(JSON.stringify([
+            { name: 'slack', url: 'https://hooks.slack.com/services/T/B/X', events: ['request.confirmed'], format: 'slack' }
+        ]));
+        assert.equal(subscription.secret, null);
+    });
+});
+
+describe('Slack format', () => {
+    const adminUrl = `${BASE_URL}/admin`;
+
+    it('shows only known reasons, and escapes what users typed', () => {
+        const requestData = { token: 'a'.repeat(64), email: '<!channel>@example.com', reason: 'privacy-concerns' };
+        const { text } = FORMATS.slack('request.created', requestData, { adminUrl });
+        assert.match(text, /Privacy concerns/);
+        assert.match(text, /&lt;\*+@example\.com/);
+        assert.doesNotMatch(text, /<!/);
+
+        for (const reason of ['<!channel>', '<https://evil.example|click>', 'toString']) {
+            const { text: unknown } = FORMATS.slack('request.created', { ...requestData, reason, reasonText: reason }, { adminUrl });
+            assert.doesNotMatch(unknown, /channel|evil|toString/);
+            assert.equal(unknown.match(/</g).length, 1);
+        }
+    });
+});
+
+describe('webhook delivery', () => {
+    let ctx;
+    let server;
+    let received;
+    let failNext;
+
+    beforeEach(async () => {
+        received = [];
+        failNext = 0;
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ url: req.url, headers: req.headers, body });
+                if (failNext > 0) {
+                    failNext--;
+                    res.writeHead(500).end();
+                } else {
+                    res.writeHead(204).end();
+                }
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        const origin = `http://127.0.0.1:${server.address().port}`;
+
+        ctx = await startTestApp({
+            webhooks: createWebhooks({
+                subscriptions: parseSubscriptions(JSON.stringify([
+                    { name: 'ops', url: `${origin}/ops`, events: ['*'], secret: SECRET },
+                    { name: 'slack', url: `${origin}/slack`, events: ['request.confirmed'], format: 'slack' }
+                ])),
+                getBaseUrl: () => BASE_URL,
+                timeoutMs: 1000
+            })
+        });
+    });
+
+    afterEach(async () => {
+        await ctx.close();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    /**
+     * Submit a request and return the token from its confirmation email
+     * @param {string} email - Address to delete
+     * @returns {Promise<string>} Confirmation token
+     */
+    async function submit(email) {
+        const response = await ctx.request('POST', '/request-deletion', { email, reason: 'privacy-concerns' });
+        assert.equal(response.status, 200);
+        const mail = (await ctx.deliverMail()).findLast((message) => message.to === email);
+        return findLink(mail, 'confirm').split('/').pop();
+    }
+
+    /**
+     * Deliveries to the ops endpoint as parsed events
+     * @returns {Array<Object>} Events, oldest first
+     */
+    function opsEvents() {
+        return received.filter((call) => call.url === '/ops').map((call) => JSON.parse(call.body));
+    }
+
+    it('sends signed events through the request lifecycle', async () => {
+        const token = await submit('user@example.com');
+        const id = tokens.hashToken(token);
+
+        await ctx.request('POST', `/confirm/${token}`);
+        const messages = await ctx.deliverMail();
+        const cancelLink = findLink(messages.at(-1), 'cancel');
+        const sig = new URL(cancelLink, BASE_URL).searchParams.get('sig');
+        await ctx.request('POST', `/cancel/${id}`, { sig });
+        await ctx.deliverMail();
+
+        const events = opsEvents();
+        assert.deepEqual(events.map((event) => event.type), ['request.created', 'request.confirmed', 'request.cancelled']);
+        assert.equal(events[0].data.requestId, id);
+        assert.equal(events[0].data.email, 'user@example.com');
+        assert.equal(events[2].data.status, 'cancelled');
+
+        for (const call of received.filter((entry) => entry.url === '/ops')) {
+            const [, timestamp, signature] = call.headers['x-unitok-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+            const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${call.body}`).digest('hex');
+            assert.equal(signature, expected);
+            assert.equal(call.headers['x-unitok-event'], JSON.parse(call.body).type);
+            assert.ok(call.headers['x-unitok-delivery']);
+        }
+    });
+
+    it('formats Slack messages with a masked address', async () => {
+        const token = await submit('student@example.com');
+        await ctx.request('POST', `/confirm/${token}`);
+        await ctx.deliverMail();
+
+        const slack = received.filter((call) => call.url === '/slack');
+        assert.equal(slack.length, 1);
+        assert.equal(slack[0].headers['x-unitok-signature'], undefined);
+
+        const { text } = JSON.parse(slack[0].body);
+        assert.match(text, /Deletion confirmed/);
+        assert.match(text, /Privacy concerns/);
+        assert.match(text, /s\*+@example\.com/);
+        assert.doesNotMatch(text, /student@/);
+        assert.match(text, new RegExp(`<${BASE_URL}/admin\\|`));
+    });
+
+    it('announces requests expired by a new submission', async () => {
+        const token = await submit('user@example.com');
+        ctx.clock.advance(25 * HOUR_MS);
+        await submit('user@example.com');
+
+        const expired = opsEvents().filter((event) => event.type === 'request.expired');
+        assert.equal(expired.length, 1);
+        assert.equal(expired[0].data.requestId, tokens.hashToken(token));
+    });
+
+    it('retries failed deliveries with backoff, resending the same body', async () => {
+        failNext = 1;
+        await ctx.request('POST', '/request-deletion', { email: 'user@example.com', reason: 'other' });
+        await ctx.deliverMail();
+
+        const { messages } = ctx.store.outbox.list({ status: 'pending' });
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].webhook.subscription, 'ops');
+        assert.equal(messages[0].attempts, 1);
+        assert.equal(messages[0].lastError, 'Webhook endpoint answered HTTP 500');
+
+        ctx.clock.advance(60 * 1000);
+        await ctx.deliverMail();
+        assert.equal(ctx.store.outbox.counts().pending, 0);
+
+        const attempts = received.filter((call) => call.url === '/ops');
+        assert.equal(attempts.length, 2);
+        assert.equal(attempts[0].body, attempts[1].body);
+        assert.equal(attempts[0].headers['x-unitok-delivery'], attempts[1].headers['x-unitok-delivery']);
+    });
+});